@@ -5,15 +5,65 @@
  * Environment variables expected:
  * - OPENAI_API_KEY: Your OpenAI-compatible API key (Secret).
  * - API_ENDPOINT: The BASE URL for the LLM API endpoint (e.g., "https://api.openai.com/v1").
+ * - LLM_PROVIDERS: Optional JSON list of providers with fallback (replaces API_ENDPOINT/LLM_MODEL, see loadLlmProviders).
+ * - LLM_MAX_RETRIES / LLM_RETRY_BASE_MS: Optional retry count and backoff base for 429/5xx upstream errors.
  * - SYSTEM_PROMPT: The system prompt for the LLM.
  * - LLM_MODEL: The model name to use (e.g., "gpt-4", "gpt-3.5-turbo").
  * - KV_NAMESPACE: Binding to the Cloudflare KV namespace (for auth codes & usage).
+ * - SESSION_STORE: Optional Durable Object binding (workers/session-store) that owns conversation
+ *   states and material lists and serialises chat turns; without it they are read and written in KV directly.
+ * - SESSION_SECRET: HMAC key used to sign session tokens (Secret).
+ * - SESSION_TTL_SECONDS: Optional session lifetime in seconds (default 7 days).
+ * - DAILY_TOKEN_QUOTA / TOTAL_TOKEN_QUOTA: Optional default token limits per code (a code's own quota wins).
+ * - ADMIN_SECRET: Bearer token for the /api/admin/* routes (Secret). Admin routes are disabled without it.
+ * - LOGIN_RATE_LIMIT, LOGIN_RATE_WINDOW_SECONDS, LOGIN_MAX_FAILURES, LOGIN_LOCKOUT_SECONDS,
+ *   CHAT_RATE_LIMIT, CHAT_RATE_WINDOW_SECONDS, CHAT_MAX_CONCURRENT: Optional rate limits (see RATE_LIMIT_DEFAULTS).
+ * - CONTEXT_TOKEN_BUDGET / MODEL_CONTEXT_BUDGETS: Optional prompt token budget, globally or per model (JSON).
+ * - MATERIAL_TOP_K / MATERIAL_TOKEN_BUDGET: Optional number and total size (tokens) of uploaded-material chunks added to each prompt.
+ * - EMBEDDING_BACKEND (local | openai | workers-ai), EMBEDDING_MODEL, EMBEDDING_ENDPOINT, EMBEDDING_API_KEY_ENV:
+ *   Optional embedding backend for material retrieval (see Material Retrieval; default local).
+ * - AI: Optional Workers AI binding, used when EMBEDDING_BACKEND is workers-ai.
+ * - SNAPSHOT_RETENTION_DAYS: Optional number of days the snapshots taken before a reset are kept (default 7, 0 = off).
+ * - WORD_COUNT_TOLERANCE: Optional allowed deviation of a chapter from its planned length, as a fraction (default 0.2).
+ *
+ * Authentication: /api/login only accepts provisioned codes (an `auth:<code>` record must exist)
+ * and returns a signed, expiring session token. Every other route expects it as
+ * `Authorization: Bearer <token>`; the login code itself is never sent again.
+ *
+ * KV layout (per login code):
+ * - `auth:<code>`                 Provisioned login code: { created_at, expires_at, revoked, quota, note }
+ * - `activity:<code>`             Activity of a code: { last_used_at, message_count } (kept apart so counting never rewrites auth:<code>)
+ * - `<code>:conversations`        Conversation index: { active_id, conversations: [{ id, title, created_at, updated_at }] }
+ * - `<code>:conversation:<id>`    Chat state of one conversation (schema_version, workflow fields + conversation_history,
+ *                                 whose entries are { id, role, content, created_at, revised_content? });
+ *                                 a copy of the Durable Object's state when SESSION_STORE is bound
+ * - `<code>:references:<id>`      Reference library of one conversation: { references: [...], updated_at }
+ * - `<code>:paper:<id>`           Paper document of one conversation: title, abstract, keywords, outline tree, chapters
+ * - `<code>:versions:<id>`        Earlier texts of the paper's chapters: { chapters: { <chapterId>: [versions...] } }
+ * - `<code>:materials:<id>`       Files uploaded to a conversation: { files: [{ id, name, type, size, characters, chunks }] };
+ *                                 a copy of the Durable Object's list when SESSION_STORE is bound
+ * - `<code>:material:<id>:<file>` Text chunks of one uploaded file: { chunks: [...] }
+ * - `<code>:settings`            Preferences of the code: { custom_instructions, language, tone, citation_style, default_model }
+ * - `<code>:snapshot:<snapshot>`  Conversation saved before a reset: { reason, created_at, entry } (expires, see Backups & Snapshots)
+ * - `template:<id>`                Paper template (shared by all codes, managed via /api/admin/templates)
+ * - `ratelimit:*`                  Short-lived rate-limit counters (expire on their own)
+ * - `quarantine:<code>:<id>:<hash>` Backup of a conversation record (or index, id `index`) that failed to load: { code, conversation_id, reason, quarantined_at, raw }
+ * - `usage:<code>`                Token usage: { total: {...}, daily: { date, prompt_tokens, completion_tokens, total_tokens } }
+ * - `<code>`                      Legacy single-conversation state, migrated into the index on first access
  */
 
+import {
+    LOCAL_EMBEDDING_DIMENSIONS,
+    chunkMaterialText,
+    embedLocally,
+    normalizeVector,
+    rankMaterialChunks,
+} from '../../lib/material-retrieval.js';
+
 // {{ Define corsHeaders at the top level }}
 const corsHeaders = {
     'Access-Control-Allow-Origin': '*', // Consider restricting in production
-    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS', // Added GET for potential future use
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
     'Access-Control-Allow-Headers': 'Content-Type, Authorization',
 };
 
@@ -34,16 +84,76 @@ export async function onRequest(context) {
     }
 
     let response; // Variable to hold the eventual response object
+    // Routes addressing a single conversation: /api/conversations/<id>
+    const conversationMatch = url.pathname.match(/^\/api\/conversations\/([\w-]+)$/);
+    // Routes addressing one message: /api/conversations/<id>/messages/<messageId>[/regenerate]
+    const messageMatch = url.pathname.match(/^\/api\/conversations\/([\w-]+)\/messages\/([\w-]+)(\/regenerate)?$/);
+    // Reference library of a conversation: /api/conversations/<id>/references[/<key>]
+    const referencesMatch = url.pathname.match(/^\/api\/conversations\/([\w-]+)\/references(?:\/([^/]+))?$/);
+    // Paper document of a conversation: /api/conversations/<id>/paper[/chapters[/<chapterId>]]
+    const paperMatch = url.pathname.match(/^\/api\/conversations\/([\w-]+)\/paper(\/chapters(?:\/([\w-]+))?)?$/);
+    // Version history of a chapter: .../paper/chapters/<chapterId>/versions[/<n>[/restore]]
+    const versionsMatch = url.pathname.match(/^\/api\/conversations\/([\w-]+)\/paper\/chapters\/([\w-]+)\/versions(?:\/(\d+)(\/restore)?)?$/);
+    // Uploaded source material of a conversation: /api/conversations/<id>/materials[/<fileId>]
+    const materialsMatch = url.pathname.match(/^\/api\/conversations\/([\w-]+)\/materials(?:\/([\w-]+))?$/);
+    // Automatic snapshots of a code: /api/snapshots[/<id>/restore]
+    const snapshotsMatch = url.pathname.match(/^\/api\/snapshots(?:\/([\w-]+)\/restore)?$/);
 
     try {
         // --- Request Routing ---
         if (url.pathname === '/api/login' && request.method === 'POST') {
             response = await handleLoginRequest(request, env);
         } else if (url.pathname === '/api/chat' && request.method === 'POST') {
-            response = await handleChatRequest(request, env);
+            response = await handleChatRequest(request, env, context);
         // {{ Add routing for reset }}
         } else if (url.pathname === '/api/reset' && request.method === 'POST') {
             response = await handleResetRequest(request, env);
+        } else if (url.pathname === '/api/history' && request.method === 'GET') {
+            response = await handleHistoryRequest(request, env);
+        } else if (url.pathname === '/api/usage' && request.method === 'GET') {
+            response = await handleUsageRequest(request, env);
+        } else if (url.pathname === '/api/settings' && (request.method === 'GET' || request.method === 'PUT')) {
+            response = await handleSettingsRequest(request, env);
+        } else if (url.pathname === '/api/models' && request.method === 'GET') {
+            response = await handleModelsRequest(request, env);
+        } else if (url.pathname === '/api/templates' && request.method === 'GET') {
+            response = await handleTemplatesRequest(request, env);
+        } else if (url.pathname === '/api/export' && request.method === 'GET') {
+            response = await handleExportRequest(request, env);
+        } else if (url.pathname === '/api/backup' && (request.method === 'GET' || request.method === 'POST')) {
+            response = await handleBackupRequest(request, env);
+        } else if (snapshotsMatch && (snapshotsMatch[1] ? request.method === 'POST' : request.method === 'GET')) {
+            response = await handleSnapshotsRequest(request, env, snapshotsMatch[1] || null);
+        } else if (url.pathname === '/api/upload' && request.method === 'POST') {
+            response = await handleUploadRequest(request, env);
+        } else if (url.pathname === '/api/conversations' && request.method === 'GET') {
+            response = await handleListConversationsRequest(request, env);
+        } else if (url.pathname === '/api/conversations' && request.method === 'POST') {
+            response = await handleCreateConversationRequest(request, env);
+        } else if (conversationMatch && request.method === 'GET') {
+            response = await handleGetConversationRequest(request, env, conversationMatch[1]);
+        } else if (conversationMatch && request.method === 'PATCH') {
+            response = await handleUpdateConversationRequest(request, env, conversationMatch[1]);
+        } else if (conversationMatch && request.method === 'DELETE') {
+            response = await handleDeleteConversationRequest(request, env, conversationMatch[1]);
+        } else if (messageMatch && messageMatch[3] && request.method === 'POST') {
+            response = await handleRegenerateMessageRequest(request, env, context, messageMatch[1], messageMatch[2]);
+        } else if (messageMatch && !messageMatch[3] && request.method === 'PATCH') {
+            response = await handleEditMessageRequest(request, env, context, messageMatch[1], messageMatch[2]);
+        } else if (messageMatch && !messageMatch[3] && request.method === 'DELETE') {
+            response = await handleDeleteMessageRequest(request, env, messageMatch[1], messageMatch[2]);
+        } else if (referencesMatch) {
+            const referenceKey = referencesMatch[2] ? decodeURIComponent(referencesMatch[2]) : null;
+            response = await handleReferencesRequest(request, env, referencesMatch[1], referenceKey);
+        } else if (paperMatch) {
+            response = await handlePaperRequest(request, env, paperMatch[1], Boolean(paperMatch[2]), paperMatch[3] || null);
+        } else if (versionsMatch) {
+            const version = versionsMatch[3] ? Number(versionsMatch[3]) : null;
+            response = await handleChapterVersionsRequest(request, env, versionsMatch[1], versionsMatch[2], version, Boolean(versionsMatch[4]));
+        } else if (materialsMatch) {
+            response = await handleMaterialsRequest(request, env, materialsMatch[1], materialsMatch[2] || null);
+        } else if (url.pathname.startsWith('/api/admin/')) {
+            response = await handleAdminRequest(request, env, url);
         } else {
             // Route not found or method not allowed
             console.warn(`No matching route found for ${request.method} ${url.pathname}.`);
@@ -67,14 +177,22 @@ export async function onRequest(context) {
         }
 
     } catch (error) {
-        // Catch unexpected errors during request routing or handler execution itself
-        console.error('Error during request handling or handler execution:', error);
-        // Return JSON error with CORS headers
-        response = new Response(JSON.stringify({ error: 'Internal Server Error', details: error.message }), {
-            status: 500,
-            // Use global corsHeaders here too
-            headers: { ...corsHeaders, 'Content-Type': 'application/json' },
-        });
+        if (error.status === 409 && error.code) {
+            // A write raced with another tab or a running turn (see Conversation Sessions)
+            response = new Response(JSON.stringify({ success: false, error: error.message, code: error.code }), {
+                status: 409,
+                headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+            });
+        } else {
+            // Catch unexpected errors during request routing or handler execution itself
+            console.error('Error during request handling or handler execution:', error);
+            // Return JSON error with CORS headers
+            response = new Response(JSON.stringify({ error: 'Internal Server Error', details: error.message }), {
+                status: 500,
+                // Use global corsHeaders here too
+                headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+            });
+        }
     }
 
     // --- Add/Merge CORS Headers to the final response ---
@@ -95,7 +213,9 @@ export async function onRequest(context) {
 
 /**
  * Handles the /api/reset POST request.
- * Resets the user's state in KV to the initial default state.
+ * Resets one conversation (the active one unless `conversation_id` is given) to the initial
+ * default state. Other conversations of the same login code are left untouched. The previous
+ * state and paper are kept as a snapshot first (see Backups & Snapshots).
  * @param {Request} request
  * @param {object} env - Contains KV_NAMESPACE binding
  * @returns {Promise<Response>}
@@ -103,40 +223,37 @@ export async function onRequest(context) {
 async function handleResetRequest(request, env) {
     console.log(`Handling reset request from: ${request.headers.get('CF-Connecting-IP')}`);
     const jsonHeaders = { ...corsHeaders, 'Content-Type': 'application/json' };
-    let loginCode;
+    const { loginCode, payload, errorResponse } = await parseAuthenticatedRequest(request, env, jsonHeaders);
+    if (errorResponse) {
+        return errorResponse;
+    }
+    const conversationId = payload.conversation_id;
+    console.log(`Reset request received for code ${loginCode}`);
 
     try {
-        const { code } = await request.json();
-        loginCode = code;
-
-        // {{ EDIT 1: Correct the regular expression to check for 10 digits }}
-        if (!/^\d{10}$/.test(loginCode)) { // Use \d instead of d
-            console.warn(`Invalid code format received in reset request: ${loginCode}`);
-            return new Response(JSON.stringify({ success: false, error: '无效的登录码格式' }), {
-                status: 400,
-                headers: jsonHeaders,
-            });
+        const index = await loadConversationIndex(env, loginCode);
+        if (!index) {
+            return new Response(JSON.stringify({ success: false, error: '未找到会话状态，请尝试重新登录' }), { status: 404, headers: jsonHeaders });
+        }
+        const targetId = conversationId || index.active_id;
+        const meta = index.conversations.find(item => item.id === targetId);
+        if (!meta) {
+            return new Response(JSON.stringify({ success: false, error: '对话不存在' }), { status: 404, headers: jsonHeaders });
         }
-        console.log(`Reset request received for code ${loginCode}`); // Log valid format receipt
-
-    } catch (error) {
-        console.error('Error parsing reset request body:', error);
-        return new Response(JSON.stringify({ success: false, error: '无效的请求体' }), {
-            status: 400,
-            headers: jsonHeaders,
-        });
-    }
 
-    try {
-        console.log(`Resetting state for ${loginCode} in KV...`);
-        // {{ EDIT 4: Use simplified initial state for reset }}
-        const initialState = {
-            conversation_history: [], // 只保留对话历史
-        };
+        console.log(`Resetting conversation ${targetId} for ${loginCode} in KV...`);
+        const initialState = createInitialState();
+        // The paper template belongs to the conversation, not to its progress
+        const previousState = await loadConversation(env, loginCode, targetId).catch(() => null);
+        initialState.template_id = previousState?.template_id || null;
+        // Keep what is about to be discarded (see Backups & Snapshots)
+        const snapshotId = previousState ? await takeSnapshot(env, loginCode, meta, previousState, 'reset') : null;
 
-        await env.KV_NAMESPACE.put(loginCode, JSON.stringify(initialState));
-        console.log(`State for ${loginCode} has been reset to initial state.`);
-        return new Response(JSON.stringify({ success: true, message: '状态已成功重置' }), {
+        await storeConversation(env, loginCode, targetId, initialState);
+        await env.KV_NAMESPACE.delete(paperKey(loginCode, targetId));
+        await env.KV_NAMESPACE.delete(chapterVersionsKey(loginCode, targetId));
+        console.log(`Conversation ${targetId} for ${loginCode} has been reset to initial state.`);
+        return new Response(JSON.stringify({ success: true, message: '状态已成功重置', conversation_id: targetId, snapshot_id: snapshotId, state: summarizeState(initialState) }), {
             status: 200,
             headers: jsonHeaders,
         });
@@ -165,6 +282,8 @@ function handleOptions() {
 
 /**
  * Handles the /api/login POST request using KV validation.
+ * Only provisioned codes (with an `auth:<code>` record that is neither revoked nor expired) are
+ * accepted; on success a signed session token is returned for the other routes.
  * @param {Request} request
  * @param {object} env - Contains KV_NAMESPACE binding
  * @returns {Promise<Response>}
@@ -175,6 +294,19 @@ async function handleLoginRequest(request, env) {
     // Define standard Content-Type header for JSON responses
     const jsonHeaders = { ...corsHeaders, 'Content-Type': 'application/json' };
 
+    // Throttle code guessing: locked-out IPs first, then the per-IP attempt limit
+    const ip = clientIp(request);
+    const lockout = await loginLockoutRemaining(env, ip);
+    if (lockout > 0) {
+        console.warn(`Login from ${ip} refused: locked out for another ${Math.ceil(lockout)}s.`);
+        return rateLimitResponse('登录失败次数过多，请稍后再试', lockout, jsonHeaders);
+    }
+    const attempt = await hitRateLimit(env, 'login', ip, rateLimitSetting(env, 'LOGIN_RATE_LIMIT'), rateLimitSetting(env, 'LOGIN_RATE_WINDOW_SECONDS'));
+    if (attempt.limited) {
+        console.warn(`Login from ${ip} refused: too many attempts.`);
+        return rateLimitResponse('登录尝试过于频繁，请稍后再试', attempt.retryAfter, jsonHeaders);
+    }
+
     try {
         const { code } = await request.json();
         loginCode = code; // Extract code from JSON body
@@ -199,80 +331,67 @@ async function handleLoginRequest(request, env) {
         });
     }
 
+    if (!env.SESSION_SECRET) {
+        console.error("错误：SESSION_SECRET 环境变量未设置，无法签发会话令牌。");
+        return new Response(JSON.stringify({ success: false, error: '服务器配置错误：会话密钥缺失' }), { status: 500, headers: jsonHeaders });
+    }
+
     try {
         console.log(`Checking code ${loginCode} in KV...`); // Log before KV read
-        const storedStateString = await env.KV_NAMESPACE.get(loginCode);
-        let initialState; // Define initialState here
+        const authRecord = await loadAuthRecord(env, loginCode);
+        const authError = checkAuthRecord(authRecord);
+        if (authError) {
+            console.warn(`Login rejected for ${loginCode}: ${authError.error}`);
+            await recordLoginFailure(env, ip);
+            return new Response(JSON.stringify({ success: false, error: authError.error }), { status: authError.status, headers: jsonHeaders });
+        }
 
-        if (!storedStateString) {
+        // Loads the conversation index, migrating a legacy single-conversation record if present
+        let index = await loadConversationIndex(env, loginCode);
+        let message = '登录成功';
+
+        if (!index) {
             // --- Code not found in KV - New User or First Time ---
             console.log(`Code ${loginCode} not found. Creating initial state.`); // Log new user
-            // {{ 编辑 1: 创建包含 conversation_history 的初始状态 }}
-            initialState = {
-                status: 'AWAITING_INITIAL_INPUT',
-                current_chapter_index: null,
-                estimated_chapters: null,
-                approved_outline: null,
-                confirmed_chapters: [],
-                conversation_history: [], // 确保包含空的对话历史
-                last_chapter_content: null
-            };
-            // --- Save the newly created initial state back to KV ---
-            await env.KV_NAMESPACE.put(loginCode, JSON.stringify(initialState));
-            console.log(`Initial state for ${loginCode} saved to KV.`); // Log state save
-            // Use jsonHeaders
-            return new Response(JSON.stringify({ success: true, message: '登录成功，状态已初始化' }), {
-                status: 200,
-                headers: jsonHeaders,
-            });
-        } else {
-            // --- Code found, try to parse existing state ---
-            console.log(`Code ${loginCode} found in KV. Parsing state...`); // Log found code
+            index = { active_id: null, conversations: [] };
+            message = '登录成功，状态已初始化';
+        }
+
+        // Make sure there is an active conversation to write into
+        let activeState = null;
+        if (index.active_id) {
             try {
-                const currentState = JSON.parse(storedStateString);
-                // {{ 编辑 2: 增加对 conversation_history 的健全性检查 }}
-                // 检查核心字段是否存在且 conversation_history 是数组
-                // {{ EDIT 1: Check only for conversation_history array during login viability check }}
-                if (currentState && Array.isArray(currentState.conversation_history)) {
-                    console.log(`State for ${loginCode} parsed successfully and seems valid.`); // Log valid state
-                    // State is valid and has conversation_history
-                    // Use jsonHeaders
-                    return new Response(JSON.stringify({ success: true, message: '登录成功' }), {
-                        status: 200,
-                        headers: jsonHeaders,
-                     });
-                } else {
-                     // State is corrupted or old format
-                     console.warn(`State for ${loginCode} is invalid/corrupted. Resetting to initial state.`); // Log reset due to corruption
-                     // Treat as new user: create and save initial state (simplified)
-                     // {{ EDIT 2: Use simplified initial state for reset during login check }}
-                     initialState = {
-                          conversation_history: [], // 只保留对话历史
-                     };
-                     await env.KV_NAMESPACE.put(loginCode, JSON.stringify(initialState));
-                     console.log(`Corrupted state for ${loginCode} overwritten with initial state in KV.`); // Log overwrite
-                     // Use jsonHeaders
-                     return new Response(JSON.stringify({ success: true, message: '登录成功，状态已重置' }), {
-                         status: 200,
-                         headers: jsonHeaders,
-                     });
-                }
+                activeState = await loadConversation(env, loginCode, index.active_id);
             } catch (parseError) {
-                // Error parsing JSON from KV - state is likely corrupted
-                console.error(`Error parsing stored state for ${loginCode}:`, parseError); // Log parsing erro
-                 // Treat as new user: create and save initial state (simplified)
-                 // {{ EDIT 3: Use simplified initial state for reset on login parse error }}
-                 initialState = {
-                   conversation_history: [], // 只保留对话历史
-                 };
-                await env.KV_NAMESPACE.put(loginCode, JSON.stringify(initialState));
-                console.log(`Corrupted state for ${loginCode} overwritten with initial state in KV.`); // Log overwrite
-                return new Response(JSON.stringify({ success: true, message: '登录成功，状态已重置' }), {
-                    status: 200,
-                    headers: jsonHeaders,
-                });
+                // The broken record is left in place (and backed up, see Conversation State Schema);
+                // the user continues in a new conversation instead of losing it to an empty state
+                console.error(`Error parsing active conversation for ${loginCode}:`, parseError);
             }
         }
+        if (!activeState) {
+            console.log(`No usable active conversation for ${loginCode}. Creating one.`);
+            const created = await createConversation(env, loginCode, index);
+            activeState = created.state;
+        }
+
+        const session = await createSessionToken(env, loginCode);
+        await clearLoginFailures(env, ip);
+        await recordCodeActivity(env, loginCode);
+        const usage = await loadUsage(env, loginCode);
+        console.log(`Login for ${loginCode} successful. Conversations: ${index.conversations.length}`);
+        return new Response(JSON.stringify({
+            success: true,
+            message,
+            token: session.token,
+            expires_at: session.expires_at,
+            active_id: index.active_id,
+            conversations: index.conversations,
+            state: summarizeState(activeState),
+            usage: summarizeUsage(usage, resolveQuota(env, authRecord))
+        }), {
+            status: 200,
+            headers: jsonHeaders,
+        });
     } catch (kvError) {
         console.error(`KV operation failed for code ${loginCode}:`, kvError);
         // Use jsonHeaders
@@ -285,122 +404,267 @@ async function handleLoginRequest(request, env) {
 
 /**
  * Handles the /api/chat POST request using KV validation, state management, and calling LLM API.
+ * When the request body contains `stream: true`, the upstream token stream is proxied
+ * to the browser as Server-Sent Events instead of waiting for the full reply.
  * @param {Request} request
  * @param {object} env - Environment object
+ * @param {object} context - Pages Functions context (used for waitUntil while streaming)
  * @returns {Promise<Response>}
  */
-/**
- * Handles the /api/chat request.
- * Processes user messages based on the current state stored in KV.
- * Manages the conversation history and interacts with the LLM.
- */
-async function handleChatRequest(request, env, userCode) {
+async function handleChatRequest(request, env, context) {
     console.log(`Handling chat request from: ${request.headers.get('CF-Connecting-IP')}`);
     let requestPayload;
     // Define standard Content-Type header for JSON responses inside this function scope
     // Note: Ensure corsHeaders is accessible (defined globally or passed).
     const jsonHeaders = { ...corsHeaders, 'Content-Type': 'application/json' };
 
-    try {
-        requestPayload = await request.json();
-        if (!requestPayload.code || !requestPayload.message) {
-            throw new Error("Missing 'code' or 'message' in request body");
-        }
-        console.log(`Chat request received for code ${requestPayload.code}`);
-    } catch (error) {
-        console.error('Error parsing chat request body:', error);
+    const { loginCode, payload, errorResponse } = await parseAuthenticatedRequest(request, env, jsonHeaders);
+    if (errorResponse) {
+        return errorResponse;
+    }
+    requestPayload = payload;
+    // A retry resends a stored failed message, so it needs no text of its own
+    const retryMessageId = typeof requestPayload.retry_message_id === 'string' ? requestPayload.retry_message_id : null;
+    if (!retryMessageId && (typeof requestPayload.message !== 'string' || !requestPayload.message.trim())) {
+        console.error("Missing 'message' in chat request body");
         // Use local jsonHeaders
-        return new Response(JSON.stringify({ error: '无效的请求体' }), { status: 400, headers: jsonHeaders });
+        return chatErrorResponse(400, 'INVALID_REQUEST', '无效的请求体', jsonHeaders);
     }
+    console.log(`Chat request received for code ${loginCode}`);
 
-    const { message: userMessage, code: loginCode } = requestPayload;
+    const { authRecord, errorResponse: admitError } = await admitChatTurn(env, loginCode, jsonHeaders);
+    if (admitError) {
+        return admitError;
+    }
 
     try {
         // --- 1. Load Current State & History ---
         console.log(`Loading state for ${loginCode} from KV...`);
-        const storedStateString = await env.KV_NAMESPACE.get(loginCode);
+        const index = await loadConversationIndex(env, loginCode);
+        const conversationId = requestPayload.conversation_id || index?.active_id;
 
-        if (!storedStateString) {
-            console.error(`No state found in KV for code ${loginCode}. User might not be logged in properly.`);
+        if (!index || !conversationId || !index.conversations.some(item => item.id === conversationId)) {
+            console.error(`No conversation found in KV for code ${loginCode}. User might not be logged in properly.`);
             // Use local jsonHeaders
-            return new Response(JSON.stringify({ error: '未找到会话状态，请尝试重新登录' }), { status: 404, headers: jsonHeaders });
+            return chatErrorResponse(404, 'CONVERSATION_NOT_FOUND', '未找到会话状态，请尝试重新登录', jsonHeaders);
         }
 
         let currentState;
         try {
-            currentState = JSON.parse(storedStateString);
-             // {{ EDIT 1: Ensure conversation_history exists, initialize if not }}
-            if (!currentState || !Array.isArray(currentState.conversation_history)) {
-                 console.warn(`conversation_history missing or not an array for ${loginCode}. Initializing.`);
-                 // Initialize a minimal state if corrupted or missing history
-                 currentState = { conversation_history: [] };
-            }
-            console.log(`State for ${loginCode} loaded. History length: ${currentState.conversation_history?.length ?? 0}`);
+            currentState = await loadConversation(env, loginCode, conversationId);
         } catch (parseError) {
             console.error(`Error parsing stored state for ${loginCode} during chat:`, parseError);
-            // {{ EDIT 2: Return error if state cannot be parsed }}
-             return new Response(JSON.stringify({ error: '无法解析会话状态' }), { status: 500, headers: jsonHeaders });
+             return chatErrorResponse(500, STATE_ERRORS[parseError.code] ? parseError.code : 'SERVER_ERROR', describeStateError(parseError), jsonHeaders);
+        }
+        if (!currentState) {
+            return chatErrorResponse(404, 'CONVERSATION_NOT_FOUND', '未找到会话状态，请尝试重新登录', jsonHeaders);
         }
+        console.log(`Conversation ${conversationId} for ${loginCode} loaded. Status: ${currentState.status}, history length: ${currentState.conversation_history.length}`);
 
-        // --- 2. Append User Message to History ---
-        // Ensure currentState.conversation_history is always an array before pushing
-        if (!Array.isArray(currentState.conversation_history)) {
-            currentState.conversation_history = [];
+        let userMessage = requestPayload.message;
+        let action = requestPayload.action;
+        let lengthAdjustment = requestPayload.length_adjustment === true;
+        if (retryMessageId) {
+            // Only the latest message can be retried, and only if its turn failed
+            const history = currentState.conversation_history;
+            const failed = history[history.length - 1];
+            if (!failed || failed.id !== retryMessageId || failed.role !== 'user' || failed.status !== 'failed') {
+                return chatErrorResponse(409, 'RETRY_NOT_ALLOWED', '只能重试最后一条失败的消息', jsonHeaders);
+            }
+            console.log(`Retrying failed message ${retryMessageId} in ${loginCode}/${conversationId}.`);
+            // The failed entry is replaced by the new attempt rather than kept next to it
+            restoreWorkflowSnapshot(currentState, failed.workflow_snapshot);
+            removeHistoryRange(currentState, history.length - 1);
+            userMessage = failed.content;
+            action = failed.action;
+            lengthAdjustment = failed.length_adjustment === true;
         }
-        currentState.conversation_history.push({ role: 'user', content: userMessage });
-        console.log(`Appended user message to history. New history length: ${currentState.conversation_history.length}`);
 
+        return await runChatTurn(env, context, {
+            loginCode,
+            conversationId,
+            currentState,
+            authRecord,
+            userMessage,
+            action,
+            lengthAdjustment,
+            model: requestPayload.model,
+            stream: requestPayload.stream === true,
+            debug: requestPayload.debug === true,
+        }, jsonHeaders);
 
-        let aiReply = null; // Initialize AI reply variable
+    } catch (error) {
+        if (error.status === 409 && error.code) {
+            return chatErrorResponse(409, error.code, error.message, jsonHeaders);
+        }
+        console.error(`Unhandled error in handleChatRequest for code ${loginCode}:`, error);
+        return chatErrorResponse(500, 'SERVER_ERROR', `服务器内部错误: ${error.message}`, jsonHeaders);
+    }
+}
 
-        // --- 3. Prepare Prompts ---
-        const paperSystemPrompt = env.PAPER_SYSTEM_PROMPT; // 从 Secret 读取
-        const generalSystemPrompt = env.SYSTEM_PROMPT;    // 从 Plaintext 读取
+/**
+ * Applies the per-code chat rate limit and loads the code's record (for its quota). The message is
+ * counted once the turn is stored (see recordCodeActivity), so refused turns never count.
+ * Shared by every route that starts a model turn (chat, regenerate, edit).
+ * @param {object} env - Environment object
+ * @param {string} loginCode
+ * @param {object} jsonHeaders
+ * @returns {Promise<{authRecord?: object|null, errorResponse?: Response}>}
+ */
+async function admitChatTurn(env, loginCode, jsonHeaders) {
+    const chatRate = await hitRateLimit(env, 'chat', loginCode, rateLimitSetting(env, 'CHAT_RATE_LIMIT'), rateLimitSetting(env, 'CHAT_RATE_WINDOW_SECONDS'));
+    if (chatRate.limited) {
+        console.warn(`Chat for ${loginCode} refused: too many messages.`);
+        return { errorResponse: rateLimitResponse('发送消息过于频繁，请稍后再试', chatRate.retryAfter, jsonHeaders) };
+    }
+    return { authRecord: await loadAuthRecord(env, loginCode) };
+}
 
-        if (!paperSystemPrompt || !generalSystemPrompt) {
-            console.error("错误：PAPER_SYSTEM_PROMPT 或 SYSTEM_PROMPT 环境变量未设置。请在 Cloudflare Dashboard 或 wrangler.toml 中进行配置。");
-            // 根据需要返回错误，确保 jsonHeaders 在此作用域内可用
-            return new Response(JSON.stringify({ error: '服务器配置错误：必要的系统提示缺失' }), {
-                status: 500,
-                headers: jsonHeaders // 假设 jsonHeaders 已在此作用域定义
-            });
+/**
+ * Runs one chat turn on a loaded conversation: appends the user message, calls the model
+ * (or answers a workflow-only step directly), advances the workflow and saves the state.
+ * Used by /api/chat and by the regenerate/edit message routes.
+ * @param {object} env - Environment object
+ * @param {object} context - Pages Functions context (used for waitUntil while streaming)
+ * @param {object} turn
+ * @param {string} turn.loginCode
+ * @param {string} turn.conversationId
+ * @param {object} turn.currentState - Loaded conversation state (modified in place)
+ * @param {object|null} turn.authRecord - The code's provisioning record (for its quota)
+ * @param {string} turn.userMessage - Text of the user message
+ * @param {string} [turn.action] - Explicit workflow action, e.g. 'approve'
+ * @param {boolean} [turn.lengthAdjustment] - Whether the message is a length adjustment the browser
+ *   sent on its own (see buildLengthReport)
+ * @param {string} [turn.model] - Requested model
+ * @param {boolean} [turn.stream] - Whether to answer with Server-Sent Events
+ * @param {boolean} [turn.debug] - Whether to add the retrieved material chunks to the response
+ * @param {object} jsonHeaders
+ * @returns {Promise<Response>}
+ */
+async function runChatTurn(env, context, turn, jsonHeaders) {
+    const { loginCode, conversationId, currentState, authRecord, userMessage } = turn;
+
+    // --- 2. Work Out the Workflow Step & Append User Message to History ---
+    const plan = planWorkflowTurn(currentState, userMessage, turn.action);
+    console.log(`Workflow step for ${loginCode}: ${currentState.status} -> ${plan.stage}`);
+
+    // The snapshot lets edit/regenerate rewind the workflow to just before this message
+    const userEntry = createHistoryMessage('user', userMessage, {
+        action: turn.action || undefined,
+        length_adjustment: turn.lengthAdjustment || undefined,
+        workflow_snapshot: captureWorkflowSnapshot(currentState),
+    });
+    currentState.conversation_history.push(userEntry);
+    console.log(`Appended user message to history. New history length: ${currentState.conversation_history.length}`);
+
+    // Steps that need no model output (e.g. confirming the last chapter) answer immediately
+    if (plan.fixedReply) {
+        const assistantEntry = appendAssistantReply(currentState, plan.fixedReply, plan);
+        await saveChatState(env, loginCode, conversationId, currentState);
+        await recordCodeActivity(env, loginCode, 1);
+        const paper = await recordPaperTurn(env, loginCode, conversationId, currentState, plan, plan.fixedReply);
+        return new Response(JSON.stringify({
+            reply: plan.fixedReply,
+            conversation_id: conversationId,
+            user_message_id: userEntry.id,
+            message_id: assistantEntry.id,
+            state: summarizeState(currentState),
+            length: buildLengthReport(env, paper, plan, userEntry)
+        }), { status: 200, headers: jsonHeaders });
+    }
+
+    // The code's preferences: default model, language, tone and own instructions (see User Settings)
+    const settings = await loadSettings(env, loginCode);
+
+    // The browser may pick any advertised model (GET /api/models); otherwise the code's default is used
+    const model = resolveTurnModel(env, turn.model, settings);
+    if (!model) {
+        return chatErrorResponse(400, 'MODEL_NOT_SUPPORTED', '不支持的模型', jsonHeaders);
+    }
+
+    // --- 2b. Enforce the token quota before calling the paid upstream model ---
+    const quota = resolveQuota(env, authRecord);
+    const usageBefore = await loadUsage(env, loginCode);
+    const quotaError = checkQuota(usageBefore, quota);
+    if (quotaError) {
+        console.warn(`Quota exhausted for ${loginCode}: ${quotaError}`);
+        return chatErrorResponse(429, 'QUOTA_EXCEEDED', quotaError, jsonHeaders, { usage: summarizeUsage(usageBefore, quota) });
+    }
+
+    let aiReply = null; // Initialize AI reply variable
+
+    // --- 3. Prepare Prompts ---
+    const paperSystemPrompt = env.PAPER_SYSTEM_PROMPT; // 从 Secret 读取
+    // The conversation's template replaces the general prompt; a deleted template falls back to it
+    const template = currentState.template_id ? await loadTemplate(env, currentState.template_id) : null;
+    if (currentState.template_id && !template) {
+        console.warn(`Template ${currentState.template_id} of ${loginCode}/${conversationId} no longer exists. Using SYSTEM_PROMPT.`);
+    }
+    const generalSystemPrompt = template ? composeTemplatePrompt(template) : env.SYSTEM_PROMPT; // 从 Plaintext 读取
+
+    if (!paperSystemPrompt || !generalSystemPrompt) {
+        console.error("错误：PAPER_SYSTEM_PROMPT 或 SYSTEM_PROMPT 环境变量未设置。请在 Cloudflare Dashboard 或 wrangler.toml 中进行配置。");
+        // 根据需要返回错误，确保 jsonHeaders 在此作用域内可用
+        return chatErrorResponse(500, 'SERVER_ERROR', '服务器配置错误：必要的系统提示缺失', jsonHeaders);
+    }
+
+    // 合并两个 Prompt 内容和用户设置，并附加当前写作阶段的指令（顺序见 User Settings）
+    const settingsPrompt = composeSettingsPrompt(settings, { includeLanguage: !template });
+    let combinedPromptContent = [paperSystemPrompt, generalSystemPrompt, settingsPrompt, plan.instruction].filter(Boolean).join('\n\n---\n\n');
+    // The paper's reference library, so the model only cites real sources
+    const referencePrompt = formatReferencesForPrompt(await loadReferences(env, loginCode, conversationId));
+    if (referencePrompt) {
+        combinedPromptContent += `\n\n---\n\n${referencePrompt}`;
+    }
+    // Uploaded material most similar to this turn (the user's message and the chapter being written)
+    const chapterTitle = plan.chapterIndex !== undefined ? parseOutlineChapters(currentState.approved_outline)[plan.chapterIndex] || '' : '';
+    const retrieval = await retrieveMaterialChunks(env, loginCode, conversationId, `${userMessage}\n${chapterTitle}`);
+    const materialPrompt = formatMaterialPrompt(retrieval);
+    if (materialPrompt) {
+        combinedPromptContent += `\n\n---\n\n${materialPrompt}`;
+    }
+    // `debug: true` in the request adds the retrieved chunks to the response
+    const debugInfo = turn.debug ? { retrieval: summarizeRetrieval(retrieval) } : {};
+
+    // One model turn per conversation at a time, on its latest state (ended by the turn's save)
+    const turnRefusal = await beginConversationTurn(env, loginCode, conversationId, currentState);
+    if (turnRefusal) {
+        return chatErrorResponse(409, turnRefusal.code, turnRefusal.error, jsonHeaders);
+    }
+
+    // From here on the turn lease and the chat slot are given back however the turn ends (a save
+    // ends the lease itself); the streaming relay takes both over once it is started
+    let slotHeld = false;
+    let handedOver = false;
+    try {
+        // Only a few turns per code may wait for the model at once (released once the reply is in)
+        if (!(await acquireChatSlot(env, loginCode))) {
+            console.warn(`Chat for ${loginCode} refused: too many turns in progress.`);
+            return rateLimitResponse('上一条消息仍在生成中，请稍候再发送', 5, jsonHeaders);
         }
+        slotHeld = true;
 
-        // {{ EDIT 3: Simplify combined prompt - remove status }}
-        // 合并两个 Prompt 内容，不再包含动态状态
-        const combinedPromptContent = `${paperSystemPrompt}\n\n---\n\n${generalSystemPrompt}`;
-        const systemPrompt = { role: 'system', content: combinedPromptContent };
+        // Use the updated conversation history, trimmed to the model's budget (older turns summarised)
+        const llmMessages = await buildLlmMessages(env, loginCode, currentState, combinedPromptContent, model);
 
-        // Use the updated conversation history
-        const llmMessages = [ systemPrompt, ...currentState.conversation_history ];
+        // --- 4a. Streaming mode: proxy the upstream token stream as SSE (takes over the slot and the lease) ---
+        if (turn.stream) {
+            handedOver = true;
+            return await handleStreamingChat(env, context, loginCode, conversationId, currentState, plan, llmMessages, model, quota, jsonHeaders, debugInfo);
+        }
 
-        // --- 4. Call LLM (Replaces State Machine Logic) ---
-        // Always call the LLM since the state machine is removed
-        console.log(`Calling LLM API. Endpoint: ${env.API_ENDPOINT}, Model: ${env.LLM_MODEL}`);
+        // --- 4. Call LLM ---
+        console.log(`Calling LLM API. Model: ${model}`);
+        let callUsage = null;
         try {
-             const llmResponse = await fetch(`${env.API_ENDPOINT}/chat/completions`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${env.OPENAI_API_KEY}`
-                },
-                body: JSON.stringify({
-                    model: env.LLM_MODEL,
-                    messages: llmMessages, // Use the messages array built earlier
-                    stream: false
-                }),
-            });
-
-             if (!llmResponse.ok) {
-                 const errorBody = await llmResponse.text();
-                 console.error(`LLM API request failed with status ${llmResponse.status}: ${errorBody}`);
-                 throw new Error(`LLM API 错误 (${llmResponse.status})`);
-             }
+             const llmResponse = await fetchChatCompletion(env, llmMessages, false, model);
 
              const llmData = await llmResponse.json();
              if (!llmData.choices || llmData.choices.length === 0 || !llmData.choices[0].message || !llmData.choices[0].message.content) {
                  console.error("Invalid LLM response structure:", llmData);
-                 throw new Error("无效的 LLM 响应");
+                 const invalidError = new Error("无效的 LLM 响应");
+                 invalidError.code = 'LLM_INVALID_RESPONSE';
+                 throw invalidError;
              }
 
              aiReply = llmData.choices[0].message.content.trim();
@@ -409,59 +673,7586 @@ async function handleChatRequest(request, env, userCode) {
                  aiReply = "(AI 未返回有效内容)";
              }
              console.log("LLM processing successful.");
-
-             // {{ EDIT 4: Remove state update logic based on previous status }}
-             // // --- Update State based on LLM response ---  << REMOVED
-             // if (currentState.status === 'GENERATING_OUTLINE') { ... } << REMOVED
-             // } else if (currentState.status === 'GENERATING_CHAPTER') { ... } << REMOVED
+             callUsage = llmData.usage || null;
 
         } catch (llmError) {
             console.error('Error during LLM API call:', llmError);
-            aiReply = `抱歉，在调用 AI 服务时出错: ${llmError.message}`;
-            // Consider reverting state if LLM fails? Or keep it as GENERATING?
-            // If keeping GENERATING, the next user message might retry.
-            // If reverting, need to decide which state to revert to (e.g., AWAITING_INITIAL_INPUT).
-            // For now, keeps state, returns error message.
-        }
-
-        // --- 5. Append AI Reply to History ---
-        if (aiReply !== null) {
-           // Append the valid AI reply (or error message from catch block)
-           currentState.conversation_history.push({ role: 'assistant', content: aiReply });
-           console.log(`Appended assistant message to history. New history length: ${currentState.conversation_history.length}`);
-        } else {
-           // This case should be less likely now unless the LLM call completely failed without setting aiReply in catch
-            console.warn(`LLM call finished but aiReply is still null.`);
-            aiReply = "内部处理错误，未能生成回复。"; // Provide a default error message
-            currentState.conversation_history.push({ role: 'assistant', content: aiReply });
+            await releaseChatSlot(env, loginCode);
+            slotHeld = false;
+            return await failChatTurn(env, loginCode, conversationId, currentState, userEntry, llmError, jsonHeaders);
         }
+        await releaseChatSlot(env, loginCode);
+        slotHeld = false;
 
+        // --- 5. Append AI Reply to History & Advance the Workflow ---
+        const assistantEntry = appendAssistantReply(currentState, aiReply, plan);
 
-        // --- 6. Save Updated State (Primarily History) Back to KV ---
-        // {{ EDIT 5: Save only the conversation history directly }}
-        // We are now saving a simple object containing only the history.
-        const stateToSave = { conversation_history: currentState.conversation_history };
-        console.log(`Saving updated state (history only) for ${loginCode} to KV.`);
-        await env.KV_NAMESPACE.put(loginCode, JSON.stringify(stateToSave));
-        console.log(`State for ${loginCode} successfully saved.`);
-
+        // --- 6. Save Updated State Back to KV (and copy the outline / chapter into the paper) ---
+        let paper;
+        let usage;
+        try {
+            await saveChatState(env, loginCode, conversationId, currentState);
+            await recordCodeActivity(env, loginCode, 1);
+            paper = await recordPaperTurn(env, loginCode, conversationId, currentState, plan, aiReply);
+        } finally {
+            // The tokens were spent even if the save fails, so they count either way (as when streaming);
+            // without a usage record the quota display keeps the old numbers
+            usage = await recordModelCallUsage(env, loginCode, callUsage || estimateUsage(llmMessages, aiReply)) || usageBefore;
+        }
 
         // --- 7. Return Response to Frontend ---
-        // {{ EDIT 6: Simplify the response to only include the AI reply }}
         return new Response(JSON.stringify({
-            reply: aiReply // Only send the AI reply
+            reply: aiReply,
+            conversation_id: conversationId,
+            user_message_id: userEntry.id,
+            message_id: assistantEntry.id,
+            state: summarizeState(currentState),
+            usage: summarizeUsage(usage, quota),
+            length: buildLengthReport(env, paper, plan, userEntry),
+            ...debugInfo
         }), {
             status: 200,
             headers: jsonHeaders
         });
+    } finally {
+        if (!handedOver) {
+            if (slotHeld) {
+                await releaseChatSlot(env, loginCode);
+            }
+            await endConversationTurn(env, loginCode, conversationId, currentState); // No-op once a save ended the turn
+        }
+    }
+}
+
+/**
+ * Authenticates a request by its session token and reads its payload.
+ * POST/PUT/PATCH requests carry the payload as a JSON body (or as form fields for multipart uploads),
+ * GET/DELETE requests as query parameters.
+ * @param {Request} request
+ * @param {object} env - Contains SESSION_SECRET and KV_NAMESPACE
+ * @param {object} jsonHeaders - Headers for the error response
+ * @param {{maxBytes?: number, tooLargeError?: string}} [options] - Refuse a JSON body larger than
+ *   maxBytes with 413 (counted while reading, so a missing or wrong Content-Length does not get past it)
+ * @returns {Promise<{loginCode?: string, payload?: object, errorResponse?: Response}>}
+ */
+async function parseAuthenticatedRequest(request, env, jsonHeaders, options = {}) {
+    const session = await authenticateRequest(request, env);
+    if (session.error) {
+        return { errorResponse: new Response(JSON.stringify({ success: false, error: session.error }), { status: session.status, headers: jsonHeaders }) };
+    }
 
+    let payload = {};
+    try {
+        if ((request.headers.get('Content-Type') || '').startsWith('multipart/form-data')) {
+            payload = Object.fromEntries(await request.formData());
+        } else if ((request.method === 'POST' || request.method === 'PUT' || request.method === 'PATCH') && options.maxBytes) {
+            const body = await readLimitedBody(request, options.maxBytes);
+            if (body === null) {
+                return { errorResponse: new Response(JSON.stringify({ success: false, error: options.tooLargeError || '请求体过大' }), { status: 413, headers: jsonHeaders }) };
+            }
+            payload = JSON.parse(body);
+        } else if (request.method === 'POST' || request.method === 'PUT' || request.method === 'PATCH') {
+            payload = await request.json();
+        } else {
+            payload = Object.fromEntries(new URL(request.url).searchParams);
+        }
     } catch (error) {
-        console.error(`Unhandled error in handleChatRequest for code ${loginCode}:`, error);
-        return new Response(JSON.stringify({ error: `服务器内部错误: ${error.message}` }), {
-            status: 500,
-            headers: jsonHeaders // Ensure headers are set on error
-        });
+        console.error('Error parsing request body:', error);
+        return { errorResponse: new Response(JSON.stringify({ success: false, error: '无效的请求体' }), { status: 400, headers: jsonHeaders }) };
+    }
+    if (!payload || typeof payload !== 'object') {
+        return { errorResponse: new Response(JSON.stringify({ success: false, error: '无效的请求体' }), { status: 400, headers: jsonHeaders }) };
+    }
+
+    return { loginCode: session.loginCode, payload };
+}
+
+/**
+ * Reads a request body as text, giving up as soon as it grows past a limit.
+ * @param {Request} request
+ * @param {number} maxBytes
+ * @returns {Promise<string|null>} null if the body is larger than maxBytes
+ */
+async function readLimitedBody(request, maxBytes) {
+    if (!request.body) {
+        return '';
+    }
+    const reader = request.body.getReader();
+    const chunks = [];
+    let size = 0;
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) {
+            break;
+        }
+        size += value.byteLength;
+        if (size > maxBytes) {
+            await reader.cancel();
+            return null;
+        }
+        chunks.push(value);
+    }
+    const body = new Uint8Array(size);
+    let offset = 0;
+    for (const chunk of chunks) {
+        body.set(chunk, offset);
+        offset += chunk.byteLength;
+    }
+    return new TextDecoder().decode(body);
+}
+
+/**
+ * Handles the /api/conversations GET request: lists the conversations of a login code.
+ * @param {Request} request
+ * @param {object} env - Contains KV_NAMESPACE binding
+ * @returns {Promise<Response>}
+ */
+async function handleListConversationsRequest(request, env) {
+    const jsonHeaders = { ...corsHeaders, 'Content-Type': 'application/json' };
+    const { loginCode, errorResponse } = await parseAuthenticatedRequest(request, env, jsonHeaders);
+    if (errorResponse) {
+        return errorResponse;
+    }
+
+    const index = await loadConversationIndex(env, loginCode);
+    if (!index) {
+        return new Response(JSON.stringify({ success: false, error: '未找到会话状态，请尝试重新登录' }), { status: 404, headers: jsonHeaders });
+    }
+    return new Response(JSON.stringify({ success: true, active_id: index.active_id, conversations: index.conversations }), {
+        status: 200,
+        headers: jsonHeaders,
+    });
+}
+
+/**
+ * Handles the /api/conversations POST request: creates a new conversation and makes it active.
+ * Body: { title?, template_id? }
+ * @param {Request} request
+ * @param {object} env - Contains KV_NAMESPACE binding
+ * @returns {Promise<Response>}
+ */
+async function handleCreateConversationRequest(request, env) {
+    const jsonHeaders = { ...corsHeaders, 'Content-Type': 'application/json' };
+    const { loginCode, payload, errorResponse } = await parseAuthenticatedRequest(request, env, jsonHeaders);
+    if (errorResponse) {
+        return errorResponse;
+    }
+
+    const index = await loadConversationIndex(env, loginCode);
+    if (!index) {
+        return new Response(JSON.stringify({ success: false, error: '未找到会话状态，请尝试重新登录' }), { status: 404, headers: jsonHeaders });
+    }
+
+    let initialState;
+    if (payload.template_id) {
+        if (typeof payload.template_id !== 'string' || !(await loadTemplate(env, payload.template_id))) {
+            return new Response(JSON.stringify({ success: false, error: '模板不存在' }), { status: 400, headers: jsonHeaders });
+        }
+        initialState = { ...createInitialState(), template_id: payload.template_id };
+    }
+
+    const { meta, state } = await createConversation(env, loginCode, index, payload.title, initialState);
+    console.log(`Created conversation ${meta.id} for ${loginCode}${state.template_id ? ` with template ${state.template_id}` : ''}.`);
+    return new Response(JSON.stringify({
+        success: true,
+        conversation: meta,
+        conversations: index.conversations,
+        state: summarizeState(state)
+    }), { status: 201, headers: jsonHeaders });
+}
+
+/**
+ * Handles the /api/conversations/<id> GET request: returns a conversation's history. Reading never
+ * changes the active conversation; opening one is confirmed with PATCH { active: true }.
+ * @param {Request} request
+ * @param {object} env - Contains KV_NAMESPACE binding
+ * @param {string} conversationId - Conversation to open
+ * @returns {Promise<Response>}
+ */
+async function handleGetConversationRequest(request, env, conversationId) {
+    const jsonHeaders = { ...corsHeaders, 'Content-Type': 'application/json' };
+    const { loginCode, errorResponse } = await parseAuthenticatedRequest(request, env, jsonHeaders);
+    if (errorResponse) {
+        return errorResponse;
+    }
+
+    const index = await loadConversationIndex(env, loginCode);
+    const meta = index?.conversations.find(item => item.id === conversationId);
+    if (!meta) {
+        return new Response(JSON.stringify({ success: false, error: '对话不存在' }), { status: 404, headers: jsonHeaders });
+    }
+
+    let state;
+    try {
+        state = await loadConversation(env, loginCode, conversationId);
+    } catch (parseError) {
+        console.error(`Error parsing conversation ${conversationId} for ${loginCode}:`, parseError);
+        return new Response(JSON.stringify({ success: false, error: describeStateError(parseError), code: parseError.code }), { status: 500, headers: jsonHeaders });
+    }
+    state = state || createInitialState();
+
+    return new Response(JSON.stringify({
+        success: true,
+        conversation: meta,
+        history: toClientHistory(state.conversation_history),
+        state: summarizeState(state)
+    }), { status: 200, headers: jsonHeaders });
+}
+
+/**
+ * Handles the /api/conversations/<id> PATCH request: renames a conversation and/or makes it the
+ * active one (the conversation a new session opens with).
+ * Body: { title?, active? } (active may only be true)
+ * @param {Request} request
+ * @param {object} env - Contains KV_NAMESPACE binding
+ * @param {string} conversationId - Conversation to update
+ * @returns {Promise<Response>}
+ */
+async function handleUpdateConversationRequest(request, env, conversationId) {
+    const jsonHeaders = { ...corsHeaders, 'Content-Type': 'application/json' };
+    const { loginCode, payload, errorResponse } = await parseAuthenticatedRequest(request, env, jsonHeaders);
+    if (errorResponse) {
+        return errorResponse;
+    }
+
+    const title = typeof payload.title === 'string' ? payload.title.trim() : '';
+    if (payload.title !== undefined && (!title || title.length > MAX_CONVERSATION_TITLE_LENGTH)) {
+        return new Response(JSON.stringify({ success: false, error: `标题不能为空且不超过 ${MAX_CONVERSATION_TITLE_LENGTH} 个字符` }), { status: 400, headers: jsonHeaders });
+    }
+    if (payload.active !== undefined && payload.active !== true) {
+        return new Response(JSON.stringify({ success: false, error: 'active 只能为 true' }), { status: 400, headers: jsonHeaders });
+    }
+    if (!title && !payload.active) {
+        return new Response(JSON.stringify({ success: false, error: '缺少要修改的字段' }), { status: 400, headers: jsonHeaders });
+    }
+
+    const index = await loadConversationIndex(env, loginCode);
+    const meta = index?.conversations.find(item => item.id === conversationId);
+    if (!meta) {
+        return new Response(JSON.stringify({ success: false, error: '对话不存在' }), { status: 404, headers: jsonHeaders });
+    }
+
+    if (title) {
+        meta.title = title;
+        meta.title_is_custom = true;
+        console.log(`Renamed conversation ${conversationId} for ${loginCode}.`);
+    }
+    if (payload.active) {
+        index.active_id = conversationId;
+        console.log(`Switched ${loginCode} to conversation ${conversationId}.`);
+    }
+    await saveConversationIndex(env, loginCode, index);
+    return new Response(JSON.stringify({ success: true, conversation: meta, active_id: index.active_id }), { status: 200, headers: jsonHeaders });
+}
+
+/**
+ * Handles the /api/conversations/<id> DELETE request.
+ * Deleting the active conversation switches to the most recently updated remaining one;
+ * deleting the last conversation creates a fresh empty one so the code always has somewhere to write.
+ * @param {Request} request
+ * @param {object} env - Contains KV_NAMESPACE binding
+ * @param {string} conversationId - Conversation to delete
+ * @returns {Promise<Response>}
+ */
+async function handleDeleteConversationRequest(request, env, conversationId) {
+    const jsonHeaders = { ...corsHeaders, 'Content-Type': 'application/json' };
+    const { loginCode, errorResponse } = await parseAuthenticatedRequest(request, env, jsonHeaders);
+    if (errorResponse) {
+        return errorResponse;
+    }
+
+    const index = await loadConversationIndex(env, loginCode);
+    if (!index || !index.conversations.some(item => item.id === conversationId)) {
+        return new Response(JSON.stringify({ success: false, error: '对话不存在' }), { status: 404, headers: jsonHeaders });
+    }
+
+    index.conversations = index.conversations.filter(item => item.id !== conversationId);
+    await deleteMaterials(env, loginCode, conversationId);
+    await deleteConversationState(env, loginCode, conversationId);
+    await env.KV_NAMESPACE.delete(referencesKey(loginCode, conversationId));
+    await env.KV_NAMESPACE.delete(paperKey(loginCode, conversationId));
+    await env.KV_NAMESPACE.delete(chapterVersionsKey(loginCode, conversationId));
+    console.log(`Deleted conversation ${conversationId} for ${loginCode}.`);
+
+    if (index.conversations.length === 0) {
+        index.active_id = null;
+        await createConversation(env, loginCode, index);
+    } else {
+        if (index.active_id === conversationId) {
+            index.active_id = index.conversations[0].id; // The index is kept sorted by updated_at, newest first
+        }
+        await saveConversationIndex(env, loginCode, index);
+    }
+
+    return new Response(JSON.stringify({ success: true, active_id: index.active_id, conversations: index.conversations }), {
+        status: 200,
+        headers: jsonHeaders,
+    });
+}
+
+/**
+ * Handles the /api/history GET request: returns the stored history of a conversation so the
+ * frontend can restore the chat window after a reload. Uses the active conversation unless
+ * `conversation_id` is given; unlike opening a conversation, this never changes the active one.
+ * @param {Request} request
+ * @param {object} env - Contains KV_NAMESPACE binding
+ * @returns {Promise<Response>}
+ */
+async function handleHistoryRequest(request, env) {
+    const jsonHeaders = { ...corsHeaders, 'Content-Type': 'application/json' };
+    const { loginCode, payload, errorResponse } = await parseAuthenticatedRequest(request, env, jsonHeaders);
+    if (errorResponse) {
+        return errorResponse;
+    }
+
+    const index = await loadConversationIndex(env, loginCode);
+    if (!index) {
+        return new Response(JSON.stringify({ success: false, error: '未找到会话状态，请尝试重新登录' }), { status: 404, headers: jsonHeaders });
+    }
+    const conversationId = payload.conversation_id || index.active_id;
+    if (!index.conversations.some(item => item.id === conversationId)) {
+        return new Response(JSON.stringify({ success: false, error: '对话不存在' }), { status: 404, headers: jsonHeaders });
+    }
+
+    let state;
+    try {
+        state = await loadConversation(env, loginCode, conversationId) || createInitialState();
+    } catch (parseError) {
+        console.error(`Error parsing conversation ${conversationId} for ${loginCode}:`, parseError);
+        return new Response(JSON.stringify({ success: false, error: describeStateError(parseError), code: parseError.code }), { status: 500, headers: jsonHeaders });
+    }
+
+    console.log(`Returning ${state.conversation_history.length} history messages for ${loginCode}/${conversationId}.`);
+    return new Response(JSON.stringify({
+        success: true,
+        conversation_id: conversationId,
+        history: toClientHistory(state.conversation_history),
+        state: summarizeState(state)
+    }), { status: 200, headers: jsonHeaders });
+}
+
+// --- Authentication (provisioned codes & signed session tokens) ---
+
+const DEFAULT_SESSION_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+/**
+ * @param {string} loginCode
+ * @returns {string} KV key of a provisioned login code
+ */
+function authKey(loginCode) {
+    return `auth:${loginCode}`;
+}
+
+/**
+ * Loads the provisioning record of a login code.
+ * @param {object} env - Contains KV_NAMESPACE binding
+ * @param {string} loginCode
+ * @returns {Promise<object|null>} null if the code was never provisioned (or the record is unreadable)
+ */
+async function loadAuthRecord(env, loginCode) {
+    const stored = await env.KV_NAMESPACE.get(authKey(loginCode));
+    if (!stored) {
+        return null;
+    }
+    try {
+        return JSON.parse(stored);
+    } catch (parseError) {
+        console.error(`Error parsing auth record for ${loginCode}:`, parseError);
+        return null;
+    }
+}
+
+/**
+ * Saves the provisioning record of a login code. A summary is stored as KV metadata
+ * so the admin listing does not need one read per code.
+ * @param {object} env - Contains KV_NAMESPACE binding
+ * @param {string} loginCode
+ * @param {object} authRecord
+ * @returns {Promise<void>}
+ */
+async function saveAuthRecord(env, loginCode, authRecord) {
+    await env.KV_NAMESPACE.put(authKey(loginCode), JSON.stringify(authRecord), {
+        metadata: summarizeAuthRecord(authRecord),
+    });
+}
+
+/**
+ * @param {object} authRecord
+ * @returns {object} The fields shown in the admin code list
+ */
+function summarizeAuthRecord(authRecord) {
+    return {
+        created_at: authRecord.created_at || null,
+        expires_at: authRecord.expires_at || null,
+        revoked: Boolean(authRecord.revoked),
+        note: authRecord.note ? String(authRecord.note).slice(0, 100) : null,
+    };
+}
+
+/**
+ * @param {string} loginCode
+ * @returns {string} KV key of a code's activity
+ */
+function activityKey(loginCode) {
+    return `activity:${loginCode}`;
+}
+
+/**
+ * Loads when a code was last used and how many chat messages it has sent. Codes provisioned
+ * before activity had its own key still carry it on their provisioning record.
+ * @param {object} env - Contains KV_NAMESPACE binding
+ * @param {string} loginCode
+ * @param {object|null} [authRecord] - The code's record (or its listing metadata) if already loaded
+ * @returns {Promise<{last_used_at: string|null, message_count: number}>}
+ */
+async function loadCodeActivity(env, loginCode, authRecord) {
+    const stored = await env.KV_NAMESPACE.get(activityKey(loginCode));
+    if (stored) {
+        try {
+            return JSON.parse(stored);
+        } catch (parseError) {
+            console.error(`Error parsing activity of ${loginCode}:`, parseError);
+        }
+    }
+    const record = authRecord === undefined ? await loadAuthRecord(env, loginCode) : authRecord;
+    return { last_used_at: record?.last_used_at || null, message_count: record?.message_count || 0 };
+}
+
+/**
+ * Saves a code's activity. The record is also its KV metadata, so the admin listing gets the
+ * activity of every code from list() calls instead of one read per code (see listCodeActivity).
+ * @param {object} env - Contains KV_NAMESPACE binding
+ * @param {string} loginCode
+ * @param {{last_used_at: string|null, message_count: number}} activity
+ * @returns {Promise<void>}
+ */
+async function saveCodeActivity(env, loginCode, activity) {
+    const record = { last_used_at: activity.last_used_at || null, message_count: activity.message_count || 0 };
+    await env.KV_NAMESPACE.put(activityKey(loginCode), JSON.stringify(record), { metadata: record });
+}
+
+/**
+ * Collects the activity of all codes from the metadata of the `activity:` keys: one list() call
+ * per 1000 codes.
+ * @param {object} env - Contains KV_NAMESPACE binding
+ * @returns {Promise<Map<string, {last_used_at: string|null, message_count: number}>>}
+ */
+async function listCodeActivity(env) {
+    const activity = new Map();
+    let cursor;
+    do {
+        const listing = await env.KV_NAMESPACE.list({ prefix: activityKey(''), cursor });
+        for (const key of listing.keys) {
+            if (key.metadata) {
+                activity.set(key.name.slice(activityKey('').length), key.metadata);
+            }
+        }
+        cursor = listing.list_complete ? undefined : listing.cursor;
+    } while (cursor);
+    return activity;
+}
+
+/**
+ * Records that a code was used: a login, or a chat turn that has been stored. Kept under its own
+ * key, so it never races with admin changes to the provisioning record.
+ * Failures are logged only; usage bookkeeping must never block the user.
+ * @param {object} env - Contains KV_NAMESPACE binding
+ * @param {string} loginCode
+ * @param {number} [messages=0] - Number of chat messages to add to message_count
+ * @returns {Promise<void>}
+ */
+async function recordCodeActivity(env, loginCode, messages = 0) {
+    try {
+        const activity = await loadCodeActivity(env, loginCode);
+        activity.last_used_at = new Date().toISOString();
+        activity.message_count = (activity.message_count || 0) + messages;
+        await saveCodeActivity(env, loginCode, activity);
+    } catch (error) {
+        console.error(`Failed to record activity for ${loginCode}:`, error);
+    }
+}
+
+/**
+ * Checks whether a provisioning record currently allows access.
+ * @param {object|null} authRecord
+ * @returns {{status: number, error: string}|null} null if the code may be used
+ */
+function checkAuthRecord(authRecord) {
+    if (!authRecord) {
+        return { status: 401, error: '登录码无效或未开通' };
+    }
+    if (authRecord.revoked) {
+        return { status: 403, error: '登录码已被停用' };
+    }
+    if (authRecord.expires_at && Date.parse(authRecord.expires_at) <= Date.now()) {
+        return { status: 403, error: '登录码已过期' };
+    }
+    return null;
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {string} base64url without padding
+ */
+function base64UrlEncode(bytes) {
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * @param {string} text - base64url string (with or without padding)
+ * @returns {Uint8Array}
+ */
+function base64UrlDecode(text) {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+/**
+ * Imports SESSION_SECRET as an HMAC-SHA256 key.
+ * @param {object} env - Contains SESSION_SECRET
+ * @returns {Promise<CryptoKey>}
+ */
+function importSessionKey(env) {
+    return crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(env.SESSION_SECRET),
+        { name: 'HMAC', hash: 'SHA-256' },
+        false,
+        ['sign', 'verify']
+    );
+}
+
+/**
+ * Issues a signed session token: `base64url(payload).base64url(HMAC-SHA256(payload))`.
+ * @param {object} env - Contains SESSION_SECRET and optional SESSION_TTL_SECONDS
+ * @param {string} loginCode - Code the session belongs to
+ * @returns {Promise<{token: string, expires_at: string}>}
+ */
+async function createSessionToken(env, loginCode) {
+    const ttlSeconds = parseInt(env.SESSION_TTL_SECONDS, 10) || DEFAULT_SESSION_TTL_SECONDS;
+    const issuedAt = Math.floor(Date.now() / 1000);
+    const payload = { sub: loginCode, iat: issuedAt, exp: issuedAt + ttlSeconds };
+
+    const encodedPayload = base64UrlEncode(new TextEncoder().encode(JSON.stringify(payload)));
+    const key = await importSessionKey(env);
+    const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(encodedPayload));
+    return {
+        token: `${encodedPayload}.${base64UrlEncode(new Uint8Array(signature))}`,
+        expires_at: new Date(payload.exp * 1000).toISOString(),
+    };
+}
+
+/**
+ * Verifies a session token's signature and expiry.
+ * @param {object} env - Contains SESSION_SECRET
+ * @param {string} token
+ * @returns {Promise<object|null>} The token payload, or null if the token is invalid or expired
+ */
+async function verifySessionToken(env, token) {
+    const parts = typeof token === 'string' ? token.split('.') : [];
+    if (parts.length !== 2) {
+        return null;
+    }
+    try {
+        const key = await importSessionKey(env);
+        // crypto.subtle.verify compares the signature in constant time
+        const valid = await crypto.subtle.verify('HMAC', key, base64UrlDecode(parts[1]), new TextEncoder().encode(parts[0]));
+        if (!valid) {
+            return null;
+        }
+        const payload = JSON.parse(new TextDecoder().decode(base64UrlDecode(parts[0])));
+        if (!payload || !/^\d{10}$/.test(payload.sub) || !(payload.exp > Date.now() / 1000)) {
+            return null;
+        }
+        return payload;
+    } catch (error) {
+        console.warn('Rejected malformed session token:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Authenticates a request from its `Authorization: Bearer <token>` header.
+ * The code's provisioning record is re-checked so revoked or expired codes lose access immediately.
+ * @param {Request} request
+ * @param {object} env - Contains SESSION_SECRET and KV_NAMESPACE
+ * @returns {Promise<{loginCode: string}|{status: number, error: string}>}
+ */
+async function authenticateRequest(request, env) {
+    if (!env.SESSION_SECRET) {
+        console.error("错误：SESSION_SECRET 环境变量未设置，无法验证会话令牌。");
+        return { status: 500, error: '服务器配置错误：会话密钥缺失' };
+    }
+
+    const header = request.headers.get('Authorization') || '';
+    const match = header.match(/^Bearer\s+(\S+)$/i);
+    const payload = match ? await verifySessionToken(env, match[1]) : null;
+    if (!payload) {
+        return { status: 401, error: '登录已失效，请重新登录' };
+    }
+
+    const authError = checkAuthRecord(await loadAuthRecord(env, payload.sub));
+    if (authError) {
+        // The session itself is no longer valid, whatever the reason
+        return { status: 401, error: authError.error };
+    }
+    return { loginCode: payload.sub };
+}
+
+// --- Conversation Storage ---
+
+const DEFAULT_CONVERSATION_TITLE = '新对话';
+const MAX_CONVERSATION_TITLE_LENGTH = 60;
+// Conversation id under which a broken index is quarantined (see quarantineState)
+const QUARANTINED_INDEX_ID = 'index';
+
+/**
+ * @param {string} loginCode
+ * @returns {string} KV key of the conversation index
+ */
+function conversationIndexKey(loginCode) {
+    return `${loginCode}:conversations`;
+}
+
+/**
+ * @param {string} loginCode
+ * @param {string} conversationId
+ * @returns {string} KV key of a single conversation's state
+ */
+function conversationKey(loginCode, conversationId) {
+    return `${loginCode}:conversation:${conversationId}`;
+}
+
+/**
+ * Loads the conversation index of a login code.
+ * A legacy single-conversation record stored directly under the code is migrated into
+ * the index as its first conversation (and the legacy key removed). A broken index is
+ * quarantined and rebuilt from the stored conversations (see rebuildConversationIndex).
+ * @param {object} env - Contains KV_NAMESPACE binding
+ * @param {string} loginCode
+ * @returns {Promise<{active_id: string|null, conversations: object[]}|null>} null if the code has no data yet
+ */
+async function loadConversationIndex(env, loginCode) {
+    const storedIndex = await env.KV_NAMESPACE.get(conversationIndexKey(loginCode));
+    if (storedIndex) {
+        try {
+            const index = JSON.parse(storedIndex);
+            if (index && Array.isArray(index.conversations)) {
+                return index;
+            }
+        } catch (parseError) {
+            console.error(`Error parsing conversation index for ${loginCode}:`, parseError);
+        }
+        await quarantineState(env, loginCode, QUARANTINED_INDEX_ID, storedIndex, 'invalid conversation index');
+        return await rebuildConversationIndex(env, loginCode);
+    }
+
+    const legacyStateString = await env.KV_NAMESPACE.get(loginCode);
+    if (!legacyStateString) {
+        return null;
+    }
+
+    console.log(`Migrating legacy state for ${loginCode} into a conversation.`);
+    let legacyState;
+    try {
+        ({ state: legacyState } = await readStoredState(env, loginCode, 'legacy', legacyStateString));
+    } catch (stateError) {
+        if (stateError.code !== 'STATE_QUARANTINED') {
+            throw stateError;
+        }
+        // The broken record is backed up in quarantine, so the legacy key can still be replaced
+        console.error(`Legacy state for ${loginCode} is corrupted. Starting from an empty conversation.`);
+        legacyState = createInitialState();
+    }
+
+    const index = { active_id: null, conversations: [] };
+    const { meta } = await createConversation(env, loginCode, index, '历史对话', legacyState);
+    await touchConversation(env, loginCode, meta.id, legacyState, index);
+    await env.KV_NAMESPACE.delete(loginCode);
+    return index;
+}
+
+/**
+ * Rebuilds a code's conversation index from its `<code>:conversation:<id>` records and saves it.
+ * Custom titles are lost with the old index, so every title is derived from the first user
+ * message again; the times come from the first and last message. A record that cannot be
+ * parsed still gets an entry, and is quarantined once it is opened.
+ * @param {object} env - Contains KV_NAMESPACE binding
+ * @param {string} loginCode
+ * @returns {Promise<{active_id: string|null, conversations: object[]}>}
+ */
+async function rebuildConversationIndex(env, loginCode) {
+    const prefix = conversationKey(loginCode, '');
+    const now = new Date().toISOString();
+    const conversations = [];
+    let cursor;
+    do {
+        const listing = await env.KV_NAMESPACE.list({ prefix, cursor });
+        for (const key of listing.keys) {
+            const meta = { id: key.name.slice(prefix.length), title: DEFAULT_CONVERSATION_TITLE, title_is_custom: false, created_at: now, updated_at: now };
+            try {
+                const history = JSON.parse(await env.KV_NAMESPACE.get(key.name))?.conversation_history;
+                if (Array.isArray(history) && history.length > 0) {
+                    meta.title = deriveConversationTitle(history) || meta.title;
+                    meta.created_at = history[0].created_at || now;
+                    meta.updated_at = history[history.length - 1].created_at || now;
+                }
+            } catch (parseError) {
+                console.warn(`Conversation ${loginCode}/${meta.id} is unreadable; listing it untitled.`);
+            }
+            conversations.push(meta);
+        }
+        cursor = listing.list_complete ? undefined : listing.cursor;
+    } while (cursor);
+
+    const newest = conversations.reduce((latest, meta) => (!latest || meta.updated_at > latest.updated_at ? meta : latest), null);
+    const index = { active_id: newest ? newest.id : null, conversations };
+    await saveConversationIndex(env, loginCode, index);
+    console.warn(`Rebuilt conversation index of ${loginCode} with ${conversations.length} conversation(s).`);
+    return index;
+}
+
+/**
+ * Writes the conversation index, newest conversation first.
+ * @param {object} env - Contains KV_NAMESPACE binding
+ * @param {string} loginCode
+ * @param {object} index - Index to persist
+ * @returns {Promise<void>}
+ */
+async function saveConversationIndex(env, loginCode, index) {
+    index.conversations.sort((a, b) => (b.updated_at || '').localeCompare(a.updated_at || ''));
+    await env.KV_NAMESPACE.put(conversationIndexKey(loginCode), JSON.stringify(index));
+}
+
+/**
+ * Creates a conversation, adds it to the index and makes it the active one.
+ * @param {object} env - Contains KV_NAMESPACE binding
+ * @param {string} loginCode
+ * @param {object} index - Conversation index (updated in place and saved)
+ * @param {string} [title] - Optional title; defaults to "新对话" and is later derived from the first message
+ * @param {object} [state] - Optional initial state (used when migrating legacy records)
+ * @returns {Promise<{meta: object, state: object}>}
+ */
+async function createConversation(env, loginCode, index, title, state) {
+    const now = new Date().toISOString();
+    const cleanTitle = typeof title === 'string' ? title.trim().slice(0, MAX_CONVERSATION_TITLE_LENGTH) : '';
+    const meta = {
+        id: crypto.randomUUID(),
+        title: cleanTitle || DEFAULT_CONVERSATION_TITLE,
+        title_is_custom: Boolean(cleanTitle),
+        created_at: now,
+        updated_at: now,
+    };
+    const conversationState = state || createInitialState();
+
+    await storeConversation(env, loginCode, meta.id, conversationState);
+    index.conversations.unshift(meta);
+    index.active_id = meta.id;
+    await saveConversationIndex(env, loginCode, index);
+    return { meta, state: conversationState };
+}
+
+/**
+ * Loads the state of one conversation (from its session object when SESSION_STORE is bound, see
+ * Conversation Sessions), upgraded to the current schema and validated. Records written by an
+ * older schema are migrated and saved back.
+ * @param {object} env - Contains KV_NAMESPACE binding
+ * @param {string} loginCode
+ * @param {string} conversationId
+ * @returns {Promise<object|null>} null if the conversation has no stored state
+ * @throws {Error} STATE_QUARANTINED if the record is broken (it has been backed up, see
+ *                 Conversation State Schema) or STATE_VERSION_UNSUPPORTED
+ */
+async function loadConversation(env, loginCode, conversationId) {
+    let stored;
+    let revision;
+    if (env.SESSION_STORE) {
+        const session = await loadConversationSession(env, loginCode, conversationId);
+        if (!session) {
+            return null;
+        }
+        stored = session.state;
+        revision = session.revision;
+    } else {
+        stored = await env.KV_NAMESPACE.get(conversationKey(loginCode, conversationId));
+        if (!stored) {
+            return null;
+        }
+    }
+
+    const { state, migrated } = await readStoredState(env, loginCode, conversationId, stored);
+    if (revision !== undefined) {
+        conversationRevisions.set(state, { revision });
+    }
+    if (migrated) {
+        // Upgrade the record in place; if that fails the request simply works on the migrated copy
+        await storeConversation(env, loginCode, conversationId, state).catch(error => {
+            console.warn(`Could not save migrated state of ${loginCode}/${conversationId}:`, error);
+        });
+    }
+    return state;
+}
+
+/**
+ * Refreshes a conversation's index entry after a change: bumps updated_at, makes it active and,
+ * while the title has not been set by the user, derives it from the first user message.
+ * @param {object} env - Contains KV_NAMESPACE binding
+ * @param {string} loginCode
+ * @param {string} conversationId
+ * @param {object} state - The conversation's current state
+ * @param {object} [index] - Already loaded index, to avoid reading it again
+ * @returns {Promise<void>}
+ */
+async function touchConversation(env, loginCode, conversationId, state, index) {
+    index = index || await loadConversationIndex(env, loginCode);
+    const meta = index?.conversations.find(item => item.id === conversationId);
+    if (!meta) {
+        return;
+    }
+    meta.updated_at = new Date().toISOString();
+    if (!meta.title_is_custom) {
+        meta.title = deriveConversationTitle(state.conversation_history) || meta.title;
+    }
+    index.active_id = conversationId;
+    await saveConversationIndex(env, loginCode, index);
+}
+
+/**
+ * @param {object[]} history - Conversation history
+ * @returns {string|null} Title taken from the first user message, null while there is none
+ */
+function deriveConversationTitle(history) {
+    const firstUserMessage = history.find(message => message && message.role === 'user');
+    if (!firstUserMessage || typeof firstUserMessage.content !== 'string') {
+        return null;
+    }
+    return firstUserMessage.content.replace(/\s+/g, ' ').trim().slice(0, 20) || null;
+}
+
+// --- Paper-Writing Workflow (State Machine) ---
+//
+// AWAITING_INITIAL_INPUT ──(requirements)──> GENERATING_OUTLINE ──> AWAITING_OUTLINE_APPROVAL
+// AWAITING_OUTLINE_APPROVAL ──(feedback)──> GENERATING_OUTLINE ──> AWAITING_OUTLINE_APPROVAL
+// AWAITING_OUTLINE_APPROVAL ──(approve)───> GENERATING_CHAPTER ──> AWAITING_CHAPTER_FEEDBACK
+// AWAITING_CHAPTER_FEEDBACK ──(feedback)──> GENERATING_CHAPTER ──> AWAITING_CHAPTER_FEEDBACK (same chapter)
+// AWAITING_CHAPTER_FEEDBACK ──(approve)───> GENERATING_CHAPTER ──> AWAITING_CHAPTER_FEEDBACK (next chapter)
+// AWAITING_CHAPTER_FEEDBACK ──(approve last chapter / "完成")──> COMPLETED
+//
+// GENERATING_* are the statuses reported while the model is working on a step; the stored
+// state only changes once a reply has actually been produced, so a failed LLM call leaves the
+// workflow where it was and the next message simply retries that step.
+
+const WORKFLOW_STATUS = {
+    AWAITING_INITIAL_INPUT: 'AWAITING_INITIAL_INPUT',
+    GENERATING_OUTLINE: 'GENERATING_OUTLINE',
+    AWAITING_OUTLINE_APPROVAL: 'AWAITING_OUTLINE_APPROVAL',
+    GENERATING_CHAPTER: 'GENERATING_CHAPTER',
+    AWAITING_CHAPTER_FEEDBACK: 'AWAITING_CHAPTER_FEEDBACK',
+    COMPLETED: 'COMPLETED',
+};
+
+// Short replies that count as "approve and continue"
+const APPROVAL_PATTERN = /^(继续|确认|同意|通过|可以|好的?|没问题|下一章|开始写作?|ok|okay|yes|continue|approve|next)[。.!！~～]*$/i;
+// Replies that finish the paper early (e.g. when the outline's chapter count could not be detected)
+const COMPLETION_PATTERN = /^(完成|结束|全部完成|论文完成)[。.!！]*$/;
+
+/**
+ * Creates the initial state for a new paper.
+ * @returns {object}
+ */
+function createInitialState() {
+    return {
+        schema_version: STATE_SCHEMA_VERSION, // See Conversation State Schema
+        status: WORKFLOW_STATUS.AWAITING_INITIAL_INPUT,
+        current_chapter_index: null,
+        estimated_chapters: null,
+        outline_draft: null,
+        approved_outline: null,
+        confirmed_chapters: [],
+        conversation_history: [],
+        last_chapter_content: null,
+        history_summary: null, // Rolling summary of older turns, see buildLlmMessages
+        template_id: null // Paper template chosen when the conversation was created
+    };
+}
+
+/**
+ * Builds the small state summary returned to the frontend (no history or chapter text).
+ * @param {object} state - Full chat state
+ * @returns {{status: string, current_chapter_index: number|null, estimated_chapters: number|null, confirmed_chapters: number, has_outline: boolean}}
+ */
+function summarizeState(state) {
+    return {
+        status: state.status,
+        current_chapter_index: state.current_chapter_index,
+        estimated_chapters: state.estimated_chapters,
+        confirmed_chapters: state.confirmed_chapters.length,
+        has_outline: Boolean(state.approved_outline),
+        template_id: state.template_id,
+    };
+}
+
+/**
+ * Extracts the chapter titles from an outline written by the model.
+ * Recognises "第X章 ..." lines first, then falls back to numbered top-level Markdown headings.
+ * @param {string|null} outline - Outline text
+ * @returns {string[]} Chapter titles in order (empty if none could be detected)
+ */
+function parseOutlineChapters(outline) {
+    if (!outline) {
+        return [];
+    }
+    const lines = outline.split(/\r?\n/).map(line => line.replace(/[*_`]/g, '').trim());
+
+    const chineseChapters = lines
+        .map(line => line.replace(/^#+\s*/, '').replace(/^[-+]\s*/, ''))
+        .filter(line => /^第[一二三四五六七八九十百零〇\d]+章/.test(line));
+    if (chineseChapters.length > 0) {
+        return [...new Set(chineseChapters)];
+    }
+
+    return lines
+        .filter(line => /^#{1,2}\s+\d+[.、\s]/.test(line))
+        .map(line => line.replace(/^#+\s*/, ''));
+}
+
+/**
+ * Works out which workflow step a user message triggers, without changing the state.
+ * @param {object} state - Current (normalised) state
+ * @param {string} userMessage - The user's message
+ * @param {string} [action] - Optional explicit action from the UI ('approve')
+ * @returns {{stage: string, instruction?: string, fixedReply?: string, chapterIndex?: number}}
+ */
+function planWorkflowTurn(state, userMessage, action) {
+    const text = String(userMessage).trim();
+    const approves = action === 'approve' || APPROVAL_PATTERN.test(text);
+    const chapterTitles = parseOutlineChapters(state.approved_outline);
+    const describeChapter = (index) => {
+        const total = state.estimated_chapters ? `（共 ${state.estimated_chapters} 章）` : '';
+        const title = chapterTitles[index] ? `：${chapterTitles[index]}` : '';
+        return `第 ${index + 1} 章${title}${total}`;
+    };
+
+    switch (state.status) {
+        case WORKFLOW_STATUS.AWAITING_OUTLINE_APPROVAL:
+            if (approves && state.outline_draft) {
+                const titles = parseOutlineChapters(state.outline_draft);
+                const total = titles.length ? `（共 ${titles.length} 章）` : '';
+                return {
+                    stage: WORKFLOW_STATUS.GENERATING_CHAPTER,
+                    chapterIndex: 0,
+                    approvesOutline: true,
+                    instruction: `当前阶段：大纲已确认。请按照大纲撰写第 1 章${titles[0] ? `：${titles[0]}` : ''}${total}，只输出本章正文，并符合大纲中规划的字数。\n\n已确认的大纲：\n${state.outline_draft}`,
+                };
+            }
+            return {
+                stage: WORKFLOW_STATUS.GENERATING_OUTLINE,
+                instruction: '当前阶段：修改论文大纲。请根据用户的修改意见输出完整的修改后大纲，章节以“第X章 标题”的形式列出并标注各章计划字数，只输出大纲。',
+            };
+
+        case WORKFLOW_STATUS.AWAITING_CHAPTER_FEEDBACK: {
+            const index = state.current_chapter_index ?? 0;
+            const isLastChapter = state.estimated_chapters !== null && index + 1 >= state.estimated_chapters;
+            if (COMPLETION_PATTERN.test(text) || (approves && isLastChapter)) {
+                return {
+                    stage: WORKFLOW_STATUS.COMPLETED,
+                    fixedReply: '所有章节均已确认，论文写作流程已完成。您可以点击“新建对话”开始新的论文。',
+                };
+            }
+            if (approves) {
+                return {
+                    stage: WORKFLOW_STATUS.GENERATING_CHAPTER,
+                    chapterIndex: index + 1,
+                    confirmsChapter: true,
+                    instruction: `当前阶段：上一章已确认。请按照大纲撰写${describeChapter(index + 1)}，只输出本章正文，并符合大纲中规划的字数。\n\n已确认的大纲：\n${state.approved_outline}`,
+                };
+            }
+            return {
+                stage: WORKFLOW_STATUS.GENERATING_CHAPTER,
+                chapterIndex: index,
+                instruction: `当前阶段：修改${describeChapter(index)}。请根据用户的修改意见重写本章，输出完整的修改后章节正文。\n\n已确认的大纲：\n${state.approved_outline}`,
+            };
+        }
+
+        case WORKFLOW_STATUS.COMPLETED:
+            return {
+                stage: WORKFLOW_STATUS.COMPLETED,
+                instruction: '当前阶段：论文已完成。请回答用户关于已完成论文的问题或按要求进行局部润色，不要重新生成整篇论文。',
+            };
+
+        case WORKFLOW_STATUS.AWAITING_INITIAL_INPUT:
+        default:
+            return {
+                stage: WORKFLOW_STATUS.GENERATING_OUTLINE,
+                instruction: '当前阶段：生成论文大纲。请根据用户的需求规划论文结构，章节以“第X章 标题”的形式列出并标注各章计划字数，只输出大纲，等待用户确认后再撰写正文。',
+            };
+    }
+}
+
+/**
+ * Applies a successful reply to the state according to the planned workflow step.
+ * @param {object} state - State to update in place
+ * @param {object} plan - Plan returned by planWorkflowTurn
+ * @param {string} reply - The assistant reply produced for this step
+ */
+function applyWorkflowReply(state, plan, reply) {
+    switch (plan.stage) {
+        case WORKFLOW_STATUS.GENERATING_OUTLINE:
+            state.outline_draft = reply;
+            state.status = WORKFLOW_STATUS.AWAITING_OUTLINE_APPROVAL;
+            break;
+
+        case WORKFLOW_STATUS.GENERATING_CHAPTER:
+            if (plan.approvesOutline) {
+                state.approved_outline = state.outline_draft;
+                const chapterCount = parseOutlineChapters(state.approved_outline).length;
+                state.estimated_chapters = chapterCount > 0 ? chapterCount : null;
+                state.confirmed_chapters = [];
+            }
+            if (plan.confirmsChapter && state.last_chapter_content !== null) {
+                state.confirmed_chapters.push({ index: state.current_chapter_index, content: state.last_chapter_content });
+            }
+            state.current_chapter_index = plan.chapterIndex;
+            state.last_chapter_content = reply;
+            state.status = WORKFLOW_STATUS.AWAITING_CHAPTER_FEEDBACK;
+            break;
+
+        case WORKFLOW_STATUS.COMPLETED:
+            if (state.status === WORKFLOW_STATUS.AWAITING_CHAPTER_FEEDBACK && state.last_chapter_content !== null) {
+                state.confirmed_chapters.push({ index: state.current_chapter_index, content: state.last_chapter_content });
+                state.last_chapter_content = null;
+            }
+            state.status = WORKFLOW_STATUS.COMPLETED;
+            break;
+    }
+}
+
+/**
+ * Calls the configured LLM providers (see buildFallbackChain), retrying 429/5xx and network
+ * errors with exponential backoff before moving on to the next provider.
+ * Throws the last error when every attempt failed, so callers only deal with usable responses.
+ * @param {object} env - Environment object
+ * @param {Array<{role: string, content: string}>} llmMessages - Messages to send, system prompt first
+ * @param {boolean} stream - Whether to request a token stream
+ * @param {string} [model] - Requested model (defaults to the first configured one)
+ * @returns {Promise<Response>} An OpenAI-compatible response (JSON, or SSE chunks when streaming)
+ */
+async function fetchChatCompletion(env, llmMessages, stream, model) {
+    const maxRetries = numberSetting(env, 'LLM_MAX_RETRIES', DEFAULT_LLM_MAX_RETRIES);
+    const baseDelay = numberSetting(env, 'LLM_RETRY_BASE_MS', DEFAULT_LLM_RETRY_BASE_MS);
+    let lastError = null;
+
+    for (const { provider, model: attemptModel } of buildFallbackChain(env, model)) {
+        for (let attempt = 0; attempt <= maxRetries; attempt++) {
+            try {
+                const llmResponse = await requestFromProvider(env, provider, attemptModel, llmMessages, stream);
+                if (lastError) {
+                    console.warn(`LLM request served by ${provider.id} (${attemptModel}) after earlier failures.`);
+                }
+                return llmResponse;
+            } catch (error) {
+                lastError = error;
+                if (!isRetryableLlmError(error) || attempt === maxRetries) {
+                    console.error(`Giving up on ${provider.id} (${attemptModel}): ${error.message}`);
+                    break;
+                }
+                const delay = Math.min(MAX_LLM_RETRY_DELAY_MS, error.retryAfterMs ?? baseDelay * 2 ** attempt);
+                console.warn(`Retrying ${provider.id} (${attemptModel}) in ${delay}ms after: ${error.message}`);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+    throw lastError || new Error('没有可用的 LLM 服务商');
+}
+
+/**
+ * Appends the assistant reply to the conversation history and, when the reply is a real
+ * model answer for a workflow step, advances the paper-writing state machine.
+ * Falls back to a generic error message when no reply was produced.
+ * @param {object} currentState - State for this turn (already contains the user message)
+ * @param {string|null} aiReply - The assistant reply to store
+ * @param {object|null} plan - Workflow plan from planWorkflowTurn, or null to leave the workflow unchanged
+ * @returns {object} The appended history entry
+ */
+function appendAssistantReply(currentState, aiReply, plan) {
+    if (aiReply === null || aiReply === undefined) {
+        console.warn(`LLM call finished but aiReply is still null.`);
+        aiReply = "内部处理错误，未能生成回复。";
+        plan = null;
+    }
+    const entry = createHistoryMessage('assistant', aiReply);
+    currentState.conversation_history.push(entry);
+    console.log(`Appended assistant message to history. New history length: ${currentState.conversation_history.length}`);
+
+    if (plan) {
+        applyWorkflowReply(currentState, plan, aiReply);
+        console.log(`Workflow advanced to ${currentState.status}.`);
+    }
+    return entry;
+}
+
+/**
+ * Writes the full chat state (workflow fields and history) of a conversation back to KV
+ * and refreshes its entry in the conversation index.
+ * @param {object} env - Contains KV_NAMESPACE binding
+ * @param {string} loginCode - The user's login code
+ * @param {string} conversationId - Conversation the state belongs to
+ * @param {object} currentState - State to persist
+ * @returns {Promise<void>}
+ */
+async function saveChatState(env, loginCode, conversationId, currentState) {
+    console.log(`Saving updated state for ${loginCode}/${conversationId} to KV.`);
+    await storeConversation(env, loginCode, conversationId, currentState);
+    await touchConversation(env, loginCode, conversationId, currentState);
+    console.log(`State for ${loginCode}/${conversationId} successfully saved.`);
+}
+
+/**
+ * Formats a single Server-Sent Event frame.
+ * @param {string|null} event - Optional event name (omitted for plain `message` events)
+ * @param {object} data - JSON-serialisable payload
+ * @returns {string}
+ */
+function formatSseEvent(event, data) {
+    const eventLine = event ? `event: ${event}\n` : '';
+    return `${eventLine}data: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * Streams the LLM reply to the browser as Server-Sent Events.
+ *
+ * The upstream OpenAI-compatible SSE stream is parsed and re-emitted in a small, stable format:
+ * - `data: {"delta": "..."}` for every content fragment
+ * - `event: done` with `{"reply", "state", "usage", "user_message_id", "message_id"}` once the upstream stream closes
+ * - `event: error` with `{"error", "code", "retryable", "reply", "user_message_id"}` if the upstream fails
+ *   mid-stream; the partial reply is not stored and the user message is marked as failed
+ *
+ * If the upstream fails before streaming starts, the turn fails with a JSON error (see failChatTurn).
+ * The finished reply is appended to conversation_history in KV once the upstream stream closes
+ * (kept alive through context.waitUntil), right before the `done` event, which also carries the
+ * updated workflow state.
+ * @param {object} env - Environment object
+ * @param {object} context - Pages Functions context
+ * @param {string} loginCode - The user's login code
+ * @param {string} conversationId - Conversation the turn belongs to
+ * @param {object} currentState - State for this turn (already contains the user message)
+ * @param {object} plan - Workflow plan from planWorkflowTurn
+ * @param {Array<{role: string, content: string}>} llmMessages - Messages to send
+ * @param {string} model - Requested model (fallbacks are handled by fetchChatCompletion)
+ * @param {{daily_tokens: number|null, total_tokens: number|null}} quota - The code's token limits
+ * @param {object} jsonHeaders - Headers used for JSON fallbacks
+ * @param {object} [debugInfo] - Extra fields for the `done` event (see runChatTurn)
+ * @returns {Promise<Response>} The chat slot and the turn lease are given back on every path
+ */
+async function handleStreamingChat(env, context, loginCode, conversationId, currentState, plan, llmMessages, model, quota, jsonHeaders, debugInfo = {}) {
+    console.log(`Calling LLM API in streaming mode. Model: ${model}`);
+    const userEntry = currentState.conversation_history[currentState.conversation_history.length - 1];
+    let llmResponse;
+    try {
+        llmResponse = await fetchChatCompletion(env, llmMessages, true, model);
+    } catch (llmError) {
+        // Upstream refused before any token was produced: answer with a regular JSON reply
+        console.error('Error starting LLM stream:', llmError);
+        await releaseChatSlot(env, loginCode);
+        try {
+            return await failChatTurn(env, loginCode, conversationId, currentState, userEntry, llmError, jsonHeaders);
+        } finally {
+            await endConversationTurn(env, loginCode, conversationId, currentState); // No-op once the save ended the turn
+        }
+    }
+
+    const { readable, writable } = new TransformStream();
+    const writer = writable.getWriter();
+    const encoder = new TextEncoder();
+
+    const relay = (async () => {
+        const reader = llmResponse.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let aiReply = '';
+        let streamError = null;
+        let reportedUsage = null; // Final usage chunk (stream_options.include_usage)
+        let clientGone = false; // Set once a write fails; upstream is still read so the reply gets saved
+
+        const handleLine = async (line) => {
+            if (!line.startsWith('data:')) {
+                return; // Ignore comments, event names and keep-alives
+            }
+            const data = line.slice(5).trim();
+            if (!data || data === '[DONE]') {
+                return;
+            }
+            let chunk;
+            try {
+                chunk = JSON.parse(data);
+            } catch (parseError) {
+                console.warn('Skipping unparsable LLM stream chunk:', data);
+                return;
+            }
+            if (chunk.usage) {
+                reportedUsage = chunk.usage;
+            }
+            const delta = chunk.choices?.[0]?.delta?.content;
+            if (!delta) {
+                return;
+            }
+            aiReply += delta;
+            if (clientGone) {
+                return;
+            }
+            try {
+                await writer.write(encoder.encode(formatSseEvent(null, { delta })));
+            } catch (writeError) {
+                console.warn('Browser stopped reading the SSE response; finishing the reply without it:', writeError);
+                clientGone = true;
+            }
+        };
+
+        try {
+            while (true) {
+                const { value, done } = await reader.read();
+                if (done) {
+                    break;
+                }
+                buffer += decoder.decode(value, { stream: true });
+                const lines = buffer.split(/\r?\n/);
+                buffer = lines.pop(); // Keep the trailing partial line for the next chunk
+                for (const line of lines) {
+                    await handleLine(line);
+                }
+            }
+            if (buffer) {
+                await handleLine(buffer);
+            }
+        } catch (error) {
+            console.error('Error while relaying LLM stream:', error);
+            streamError = error;
+        }
+
+        aiReply = aiReply.trim();
+        let assistantEntry = null;
+        if (streamError) {
+            // A broken-off reply is not stored: the turn is marked as failed so it can be retried.
+            // The partial text is still sent back for display.
+            if (!streamError.code) {
+                streamError.code = 'LLM_STREAM_INTERRUPTED';
+            }
+            markTurnFailed(userEntry, streamError);
+        } else {
+            if (!aiReply) {
+                console.warn("LLM returned an empty reply.");
+                aiReply = "(AI 未返回有效内容)";
+            }
+            assistantEntry = appendAssistantReply(currentState, aiReply, plan);
+        }
+
+        // Save before the final event so the browser never acts on a state KV does not have yet
+        let saveError = null;
+        let usage = null;
+        let paper = null;
+        try {
+            await saveChatState(env, loginCode, conversationId, currentState);
+            if (assistantEntry) {
+                await recordCodeActivity(env, loginCode, 1);
+                paper = await recordPaperTurn(env, loginCode, conversationId, currentState, plan, aiReply);
+            }
+        } catch (error) {
+            console.error(`Failed to save streamed reply for ${loginCode}:`, error);
+            saveError = error;
+        }
+        // Tokens were spent even if the stream broke off or the save failed, so account for them either way
+        usage = await recordModelCallUsage(env, loginCode, reportedUsage || estimateUsage(llmMessages, aiReply));
+        await releaseChatSlot(env, loginCode);
+        // An unsaved turn still holds the conversation's lease, which would block it until it expires
+        await endConversationTurn(env, loginCode, conversationId, currentState);
+
+        try {
+            const state = summarizeState(currentState);
+            const usageSummary = usage ? summarizeUsage(usage, quota) : null;
+            const ids = { user_message_id: userEntry.id, message_id: assistantEntry ? assistantEntry.id : null };
+            if (streamError) {
+                await writer.write(encoder.encode(formatSseEvent('error', {
+                    ...describeChatFailure(streamError),
+                    reply: aiReply,
+                    state,
+                    usage: usageSummary,
+                    ...ids,
+                })));
+            } else if (saveError) {
+                await writer.write(encoder.encode(formatSseEvent('error', { error: '回复未能保存', code: 'SAVE_FAILED', retryable: false, reply: aiReply, state, usage: usageSummary, ...ids })));
+            } else {
+                await writer.write(encoder.encode(formatSseEvent('done', { reply: aiReply, state, usage: usageSummary, length: buildLengthReport(env, paper, plan, userEntry), ...ids, ...debugInfo })));
+            }
+            await writer.close();
+        } catch (writeError) {
+            // The browser may have gone away; the reply has already been saved
+            console.warn('Could not finish SSE response:', writeError);
+        }
+    })();
+
+    if (context && typeof context.waitUntil === 'function') {
+        context.waitUntil(relay);
+    }
+
+    return new Response(readable, {
+        status: 200,
+        headers: {
+            ...corsHeaders,
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            'Cache-Control': 'no-cache',
+        },
+    });
+}
+
+// --- Paper Export (Markdown / DOCX / printable HTML) ---
+//
+// Everything is rendered inside the Worker: the paper is assembled as Markdown, parsed into a
+// small list of blocks, and those blocks are turned into HTML or WordprocessingML. The DOCX
+// container is a plain (stored, uncompressed) zip written by createZip().
+
+const EXPORT_FORMATS = {
+    md: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+    docx: { contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', extension: 'docx' },
+    html: { contentType: 'text/html; charset=utf-8', extension: 'html' },
+    pdf: { contentType: 'text/html; charset=utf-8', extension: 'html' }, // Printable HTML that opens the print dialog
+};
+
+/**
+ * Handles the /api/export GET request.
+ * Query: format (md | docx | html | pdf), conversation_id (optional, defaults to the active one),
+ * citation_style (gbt7714 | apa | ieee, default: the code's setting, see User Settings).
+ * Exports the outline plus the confirmed chapters of a conversation's paper document as a single
+ * document, with citations resolved and a bibliography when the conversation has a reference library.
+ * @param {Request} request
+ * @param {object} env - Contains KV_NAMESPACE binding
+ * @returns {Promise<Response>}
+ */
+async function handleExportRequest(request, env) {
+    const jsonHeaders = { ...corsHeaders, 'Content-Type': 'application/json' };
+    const { loginCode, payload, errorResponse } = await parseAuthenticatedRequest(request, env, jsonHeaders);
+    if (errorResponse) {
+        return errorResponse;
+    }
+
+    const format = payload.format || 'md';
+    if (!EXPORT_FORMATS[format]) {
+        return new Response(JSON.stringify({ success: false, error: '不支持的导出格式' }), { status: 400, headers: jsonHeaders });
+    }
+    const citationStyle = payload.citation_style || (await loadSettings(env, loginCode)).citation_style;
+    if (!CITATION_STYLES[citationStyle]) {
+        return new Response(JSON.stringify({ success: false, error: '不支持的引用格式' }), { status: 400, headers: jsonHeaders });
+    }
+
+    const index = await loadConversationIndex(env, loginCode);
+    const conversationId = payload.conversation_id || index?.active_id;
+    const meta = index?.conversations.find(item => item.id === conversationId);
+    if (!meta) {
+        return new Response(JSON.stringify({ success: false, error: '对话不存在' }), { status: 404, headers: jsonHeaders });
+    }
+
+    let state;
+    try {
+        state = await loadConversation(env, loginCode, conversationId);
+    } catch (parseError) {
+        console.error(`Error parsing conversation ${conversationId} for ${loginCode}:`, parseError);
+        return new Response(JSON.stringify({ success: false, error: describeStateError(parseError), code: parseError.code }), { status: 500, headers: jsonHeaders });
+    }
+
+    const paperDocument = state ? (await loadPaper(env, loginCode, conversationId) || buildPaperFromState(state)) : null;
+    const paper = state ? assemblePaper(state, meta.title, paperDocument) : null;
+    if (!paper) {
+        return new Response(JSON.stringify({ success: false, error: '暂无可导出的论文内容，请先生成并确认大纲' }), { status: 400, headers: jsonHeaders });
+    }
+
+    const references = await loadReferences(env, loginCode, conversationId);
+    if (references.length > 0) {
+        paper.markdown = applyCitations(paper.markdown, references, citationStyle);
+    }
+
+    console.log(`Exporting conversation ${conversationId} for ${loginCode} as ${format}.`);
+    const { contentType, extension } = EXPORT_FORMATS[format];
+    let body;
+    if (format === 'md') {
+        body = paper.markdown;
+    } else if (format === 'docx') {
+        body = buildDocx(paper.title, parseMarkdownBlocks(paper.markdown));
+    } else {
+        body = renderPaperHtml(paper.title, parseMarkdownBlocks(paper.markdown), format === 'pdf');
+    }
+
+    const fileName = `${paper.title.replace(/[\\/:*?"<>|\r\n]+/g, '_')}.${extension}`;
+    return new Response(body, {
+        status: 200,
+        headers: {
+            ...corsHeaders,
+            'Content-Type': contentType,
+            'Content-Disposition': `attachment; filename="paper.${extension}"; filename*=UTF-8''${encodeURIComponent(fileName)}`,
+            'Cache-Control': 'no-store',
+        },
+    });
+}
+
+/**
+ * Assembles the paper content of a conversation as Markdown: title, abstract and keywords,
+ * outline and the confirmed chapters of the paper document (in its order).
+ * Chat turns that are not part of the paper are left out.
+ * @param {object} state - Normalised conversation state
+ * @param {string} fallbackTitle - Title used when neither the paper nor the outline has one
+ * @param {object} paperDocument - Paper document (see loadPaper / buildPaperFromState)
+ * @returns {{title: string, markdown: string}|null} null if there is no outline yet
+ */
+function assemblePaper(state, fallbackTitle, paperDocument) {
+    let outline = state.approved_outline || state.outline_draft;
+    if (!outline) {
+        return null;
+    }
+
+    // Use the outline's own leading "# Title" line as the document title when it has one
+    let title = fallbackTitle || '论文';
+    outline = outline.trim();
+    const titleMatch = outline.match(/^#\s+([^\n]+)/);
+    if (titleMatch) {
+        title = titleMatch[1].replace(/[*_`]/g, '').replace(/(论文)?大纲$/, '').trim() || title;
+        outline = outline.slice(titleMatch[0].length);
+    }
+    title = paperDocument.title || title;
+
+    const sections = [`# ${title}`];
+    if (paperDocument.abstract) {
+        sections.push('## 摘要', paperDocument.abstract.trim());
+    }
+    if (paperDocument.keywords.length > 0) {
+        sections.push(`**关键词**：${paperDocument.keywords.join('；')}`);
+    }
+    sections.push('## 论文大纲', shiftHeadings(outline.trim(), 3));
+    paperDocument.chapters
+        .filter(chapter => chapter.status === 'confirmed' && chapter.content.trim())
+        .forEach(chapter => {
+            sections.push(shiftHeadings(chapter.content.trim(), 2));
+        });
+
+    return { title, markdown: `${sections.join('\n\n')}\n` };
+}
+
+/**
+ * Shifts the Markdown headings of a fragment so that its top-level heading lands on `topLevel`.
+ * @param {string} markdown - Markdown fragment
+ * @param {number} topLevel - Heading level the fragment's highest heading should have
+ * @returns {string}
+ */
+function shiftHeadings(markdown, topLevel) {
+    const levels = [...markdown.matchAll(/^(#{1,6})\s/gm)].map(match => match[1].length);
+    if (levels.length === 0) {
+        return markdown;
+    }
+    const offset = topLevel - Math.min(...levels);
+    let inFence = false;
+    return markdown.split('\n').map(line => {
+        if (/^\s*```/.test(line)) {
+            inFence = !inFence;
+        }
+        const match = !inFence && line.match(/^(#{1,6})(\s.*)$/);
+        if (!match) {
+            return line;
+        }
+        const level = Math.min(6, Math.max(1, match[1].length + offset));
+        return `${'#'.repeat(level)}${match[2]}`;
+    }).join('\n');
+}
+
+/**
+ * Parses Markdown into a flat list of blocks. Only the constructs the model actually produces
+ * in papers are supported: headings, paragraphs, lists, tables, block quotes, code fences and rules.
+ * @param {string} markdown
+ * @returns {Array<object>} Blocks like { type: 'heading', level, text } or { type: 'list', ordered, start, items }
+ */
+function parseMarkdownBlocks(markdown) {
+    const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+    const blocks = [];
+    let paragraph = [];
+
+    const flushParagraph = () => {
+        if (paragraph.length > 0) {
+            blocks.push({ type: 'paragraph', text: joinParagraphLines(paragraph) });
+            paragraph = [];
+        }
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        const trimmed = line.trim();
+
+        if (!trimmed) {
+            flushParagraph();
+            continue;
+        }
+
+        if (trimmed.startsWith('```')) {
+            flushParagraph();
+            const codeLines = [];
+            i++;
+            while (i < lines.length && !lines[i].trim().startsWith('```')) {
+                codeLines.push(lines[i]);
+                i++;
+            }
+            blocks.push({ type: 'code', text: codeLines.join('\n') });
+            continue;
+        }
+
+        const heading = trimmed.match(/^(#{1,6})\s+(.*?)\s*#*$/);
+        if (heading) {
+            flushParagraph();
+            blocks.push({ type: 'heading', level: heading[1].length, text: heading[2] });
+            continue;
+        }
+
+        if (/^(-{3,}|\*{3,}|_{3,})$/.test(trimmed)) {
+            flushParagraph();
+            blocks.push({ type: 'rule' });
+            continue;
+        }
+
+        if (trimmed.startsWith('|')) {
+            flushParagraph();
+            const rows = [];
+            while (i < lines.length && lines[i].trim().startsWith('|')) {
+                const row = lines[i].trim();
+                // Skip the |---|:---:| separator row
+                if (!/^\|?[\s:|-]+\|?$/.test(row)) {
+                    rows.push(row.replace(/^\||\|$/g, '').split('|').map(cell => cell.trim()));
+                }
+                i++;
+            }
+            i--;
+            blocks.push({ type: 'table', rows });
+            continue;
+        }
+
+        if (trimmed.startsWith('>')) {
+            flushParagraph();
+            const quoteLines = [];
+            while (i < lines.length && lines[i].trim().startsWith('>')) {
+                quoteLines.push(lines[i].trim().replace(/^>\s?/, ''));
+                i++;
+            }
+            i--;
+            blocks.push({ type: 'quote', text: joinParagraphLines(quoteLines) });
+            continue;
+        }
+
+        const listItem = trimmed.match(/^([-*+]|\d+[.)、])\s+(.*)$/);
+        if (listItem) {
+            flushParagraph();
+            const ordered = /^\d/.test(listItem[1]);
+            const items = [];
+            const start = ordered ? parseInt(listItem[1], 10) : 1;
+            while (i < lines.length) {
+                const itemMatch = lines[i].trim().match(/^([-*+]|\d+[.)、])\s+(.*)$/);
+                if (!itemMatch || /^\d/.test(itemMatch[1]) !== ordered) {
+                    break;
+                }
+                items.push(itemMatch[2]);
+                i++;
+            }
+            i--;
+            blocks.push({ type: 'list', ordered, start, items });
+            continue;
+        }
+
+        paragraph.push(trimmed);
+    }
+    flushParagraph();
+    return blocks;
+}
+
+/**
+ * Joins soft-wrapped lines of a paragraph: no space between CJK characters, a single space otherwise.
+ * @param {string[]} lines
+ * @returns {string}
+ */
+function joinParagraphLines(lines) {
+    return lines.reduce((text, line) => {
+        if (!text) {
+            return line;
+        }
+        const cjkJoin = /[\u3000-\u9fff\uff00-\uffef]$/.test(text) || /^[\u3000-\u9fff\uff00-\uffef]/.test(line);
+        return `${text}${cjkJoin ? '' : ' '}${line}`;
+    }, '');
+}
+
+/**
+ * Splits inline Markdown into styled runs (bold, italic, inline code).
+ * @param {string} text
+ * @returns {Array<{text: string, bold?: boolean, italic?: boolean, code?: boolean}>}
+ */
+function parseInlineMarkdown(text) {
+    const runs = [];
+    const pattern = /(\*\*[^*]+\*\*|__[^_]+__|\*[^*\s][^*]*\*|`[^`]+`)/g;
+    let lastIndex = 0;
+    for (const match of text.matchAll(pattern)) {
+        if (match.index > lastIndex) {
+            runs.push({ text: text.slice(lastIndex, match.index) });
+        }
+        const token = match[0];
+        if (token.startsWith('**') || token.startsWith('__')) {
+            runs.push({ text: token.slice(2, -2), bold: true });
+        } else if (token.startsWith('`')) {
+            runs.push({ text: token.slice(1, -1), code: true });
+        } else {
+            runs.push({ text: token.slice(1, -1), italic: true });
+        }
+        lastIndex = match.index + token.length;
+    }
+    if (lastIndex < text.length) {
+        runs.push({ text: text.slice(lastIndex) });
+    }
+    return runs;
+}
+
+/**
+ * @param {string} text
+ * @returns {string} Text safe to embed in HTML
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * @param {string} text
+ * @returns {string} Text safe to embed in XML (control characters Word rejects are dropped)
+ */
+function escapeXml(text) {
+    return escapeHtml(text)
+        .replace(/'/g, '&apos;')
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+/**
+ * Renders parsed blocks as a standalone, print-friendly HTML document.
+ * @param {string} title - Document title
+ * @param {Array<object>} blocks - Blocks from parseMarkdownBlocks
+ * @param {boolean} autoPrint - Open the browser's print dialog (Save as PDF) once loaded
+ * @returns {string}
+ */
+function renderPaperHtml(title, blocks, autoPrint) {
+    const inline = (text) => parseInlineMarkdown(text).map(run => {
+        const escaped = escapeHtml(run.text);
+        if (run.bold) return `<strong>${escaped}</strong>`;
+        if (run.italic) return `<em>${escaped}</em>`;
+        if (run.code) return `<code>${escaped}</code>`;
+        return escaped;
+    }).join('');
+
+    const body = blocks.map(block => {
+        switch (block.type) {
+            case 'heading':
+                return `<h${block.level}>${inline(block.text)}</h${block.level}>`;
+            case 'list': {
+                const tag = block.ordered ? 'ol' : 'ul';
+                const start = block.ordered && block.start !== 1 ? ` start="${block.start}"` : '';
+                return `<${tag}${start}>${block.items.map(item => `<li>${inline(item)}</li>`).join('')}</${tag}>`;
+            }
+            case 'table': {
+                const [head, ...rows] = block.rows;
+                const headHtml = head ? `<thead><tr>${head.map(cell => `<th>${inline(cell)}</th>`).join('')}</tr></thead>` : '';
+                const rowsHtml = rows.map(row => `<tr>${row.map(cell => `<td>${inline(cell)}</td>`).join('')}</tr>`).join('');
+                return `<table>${headHtml}<tbody>${rowsHtml}</tbody></table>`;
+            }
+            case 'quote':
+                return `<blockquote>${inline(block.text)}</blockquote>`;
+            case 'code':
+                return `<pre><code>${escapeHtml(block.text)}</code></pre>`;
+            case 'rule':
+                return '<hr>';
+            default:
+                return `<p>${inline(block.text)}</p>`;
+        }
+    }).join('\n');
+
+    const printScript = autoPrint ? '<script>window.addEventListener("load", () => window.print());</script>' : '';
+    return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(title)}</title>
+<style>
+    @page { size: A4; margin: 2.5cm 2.2cm; }
+    body { font-family: "Times New Roman", "SimSun", "Songti SC", serif; font-size: 12pt; line-height: 1.8; color: #000; max-width: 800px; margin: 2em auto; padding: 0 1em; }
+    h1 { font-family: "SimHei", "Heiti SC", sans-serif; font-size: 20pt; text-align: center; margin: 0 0 1.5em; }
+    h2 { font-family: "SimHei", "Heiti SC", sans-serif; font-size: 16pt; margin: 1.6em 0 0.8em; page-break-before: always; }
+    h2:first-of-type { page-break-before: avoid; }
+    h3 { font-family: "SimHei", "Heiti SC", sans-serif; font-size: 14pt; margin: 1.2em 0 0.6em; }
+    h4, h5, h6 { font-size: 12pt; margin: 1em 0 0.5em; }
+    h1, h2, h3, h4, h5, h6 { page-break-after: avoid; }
+    p { text-indent: 2em; margin: 0 0 0.6em; text-align: justify; }
+    table { border-collapse: collapse; margin: 1em auto; page-break-inside: avoid; }
+    th, td { border: 1px solid #000; padding: 4px 8px; }
+    blockquote { margin: 1em 2em; color: #333; }
+    pre { background: #f5f5f5; padding: 0.8em; white-space: pre-wrap; font-size: 10pt; }
+    .toolbar { text-align: right; margin-bottom: 1em; }
+    @media print { .toolbar { display: none; } body { margin: 0; max-width: none; } }
+</style>
+</head>
+<body>
+<div class="toolbar"><button onclick="window.print()">打印 / 另存为 PDF</button></div>
+${body}
+${printScript}
+</body>
+</html>`;
+}
+
+/**
+ * Builds a .docx file from parsed blocks, using Word's built-in Title/Heading styles so the
+ * navigation pane and table of contents work, and real Word numbering for lists.
+ * @param {string} title - Document title (stored in the core properties)
+ * @param {Array<object>} blocks - Blocks from parseMarkdownBlocks
+ * @returns {Uint8Array} The .docx file
+ */
+function buildDocx(title, blocks) {
+    const W_NS = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+    const runsXml = (text, baseProps = '') => parseInlineMarkdown(text).map(run => {
+        let props = baseProps;
+        if (run.bold) props += '<w:b/>';
+        if (run.italic) props += '<w:i/>';
+        if (run.code) props += '<w:rFonts w:ascii="Consolas" w:hAnsi="Consolas"/>';
+        const rPr = props ? `<w:rPr>${props}</w:rPr>` : '';
+        return `<w:r>${rPr}<w:t xml:space="preserve">${escapeXml(run.text)}</w:t></w:r>`;
+    }).join('');
+    const paragraphXml = (style, content, extraProps = '') =>
+        `<w:p><w:pPr>${style ? `<w:pStyle w:val="${style}"/>` : ''}${extraProps}</w:pPr>${content}</w:p>`;
+
+    const orderedLists = []; // Start values; each ordered list gets its own numbering instance
+    const body = blocks.map(block => {
+        switch (block.type) {
+            case 'heading': {
+                // The document title is the only level-1 heading; chapters start at level 2
+                const style = block.level === 1 ? 'Title' : `Heading${Math.min(block.level - 1, 4)}`;
+                return paragraphXml(style, runsXml(block.text));
+            }
+            case 'list': {
+                let numId = 1; // Shared bullet numbering
+                if (block.ordered) {
+                    orderedLists.push(block.start);
+                    numId = orderedLists.length + 1;
+                }
+                return block.items.map(item => paragraphXml('ListParagraph', runsXml(item),
+                    `<w:numPr><w:ilvl w:val="0"/><w:numId w:val="${numId}"/></w:numPr>`)).join('');
+            }
+            case 'table': {
+                const border = '<w:top w:val="single" w:sz="4" w:space="0" w:color="000000"/><w:left w:val="single" w:sz="4" w:space="0" w:color="000000"/><w:bottom w:val="single" w:sz="4" w:space="0" w:color="000000"/><w:right w:val="single" w:sz="4" w:space="0" w:color="000000"/><w:insideH w:val="single" w:sz="4" w:space="0" w:color="000000"/><w:insideV w:val="single" w:sz="4" w:space="0" w:color="000000"/>';
+                const rows = block.rows.map((row, rowIndex) => `<w:tr>${row.map(cell =>
+                    `<w:tc><w:tcPr><w:tcW w:w="0" w:type="auto"/></w:tcPr>${paragraphXml('TableText', runsXml(cell, rowIndex === 0 ? '<w:b/>' : ''))}</w:tc>`
+                ).join('')}</w:tr>`).join('');
+                return `<w:tbl><w:tblPr><w:tblW w:w="0" w:type="auto"/><w:jc w:val="center"/><w:tblBorders>${border}</w:tblBorders></w:tblPr>${rows}</w:tbl>${paragraphXml(null, '')}`;
+            }
+            case 'quote':
+                return paragraphXml('Quote', runsXml(block.text));
+            case 'code':
+                return block.text.split('\n').map(line =>
+                    paragraphXml('Code', `<w:r><w:t xml:space="preserve">${escapeXml(line)}</w:t></w:r>`)).join('');
+            case 'rule':
+                return paragraphXml(null, '', '<w:pBdr><w:bottom w:val="single" w:sz="6" w:space="1" w:color="auto"/></w:pBdr>');
+            default:
+                return paragraphXml(null, runsXml(block.text));
+        }
+    }).join('');
+
+    const documentXml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="${W_NS}"><w:body>${body}<w:sectPr><w:pgSz w:w="11906" w:h="16838"/><w:pgMar w:top="1440" w:right="1800" w:bottom="1440" w:left="1800" w:header="851" w:footer="992" w:gutter="0"/></w:sectPr></w:body></w:document>`;
+
+    const headingStyle = (id, name, size, outlineLevel) => `<w:style w:type="paragraph" w:styleId="${id}"><w:name w:val="${name}"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:keepNext/><w:spacing w:before="240" w:after="120"/><w:ind w:firstLine="0"/><w:outlineLvl w:val="${outlineLevel}"/></w:pPr><w:rPr><w:rFonts w:ascii="Times New Roman" w:hAnsi="Times New Roman" w:eastAsia="黑体"/><w:b/><w:sz w:val="${size}"/></w:rPr></w:style>`;
+    const stylesXml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="${W_NS}">
+<w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="Times New Roman" w:hAnsi="Times New Roman" w:eastAsia="宋体" w:cs="Times New Roman"/><w:sz w:val="24"/><w:lang w:val="en-US" w:eastAsia="zh-CN"/></w:rPr></w:rPrDefault><w:pPrDefault><w:pPr><w:spacing w:after="0" w:line="360" w:lineRule="auto"/></w:pPr></w:pPrDefault></w:docDefaults>
+<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/><w:pPr><w:ind w:firstLineChars="200" w:firstLine="480"/><w:jc w:val="both"/></w:pPr></w:style>
+<w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:spacing w:before="240" w:after="360"/><w:ind w:firstLine="0"/><w:jc w:val="center"/><w:outlineLvl w:val="0"/></w:pPr><w:rPr><w:rFonts w:ascii="Times New Roman" w:hAnsi="Times New Roman" w:eastAsia="黑体"/><w:b/><w:sz w:val="36"/></w:rPr></w:style>
+${headingStyle('Heading1', 'heading 1', 32, 0)}
+${headingStyle('Heading2', 'heading 2', 28, 1)}
+${headingStyle('Heading3', 'heading 3', 26, 2)}
+${headingStyle('Heading4', 'heading 4', 24, 3)}
+<w:style w:type="paragraph" w:styleId="ListParagraph"><w:name w:val="List Paragraph"/><w:basedOn w:val="Normal"/><w:qFormat/><w:pPr><w:ind w:left="720" w:firstLine="0"/></w:pPr></w:style>
+<w:style w:type="paragraph" w:styleId="TableText"><w:name w:val="Table Text"/><w:basedOn w:val="Normal"/><w:pPr><w:ind w:firstLine="0"/><w:jc w:val="center"/></w:pPr><w:rPr><w:sz w:val="21"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Quote"><w:name w:val="Quote"/><w:basedOn w:val="Normal"/><w:qFormat/><w:pPr><w:ind w:left="720" w:right="720" w:firstLine="0"/></w:pPr><w:rPr><w:i/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Code"><w:name w:val="Code"/><w:basedOn w:val="Normal"/><w:pPr><w:spacing w:line="240" w:lineRule="auto"/><w:ind w:firstLine="0"/><w:jc w:val="left"/></w:pPr><w:rPr><w:rFonts w:ascii="Consolas" w:hAnsi="Consolas"/><w:sz w:val="20"/></w:rPr></w:style>
+</w:styles>`;
+
+    const levelXml = (format, text) => `<w:lvl w:ilvl="0"><w:start w:val="1"/><w:numFmt w:val="${format}"/><w:lvlText w:val="${text}"/><w:lvlJc w:val="left"/><w:pPr><w:ind w:left="720" w:hanging="360"/></w:pPr></w:lvl>`;
+    const numberingXml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:numbering xmlns:w="${W_NS}">
+<w:abstractNum w:abstractNumId="0"><w:multiLevelType w:val="singleLevel"/>${levelXml('bullet', '•')}</w:abstractNum>
+<w:abstractNum w:abstractNumId="1"><w:multiLevelType w:val="singleLevel"/>${levelXml('decimal', '%1.')}</w:abstractNum>
+<w:num w:numId="1"><w:abstractNumId w:val="0"/></w:num>
+${orderedLists.map((start, i) => `<w:num w:numId="${i + 2}"><w:abstractNumId w:val="1"/><w:lvlOverride w:ilvl="0"><w:startOverride w:val="${start}"/></w:lvlOverride></w:num>`).join('\n')}
+</w:numbering>`;
+
+    const files = {
+        '[Content_Types].xml': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/><Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/><Override PartName="/word/numbering.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.numbering+xml"/><Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/></Types>`,
+        '_rels/.rels': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/><Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/></Relationships>`,
+        'docProps/core.xml': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"><dc:title>${escapeXml(title)}</dc:title><dcterms:created xsi:type="dcterms:W3CDTF">${new Date().toISOString().replace(/\.\d+Z$/, 'Z')}</dcterms:created></cp:coreProperties>`,
+        'word/_rels/document.xml.rels': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/><Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/numbering" Target="numbering.xml"/></Relationships>`,
+        'word/document.xml': documentXml,
+        'word/styles.xml': stylesXml,
+        'word/numbering.xml': numberingXml,
+    };
+    return createZip(files);
+}
+
+// Lazily built CRC-32 lookup table (IEEE polynomial) for createZip()
+let crc32Table = null;
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {number} CRC-32 checksum of the bytes
+ */
+function crc32(bytes) {
+    if (!crc32Table) {
+        crc32Table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crc32Table[n] = c >>> 0;
+        }
+    }
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crc32Table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Writes a zip archive with uncompressed ("stored") entries.
+ * @param {Object<string, string|Uint8Array>} files - Map of path inside the archive to content
+ * @returns {Uint8Array} The zip file
+ */
+function createZip(files) {
+    const encoder = new TextEncoder();
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const [path, content] of Object.entries(files)) {
+        const name = encoder.encode(path);
+        const data = typeof content === 'string' ? encoder.encode(content) : content;
+        const checksum = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true); // Local file header signature
+        local.setUint16(4, 20, true); // Version needed to extract
+        local.setUint16(6, 0x0800, true); // UTF-8 file names
+        local.setUint16(8, 0, true); // Stored
+        local.setUint16(10, dosTime, true);
+        local.setUint16(12, dosDate, true);
+        local.setUint32(14, checksum, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, name.length, true);
+        local.setUint16(28, 0, true);
+        localParts.push(new Uint8Array(local.buffer), name, data);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014b50, true); // Central directory header signature
+        central.setUint16(4, 20, true); // Version made by
+        central.setUint16(6, 20, true);
+        central.setUint16(8, 0x0800, true);
+        central.setUint16(10, 0, true);
+        central.setUint16(12, dosTime, true);
+        central.setUint16(14, dosDate, true);
+        central.setUint32(16, checksum, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, name.length, true);
+        central.setUint32(42, offset, true); // Offset of the local header
+        centralParts.push(new Uint8Array(central.buffer), name);
+
+        offset += 30 + name.length + data.length;
+    }
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true); // End of central directory signature
+    end.setUint16(8, Object.keys(files).length, true);
+    end.setUint16(10, Object.keys(files).length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+    const zip = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let position = 0;
+    parts.forEach(part => {
+        zip.set(part, position);
+        position += part.length;
+    });
+    return zip;
+}
+
+// --- Admin API (/api/admin/*) ---
+//
+// All admin routes require `Authorization: Bearer <ADMIN_SECRET>`.
+//   GET    /api/admin/codes                 List provisioned codes (?cursor= for the next page)
+//   POST   /api/admin/codes                 Generate codes: { count, expires_at?, expires_in_days?, quota?, note? }
+//   GET    /api/admin/codes/<code>          Inspect a code: record, usage and conversations
+//   PATCH  /api/admin/codes/<code>          Update expires_at / quota / note / revoked
+//   POST   /api/admin/codes/<code>/revoke   Revoke a code (its sessions stop working immediately)
+//   POST   /api/admin/codes/<code>/reset    Delete all conversations of a code (the code stays valid,
+//                                           its token usage is kept so a reset never restores quota)
+//   /api/admin/quarantine...                 Broken conversation records (see Conversation State Schema)
+
+const MAX_CODES_PER_BATCH = 100;
+
+/**
+ * Dispatches /api/admin/* requests after checking the admin secret.
+ * @param {Request} request
+ * @param {object} env - Contains ADMIN_SECRET and KV_NAMESPACE
+ * @param {URL} url - Parsed request URL
+ * @returns {Promise<Response>}
+ */
+async function handleAdminRequest(request, env, url) {
+    const jsonHeaders = { ...corsHeaders, 'Content-Type': 'application/json' };
+
+    if (!env.ADMIN_SECRET) {
+        console.error("错误：ADMIN_SECRET 环境变量未设置，管理接口已禁用。");
+        return new Response(JSON.stringify({ success: false, error: '管理接口未启用' }), { status: 503, headers: jsonHeaders });
+    }
+    const header = request.headers.get('Authorization') || '';
+    const match = header.match(/^Bearer\s+(\S+)$/i);
+    if (!match || !(await secretsEqual(match[1], env.ADMIN_SECRET))) {
+        console.warn(`Rejected admin request from: ${request.headers.get('CF-Connecting-IP')}`);
+        return new Response(JSON.stringify({ success: false, error: '管理密钥无效' }), { status: 401, headers: jsonHeaders });
+    }
+
+    let payload = {};
+    if (request.method === 'POST' || request.method === 'PATCH') {
+        try {
+            payload = await request.json();
+        } catch (error) {
+            payload = null;
+        }
+        if (!payload || typeof payload !== 'object') {
+            return new Response(JSON.stringify({ success: false, error: '无效的请求体' }), { status: 400, headers: jsonHeaders });
+        }
+    }
+
+    const codeMatch = url.pathname.match(/^\/api\/admin\/codes\/(\d{10})(?:\/(revoke|reset))?$/);
+    const templateMatch = url.pathname.match(/^\/api\/admin\/templates(?:\/([a-z0-9-]+))?$/);
+    if (url.pathname === '/api/admin/codes' && request.method === 'GET') {
+        return await handleAdminListCodes(env, url, jsonHeaders);
+    } else if (url.pathname === '/api/admin/codes' && request.method === 'POST') {
+        return await handleAdminGenerateCodes(env, payload, jsonHeaders);
+    } else if (codeMatch && !codeMatch[2] && request.method === 'GET') {
+        return await handleAdminInspectCode(env, codeMatch[1], jsonHeaders);
+    } else if (codeMatch && !codeMatch[2] && request.method === 'PATCH') {
+        return await handleAdminUpdateCode(env, codeMatch[1], payload, jsonHeaders);
+    } else if (codeMatch && codeMatch[2] === 'revoke' && request.method === 'POST') {
+        return await handleAdminUpdateCode(env, codeMatch[1], { revoked: true }, jsonHeaders);
+    } else if (codeMatch && codeMatch[2] === 'reset' && request.method === 'POST') {
+        return await handleAdminResetCode(env, codeMatch[1], jsonHeaders);
+    } else if (templateMatch) {
+        return await handleAdminTemplatesRequest(request, env, templateMatch[1] || null, payload, jsonHeaders);
+    } else if (url.pathname === '/api/admin/quarantine' || url.pathname.startsWith('/api/admin/quarantine/')) {
+        return await handleAdminQuarantineRequest(request, env, url, payload, jsonHeaders);
+    }
+
+    console.warn(`No matching admin route found for ${request.method} ${url.pathname}.`);
+    return new Response(JSON.stringify({ error: 'API route not found' }), { status: 404, headers: jsonHeaders });
+}
+
+/**
+ * Compares two secrets without leaking their contents through timing (both sides are hashed first).
+ * @param {string} provided
+ * @param {string} expected
+ * @returns {Promise<boolean>}
+ */
+async function secretsEqual(provided, expected) {
+    const encoder = new TextEncoder();
+    const [a, b] = await Promise.all([
+        crypto.subtle.digest('SHA-256', encoder.encode(provided)),
+        crypto.subtle.digest('SHA-256', encoder.encode(expected)),
+    ]);
+    const bytesA = new Uint8Array(a);
+    const bytesB = new Uint8Array(b);
+    let diff = 0;
+    for (let i = 0; i < bytesA.length; i++) {
+        diff |= bytesA[i] ^ bytesB[i];
+    }
+    return diff === 0;
+}
+
+/**
+ * Lists provisioned codes (one KV list page at a time).
+ * @param {object} env - Contains KV_NAMESPACE binding
+ * @param {URL} url - Request URL (reads ?cursor=)
+ * @param {object} jsonHeaders
+ * @returns {Promise<Response>}
+ */
+async function handleAdminListCodes(env, url, jsonHeaders) {
+    const listing = await env.KV_NAMESPACE.list({ prefix: 'auth:', cursor: url.searchParams.get('cursor') || undefined });
+    const activity = await listCodeActivity(env);
+    const codes = await Promise.all(listing.keys.map(async (key) => {
+        const code = key.name.slice('auth:'.length);
+        // Records written by saveAuthRecord carry their summary as metadata; older ones need a read
+        const record = key.metadata || await loadAuthRecord(env, code) || {};
+        // Codes without an activity key yet still carry their old counts on the record
+        const codeActivity = activity.get(code) || record;
+        return {
+            code,
+            ...summarizeAuthRecord(record),
+            last_used_at: codeActivity.last_used_at || null,
+            message_count: codeActivity.message_count || 0,
+        };
+    }));
+
+    return new Response(JSON.stringify({
+        success: true,
+        codes,
+        cursor: listing.list_complete ? null : listing.cursor,
+    }), { status: 200, headers: jsonHeaders });
+}
+
+/**
+ * Generates a batch of new login codes.
+ * @param {object} env - Contains KV_NAMESPACE binding
+ * @param {{count?: number, expires_at?: string, expires_in_days?: number, quota?: object, note?: string}} payload
+ * @param {object} jsonHeaders
+ * @returns {Promise<Response>}
+ */
+async function handleAdminGenerateCodes(env, payload, jsonHeaders) {
+    const count = payload.count === undefined ? 1 : Number(payload.count);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_CODES_PER_BATCH) {
+        return new Response(JSON.stringify({ success: false, error: `count 必须是 1 到 ${MAX_CODES_PER_BATCH} 之间的整数` }), { status: 400, headers: jsonHeaders });
+    }
+
+    let expiresAt = null;
+    if (payload.expires_at) {
+        if (Number.isNaN(Date.parse(payload.expires_at))) {
+            return new Response(JSON.stringify({ success: false, error: 'expires_at 不是有效的日期' }), { status: 400, headers: jsonHeaders });
+        }
+        expiresAt = new Date(payload.expires_at).toISOString();
+    } else if (payload.expires_in_days !== undefined && payload.expires_in_days !== null && payload.expires_in_days !== '') {
+        const days = Number(payload.expires_in_days);
+        if (!(days > 0)) {
+            return new Response(JSON.stringify({ success: false, error: 'expires_in_days 必须大于 0' }), { status: 400, headers: jsonHeaders });
+        }
+        expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+    }
+
+    const quota = normalizeQuota(payload.quota);
+    if (quota === undefined) {
+        return new Response(JSON.stringify({ success: false, error: 'quota 格式无效' }), { status: 400, headers: jsonHeaders });
+    }
+
+    const now = new Date().toISOString();
+    const codes = [];
+    while (codes.length < count) {
+        const code = generateLoginCode();
+        if (codes.includes(code) || await env.KV_NAMESPACE.get(authKey(code)) || await env.KV_NAMESPACE.get(conversationIndexKey(code))) {
+            continue; // Never hand out a code that already has a record or data
+        }
+        await saveAuthRecord(env, code, {
+            created_at: now,
+            expires_at: expiresAt,
+            revoked: false,
+            quota,
+            note: typeof payload.note === 'string' ? payload.note.slice(0, 200) : null,
+        });
+        codes.push(code);
+    }
+
+    console.log(`Admin generated ${codes.length} login codes.`);
+    return new Response(JSON.stringify({ success: true, codes, expires_at: expiresAt, quota }), { status: 201, headers: jsonHeaders });
+}
+
+/**
+ * Returns a code's provisioning record together with an overview of its conversations.
+ * @param {object} env - Contains KV_NAMESPACE binding
+ * @param {string} loginCode
+ * @param {object} jsonHeaders
+ * @returns {Promise<Response>}
+ */
+async function handleAdminInspectCode(env, loginCode, jsonHeaders) {
+    const record = await loadAuthRecord(env, loginCode);
+    if (!record) {
+        return new Response(JSON.stringify({ success: false, error: '登录码不存在' }), { status: 404, headers: jsonHeaders });
+    }
+
+    const index = await loadConversationIndex(env, loginCode);
+    const usage = await loadUsage(env, loginCode);
+    return new Response(JSON.stringify({
+        success: true,
+        code: loginCode,
+        record,
+        activity: await loadCodeActivity(env, loginCode, record),
+        usage: summarizeUsage(usage, resolveQuota(env, record)),
+        conversations: index ? index.conversations : [],
+    }), { status: 200, headers: jsonHeaders });
+}
+
+/**
+ * Updates a code's provisioning record (also used by the revoke route).
+ * @param {object} env - Contains KV_NAMESPACE binding
+ * @param {string} loginCode
+ * @param {{revoked?: boolean, expires_at?: string|null, quota?: object|null, note?: string|null}} changes
+ * @param {object} jsonHeaders
+ * @returns {Promise<Response>}
+ */
+async function handleAdminUpdateCode(env, loginCode, changes, jsonHeaders) {
+    const record = await loadAuthRecord(env, loginCode);
+    if (!record) {
+        return new Response(JSON.stringify({ success: false, error: '登录码不存在' }), { status: 404, headers: jsonHeaders });
+    }
+
+    if ('revoked' in changes) {
+        record.revoked = Boolean(changes.revoked);
+        record.revoked_at = record.revoked ? new Date().toISOString() : null;
+    }
+    if ('expires_at' in changes) {
+        if (changes.expires_at !== null && Number.isNaN(Date.parse(changes.expires_at))) {
+            return new Response(JSON.stringify({ success: false, error: 'expires_at 不是有效的日期' }), { status: 400, headers: jsonHeaders });
+        }
+        record.expires_at = changes.expires_at === null ? null : new Date(changes.expires_at).toISOString();
+    }
+    if ('quota' in changes) {
+        const quota = normalizeQuota(changes.quota);
+        if (quota === undefined) {
+            return new Response(JSON.stringify({ success: false, error: 'quota 格式无效' }), { status: 400, headers: jsonHeaders });
+        }
+        record.quota = quota;
+    }
+    if ('note' in changes) {
+        record.note = typeof changes.note === 'string' ? changes.note.slice(0, 200) : null;
+    }
+
+    await saveAuthRecord(env, loginCode, record);
+    console.log(`Admin updated code ${loginCode}.`);
+    return new Response(JSON.stringify({ success: true, code: loginCode, record }), { status: 200, headers: jsonHeaders });
+}
+
+/**
+ * Deletes every conversation stored for a code (see deleteCodeData). The provisioning record is
+ * kept and the message count starts again from zero.
+ * @param {object} env - Contains KV_NAMESPACE binding
+ * @param {string} loginCode
+ * @param {object} jsonHeaders
+ * @returns {Promise<Response>}
+ */
+async function handleAdminResetCode(env, loginCode, jsonHeaders) {
+    const record = await loadAuthRecord(env, loginCode);
+    if (!record) {
+        return new Response(JSON.stringify({ success: false, error: '登录码不存在' }), { status: 404, headers: jsonHeaders });
+    }
+
+    const deleted = await deleteCodeData(env, loginCode);
+    const activity = await loadCodeActivity(env, loginCode, record);
+    await saveCodeActivity(env, loginCode, { ...activity, message_count: 0 });
+    console.log(`Admin reset data of code ${loginCode}: ${deleted} keys deleted.`);
+    return new Response(JSON.stringify({ success: true, code: loginCode, deleted_keys: deleted }), { status: 200, headers: jsonHeaders });
+}
+
+/**
+ * Deletes all data of a code: the session objects of its conversations (when SESSION_STORE is
+ * bound), all `<code>:*` keys, its quarantined records and the legacy `<code>` record.
+ * `usage:<code>` is deliberately kept: the quota counts what the code has spent, not what it stores.
+ * @param {object} env - Contains KV_NAMESPACE binding
+ * @param {string} loginCode
+ * @returns {Promise<number>} Number of deleted keys
+ */
+async function deleteCodeData(env, loginCode) {
+    // Every conversation the index knows, plus any record it lost track of
+    const conversationIds = new Set();
+    try {
+        const index = JSON.parse(await env.KV_NAMESPACE.get(conversationIndexKey(loginCode)) || 'null');
+        (index?.conversations || []).forEach(meta => conversationIds.add(meta.id));
+    } catch (parseError) {
+        console.warn(`Conversation index of ${loginCode} is unreadable; deleting the stored conversations only.`);
+    }
+    const conversationPrefix = conversationKey(loginCode, '');
+    let deleted = 0;
+    let cursor;
+    do {
+        const listing = await env.KV_NAMESPACE.list({ prefix: conversationPrefix, cursor });
+        listing.keys.forEach(key => conversationIds.add(key.name.slice(conversationPrefix.length)));
+        deleted += listing.keys.length;
+        cursor = listing.list_complete ? undefined : listing.cursor;
+    } while (cursor);
+    for (const conversationId of conversationIds) {
+        await deleteConversationState(env, loginCode, conversationId);
+    }
+
+    for (const prefix of [`${loginCode}:`, `${QUARANTINE_PREFIX}${loginCode}:`]) {
+        do {
+            const listing = await env.KV_NAMESPACE.list({ prefix, cursor });
+            await Promise.all(listing.keys.map(key => env.KV_NAMESPACE.delete(key.name)));
+            deleted += listing.keys.length;
+            cursor = listing.list_complete ? undefined : listing.cursor;
+        } while (cursor);
+    }
+
+    if (await env.KV_NAMESPACE.get(loginCode)) {
+        await env.KV_NAMESPACE.delete(loginCode);
+        deleted++;
+    }
+    return deleted;
+}
+
+/**
+ * @returns {string} A random 10-digit login code
+ */
+function generateLoginCode() {
+    const digits = [];
+    while (digits.length < 10) {
+        const bytes = crypto.getRandomValues(new Uint8Array(16));
+        for (const byte of bytes) {
+            if (byte < 250 && digits.length < 10) { // 250 = 25 * 10, keeps the digits uniform
+                digits.push(byte % 10);
+            }
+        }
+    }
+    return digits.join('');
+}
+
+/**
+ * Validates a quota object from the admin API.
+ * @param {*} quota - { daily_tokens?: number, total_tokens?: number } or null
+ * @returns {object|null|undefined} The cleaned quota, null for "no quota", undefined if invalid
+ */
+function normalizeQuota(quota) {
+    if (quota === undefined || quota === null || quota === '') {
+        return null;
+    }
+    if (typeof quota !== 'object') {
+        return undefined;
+    }
+    const cleaned = {};
+    for (const field of ['daily_tokens', 'total_tokens']) {
+        if (quota[field] === undefined || quota[field] === null || quota[field] === '') {
+            continue;
+        }
+        const value = Number(quota[field]);
+        if (!Number.isInteger(value) || value < 0) {
+            return undefined;
+        }
+        cleaned[field] = value;
+    }
+    return Object.keys(cleaned).length > 0 ? cleaned : null;
+}
+
+// --- Usage Accounting & Quotas ---
+//
+// Token usage is recorded per code under `usage:<code>` from the upstream `usage` field
+// (estimated from the text when the upstream does not report it). Quotas come from the code's
+// provisioning record (`quota: { daily_tokens, total_tokens }`) and fall back to the
+// DAILY_TOKEN_QUOTA / TOTAL_TOKEN_QUOTA env vars; an unset or empty limit means unlimited.
+// Days are counted in UTC. KV is eventually consistent, so concurrent turns of the same code
+// may undercount slightly; quotas are a budget guard, not exact billing.
+
+/**
+ * @param {string} loginCode
+ * @returns {string} KV key of a code's usage counters
+ */
+function usageKey(loginCode) {
+    return `usage:${loginCode}`;
+}
+
+/**
+ * @returns {string} Today's date (UTC) as YYYY-MM-DD
+ */
+function currentUsageDate() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * @returns {{prompt_tokens: number, completion_tokens: number, total_tokens: number}}
+ */
+function createTokenCounters() {
+    return { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+}
+
+/**
+ * Loads a code's usage counters. The daily counters are reset when the stored day is over.
+ * @param {object} env - Contains KV_NAMESPACE binding
+ * @param {string} loginCode
+ * @returns {Promise<{total: object, daily: object, updated_at: string|null}>}
+ */
+async function loadUsage(env, loginCode) {
+    const today = currentUsageDate();
+    let usage = null;
+    const stored = await env.KV_NAMESPACE.get(usageKey(loginCode));
+    if (stored) {
+        try {
+            usage = JSON.parse(stored);
+        } catch (parseError) {
+            console.error(`Error parsing usage record for ${loginCode}:`, parseError);
+        }
+    }
+    if (!usage || typeof usage !== 'object') {
+        usage = { total: createTokenCounters(), daily: null, updated_at: null };
+    }
+    usage.total = { ...createTokenCounters(), ...usage.total };
+    if (!usage.daily || usage.daily.date !== today) {
+        usage.daily = { date: today, ...createTokenCounters() };
+    }
+    return usage;
+}
+
+/**
+ * Adds one upstream call to a code's usage counters.
+ * @param {object} env - Contains KV_NAMESPACE binding
+ * @param {string} loginCode
+ * @param {{prompt_tokens?: number, completion_tokens?: number, total_tokens?: number}} callUsage
+ * @returns {Promise<object>} The updated usage record
+ */
+async function recordTokenUsage(env, loginCode, callUsage) {
+    const usage = await loadUsage(env, loginCode);
+    const promptTokens = Number(callUsage.prompt_tokens) || 0;
+    const completionTokens = Number(callUsage.completion_tokens) || 0;
+    const totalTokens = Number(callUsage.total_tokens) || promptTokens + completionTokens;
+    for (const counters of [usage.total, usage.daily]) {
+        counters.prompt_tokens += promptTokens;
+        counters.completion_tokens += completionTokens;
+        counters.total_tokens += totalTokens;
+    }
+    usage.updated_at = new Date().toISOString();
+    await env.KV_NAMESPACE.put(usageKey(loginCode), JSON.stringify(usage));
+    console.log(`Recorded ${totalTokens} tokens for ${loginCode}${callUsage.estimated ? ' (estimated)' : ''}. Today: ${usage.daily.total_tokens}, total: ${usage.total.total_tokens}`);
+    return usage;
+}
+
+/**
+ * recordTokenUsage for a model call that has finished, whether or not its reply could be stored:
+ * a failed usage write is only logged, so it never throws away (or reports as unsaved) a reply
+ * the user has paid for.
+ * @param {object} env - Contains KV_NAMESPACE binding
+ * @param {string} loginCode
+ * @param {{prompt_tokens?: number, completion_tokens?: number, total_tokens?: number}} callUsage
+ * @returns {Promise<object|null>} The updated usage record, null if it could not be written
+ */
+async function recordModelCallUsage(env, loginCode, callUsage) {
+    try {
+        return await recordTokenUsage(env, loginCode, callUsage);
+    } catch (error) {
+        console.error(`Failed to record token usage for ${loginCode}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Roughly estimates the token count of a text: one token per CJK character,
+ * about four characters per token for everything else.
+ * @param {string} text
+ * @returns {number}
+ */
+function estimateTokens(text) {
+    if (!text) {
+        return 0;
+    }
+    const cjkCount = (text.match(/[\u3000-\u303f\u3400-\u9fff\uf900-\ufaff\uff00-\uffef]/g) || []).length;
+    return cjkCount + Math.ceil((text.length - cjkCount) / 4);
+}
+
+/**
+ * Estimates the usage of a call whose upstream response did not report it.
+ * @param {Array<{role: string, content: string}>} llmMessages - Messages that were sent
+ * @param {string} reply - The generated reply
+ * @returns {{prompt_tokens: number, completion_tokens: number, total_tokens: number, estimated: boolean}}
+ */
+function estimateUsage(llmMessages, reply) {
+    // ~4 tokens of per-message overhead for role markers
+    const promptTokens = llmMessages.reduce((sum, message) => sum + estimateTokens(message.content) + 4, 0);
+    const completionTokens = estimateTokens(reply);
+    return { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens, estimated: true };
+}
+
+/**
+ * Resolves the token limits of a code (record quota first, then env defaults).
+ * @param {object} env - May contain DAILY_TOKEN_QUOTA / TOTAL_TOKEN_QUOTA
+ * @param {object|null} authRecord - The code's provisioning record
+ * @returns {{daily_tokens: number|null, total_tokens: number|null}} null means unlimited
+ */
+function resolveQuota(env, authRecord) {
+    const parseLimit = (value) => {
+        if (value === undefined || value === null || value === '') {
+            return null;
+        }
+        const limit = Number(value);
+        return Number.isFinite(limit) && limit >= 0 ? limit : null;
+    };
+    const recordQuota = authRecord?.quota || {};
+    return {
+        daily_tokens: parseLimit(recordQuota.daily_tokens ?? env.DAILY_TOKEN_QUOTA),
+        total_tokens: parseLimit(recordQuota.total_tokens ?? env.TOTAL_TOKEN_QUOTA),
+    };
+}
+
+/**
+ * Builds the usage summary returned to the frontend.
+ * @param {object} usage - Usage record from loadUsage/recordTokenUsage
+ * @param {{daily_tokens: number|null, total_tokens: number|null}} quota
+ * @returns {object}
+ */
+function summarizeUsage(usage, quota) {
+    const remaining = (limit, used) => (limit === null ? null : Math.max(0, limit - used));
+    return {
+        date: usage.daily.date,
+        daily_used: usage.daily.total_tokens,
+        daily_limit: quota.daily_tokens,
+        daily_remaining: remaining(quota.daily_tokens, usage.daily.total_tokens),
+        total_used: usage.total.total_tokens,
+        total_limit: quota.total_tokens,
+        total_remaining: remaining(quota.total_tokens, usage.total.total_tokens),
+    };
+}
+
+/**
+ * Checks whether a code still has budget for another upstream call.
+ * @param {object} usage - Usage record from loadUsage
+ * @param {{daily_tokens: number|null, total_tokens: number|null}} quota
+ * @returns {string|null} Error message when a quota is used up, otherwise null
+ */
+function checkQuota(usage, quota) {
+    if (quota.total_tokens !== null && usage.total.total_tokens >= quota.total_tokens) {
+        return '该登录码的总额度已用完';
+    }
+    if (quota.daily_tokens !== null && usage.daily.total_tokens >= quota.daily_tokens) {
+        return '今日额度已用完，请明天再试';
+    }
+    return null;
+}
+
+/**
+ * Handles GET /api/usage: returns the caller's usage and remaining quota.
+ * @param {Request} request
+ * @param {object} env - Environment object
+ * @returns {Promise<Response>}
+ */
+async function handleUsageRequest(request, env) {
+    const jsonHeaders = { ...corsHeaders, 'Content-Type': 'application/json' };
+    const { loginCode, errorResponse } = await parseAuthenticatedRequest(request, env, jsonHeaders);
+    if (errorResponse) {
+        return errorResponse;
+    }
+
+    try {
+        const [authRecord, usage] = await Promise.all([loadAuthRecord(env, loginCode), loadUsage(env, loginCode)]);
+        return new Response(JSON.stringify({
+            success: true,
+            usage: summarizeUsage(usage, resolveQuota(env, authRecord)),
+        }), { status: 200, headers: jsonHeaders });
+    } catch (kvError) {
+        console.error(`KV operation failed while loading usage for ${loginCode}:`, kvError);
+        return new Response(JSON.stringify({ success: false, error: '无法访问状态存储' }), { status: 500, headers: jsonHeaders });
+    }
+}
+
+// --- Rate Limiting & Abuse Protection ---
+//
+// Counters live in KV under `ratelimit:*` and expire on their own (expirationTtl):
+// - `ratelimit:login:<ip>:<window>`   Login attempts per IP in a fixed window
+// - `ratelimit:login-fail:<ip>`       Failed logins per IP; reaching the limit locks the IP out
+// - `ratelimit:chat:<code>:<window>`  Chat messages per code in a fixed window
+// - `ratelimit:inflight:<code>`       Chat turns of a code currently waiting for the model
+// KV is eventually consistent, so bursts from several locations may slip a few requests past
+// the limits; they are meant to stop guessing and runaway clients, not to be exact.
+
+const RATE_LIMIT_DEFAULTS = {
+    LOGIN_RATE_LIMIT: 10,            // Login attempts per IP per window
+    LOGIN_RATE_WINDOW_SECONDS: 60,
+    LOGIN_MAX_FAILURES: 5,           // Failed logins per IP before the lockout
+    LOGIN_LOCKOUT_SECONDS: 900,
+    CHAT_RATE_LIMIT: 20,             // Chat messages per code per window
+    CHAT_RATE_WINDOW_SECONDS: 60,
+    CHAT_MAX_CONCURRENT: 2,          // Turns of one code waiting for the model at the same time
+};
+
+// KV refuses expirationTtl values below 60 seconds
+const MIN_KV_TTL_SECONDS = 60;
+// An in-flight marker outlives the longest expected turn, so a crashed turn frees its slot eventually
+const INFLIGHT_TTL_SECONDS = 600;
+
+/**
+ * Reads a non-negative numeric setting from env.
+ * @param {object} env - Environment object
+ * @param {string} name - Variable name
+ * @param {number} fallback - Used when the variable is unset or invalid
+ * @returns {number}
+ */
+function numberSetting(env, name, fallback) {
+    const value = env[name];
+    if (value === undefined || value === null || value === '') {
+        return fallback;
+    }
+    const number = Number(value);
+    return Number.isFinite(number) && number >= 0 ? number : fallback;
+}
+
+/**
+ * Reads a numeric rate-limit setting from env, falling back to RATE_LIMIT_DEFAULTS.
+ * A value of 0 disables the corresponding limit.
+ * @param {object} env - Environment object
+ * @param {string} name - Setting name, e.g. 'LOGIN_RATE_LIMIT'
+ * @returns {number}
+ */
+function rateLimitSetting(env, name) {
+    return numberSetting(env, name, RATE_LIMIT_DEFAULTS[name]);
+}
+
+/**
+ * @param {Request} request
+ * @returns {string} The client IP as reported by Cloudflare
+ */
+function clientIp(request) {
+    return request.headers.get('CF-Connecting-IP') || 'unknown';
+}
+
+/**
+ * Builds a 429 response with a Retry-After header.
+ * @param {string} error - User-facing message
+ * @param {number} retryAfter - Seconds until the client may try again
+ * @param {object} jsonHeaders
+ * @returns {Response}
+ */
+function rateLimitResponse(error, retryAfter, jsonHeaders) {
+    const seconds = Math.max(1, Math.ceil(retryAfter));
+    return new Response(JSON.stringify({ success: false, error, code: 'RATE_LIMITED', retry_after: seconds }), {
+        status: 429,
+        headers: { ...jsonHeaders, 'Retry-After': String(seconds) },
+    });
+}
+
+/**
+ * Counts one request in a fixed-window counter.
+ * @param {object} env - Contains KV_NAMESPACE binding
+ * @param {string} scope - Counter name, e.g. 'login'
+ * @param {string} id - What is being limited (IP or code)
+ * @param {number} limit - Allowed requests per window (0 = unlimited)
+ * @param {number} windowSeconds - Window length
+ * @returns {Promise<{limited: boolean, retryAfter: number}>}
+ */
+async function hitRateLimit(env, scope, id, limit, windowSeconds) {
+    if (!limit || !windowSeconds) {
+        return { limited: false, retryAfter: 0 };
+    }
+    const now = Date.now() / 1000;
+    const windowStart = Math.floor(now / windowSeconds) * windowSeconds;
+    const retryAfter = windowStart + windowSeconds - now;
+    const key = `ratelimit:${scope}:${id}:${windowStart}`;
+
+    const count = Number(await env.KV_NAMESPACE.get(key)) || 0;
+    if (count >= limit) {
+        return { limited: true, retryAfter };
+    }
+    await env.KV_NAMESPACE.put(key, String(count + 1), {
+        expirationTtl: Math.max(MIN_KV_TTL_SECONDS, Math.ceil(windowSeconds)),
+    });
+    return { limited: false, retryAfter: 0 };
+}
+
+/**
+ * @param {string} ip
+ * @returns {string} KV key of the failed-login counter of an IP
+ */
+function loginFailureKey(ip) {
+    return `ratelimit:login-fail:${ip}`;
+}
+
+/**
+ * Checks whether an IP is locked out after too many failed logins.
+ * @param {object} env - Contains KV_NAMESPACE binding
+ * @param {string} ip
+ * @returns {Promise<number>} Seconds left in the lockout, 0 if not locked
+ */
+async function loginLockoutRemaining(env, ip) {
+    const stored = await env.KV_NAMESPACE.get(loginFailureKey(ip));
+    if (!stored) {
+        return 0;
+    }
+    try {
+        const record = JSON.parse(stored);
+        const remaining = record.locked_until ? (Date.parse(record.locked_until) - Date.now()) / 1000 : 0;
+        return Math.max(0, remaining);
+    } catch (parseError) {
+        return 0;
+    }
+}
+
+/**
+ * Records a failed login of an IP and starts the lockout once LOGIN_MAX_FAILURES is reached.
+ * @param {object} env - Environment object
+ * @param {string} ip
+ * @returns {Promise<number>} Seconds of lockout that just started, 0 if none
+ */
+async function recordLoginFailure(env, ip) {
+    const maxFailures = rateLimitSetting(env, 'LOGIN_MAX_FAILURES');
+    const lockoutSeconds = rateLimitSetting(env, 'LOGIN_LOCKOUT_SECONDS');
+    if (!maxFailures || !lockoutSeconds) {
+        return 0;
+    }
+
+    let record = { count: 0, locked_until: null };
+    const stored = await env.KV_NAMESPACE.get(loginFailureKey(ip));
+    if (stored) {
+        try {
+            record = JSON.parse(stored);
+        } catch (parseError) {
+            console.warn(`Resetting unreadable login failure record for ${ip}.`);
+        }
+    }
+    record.count = (record.count || 0) + 1;
+    let lockout = 0;
+    if (record.count >= maxFailures) {
+        lockout = lockoutSeconds;
+        record.locked_until = new Date(Date.now() + lockoutSeconds * 1000).toISOString();
+        record.count = 0; // A new round of attempts starts after the lockout
+        console.warn(`Locking out ${ip} for ${lockoutSeconds}s after ${maxFailures} failed logins.`);
+    }
+    // The counter forgets old failures once a lockout period passes without new ones
+    await env.KV_NAMESPACE.put(loginFailureKey(ip), JSON.stringify(record), {
+        expirationTtl: Math.max(MIN_KV_TTL_SECONDS, lockoutSeconds),
+    });
+    return lockout;
+}
+
+/**
+ * Clears the failed-login counter of an IP after a successful login.
+ * @param {object} env - Contains KV_NAMESPACE binding
+ * @param {string} ip
+ * @returns {Promise<void>}
+ */
+async function clearLoginFailures(env, ip) {
+    await env.KV_NAMESPACE.delete(loginFailureKey(ip));
+}
+
+/**
+ * @param {string} loginCode
+ * @returns {string} KV key of the in-flight chat counter of a code
+ */
+function inflightKey(loginCode) {
+    return `ratelimit:inflight:${loginCode}`;
+}
+
+/**
+ * Reserves one of a code's concurrent chat slots (CHAT_MAX_CONCURRENT).
+ * @param {object} env - Environment object
+ * @param {string} loginCode
+ * @returns {Promise<boolean>} false when all slots are taken
+ */
+async function acquireChatSlot(env, loginCode) {
+    const maxConcurrent = rateLimitSetting(env, 'CHAT_MAX_CONCURRENT');
+    if (!maxConcurrent) {
+        return true;
+    }
+    const inflight = Number(await env.KV_NAMESPACE.get(inflightKey(loginCode))) || 0;
+    if (inflight >= maxConcurrent) {
+        return false;
+    }
+    await env.KV_NAMESPACE.put(inflightKey(loginCode), String(inflight + 1), { expirationTtl: INFLIGHT_TTL_SECONDS });
+    return true;
+}
+
+/**
+ * Frees a chat slot taken by acquireChatSlot. Failures are logged only; the marker expires anyway.
+ * @param {object} env - Environment object
+ * @param {string} loginCode
+ * @returns {Promise<void>}
+ */
+async function releaseChatSlot(env, loginCode) {
+    if (!rateLimitSetting(env, 'CHAT_MAX_CONCURRENT')) {
+        return;
+    }
+    try {
+        const inflight = Number(await env.KV_NAMESPACE.get(inflightKey(loginCode))) || 0;
+        if (inflight <= 1) {
+            await env.KV_NAMESPACE.delete(inflightKey(loginCode));
+        } else {
+            await env.KV_NAMESPACE.put(inflightKey(loginCode), String(inflight - 1), { expirationTtl: INFLIGHT_TTL_SECONDS });
+        }
+    } catch (error) {
+        console.error(`Failed to release chat slot for ${loginCode}:`, error);
+    }
+}
+
+// --- Context-Window Management ---
+//
+// The prompt sent upstream is kept within a token budget (estimated with estimateTokens):
+// the system prompt, the workflow instruction and the approved outline are always sent, then as
+// many recent turns as fit. Older turns are folded into a rolling summary generated by the model
+// and stored in the conversation state as `history_summary: { text, covered_messages, updated_at }`
+// (covered_messages = how many leading history messages the summary stands in for).
+
+const DEFAULT_CONTEXT_TOKEN_BUDGET = 24000;
+// Room kept for the summary itself when older turns have to be dropped
+const SUMMARY_TOKEN_RESERVE = 2000;
+// Each message is cut to this many characters when it is fed to the summariser
+const SUMMARY_MESSAGE_CHAR_LIMIT = 4000;
+const SUMMARY_SYSTEM_PROMPT = '你是论文写作对话的摘要助手。请把对话压缩为简洁的要点摘要，保留：用户的写作要求（题目、字数、格式、风格等）、已确认的决定、用户提出的修改意见，以及各章节已完成内容的要点。不要编造内容，只输出摘要正文。';
+
+/**
+ * Resolves the prompt token budget for a model.
+ * MODEL_CONTEXT_BUDGETS (JSON, e.g. {"grok-3": 100000}) wins over CONTEXT_TOKEN_BUDGET.
+ * @param {object} env - Environment object
+ * @param {string} model - Model name
+ * @returns {number}
+ */
+function resolveContextBudget(env, model) {
+    if (env.MODEL_CONTEXT_BUDGETS) {
+        try {
+            const budgets = typeof env.MODEL_CONTEXT_BUDGETS === 'string' ? JSON.parse(env.MODEL_CONTEXT_BUDGETS) : env.MODEL_CONTEXT_BUDGETS;
+            const budget = Number(budgets?.[model]);
+            if (budget > 0) {
+                return budget;
+            }
+        } catch (parseError) {
+            console.error('Error parsing MODEL_CONTEXT_BUDGETS:', parseError);
+        }
+    }
+    const budget = Number(env.CONTEXT_TOKEN_BUDGET);
+    return budget > 0 ? budget : DEFAULT_CONTEXT_TOKEN_BUDGET;
+}
+
+/**
+ * @param {{content: string, revised_content?: string}} message
+ * @returns {number} Estimated tokens of one chat message including role overhead
+ */
+function estimateMessageTokens(message) {
+    return estimateTokens(llmMessageContent(message)) + 4;
+}
+
+/**
+ * Builds the messages for the upstream call within the model's token budget.
+ * When older turns no longer fit, the rolling summary in `state.history_summary` is extended
+ * (one extra model call) and sent in their place. The state is updated in place and saved
+ * together with the turn.
+ * @param {object} env - Environment object
+ * @param {string} loginCode - Used to account the summary call
+ * @param {object} state - Conversation state (already contains the new user message)
+ * @param {string} systemContent - Combined system prompt and workflow instruction
+ * @param {string} model - Model the turn is sent to (selects the budget and writes the summary)
+ * @returns {Promise<Array<{role: string, content: string}>>}
+ */
+async function buildLlmMessages(env, loginCode, state, systemContent, model) {
+    const budget = resolveContextBudget(env, model);
+    const history = state.conversation_history;
+
+    let system = systemContent;
+    if (state.approved_outline && !system.includes(state.approved_outline)) {
+        system += `\n\n---\n\n已确认的大纲：\n${state.approved_outline}`;
+    }
+
+    const systemTokens = estimateTokens(system) + 4;
+    const historyTokens = history.reduce((sum, message) => sum + estimateMessageTokens(message), 0);
+    if (systemTokens + historyTokens <= budget) {
+        return [{ role: 'system', content: system }, ...toLlmMessages(history)];
+    }
+
+    // Keep the newest turns that fit next to the system prompt and the summary
+    const available = budget - systemTokens - SUMMARY_TOKEN_RESERVE;
+    let cut = history.length - 1; // The current user message is always sent
+    let used = estimateMessageTokens(history[cut]);
+    while (cut > 0 && used + estimateMessageTokens(history[cut - 1]) <= available) {
+        cut--;
+        used += estimateMessageTokens(history[cut]);
+    }
+    // Start the kept part on a user message so no reply is shown without its question
+    while (cut < history.length - 1 && history[cut].role !== 'user') {
+        cut++;
+    }
+
+    let summary = state.history_summary;
+    if (!summary || summary.covered_messages < cut) {
+        const extended = await extendHistorySummary(env, loginCode, summary, history.slice(summary ? summary.covered_messages : 0, cut), model);
+        if (extended) {
+            summary = { text: extended, covered_messages: cut, updated_at: new Date().toISOString() };
+            state.history_summary = summary;
+        } else {
+            console.warn(`Sending ${history.length - cut} of ${history.length} messages without an up-to-date summary.`);
+        }
+    }
+
+    if (summary && summary.text) {
+        system += `\n\n---\n\n此前对话的摘要（较早的消息已省略）：\n${summary.text}`;
+    }
+    console.log(`Context for ${loginCode}: ${history.length - cut} of ${history.length} messages sent, budget ${budget} tokens.`);
+    return [{ role: 'system', content: system }, ...toLlmMessages(history.slice(cut))];
+}
+
+/**
+ * Asks the model to fold more messages into the rolling summary.
+ * @param {object} env - Environment object
+ * @param {string} loginCode - Used to account the summary call
+ * @param {{text: string}|null} previousSummary - Summary so far
+ * @param {Array<{role: string, content: string}>} messages - Messages to add to it
+ * @param {string} model - Model of the turn (the one the request names or the code's default,
+ *     see resolveTurnModel), so the summary is written by the model the user chose
+ * @returns {Promise<string|null>} The new summary text, or null if summarising failed
+ */
+async function extendHistorySummary(env, loginCode, previousSummary, messages, model) {
+    const transcript = messages.filter(message => message.status !== 'failed').map(message => {
+        const speaker = message.role === 'user' ? '用户' : '助手';
+        const text = llmMessageContent(message);
+        const content = text.length > SUMMARY_MESSAGE_CHAR_LIMIT
+            ? `${text.slice(0, SUMMARY_MESSAGE_CHAR_LIMIT)}……（后略）`
+            : text;
+        return `${speaker}：${content}`;
+    }).join('\n\n');
+    const previous = previousSummary && previousSummary.text ? `已有摘要：\n${previousSummary.text}\n\n` : '';
+    const summaryMessages = [
+        { role: 'system', content: SUMMARY_SYSTEM_PROMPT },
+        { role: 'user', content: `${previous}需要并入摘要的对话：\n${transcript}\n\n请输出合并后的完整摘要。` },
+    ];
+
+    try {
+        console.log(`Summarising ${messages.length} older messages for ${loginCode} with ${model}.`);
+        const llmResponse = await fetchChatCompletion(env, summaryMessages, false, model);
+        const llmData = await llmResponse.json();
+        const text = llmData.choices?.[0]?.message?.content?.trim();
+        if (!text) {
+            throw new Error("无效的 LLM 响应");
+        }
+        await recordModelCallUsage(env, loginCode, llmData.usage || estimateUsage(summaryMessages, text));
+        return text;
+    } catch (error) {
+        console.error(`Failed to summarise history for ${loginCode}:`, error);
+        return null;
+    }
+}
+
+// --- LLM Providers (OpenAI-compatible, Anthropic, mock) & Fallback ---
+//
+// LLM_PROVIDERS is a JSON array of providers, tried in order:
+//   [{ "id": "tuzi", "type": "openai", "endpoint": "https://api.tu-zi.com/v1", "api_key_env": "OPENAI_API_KEY", "models": ["grok-3", "gpt-4o"] },
+//    { "id": "claude", "type": "anthropic", "endpoint": "https://api.anthropic.com/v1", "api_key_env": "ANTHROPIC_API_KEY", "models": ["claude-sonnet-4-5"] },
+//    { "id": "mock", "type": "mock", "models": ["mock"] }]
+// `api_key_env` names the env secret holding the key, so keys never appear in vars. A model entry may
+// also be an object { "id": "...", "label": "..." }; the first model of a provider is its default.
+// Set "fallback": false to keep a provider out of other models' fallback chains.
+// Without LLM_PROVIDERS a single OpenAI-compatible provider is built from API_ENDPOINT,
+// OPENAI_API_KEY and LLM_MODEL.
+//
+// Every provider's response is converted to the OpenAI chat-completions shape (JSON or SSE chunks,
+// including a final `usage` chunk), so callers never deal with provider differences. 429/5xx and
+// network errors are retried with exponential backoff, then the next provider in the chain is tried.
+// A stream that fails after it has started is not retried.
+
+const LLM_PROVIDER_TYPES = ['openai', 'anthropic', 'mock'];
+const DEFAULT_LLM_MAX_RETRIES = 2;
+const DEFAULT_LLM_RETRY_BASE_MS = 500;
+const MAX_LLM_RETRY_DELAY_MS = 10000;
+const ANTHROPIC_VERSION = '2023-06-01';
+const DEFAULT_ANTHROPIC_MAX_TOKENS = 8192;
+
+/**
+ * Reads the configured providers.
+ * @param {object} env - Environment object
+ * @returns {Array<{id: string, type: string, endpoint?: string, api_key_env?: string, models: Array<{id: string, label: string}>, fallback: boolean}>}
+ */
+function loadLlmProviders(env) {
+    if (!env.LLM_PROVIDERS) {
+        return [{
+            id: 'default',
+            type: 'openai',
+            endpoint: env.API_ENDPOINT,
+            api_key_env: 'OPENAI_API_KEY',
+            models: [{ id: env.LLM_MODEL, label: env.LLM_MODEL }],
+            fallback: true,
+        }];
+    }
+
+    let configured;
+    try {
+        configured = typeof env.LLM_PROVIDERS === 'string' ? JSON.parse(env.LLM_PROVIDERS) : env.LLM_PROVIDERS;
+    } catch (parseError) {
+        console.error('Error parsing LLM_PROVIDERS:', parseError);
+        throw new Error('服务器配置错误：LLM_PROVIDERS 格式无效');
+    }
+    const providers = (Array.isArray(configured) ? configured : [])
+        .filter(provider => provider && LLM_PROVIDER_TYPES.includes(provider.type) && Array.isArray(provider.models) && provider.models.length > 0)
+        .map((provider, i) => ({
+            ...provider,
+            id: String(provider.id || `${provider.type}-${i + 1}`),
+            endpoint: provider.endpoint ? String(provider.endpoint).replace(/\/+$/, '') : provider.endpoint,
+            models: provider.models.map(model => (typeof model === 'string'
+                ? { id: model, label: model }
+                : { id: String(model.id), label: String(model.label || model.id) })),
+            fallback: provider.fallback !== false,
+        }));
+    if (providers.length === 0) {
+        throw new Error('服务器配置错误：LLM_PROVIDERS 中没有可用的服务商');
+    }
+    return providers;
+}
+
+/**
+ * @param {object} env - Environment object
+ * @returns {string} The model used when a request does not pick one
+ */
+function defaultLlmModel(env) {
+    return loadLlmProviders(env)[0].models[0].id;
+}
+
+/**
+ * Checks a model requested by the browser against the advertised list.
+ * @param {object} env - Environment object
+ * @param {string|undefined} requestedModel
+ * @returns {string|null} The model to use, or null if it is not offered
+ */
+function resolveRequestedModel(env, requestedModel) {
+    if (!requestedModel) {
+        return defaultLlmModel(env);
+    }
+    const offered = loadLlmProviders(env).some(provider => provider.models.some(model => model.id === requestedModel));
+    return offered ? requestedModel : null;
+}
+
+/**
+ * Builds the ordered list of (provider, model) attempts for a request: the provider offering the
+ * requested model first, then the default model of every other provider that allows fallback.
+ * @param {object} env - Environment object
+ * @param {string} [model] - Requested model (defaults to the first provider's first model)
+ * @returns {Array<{provider: object, model: string}>}
+ */
+function buildFallbackChain(env, model) {
+    const providers = loadLlmProviders(env);
+    const wanted = model || providers[0].models[0].id;
+    const primary = providers.find(provider => provider.models.some(entry => entry.id === wanted));
+    const chain = primary ? [{ provider: primary, model: wanted }] : [];
+    for (const provider of providers) {
+        if (provider !== primary && provider.fallback) {
+            chain.push({ provider, model: provider.models[0].id });
+        }
+    }
+    return chain;
+}
+
+/**
+ * Handles GET /api/models: the models the browser may choose from.
+ * @param {Request} request
+ * @param {object} env - Environment object
+ * @returns {Promise<Response>}
+ */
+async function handleModelsRequest(request, env) {
+    const jsonHeaders = { ...corsHeaders, 'Content-Type': 'application/json' };
+    const { loginCode, errorResponse } = await parseAuthenticatedRequest(request, env, jsonHeaders);
+    if (errorResponse) {
+        return errorResponse;
+    }
+
+    const providers = loadLlmProviders(env);
+    const models = [];
+    for (const provider of providers) {
+        for (const model of provider.models) {
+            if (!models.some(entry => entry.id === model.id)) {
+                models.push({ id: model.id, label: model.label, provider: provider.id });
+            }
+        }
+    }
+    // The code's own default model wins while it is still offered (see User Settings)
+    const defaultModel = resolveTurnModel(env, undefined, await loadSettings(env, loginCode));
+    return new Response(JSON.stringify({ success: true, models, default: defaultModel }), { status: 200, headers: jsonHeaders });
+}
+
+/**
+ * Creates the error thrown for a failed upstream attempt.
+ * @param {string} message
+ * @param {number|null} status - Upstream HTTP status (null for network errors)
+ * @param {number|null} [retryAfterMs] - Delay requested by the upstream's Retry-After header
+ * @returns {Error}
+ */
+function createLlmError(message, status, retryAfterMs = null) {
+    const error = new Error(message);
+    error.status = status;
+    error.retryAfterMs = retryAfterMs;
+    return error;
+}
+
+/**
+ * @param {Error} error - Error from requestFromProvider
+ * @returns {boolean} Whether trying the same provider again may help
+ */
+function isRetryableLlmError(error) {
+    return error.status === null || error.status === 429 || error.status >= 500;
+}
+
+/**
+ * Sends one request to one provider, without retries.
+ * @param {object} env - Environment object
+ * @param {object} provider - Provider from loadLlmProviders
+ * @param {string} model
+ * @param {Array<{role: string, content: string}>} llmMessages
+ * @param {boolean} stream
+ * @returns {Promise<Response>} OpenAI-shaped response
+ * @throws {Error} With `status` and `retryAfterMs` (see createLlmError)
+ */
+async function requestFromProvider(env, provider, model, llmMessages, stream) {
+    if (provider.type === 'mock') {
+        return createMockCompletion(provider, llmMessages, stream);
+    }
+
+    const apiKey = env[provider.api_key_env || (provider.type === 'anthropic' ? 'ANTHROPIC_API_KEY' : 'OPENAI_API_KEY')];
+    let upstream;
+    try {
+        if (provider.type === 'anthropic') {
+            const system = llmMessages.filter(message => message.role === 'system').map(message => message.content).join('\n\n');
+            upstream = await fetch(`${provider.endpoint}/messages`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'x-api-key': apiKey,
+                    'anthropic-version': ANTHROPIC_VERSION,
+                },
+                body: JSON.stringify({
+                    model,
+                    system: system || undefined,
+                    messages: toAnthropicMessages(llmMessages),
+                    max_tokens: Number(provider.max_tokens) || DEFAULT_ANTHROPIC_MAX_TOKENS,
+                    stream,
+                }),
+            });
+        } else {
+            upstream = await fetch(`${provider.endpoint}/chat/completions`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${apiKey}`
+                },
+                body: JSON.stringify({
+                    model,
+                    messages: llmMessages,
+                    stream: stream,
+                    // Ask for a final usage chunk so streamed turns can be accounted exactly
+                    ...(stream ? { stream_options: { include_usage: true } } : {})
+                }),
+            });
+        }
+    } catch (networkError) {
+        throw createLlmError(`LLM API 连接失败: ${networkError.message}`, null);
+    }
+
+    if (!upstream.ok) {
+        const errorBody = await upstream.text();
+        console.error(`LLM API request to ${provider.id} (${model}) failed with status ${upstream.status}: ${errorBody}`);
+        const retryAfter = Number(upstream.headers.get('Retry-After'));
+        throw createLlmError(`LLM API 错误 (${upstream.status})`, upstream.status, retryAfter > 0 ? retryAfter * 1000 : null);
+    }
+
+    if (provider.type === 'anthropic') {
+        return stream ? convertAnthropicStream(upstream) : convertAnthropicJson(await upstream.json());
+    }
+    return upstream;
+}
+
+/**
+ * Converts chat messages to Anthropic's format: system messages are sent separately and
+ * consecutive messages of the same role are merged (the API requires alternating roles).
+ * @param {Array<{role: string, content: string}>} llmMessages
+ * @returns {Array<{role: string, content: string}>}
+ */
+function toAnthropicMessages(llmMessages) {
+    const messages = [];
+    for (const message of llmMessages) {
+        if (message.role === 'system') {
+            continue;
+        }
+        const last = messages[messages.length - 1];
+        if (last && last.role === message.role) {
+            last.content += `\n\n${message.content}`;
+        } else {
+            messages.push({ role: message.role, content: message.content });
+        }
+    }
+    if (messages.length > 0 && messages[0].role !== 'user') {
+        messages.unshift({ role: 'user', content: '（继续）' });
+    }
+    return messages;
+}
+
+/**
+ * @param {string} content - Reply text
+ * @param {{prompt_tokens: number, completion_tokens: number}} usage
+ * @returns {object} An OpenAI chat-completions JSON body
+ */
+function buildCompletionBody(content, usage) {
+    return {
+        choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+        usage: { ...usage, total_tokens: usage.prompt_tokens + usage.completion_tokens },
+    };
+}
+
+/**
+ * Converts a non-streaming Anthropic messages response.
+ * @param {object} data - Anthropic response body
+ * @returns {Response}
+ */
+function convertAnthropicJson(data) {
+    const content = (data.content || []).filter(block => block.type === 'text').map(block => block.text).join('');
+    const body = buildCompletionBody(content, {
+        prompt_tokens: data.usage?.input_tokens || 0,
+        completion_tokens: data.usage?.output_tokens || 0,
+    });
+    return new Response(JSON.stringify(body), { headers: { 'Content-Type': 'application/json' } });
+}
+
+/**
+ * Converts an Anthropic SSE stream into OpenAI-style `data:` chunks.
+ * @param {Response} upstream - Streaming Anthropic response
+ * @returns {Response}
+ */
+function convertAnthropicStream(upstream) {
+    const encoder = new TextEncoder();
+    const decoder = new TextDecoder();
+    const usage = { prompt_tokens: 0, completion_tokens: 0 };
+    let buffer = '';
+
+    const emit = (controller, data) => controller.enqueue(encoder.encode(`data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`));
+    const handleLine = (line, controller) => {
+        if (!line.startsWith('data:')) {
+            return;
+        }
+        let event;
+        try {
+            event = JSON.parse(line.slice(5).trim());
+        } catch (parseError) {
+            return;
+        }
+        if (event.type === 'message_start') {
+            usage.prompt_tokens = event.message?.usage?.input_tokens || 0;
+        } else if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+            emit(controller, { choices: [{ index: 0, delta: { content: event.delta.text } }] });
+        } else if (event.type === 'message_delta') {
+            usage.completion_tokens = event.usage?.output_tokens || usage.completion_tokens;
+        } else if (event.type === 'message_stop') {
+            emit(controller, { choices: [], usage: { ...usage, total_tokens: usage.prompt_tokens + usage.completion_tokens } });
+            emit(controller, '[DONE]');
+        } else if (event.type === 'error') {
+            throw new Error(event.error?.message || 'Anthropic stream error');
+        }
+    };
+
+    const body = upstream.body.pipeThrough(new TransformStream({
+        transform(chunk, controller) {
+            buffer += decoder.decode(chunk, { stream: true });
+            const lines = buffer.split(/\r?\n/);
+            buffer = lines.pop();
+            lines.forEach(line => handleLine(line, controller));
+        },
+        flush(controller) {
+            if (buffer) {
+                handleLine(buffer, controller);
+            }
+        },
+    }));
+    return new Response(body, { headers: { 'Content-Type': 'text/event-stream' } });
+}
+
+/**
+ * Produces a canned reply without any network call (for local development and demos).
+ * Uses the provider's `reply` setting, or echoes the last user message.
+ * @param {object} provider - Mock provider config
+ * @param {Array<{role: string, content: string}>} llmMessages
+ * @param {boolean} stream
+ * @returns {Response}
+ */
+function createMockCompletion(provider, llmMessages, stream) {
+    const lastUser = [...llmMessages].reverse().find(message => message.role === 'user');
+    const content = provider.reply || `（模拟回复）已收到：${lastUser ? lastUser.content.slice(0, 200) : ''}`;
+    const usage = estimateUsage(llmMessages, content);
+    if (!stream) {
+        return new Response(JSON.stringify(buildCompletionBody(content, usage)), { headers: { 'Content-Type': 'application/json' } });
+    }
+    const chunks = content.match(/[\s\S]{1,8}/g) || [];
+    const frames = chunks.map(text => `data: ${JSON.stringify({ choices: [{ index: 0, delta: { content: text } }] })}\n\n`);
+    frames.push(`data: ${JSON.stringify({ choices: [], usage: { prompt_tokens: usage.prompt_tokens, completion_tokens: usage.completion_tokens, total_tokens: usage.total_tokens } })}\n\n`);
+    frames.push('data: [DONE]\n\n');
+    return new Response(frames.join(''), { headers: { 'Content-Type': 'text/event-stream' } });
+}
+
+// --- Message History (IDs, workflow snapshots, regenerate / edit / delete) ---
+//
+// Every history entry is { id, role, content, created_at }. User messages additionally keep the
+// `action` they were sent with and a `workflow_snapshot` of the workflow fields from just before
+// the turn, so a turn can be undone or re-run. Only { role, content } is ever sent upstream.
+
+/**
+ * Creates a history entry with a stable ID and timestamp.
+ * @param {'user'|'assistant'} role
+ * @param {string} content
+ * @param {object} [extra] - Additional fields (e.g. action, workflow_snapshot)
+ * @returns {{id: string, role: string, content: string, created_at: string}}
+ */
+function createHistoryMessage(role, content, extra = {}) {
+    return { id: crypto.randomUUID(), role, content, created_at: new Date().toISOString(), ...extra };
+}
+
+/**
+ * Captures the workflow fields needed to rewind a conversation to the current point.
+ * Confirmed chapters only ever grow, so their count is enough to restore them.
+ * @param {object} state - Conversation state
+ * @returns {object}
+ */
+function captureWorkflowSnapshot(state) {
+    return {
+        status: state.status,
+        current_chapter_index: state.current_chapter_index,
+        estimated_chapters: state.estimated_chapters,
+        outline_draft: state.outline_draft,
+        approved_outline: state.approved_outline,
+        confirmed_chapters: state.confirmed_chapters.length,
+        last_chapter_content: state.last_chapter_content,
+    };
+}
+
+/**
+ * Rewinds the workflow fields to a snapshot taken by captureWorkflowSnapshot.
+ * @param {object} state - Conversation state (modified in place)
+ * @param {object|undefined} snapshot - Snapshot stored on a user message (missing on legacy messages)
+ */
+function restoreWorkflowSnapshot(state, snapshot) {
+    if (!snapshot) {
+        return;
+    }
+    state.status = snapshot.status;
+    state.current_chapter_index = snapshot.current_chapter_index;
+    state.estimated_chapters = snapshot.estimated_chapters;
+    state.outline_draft = snapshot.outline_draft;
+    state.approved_outline = snapshot.approved_outline;
+    state.confirmed_chapters = state.confirmed_chapters.slice(0, snapshot.confirmed_chapters);
+    state.last_chapter_content = snapshot.last_chapter_content;
+}
+
+/**
+ * Removes history entries from `start` (inclusive) to `end` (exclusive, default: the end of the
+ * history). A rolling summary that covers removed messages is dropped and rebuilt when needed.
+ * @param {object} state - Conversation state (modified in place)
+ * @param {number} start
+ * @param {number} [end]
+ */
+function removeHistoryRange(state, start, end = state.conversation_history.length) {
+    state.conversation_history.splice(start, end - start);
+    if (state.history_summary && state.history_summary.covered_messages > start) {
+        state.history_summary = null;
+    }
+}
+
+/**
+ * Strips a history for the browser (no workflow snapshots). Failed messages keep their status and error.
+ * @param {Array<object>} history - conversation_history
+ * @returns {Array<{id: string, role: string, content: string, created_at: string|null, status?: string, error?: object}>}
+ */
+function toClientHistory(history) {
+    return history.map(message => ({
+        id: message.id,
+        role: message.role,
+        content: message.content,
+        created_at: message.created_at || null,
+        status: message.status,
+        error: message.error,
+        revised: message.revised_content !== undefined,
+    }));
+}
+
+/**
+ * Strips a history down to what the upstream API accepts. Failed messages are left out.
+ * @param {Array<object>} history - conversation_history
+ * @returns {Array<{role: string, content: string}>}
+ */
+function toLlmMessages(history) {
+    return history
+        .filter(message => message.status !== 'failed')
+        .map(message => ({ role: message.role, content: llmMessageContent(message) }));
+}
+
+/**
+ * The text of a history message as the model gets to see it: a chapter the user has edited in the
+ * paper editor is sent in its revised form (the chat window keeps showing the original reply).
+ * @param {{content: string, revised_content?: string}} message
+ * @returns {string}
+ */
+function llmMessageContent(message) {
+    return message.revised_content ?? message.content;
+}
+
+/**
+ * Loads the conversation and message addressed by a /api/conversations/<id>/messages/<messageId> route.
+ * @param {Request} request
+ * @param {object} env - Environment object
+ * @param {string} conversationId
+ * @param {string} messageId
+ * @param {object} jsonHeaders
+ * @returns {Promise<{loginCode?: string, payload?: object, state?: object, position?: number, errorResponse?: Response}>}
+ */
+async function loadMessageTarget(request, env, conversationId, messageId, jsonHeaders) {
+    const { loginCode, payload, errorResponse } = await parseAuthenticatedRequest(request, env, jsonHeaders);
+    if (errorResponse) {
+        return { errorResponse };
+    }
+
+    const index = await loadConversationIndex(env, loginCode);
+    let state = null;
+    if (index && index.conversations.some(item => item.id === conversationId)) {
+        try {
+            state = await loadConversation(env, loginCode, conversationId);
+        } catch (parseError) {
+            console.error(`Error parsing conversation ${conversationId} for ${loginCode}:`, parseError);
+            return { errorResponse: new Response(JSON.stringify({ success: false, error: describeStateError(parseError), code: parseError.code }), { status: 500, headers: jsonHeaders }) };
+        }
+    }
+    if (!state) {
+        return { errorResponse: new Response(JSON.stringify({ success: false, error: '对话不存在' }), { status: 404, headers: jsonHeaders }) };
+    }
+
+    const position = state.conversation_history.findIndex(message => message.id === messageId);
+    if (position === -1) {
+        return { errorResponse: new Response(JSON.stringify({ success: false, error: '消息不存在' }), { status: 404, headers: jsonHeaders }) };
+    }
+    return { loginCode, payload, state, position };
+}
+
+/**
+ * Handles POST /api/conversations/<id>/messages/<messageId>/regenerate: discards the last
+ * assistant reply and asks the model again for the same user message (workflow rewound first).
+ * Body: { model?, stream? }. Responds like /api/chat.
+ * @param {Request} request
+ * @param {object} env - Environment object
+ * @param {object} context - Pages Functions context
+ * @param {string} conversationId
+ * @param {string} messageId - ID of the last assistant message
+ * @returns {Promise<Response>}
+ */
+async function handleRegenerateMessageRequest(request, env, context, conversationId, messageId) {
+    const jsonHeaders = { ...corsHeaders, 'Content-Type': 'application/json' };
+    const { loginCode, payload, state, position, errorResponse } = await loadMessageTarget(request, env, conversationId, messageId, jsonHeaders);
+    if (errorResponse) {
+        return errorResponse;
+    }
+
+    const history = state.conversation_history;
+    if (history[position].role !== 'assistant' || position !== history.length - 1) {
+        return new Response(JSON.stringify({ success: false, error: '只能重新生成最后一条回复' }), { status: 409, headers: jsonHeaders });
+    }
+    const userPosition = history.map(message => message.role).lastIndexOf('user', position);
+    if (userPosition === -1) {
+        return new Response(JSON.stringify({ success: false, error: '找不到对应的用户消息' }), { status: 409, headers: jsonHeaders });
+    }
+
+    const { authRecord, errorResponse: admitError } = await admitChatTurn(env, loginCode, jsonHeaders);
+    if (admitError) {
+        return admitError;
+    }
+
+    const userMessage = history[userPosition];
+    console.log(`Regenerating reply ${messageId} in ${loginCode}/${conversationId}.`);
+    restoreWorkflowSnapshot(state, userMessage.workflow_snapshot);
+    removeHistoryRange(state, userPosition);
+    return await runChatTurn(env, context, {
+        loginCode,
+        conversationId,
+        currentState: state,
+        authRecord,
+        userMessage: userMessage.content,
+        action: userMessage.action,
+        lengthAdjustment: userMessage.length_adjustment === true,
+        model: payload.model,
+        stream: payload.stream === true,
+    }, jsonHeaders);
+}
+
+/**
+ * Handles PATCH /api/conversations/<id>/messages/<messageId>: replaces a user message and re-runs
+ * the conversation from there. Later turns are discarded and the workflow is rewound to the state
+ * before the edited message. Body: { content, model?, stream? }. Responds like /api/chat.
+ * @param {Request} request
+ * @param {object} env - Environment object
+ * @param {object} context - Pages Functions context
+ * @param {string} conversationId
+ * @param {string} messageId - ID of a user message
+ * @returns {Promise<Response>}
+ */
+async function handleEditMessageRequest(request, env, context, conversationId, messageId) {
+    const jsonHeaders = { ...corsHeaders, 'Content-Type': 'application/json' };
+    const { loginCode, payload, state, position, errorResponse } = await loadMessageTarget(request, env, conversationId, messageId, jsonHeaders);
+    if (errorResponse) {
+        return errorResponse;
+    }
+
+    const content = typeof payload.content === 'string' ? payload.content.trim() : '';
+    if (!content) {
+        return new Response(JSON.stringify({ success: false, error: '消息内容不能为空' }), { status: 400, headers: jsonHeaders });
+    }
+    const original = state.conversation_history[position];
+    if (original.role !== 'user') {
+        return new Response(JSON.stringify({ success: false, error: '只能编辑用户消息' }), { status: 409, headers: jsonHeaders });
+    }
+
+    const { authRecord, errorResponse: admitError } = await admitChatTurn(env, loginCode, jsonHeaders);
+    if (admitError) {
+        return admitError;
+    }
+
+    console.log(`Editing message ${messageId} in ${loginCode}/${conversationId}; dropping ${state.conversation_history.length - position} messages.`);
+    restoreWorkflowSnapshot(state, original.workflow_snapshot);
+    removeHistoryRange(state, position);
+    return await runChatTurn(env, context, {
+        loginCode,
+        conversationId,
+        currentState: state,
+        authRecord,
+        userMessage: content,
+        model: payload.model,
+        stream: payload.stream === true,
+    }, jsonHeaders);
+}
+
+/**
+ * Handles DELETE /api/conversations/<id>/messages/<messageId>: deletes the whole turn the message
+ * belongs to (the user message and its replies). Deleting the latest turn also rewinds the
+ * workflow; deleting an earlier turn only removes it from the history.
+ * @param {Request} request
+ * @param {object} env - Environment object
+ * @param {string} conversationId
+ * @param {string} messageId
+ * @returns {Promise<Response>}
+ */
+async function handleDeleteMessageRequest(request, env, conversationId, messageId) {
+    const jsonHeaders = { ...corsHeaders, 'Content-Type': 'application/json' };
+    const { loginCode, state, position, errorResponse } = await loadMessageTarget(request, env, conversationId, messageId, jsonHeaders);
+    if (errorResponse) {
+        return errorResponse;
+    }
+
+    const history = state.conversation_history;
+    const roles = history.map(message => message.role);
+    const start = roles[position] === 'user' ? position : Math.max(0, roles.lastIndexOf('user', position));
+    const nextUser = roles.indexOf('user', start + 1);
+    const end = nextUser === -1 ? history.length : nextUser;
+
+    if (end === history.length && history[start].role === 'user') {
+        restoreWorkflowSnapshot(state, history[start].workflow_snapshot);
+    }
+    removeHistoryRange(state, start, end);
+    await saveChatState(env, loginCode, conversationId, state);
+    console.log(`Deleted ${end - start} messages from ${loginCode}/${conversationId}.`);
+
+    return new Response(JSON.stringify({
+        success: true,
+        conversation_id: conversationId,
+        deleted: end - start,
+        history: toClientHistory(state.conversation_history),
+        state: summarizeState(state),
+    }), { status: 200, headers: jsonHeaders });
+}
+
+// --- Chat Errors ---
+//
+// Chat routes answer errors as { success: false, error, code, ... }. `error` is shown to the user,
+// `code` is meant for the client:
+// - INVALID_REQUEST, CONVERSATION_NOT_FOUND, MODEL_NOT_SUPPORTED, RETRY_NOT_ALLOWED, SERVER_ERROR
+// - RATE_LIMITED, QUOTA_EXCEEDED (HTTP 429, nothing was stored)
+// - LLM_UNAVAILABLE, LLM_RATE_LIMITED, LLM_INVALID_RESPONSE, LLM_STREAM_INTERRUPTED, LLM_ERROR
+//   (HTTP 502 / SSE error event; the user message is stored with status 'failed' and can be
+//   resent with { retry_message_id } when `retryable` is true)
+// Failed user messages stay visible in the history but are never sent to the model.
+
+/**
+ * Builds a JSON error response for the chat routes.
+ * @param {number} status - HTTP status
+ * @param {string} code - Machine-readable error code
+ * @param {string} error - Message shown to the user
+ * @param {object} jsonHeaders
+ * @param {object} [extra] - Additional response fields
+ * @returns {Response}
+ */
+function chatErrorResponse(status, code, error, jsonHeaders, extra = {}) {
+    return new Response(JSON.stringify({ success: false, error, code, ...extra }), { status, headers: jsonHeaders });
+}
+
+/**
+ * Maps an upstream failure to the error fields sent to the browser.
+ * @param {Error} llmError - Error from fetchChatCompletion or from reading its reply
+ * @returns {{error: string, code: string, retryable: boolean}}
+ */
+function describeChatFailure(llmError) {
+    let code = llmError.code;
+    if (!code) {
+        if (llmError.status === 429) {
+            code = 'LLM_RATE_LIMITED';
+        } else if (llmError.status === null || llmError.status === undefined || llmError.status >= 500) {
+            code = 'LLM_UNAVAILABLE';
+        } else {
+            code = 'LLM_ERROR'; // Upstream rejected the request itself; resending it will not help
+        }
+    }
+    return { error: `调用 AI 服务时出错: ${llmError.message}`, code, retryable: code !== 'LLM_ERROR' };
+}
+
+/**
+ * Marks a user message whose turn failed. The workflow is not advanced for it.
+ * @param {object} userEntry - History entry of the user message (modified in place)
+ * @param {Error} llmError
+ */
+function markTurnFailed(userEntry, llmError) {
+    const { error, code, retryable } = describeChatFailure(llmError);
+    userEntry.status = 'failed';
+    userEntry.error = { code, message: error, retryable };
+}
+
+/**
+ * Stores a failed turn and answers with a 502 error response.
+ * @param {object} env - Environment object
+ * @param {string} loginCode
+ * @param {string} conversationId
+ * @param {object} currentState - Conversation state ending with the failed user message
+ * @param {object} userEntry - History entry of the user message
+ * @param {Error} llmError
+ * @param {object} jsonHeaders
+ * @returns {Promise<Response>}
+ */
+async function failChatTurn(env, loginCode, conversationId, currentState, userEntry, llmError, jsonHeaders) {
+    markTurnFailed(userEntry, llmError);
+    await saveChatState(env, loginCode, conversationId, currentState);
+    return chatErrorResponse(502, userEntry.error.code, userEntry.error.message, jsonHeaders, {
+        retryable: userEntry.error.retryable,
+        conversation_id: conversationId,
+        user_message_id: userEntry.id,
+        state: summarizeState(currentState),
+    });
+}
+
+// --- Reference Library & Citations ---
+//
+// Every conversation (one paper) has its own reference library, stored under
+// `<code>:references:<conversationId>` as { references: [...], updated_at }. Entries come from
+// BibTeX/RIS imports or the form in the UI and are normalised to:
+// { key, type, authors: [..], title, container, year, volume, issue, pages, publisher, address,
+//   doi, url, accessed, added_at }
+// The library is listed in the system prompt and the model cites entries as [@key] (several as
+// [@a; @b]). On export the markers become in-text citations and a bibliography is appended.
+
+const MAX_REFERENCES = 200;
+const MAX_REFERENCE_IMPORT_CHARS = 200000;
+const MAX_REFERENCE_FIELD_LENGTH = 1000;
+const REFERENCE_TYPES = ['article', 'book', 'inbook', 'inproceedings', 'thesis', 'report', 'online', 'misc'];
+const REFERENCE_FIELDS = ['title', 'container', 'year', 'volume', 'issue', 'pages', 'publisher', 'address', 'doi', 'url', 'accessed'];
+// Keys end up in [@key] markers and in URLs, so brackets, separators and slashes are not allowed
+const REFERENCE_KEY_PATTERN = /^[^\s,;@\[\]{}\/?#%]+$/;
+const CITATION_STYLES = {
+    gbt7714: { label: 'GB/T 7714', numeric: true },
+    apa: { label: 'APA', numeric: false },
+    ieee: { label: 'IEEE', numeric: true },
+};
+const DEFAULT_CITATION_STYLE = 'gbt7714';
+// [@key] or [@a; @b] as written by the model
+const CITATION_MARKER_PATTERN = /\[(@[^\[\]\n]+)\]/g;
+
+const BIBTEX_TYPE_MAP = {
+    article: 'article',
+    book: 'book',
+    inbook: 'inbook',
+    incollection: 'inbook',
+    inproceedings: 'inproceedings',
+    conference: 'inproceedings',
+    phdthesis: 'thesis',
+    mastersthesis: 'thesis',
+    thesis: 'thesis',
+    techreport: 'report',
+    report: 'report',
+    online: 'online',
+    electronic: 'online',
+    www: 'online',
+};
+const RIS_TYPE_MAP = {
+    JOUR: 'article',
+    JFULL: 'article',
+    MGZN: 'article',
+    BOOK: 'book',
+    EBOOK: 'book',
+    CHAP: 'inbook',
+    ECHAP: 'inbook',
+    CONF: 'inproceedings',
+    CPAPER: 'inproceedings',
+    THES: 'thesis',
+    RPRT: 'report',
+    ELEC: 'online',
+    WEB: 'online',
+};
+
+/**
+ * @param {string} loginCode
+ * @param {string} conversationId
+ * @returns {string} KV key of a conversation's reference library
+ */
+function referencesKey(loginCode, conversationId) {
+    return `${loginCode}:references:${conversationId}`;
+}
+
+/**
+ * Loads the reference library of a conversation.
+ * @param {object} env - Contains KV_NAMESPACE binding
+ * @param {string} loginCode
+ * @param {string} conversationId
+ * @returns {Promise<Array<object>>} Empty if there is none (or it cannot be read)
+ */
+async function loadReferences(env, loginCode, conversationId) {
+    const stored = await env.KV_NAMESPACE.get(referencesKey(loginCode, conversationId));
+    if (!stored) {
+        return [];
+    }
+    try {
+        const library = JSON.parse(stored);
+        return Array.isArray(library.references) ? library.references : [];
+    } catch (parseError) {
+        console.error(`Error parsing references of ${loginCode}/${conversationId}:`, parseError);
+        return [];
+    }
+}
+
+/**
+ * @param {object} env - Contains KV_NAMESPACE binding
+ * @param {string} loginCode
+ * @param {string} conversationId
+ * @param {Array<object>} references
+ * @returns {Promise<void>}
+ */
+async function saveReferences(env, loginCode, conversationId, references) {
+    await env.KV_NAMESPACE.put(referencesKey(loginCode, conversationId), JSON.stringify({
+        references,
+        updated_at: new Date().toISOString(),
+    }));
+}
+
+/**
+ * Handles /api/conversations/<id>/references[/<key>]:
+ * - GET lists the library
+ * - POST adds entries: { text, format? ('bibtex' | 'ris', detected if omitted) } imports a file,
+ *   { entry: { type, authors, title, ... } } adds one from the form. An entry whose key (or title)
+ *   is already in the library replaces it.
+ * - DELETE /<key> removes one entry
+ * @param {Request} request
+ * @param {object} env - Environment object
+ * @param {string} conversationId
+ * @param {string|null} referenceKey - Decoded key from the path, if any
+ * @returns {Promise<Response>}
+ */
+async function handleReferencesRequest(request, env, conversationId, referenceKey) {
+    const jsonHeaders = { ...corsHeaders, 'Content-Type': 'application/json' };
+    const { loginCode, payload, errorResponse } = await parseAuthenticatedRequest(request, env, jsonHeaders);
+    if (errorResponse) {
+        return errorResponse;
+    }
+
+    const index = await loadConversationIndex(env, loginCode);
+    if (!index || !index.conversations.some(item => item.id === conversationId)) {
+        return new Response(JSON.stringify({ success: false, error: '对话不存在' }), { status: 404, headers: jsonHeaders });
+    }
+    const references = await loadReferences(env, loginCode, conversationId);
+
+    if (request.method === 'GET' && !referenceKey) {
+        return new Response(JSON.stringify({ success: true, references, styles: listCitationStyles() }), { status: 200, headers: jsonHeaders });
+    }
+
+    if (request.method === 'DELETE' && referenceKey) {
+        const remaining = references.filter(entry => entry.key !== referenceKey);
+        if (remaining.length === references.length) {
+            return new Response(JSON.stringify({ success: false, error: '文献不存在' }), { status: 404, headers: jsonHeaders });
+        }
+        await saveReferences(env, loginCode, conversationId, remaining);
+        console.log(`Removed reference ${referenceKey} from ${loginCode}/${conversationId}.`);
+        return new Response(JSON.stringify({ success: true, references: remaining }), { status: 200, headers: jsonHeaders });
+    }
+
+    if (request.method !== 'POST' || referenceKey) {
+        return new Response(JSON.stringify({ success: false, error: 'API route not found' }), { status: 404, headers: jsonHeaders });
+    }
+
+    let parsed;
+    if (typeof payload.text === 'string' && payload.text.trim()) {
+        if (payload.text.length > MAX_REFERENCE_IMPORT_CHARS) {
+            return new Response(JSON.stringify({ success: false, error: '导入内容过长' }), { status: 413, headers: jsonHeaders });
+        }
+        const format = payload.format || (/^\s*TY\s{2}-/m.test(payload.text) ? 'ris' : 'bibtex');
+        if (format !== 'bibtex' && format !== 'ris') {
+            return new Response(JSON.stringify({ success: false, error: '仅支持 BibTeX 或 RIS 格式' }), { status: 400, headers: jsonHeaders });
+        }
+        parsed = format === 'ris' ? parseRis(payload.text) : parseBibtex(payload.text);
+    } else if (payload.entry && typeof payload.entry === 'object') {
+        parsed = [payload.entry];
+    } else {
+        return new Response(JSON.stringify({ success: false, error: '请提供要导入的文献' }), { status: 400, headers: jsonHeaders });
+    }
+
+    const entries = parsed.map(normalizeReference).filter(Boolean);
+    if (entries.length === 0) {
+        return new Response(JSON.stringify({ success: false, error: '未能识别任何文献（每条文献至少需要标题）' }), { status: 400, headers: jsonHeaders });
+    }
+
+    const added = [];
+    const updated = [];
+    for (const entry of entries) {
+        const existing = references.findIndex(item => (entry.key && item.key === entry.key)
+            || item.title.toLowerCase() === entry.title.toLowerCase());
+        if (existing !== -1) {
+            references[existing] = { ...entry, key: references[existing].key, added_at: references[existing].added_at };
+            updated.push(references[existing].key);
+            continue;
+        }
+        if (references.length >= MAX_REFERENCES) {
+            return new Response(JSON.stringify({ success: false, error: `每篇论文最多 ${MAX_REFERENCES} 条文献` }), { status: 400, headers: jsonHeaders });
+        }
+        const taken = new Set(references.map(item => item.key));
+        entry.key = entry.key && !taken.has(entry.key) ? entry.key : generateReferenceKey(entry, taken);
+        entry.added_at = new Date().toISOString();
+        references.push(entry);
+        added.push(entry.key);
+    }
+
+    await saveReferences(env, loginCode, conversationId, references);
+    console.log(`Reference import for ${loginCode}/${conversationId}: ${added.length} added, ${updated.length} updated, ${parsed.length - entries.length} skipped.`);
+    return new Response(JSON.stringify({
+        success: true,
+        added,
+        updated,
+        skipped: parsed.length - entries.length,
+        references,
+    }), { status: 200, headers: jsonHeaders });
+}
+
+/**
+ * @returns {Array<{id: string, label: string}>} Citation styles offered for export
+ */
+function listCitationStyles() {
+    return Object.entries(CITATION_STYLES).map(([id, style]) => ({ id, label: style.label }));
+}
+
+/**
+ * Strips BibTeX markup (braces, escapes, simple commands) from a field value.
+ * @param {string} value
+ * @returns {string}
+ */
+function cleanBibtexValue(value) {
+    return value
+        .replace(/\\[a-zA-Z]+\s*(?=\{)/g, '') // \textit{...} -> {...}
+        .replace(/\\([&%$#_{}])/g, '$1')
+        .replace(/[{}]/g, '')
+        .replace(/~/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Parses BibTeX entries. @string, @preamble and @comment blocks are skipped, and so are
+ * string-macro values.
+ * @param {string} text
+ * @returns {Array<object>} Raw entries for normalizeReference
+ */
+function parseBibtex(text) {
+    const entries = [];
+    const entryPattern = /@(\w+)\s*\{/g;
+    let match;
+    while ((match = entryPattern.exec(text)) !== null) {
+        // Find the brace that closes this entry
+        let depth = 1;
+        let end = entryPattern.lastIndex;
+        while (end < text.length && depth > 0) {
+            if (text[end] === '{') {
+                depth++;
+            } else if (text[end] === '}') {
+                depth--;
+            }
+            end++;
+        }
+        const body = text.slice(entryPattern.lastIndex, end - 1);
+        entryPattern.lastIndex = end;
+
+        const bibType = match[1].toLowerCase();
+        if (['string', 'preamble', 'comment'].includes(bibType)) {
+            continue;
+        }
+        const comma = body.indexOf(',');
+        if (comma === -1) {
+            continue;
+        }
+
+        const fields = {};
+        let i = comma + 1;
+        while (i < body.length) {
+            const nameMatch = /^[\s,]*([\w-]+)\s*=\s*/.exec(body.slice(i));
+            if (!nameMatch) {
+                break;
+            }
+            i += nameMatch[0].length;
+            let value = '';
+            // A value is one or more parts joined with #: {braced}, "quoted" or a bare number/macro
+            while (i < body.length) {
+                if (body[i] === '{') {
+                    let nested = 0;
+                    let j = i;
+                    for (; j < body.length; j++) {
+                        if (body[j] === '{') {
+                            nested++;
+                        } else if (body[j] === '}' && --nested === 0) {
+                            break;
+                        }
+                    }
+                    value += body.slice(i + 1, j);
+                    i = j + 1;
+                } else if (body[i] === '"') {
+                    // Quotes inside braces do not end the value
+                    let nested = 0;
+                    let j = i + 1;
+                    for (; j < body.length; j++) {
+                        if (body[j] === '{') {
+                            nested++;
+                        } else if (body[j] === '}') {
+                            nested--;
+                        } else if (body[j] === '"' && nested === 0) {
+                            break;
+                        }
+                    }
+                    value += body.slice(i + 1, j);
+                    i = j + 1;
+                } else {
+                    const bare = /^[^,#}\s]*/.exec(body.slice(i))[0];
+                    value += /^\d+$/.test(bare) ? bare : '';
+                    i += bare.length;
+                }
+                const joiner = /^\s*#\s*/.exec(body.slice(i));
+                if (!joiner) {
+                    break;
+                }
+                i += joiner[0].length;
+            }
+            fields[nameMatch[1].toLowerCase()] = cleanBibtexValue(value);
+        }
+
+        entries.push({
+            key: body.slice(0, comma).trim(),
+            type: BIBTEX_TYPE_MAP[bibType] || 'misc',
+            authors: fields.author ? fields.author.split(/\s+and\s+/i) : [],
+            title: fields.title,
+            container: fields.journal || fields.journaltitle || fields.booktitle,
+            year: fields.year || (fields.date || '').slice(0, 4),
+            volume: fields.volume,
+            issue: fields.number || fields.issue,
+            pages: fields.pages,
+            publisher: fields.publisher || fields.school || fields.institution || fields.organization,
+            address: fields.address || fields.location,
+            doi: fields.doi,
+            url: fields.url,
+            accessed: fields.urldate,
+        });
+    }
+    return entries;
+}
+
+/**
+ * Parses RIS records ("TY  - JOUR" ... "ER  -").
+ * @param {string} text
+ * @returns {Array<object>} Raw entries for normalizeReference
+ */
+function parseRis(text) {
+    const entries = [];
+    let record = null;
+    for (const line of text.replace(/\r\n?/g, '\n').split('\n')) {
+        const match = line.match(/^([A-Z][A-Z0-9])\s{2}-\s?(.*)$/);
+        if (!match) {
+            continue;
+        }
+        const [, tag, rawValue] = match;
+        const value = rawValue.trim();
+        if (tag === 'TY') {
+            record = { type: RIS_TYPE_MAP[value.toUpperCase()] || 'misc', authors: [] };
+            continue;
+        }
+        if (!record) {
+            continue;
+        }
+        if (tag === 'ER') {
+            entries.push(record);
+            record = null;
+            continue;
+        }
+        switch (tag) {
+            case 'AU': case 'A1':
+                record.authors.push(value);
+                break;
+            case 'TI': case 'T1':
+                record.title = record.title || value;
+                break;
+            case 'JO': case 'JF': case 'T2': case 'JA': case 'BT':
+                record.container = record.container || value;
+                break;
+            case 'PY': case 'Y1': case 'DA':
+                record.year = record.year || (value.match(/\d{4}/) || [''])[0];
+                break;
+            case 'VL':
+                record.volume = value;
+                break;
+            case 'IS':
+                record.issue = value;
+                break;
+            case 'SP':
+                record.pages = record.pages ? `${value}-${record.pages}` : value;
+                break;
+            case 'EP':
+                record.pages = record.pages ? `${record.pages}-${value}` : value;
+                break;
+            case 'PB':
+                record.publisher = value;
+                break;
+            case 'CY':
+                record.address = value;
+                break;
+            case 'DO':
+                record.doi = value;
+                break;
+            case 'UR':
+                record.url = record.url || value;
+                break;
+            case 'Y2':
+                record.accessed = value;
+                break;
+            case 'ID':
+                record.key = value;
+                break;
+            default:
+                break;
+        }
+    }
+    return entries;
+}
+
+/**
+ * Validates and normalises an entry from an import or the form.
+ * @param {object} raw
+ * @returns {object|null} null if the entry has no title
+ */
+function normalizeReference(raw) {
+    const clean = value => (value === undefined || value === null ? '' : String(value).replace(/\s+/g, ' ').trim().slice(0, MAX_REFERENCE_FIELD_LENGTH));
+    const entry = { key: null, type: REFERENCE_TYPES.includes(raw.type) ? raw.type : 'misc' };
+    REFERENCE_FIELDS.forEach(field => {
+        entry[field] = clean(raw[field]);
+    });
+    if (!entry.title) {
+        return null;
+    }
+    const authors = Array.isArray(raw.authors) ? raw.authors : clean(raw.authors).split(/\s*[;；]\s*/);
+    entry.authors = authors.map(clean).filter(Boolean).slice(0, 50);
+    entry.pages = entry.pages.replace(/\s*[-–—]+\s*/g, '-');
+    entry.doi = entry.doi.replace(/^https?:\/\/(dx\.)?doi\.org\//i, '');
+    const key = clean(raw.key);
+    if (key && REFERENCE_KEY_PATTERN.test(key)) {
+        entry.key = key;
+    }
+    return entry;
+}
+
+/**
+ * Derives an unused citation key from the first author and the year, e.g. "smith2020", "smith2020a".
+ * @param {object} entry - Normalised entry
+ * @param {Set<string>} taken - Keys already in the library
+ * @returns {string}
+ */
+function generateReferenceKey(entry, taken) {
+    const family = entry.authors.length > 0 ? splitAuthorName(entry.authors[0]).family : '';
+    const base = `${family.replace(/[^\p{L}\p{N}]/gu, '').toLowerCase() || 'ref'}${entry.year}`;
+    let key = base;
+    for (let suffix = 0; taken.has(key); suffix++) {
+        key = `${base}${String.fromCharCode(97 + (suffix % 26))}${suffix >= 26 ? Math.floor(suffix / 26) : ''}`;
+    }
+    return key;
+}
+
+/**
+ * Splits an author name into family and given names. Accepts "Family, Given", "Given Family" and
+ * CJK names, which are kept whole.
+ * @param {string} name
+ * @returns {{family: string, given: string, cjk: boolean}}
+ */
+function splitAuthorName(name) {
+    const cjk = /[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af]/.test(name);
+    if (name.includes(',')) {
+        const [family, ...given] = name.split(',');
+        return { family: family.trim(), given: given.join(' ').trim(), cjk };
+    }
+    if (cjk) {
+        return { family: name.replace(/\s+/g, ''), given: '', cjk };
+    }
+    const parts = name.trim().split(/\s+/);
+    return { family: parts.pop(), given: parts.join(' '), cjk };
+}
+
+/**
+ * @param {string} given - Given names, e.g. "John Ronald"
+ * @param {string} separator - Put after every initial
+ * @returns {string[]} e.g. ["J", "R"] with separator "" or ["J.", "R."] with "."
+ */
+function nameInitials(given, separator) {
+    return given.split(/[\s.-]+/).filter(Boolean).map(part => `${part[0].toUpperCase()}${separator}`);
+}
+
+/**
+ * Formats the author list of a bibliography entry.
+ * @param {string[]} authors
+ * @param {string} style - Key of CITATION_STYLES
+ * @returns {string}
+ */
+function formatAuthorList(authors, style) {
+    const names = authors.map(splitAuthorName);
+    if (names.length === 0) {
+        return '';
+    }
+    if (style === 'gbt7714') {
+        // Up to three authors, then "et al." / "等"
+        const listed = names.slice(0, 3).map(name => (name.cjk
+            ? `${name.family}${name.given}`
+            : [name.family.toUpperCase(), nameInitials(name.given, '').join(' ')].filter(Boolean).join(' ')));
+        if (names.length > 3) {
+            listed.push(names[0].cjk ? '等' : 'et al');
+        }
+        return listed.join(', ');
+    }
+    if (style === 'apa') {
+        const formatted = names.map(name => (name.cjk
+            ? `${name.family}${name.given}`
+            : [name.family, nameInitials(name.given, '.').join(' ')].filter(Boolean).join(', ')));
+        if (formatted.length === 1) {
+            return formatted[0];
+        }
+        if (formatted.length > 20) {
+            return `${formatted.slice(0, 19).join(', ')}, ... ${formatted[formatted.length - 1]}`;
+        }
+        return `${formatted.slice(0, -1).join(', ')}, & ${formatted[formatted.length - 1]}`;
+    }
+    // IEEE
+    const formatted = names.map(name => (name.cjk
+        ? `${name.family}${name.given}`
+        : [nameInitials(name.given, '.').join(' '), name.family].filter(Boolean).join(' ')));
+    if (formatted.length > 6) {
+        return `${formatted[0]} et al.`;
+    }
+    if (formatted.length <= 2) {
+        return formatted.join(' and ');
+    }
+    return `${formatted.slice(0, -1).join(', ')}, and ${formatted[formatted.length - 1]}`;
+}
+
+/**
+ * Formats one bibliography entry as Markdown.
+ * @param {object} entry - Normalised entry
+ * @param {string} style - Key of CITATION_STYLES
+ * @returns {string}
+ */
+function formatReference(entry, style) {
+    const authors = formatAuthorList(entry.authors, style);
+    const place = [entry.address, entry.publisher].filter(Boolean).join(': ');
+
+    if (style === 'gbt7714') {
+        const code = { article: 'J', book: 'M', inbook: 'M', inproceedings: 'C', thesis: 'D', report: 'R', online: 'EB/OL', misc: 'Z' }[entry.type];
+        let text = `${authors ? `${authors}. ` : ''}${entry.title}[${code}]`;
+        if (entry.type === 'article') {
+            let source = [entry.container, entry.year].filter(Boolean).join(', ');
+            source += entry.volume ? `, ${entry.volume}` : '';
+            source += entry.issue ? `(${entry.issue})` : '';
+            source += entry.pages ? `: ${entry.pages}` : '';
+            text += source ? `. ${source}` : '';
+        } else if (entry.type === 'online') {
+            const date = `${entry.year ? `(${entry.year})` : ''}${entry.accessed ? `[${entry.accessed}]` : ''}`;
+            text += `${entry.container ? `. ${entry.container}` : ''}${date ? `. ${date}` : ''}${entry.url ? `. ${entry.url}` : ''}`;
+        } else {
+            const within = ['inbook', 'inproceedings'].includes(entry.type) && entry.container ? `//${entry.container}` : '';
+            const publication = [place, entry.year].filter(Boolean).join(', ');
+            text += `${within}${publication ? `. ${publication}` : ''}${entry.pages && within ? `: ${entry.pages}` : ''}`;
+        }
+        return `${text}.${entry.doi ? ` DOI:${entry.doi}.` : ''}`;
+    }
+
+    if (style === 'apa') {
+        const link = entry.doi ? ` https://doi.org/${entry.doi}` : (entry.url ? ` ${entry.url}` : '');
+        const head = authors ? `${authors} (${entry.year || 'n.d.'}).` : '';
+        if (entry.type === 'article') {
+            let source = entry.container ? `*${entry.container}*` : '';
+            source += entry.volume ? `, *${entry.volume}*` : '';
+            source += entry.issue ? `(${entry.issue})` : '';
+            source += entry.pages ? `, ${entry.pages}` : '';
+            const title = authors ? `${entry.title}.` : `${entry.title}. (${entry.year || 'n.d.'}).`;
+            return [head, title, source ? `${source}.` : ''].filter(Boolean).join(' ') + link;
+        }
+        if (['inbook', 'inproceedings'].includes(entry.type)) {
+            const within = entry.container ? `In *${entry.container}*${entry.pages ? ` (pp. ${entry.pages})` : ''}.` : '';
+            return [head, `${entry.title}.`, within, entry.publisher ? `${entry.publisher}.` : ''].filter(Boolean).join(' ') + link;
+        }
+        const title = `*${entry.title}*${entry.type === 'thesis' ? ' [Thesis]' : ''}.`;
+        const source = entry.type === 'online' ? entry.container : entry.publisher;
+        return [head, authors ? title : `${title} (${entry.year || 'n.d.'}).`, source ? `${source}.` : ''].filter(Boolean).join(' ') + link;
+    }
+
+    // IEEE
+    const lead = authors ? `${authors}, ` : '';
+    if (entry.type === 'book' || entry.type === 'report') {
+        return `${lead}*${entry.title}*. ${[place, entry.year].filter(Boolean).join(', ')}.`.replace(/\. \.$/, '.');
+    }
+    const details = [];
+    if (entry.type === 'article') {
+        details.push(entry.container ? `*${entry.container}*` : '', entry.volume ? `vol. ${entry.volume}` : '', entry.issue ? `no. ${entry.issue}` : '');
+    } else if (['inbook', 'inproceedings'].includes(entry.type)) {
+        details.push(entry.container ? `in *${entry.container}*` : '');
+    } else if (entry.type === 'thesis') {
+        details.push('Thesis', entry.publisher, entry.address);
+    } else if (entry.type === 'online') {
+        details.push(entry.container);
+    } else {
+        details.push(entry.publisher);
+    }
+    details.push(entry.pages ? `pp. ${entry.pages}` : '', entry.year);
+    let text = `${lead}"${entry.title}," ${details.filter(Boolean).join(', ')}`.trim().replace(/,$/, '');
+    text += '.';
+    if (entry.doi) {
+        text += ` doi: ${entry.doi}.`;
+    } else if (entry.url) {
+        text += `${entry.accessed ? ` Accessed: ${entry.accessed}.` : ''} [Online]. Available: ${entry.url}`;
+    }
+    return text;
+}
+
+/**
+ * Formats an APA in-text citation for one entry, e.g. "Smith & Doe, 2020" or "张三 等, 2019".
+ * @param {object} entry
+ * @returns {string}
+ */
+function formatApaCitation(entry) {
+    const names = entry.authors.map(splitAuthorName);
+    let who;
+    if (names.length === 0) {
+        who = entry.title.length > 30 ? `${entry.title.slice(0, 30)}…` : entry.title;
+    } else if (names.length === 1) {
+        who = `${names[0].family}${names[0].cjk ? names[0].given : ''}`;
+    } else if (names.length === 2) {
+        who = names.map(name => `${name.family}${name.cjk ? name.given : ''}`).join(' & ');
+    } else {
+        who = names[0].cjk ? `${names[0].family}${names[0].given} 等` : `${names[0].family} et al.`;
+    }
+    return `${who}, ${entry.year || 'n.d.'}`;
+}
+
+/**
+ * Replaces the [@key] markers in a paper with in-text citations and appends the bibliography.
+ * Numeric styles number entries in order of first citation; APA lists them alphabetically.
+ * When nothing is cited, the whole library is listed. Unknown keys are left as they are.
+ * @param {string} markdown - Assembled paper
+ * @param {Array<object>} references - The conversation's library
+ * @param {string} style - Key of CITATION_STYLES
+ * @returns {string}
+ */
+function applyCitations(markdown, references, style) {
+    const byKey = new Map(references.map(entry => [entry.key, entry]));
+    const numbers = new Map(); // key -> citation number, in order of first citation
+    const unknown = new Set();
+
+    const body = markdown.replace(CITATION_MARKER_PATTERN, (marker, inner) => {
+        const keys = inner.split(/[;,]/).map(part => part.trim().replace(/^@/, '')).filter(Boolean);
+        if (keys.length === 0 || keys.some(key => !byKey.has(key))) {
+            keys.filter(key => !byKey.has(key)).forEach(key => unknown.add(key));
+            return marker;
+        }
+        keys.forEach(key => {
+            if (!numbers.has(key)) {
+                numbers.set(key, numbers.size + 1);
+            }
+        });
+        if (!CITATION_STYLES[style].numeric) {
+            return `(${keys.map(key => formatApaCitation(byKey.get(key))).join('; ')})`;
+        }
+        const cited = [...new Set(keys.map(key => numbers.get(key)))].sort((a, b) => a - b);
+        return style === 'ieee' ? cited.map(number => `[${number}]`).join(', ') : `[${cited.join(',')}]`;
+    });
+    if (unknown.size > 0) {
+        console.warn(`Export left unknown citation keys unresolved: ${[...unknown].join(', ')}`);
+    }
+
+    let listed = numbers.size > 0 ? [...numbers.keys()].map(key => byKey.get(key)) : references;
+    if (numbers.size === 0 && CITATION_STYLES[style].numeric) {
+        // Nothing cited: number the whole library in its stored order
+        listed.forEach(entry => numbers.set(entry.key, numbers.size + 1));
+    }
+    let lines;
+    if (CITATION_STYLES[style].numeric) {
+        lines = listed.map(entry => `[${numbers.get(entry.key)}] ${formatReference(entry, style)}`);
+    } else {
+        listed = [...listed].sort((a, b) => formatAuthorList(a.authors, style).localeCompare(formatAuthorList(b.authors, style), 'zh-CN'));
+        lines = listed.map(entry => formatReference(entry, style));
+    }
+    return `${body.trimEnd()}\n\n## 参考文献\n\n${lines.join('\n\n')}\n`;
+}
+
+/**
+ * Lists the library for the system prompt so the model can cite it.
+ * @param {Array<object>} references
+ * @returns {string} Empty if the library is empty
+ */
+function formatReferencesForPrompt(references) {
+    if (references.length === 0) {
+        return '';
+    }
+    const lines = references.map(entry => {
+        const authors = entry.authors.length > 3 ? `${entry.authors.slice(0, 3).join('; ')} 等` : entry.authors.join('; ');
+        const details = [authors, entry.year, entry.title, entry.container].filter(Boolean).join('. ');
+        return `- [@${entry.key}] ${details}`;
+    });
+    return `可引用的参考文献：需要引用文献时，只能引用下列条目，并在正文相应位置用 [@key] 标注（多条用分号分隔，如 [@a; @b]）。不得编造列表之外的文献，也不要在章节末尾自行列出参考文献，导出时会自动生成参考文献列表。\n${lines.join('\n')}`;
+}
+
+// --- Paper Templates ---
+//
+// A template adapts the instructions to a kind of paper (discipline, degree level, language)
+// and prescribes its structure. Templates are stored under `template:<id>` and managed through
+// /api/admin/templates; users pick one when they start a new conversation (`template_id` in the
+// conversation state). Record:
+// { id, name, description, discipline, degree, language, prompt, sections: [{ title, words }],
+//   created_at, updated_at }
+// A template's prompt replaces SYSTEM_PROMPT; PAPER_SYSTEM_PROMPT is always sent.
+
+const TEMPLATE_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,39}$/;
+const MAX_TEMPLATE_PROMPT_LENGTH = 8000;
+const MAX_TEMPLATE_SECTIONS = 30;
+const TEMPLATE_DEGREES = {
+    undergraduate: '本科',
+    master: '硕士',
+    doctoral: '博士',
+    other: '其他',
+};
+const TEMPLATE_LANGUAGES = {
+    zh: { label: '中文', instruction: '全文使用简体中文撰写。', wordUnit: '字' },
+    en: { label: 'English', instruction: 'Write the entire paper (outline and all chapters) in academic English, regardless of the language the user writes in.', wordUnit: ' words' },
+};
+
+/**
+ * @param {string} templateId
+ * @returns {string} KV key of a template
+ */
+function templateKey(templateId) {
+    return `template:${templateId}`;
+}
+
+/**
+ * Loads a template.
+ * @param {object} env - Contains KV_NAMESPACE binding
+ * @param {string} templateId
+ * @returns {Promise<object|null>} null if it does not exist (or cannot be read)
+ */
+async function loadTemplate(env, templateId) {
+    const stored = await env.KV_NAMESPACE.get(templateKey(templateId));
+    if (!stored) {
+        return null;
+    }
+    try {
+        return JSON.parse(stored);
+    } catch (parseError) {
+        console.error(`Error parsing template ${templateId}:`, parseError);
+        return null;
+    }
+}
+
+/**
+ * @param {object} env - Contains KV_NAMESPACE binding
+ * @param {object} template
+ * @returns {Promise<void>}
+ */
+async function saveTemplate(env, template) {
+    await env.KV_NAMESPACE.put(templateKey(template.id), JSON.stringify(template));
+}
+
+/**
+ * The public part of a template (everything but the prompt).
+ * @param {object} template
+ * @returns {object}
+ */
+function summarizeTemplate(template) {
+    return {
+        id: template.id,
+        name: template.name,
+        description: template.description,
+        discipline: template.discipline,
+        degree: template.degree,
+        language: template.language,
+        sections: template.sections,
+        total_words: template.sections.reduce((sum, section) => sum + (section.words || 0), 0) || null,
+        updated_at: template.updated_at,
+    };
+}
+
+/**
+ * Lists all templates (summaries only), sorted by name.
+ * Sections do not fit into KV metadata (1 KB), so every template is read; there are only a few.
+ * @param {object} env - Contains KV_NAMESPACE binding
+ * @returns {Promise<Array<object>>}
+ */
+async function listTemplates(env) {
+    const templates = [];
+    let cursor;
+    do {
+        const page = await env.KV_NAMESPACE.list({ prefix: 'template:', cursor });
+        for (const key of page.keys) {
+            const template = await loadTemplate(env, key.name.slice('template:'.length));
+            if (template) {
+                templates.push(summarizeTemplate(template));
+            }
+        }
+        cursor = page.list_complete ? undefined : page.cursor;
+    } while (cursor);
+    return templates.sort((a, b) => a.name.localeCompare(b.name, 'zh-CN'));
+}
+
+/**
+ * Validates template fields from the admin API and merges them into an existing template.
+ * @param {object} changes - Fields from the request body
+ * @param {object|null} existing - Template being updated, or null when creating one
+ * @returns {{template?: object, error?: string}}
+ */
+function buildTemplate(changes, existing) {
+    const template = existing ? { ...existing } : {
+        id: null,
+        name: '',
+        description: '',
+        discipline: '',
+        degree: 'other',
+        language: 'zh',
+        prompt: '',
+        sections: [],
+        created_at: new Date().toISOString(),
+    };
+
+    if (!existing) {
+        if (typeof changes.id !== 'string' || !TEMPLATE_ID_PATTERN.test(changes.id)) {
+            return { error: '模板 ID 只能包含小写字母、数字和连字符（最多 40 个字符）' };
+        }
+        template.id = changes.id;
+    }
+    for (const [field, maxLength] of [['name', 60], ['description', 200], ['discipline', 40]]) {
+        if (changes[field] !== undefined) {
+            template[field] = String(changes[field] ?? '').trim().slice(0, maxLength);
+        }
+    }
+    if (!template.name) {
+        return { error: '模板名称不能为空' };
+    }
+    if (changes.degree !== undefined) {
+        if (!TEMPLATE_DEGREES[changes.degree]) {
+            return { error: `学位层次必须是 ${Object.keys(TEMPLATE_DEGREES).join(' / ')} 之一` };
+        }
+        template.degree = changes.degree;
+    }
+    if (changes.language !== undefined) {
+        if (!TEMPLATE_LANGUAGES[changes.language]) {
+            return { error: `语言必须是 ${Object.keys(TEMPLATE_LANGUAGES).join(' / ')} 之一` };
+        }
+        template.language = changes.language;
+    }
+    if (changes.prompt !== undefined) {
+        template.prompt = String(changes.prompt ?? '').trim();
+        if (template.prompt.length > MAX_TEMPLATE_PROMPT_LENGTH) {
+            return { error: `提示词不能超过 ${MAX_TEMPLATE_PROMPT_LENGTH} 个字符` };
+        }
+    }
+    if (changes.sections !== undefined) {
+        if (!Array.isArray(changes.sections) || changes.sections.length > MAX_TEMPLATE_SECTIONS) {
+            return { error: `章节结构必须是最多 ${MAX_TEMPLATE_SECTIONS} 项的列表` };
+        }
+        const sections = [];
+        for (const section of changes.sections) {
+            const title = String(section?.title ?? '').trim().slice(0, 100);
+            const words = section?.words === undefined || section?.words === null || section?.words === '' ? null : Number(section.words);
+            if (!title || (words !== null && (!Number.isInteger(words) || words <= 0))) {
+                return { error: '每个章节都需要标题，目标字数必须是正整数' };
+            }
+            sections.push({ title, words });
+        }
+        template.sections = sections;
+    }
+    template.updated_at = new Date().toISOString();
+    return { template };
+}
+
+/**
+ * Builds the system prompt fragment for a template: its own instructions, the prescribed
+ * structure with target word counts and the output language.
+ * @param {object} template
+ * @returns {string}
+ */
+function composeTemplatePrompt(template) {
+    const parts = [];
+    const kind = [template.discipline, TEMPLATE_DEGREES[template.degree]].filter(Boolean).join('，');
+    parts.push(`论文类型：${template.name}${kind ? `（${kind}）` : ''}`);
+    if (template.prompt) {
+        parts.push(template.prompt);
+    }
+    if (template.sections.length > 0) {
+        const unit = TEMPLATE_LANGUAGES[template.language].wordUnit;
+        const lines = template.sections.map((section, i) => `${i + 1}. ${section.title}${section.words ? `（约 ${section.words}${unit}）` : ''}`);
+        const total = template.sections.reduce((sum, section) => sum + (section.words || 0), 0);
+        parts.push(`论文必须采用以下章节结构规划大纲和撰写，各章目标篇幅如下（用户另有要求时以用户为准）：\n${lines.join('\n')}${total ? `\n全文目标约 ${total}${unit}。` : ''}`);
+    }
+    parts.push(TEMPLATE_LANGUAGES[template.language].instruction);
+    return parts.join('\n\n');
+}
+
+/**
+ * Handles GET /api/templates: the templates a user can choose from when starting a paper.
+ * @param {Request} request
+ * @param {object} env - Environment object
+ * @returns {Promise<Response>}
+ */
+async function handleTemplatesRequest(request, env) {
+    const jsonHeaders = { ...corsHeaders, 'Content-Type': 'application/json' };
+    const { errorResponse } = await parseAuthenticatedRequest(request, env, jsonHeaders);
+    if (errorResponse) {
+        return errorResponse;
+    }
+    return new Response(JSON.stringify({ success: true, templates: await listTemplates(env) }), { status: 200, headers: jsonHeaders });
+}
+
+/**
+ * Handles /api/admin/templates[/<id>] (admin secret already checked):
+ * GET lists or reads templates, POST creates one, PATCH updates one, DELETE removes one.
+ * Conversations that use a deleted template fall back to SYSTEM_PROMPT.
+ * @param {Request} request
+ * @param {object} env - Environment object
+ * @param {string|null} templateId - ID from the path, if any
+ * @param {object} payload - Parsed JSON body (POST/PATCH)
+ * @param {object} jsonHeaders
+ * @returns {Promise<Response>}
+ */
+async function handleAdminTemplatesRequest(request, env, templateId, payload, jsonHeaders) {
+    if (!templateId && request.method === 'GET') {
+        const templates = await listTemplates(env);
+        return new Response(JSON.stringify({ success: true, templates }), { status: 200, headers: jsonHeaders });
+    }
+
+    if (!templateId && request.method === 'POST') {
+        if (typeof payload.id === 'string' && await env.KV_NAMESPACE.get(templateKey(payload.id))) {
+            return new Response(JSON.stringify({ success: false, error: '模板 ID 已存在' }), { status: 409, headers: jsonHeaders });
+        }
+        const { template, error } = buildTemplate(payload, null);
+        if (error) {
+            return new Response(JSON.stringify({ success: false, error }), { status: 400, headers: jsonHeaders });
+        }
+        await saveTemplate(env, template);
+        console.log(`Admin created template ${template.id}.`);
+        return new Response(JSON.stringify({ success: true, template }), { status: 201, headers: jsonHeaders });
+    }
+
+    if (!templateId) {
+        return new Response(JSON.stringify({ error: 'API route not found' }), { status: 404, headers: jsonHeaders });
+    }
+    const existing = await loadTemplate(env, templateId);
+    if (!existing) {
+        return new Response(JSON.stringify({ success: false, error: '模板不存在' }), { status: 404, headers: jsonHeaders });
+    }
+
+    if (request.method === 'GET') {
+        return new Response(JSON.stringify({ success: true, template: existing }), { status: 200, headers: jsonHeaders });
+    }
+    if (request.method === 'PATCH') {
+        const { template, error } = buildTemplate(payload, existing);
+        if (error) {
+            return new Response(JSON.stringify({ success: false, error }), { status: 400, headers: jsonHeaders });
+        }
+        await saveTemplate(env, template);
+        console.log(`Admin updated template ${template.id}.`);
+        return new Response(JSON.stringify({ success: true, template }), { status: 200, headers: jsonHeaders });
+    }
+    if (request.method === 'DELETE') {
+        await env.KV_NAMESPACE.delete(templateKey(templateId));
+        console.log(`Admin deleted template ${templateId}.`);
+        return new Response(JSON.stringify({ success: true }), { status: 200, headers: jsonHeaders });
+    }
+    return new Response(JSON.stringify({ error: 'API route not found' }), { status: 404, headers: jsonHeaders });
+}
+
+// --- Paper Document (outline tree & chapters, separate from the chat) ---
+//
+// Every conversation keeps a structured copy of its paper under `<code>:paper:<conversationId>`:
+// { title, abstract, keywords: [..], outline: [{ title, words, children: [...] }],
+//   chapters: [{ id, workflow_index, source_message_id, title, content, status, version, updated_at }],
+//   updated_at }
+// It is filled from the assistant's replies after each workflow step (see recordPaperTurn) and can
+// be edited through /api/conversations/<id>/paper. Chapters written by the workflow remember the
+// outline position they belong to (`workflow_index`); chapters added by the user have none.
+// Rewinding the chat (edit / delete) does not remove text from the paper: the next reply for a
+// chapter simply replaces it. The other way round, text the user edits in the paper (or restores
+// from an earlier version) is copied back into the conversation (see applyChapterEditToState),
+// so later prompts build on the user's revision rather than the original model output.
+//
+// Every text a chapter has had is also kept in its version history under
+// `<code>:versions:<conversationId>`, with what produced it: { version, content, source
+// ('model' | 'user' | 'restore'), instruction, created_at }. Only the newest MAX_CHAPTER_VERSIONS
+// versions of a chapter are kept.
+
+const PAPER_CHAPTER_STATUSES = ['pending', 'draft', 'confirmed'];
+const MAX_PAPER_CHAPTERS = 50;
+const MAX_PAPER_KEYWORDS = 12;
+const MAX_CHAPTER_CONTENT_LENGTH = 200000;
+const MAX_CHAPTER_VERSIONS = 30;
+// "（约 3000 字）", "(3000 words)" etc. after an outline entry
+const OUTLINE_WORDS_PATTERN = /[（(]?\s*(?:约|计划|预计|approx\.?\s*)?\s*(\d[\d,]*)\s*(?:字|words?)\s*[)）]?/i;
+
+/**
+ * @param {string} loginCode
+ * @param {string} conversationId
+ * @returns {string} KV key of a conversation's paper document
+ */
+function paperKey(loginCode, conversationId) {
+    return `${loginCode}:paper:${conversationId}`;
+}
+
+/**
+ * @returns {object} An empty paper document
+ */
+function createEmptyPaper() {
+    return {
+        title: '',
+        abstract: '',
+        keywords: [],
+        outline: [],
+        chapters: [],
+        updated_at: new Date().toISOString(),
+    };
+}
+
+/**
+ * Loads the paper document of a conversation.
+ * @param {object} env - Contains KV_NAMESPACE binding
+ * @param {string} loginCode
+ * @param {string} conversationId
+ * @returns {Promise<object|null>} null if none has been stored yet (or it cannot be read)
+ */
+async function loadPaper(env, loginCode, conversationId) {
+    const stored = await env.KV_NAMESPACE.get(paperKey(loginCode, conversationId));
+    if (!stored) {
+        return null;
+    }
+    try {
+        return { ...createEmptyPaper(), ...JSON.parse(stored) };
+    } catch (parseError) {
+        console.error(`Error parsing paper of ${loginCode}/${conversationId}:`, parseError);
+        return null;
+    }
+}
+
+/**
+ * @param {object} env - Contains KV_NAMESPACE binding
+ * @param {string} loginCode
+ * @param {string} conversationId
+ * @param {object} paper
+ * @returns {Promise<void>}
+ */
+async function savePaper(env, loginCode, conversationId, paper) {
+    paper.updated_at = new Date().toISOString();
+    await env.KV_NAMESPACE.put(paperKey(loginCode, conversationId), JSON.stringify(paper));
+}
+
+/**
+ * Parses an outline written by the model into a tree: chapters (see parseOutlineChapters) with
+ * their sections and subsections. Section depth comes from "2.1"/"2.1.3" numbering, otherwise
+ * from list indentation. Planned word counts are split off into `words`.
+ * @param {string|null} outline - Outline text
+ * @returns {Array<{title: string, words: number|null, children: Array<object>}>}
+ */
+function parseOutlineTree(outline) {
+    const chapterTitles = new Set(parseOutlineChapters(outline));
+    if (chapterTitles.size === 0) {
+        return [];
+    }
+    const createNode = (text) => {
+        const wordsMatch = text.match(OUTLINE_WORDS_PATTERN);
+        const title = wordsMatch ? text.replace(wordsMatch[0], '').replace(/[：:，,\s-]+$/, '').trim() : text;
+        return { title: title || text, words: wordsMatch ? Number(wordsMatch[1].replace(/,/g, '')) : null, children: [] };
+    };
+
+    const roots = [];
+    let chapter = null;
+    let section = null;
+    for (const rawLine of outline.split(/\r?\n/)) {
+        const line = rawLine.replace(/[*_`]/g, '');
+        const text = line.trim().replace(/^#+\s*/, '').replace(/^[-+]\s*/, '').trim();
+        if (!text) {
+            continue;
+        }
+        if (chapterTitles.has(text)) {
+            chapter = createNode(text);
+            section = null;
+            roots.push(chapter);
+            continue;
+        }
+        const isEntry = /^\s*(#{2,6}\s|[-+]\s|\d+(\.\d+)+|[（(]?[一二三四五六七八九十]+[、)）])/.test(line);
+        if (!chapter || !isEntry) {
+            continue; // Title, notes and prose around the outline
+        }
+        const numbering = text.match(/^\d+((?:\.\d+)+)/);
+        const depth = numbering ? numbering[1].split('.').length - 1 : (line.match(/^\s*/)[0].length >= 2 ? 2 : 1);
+        if (depth >= 2 && section) {
+            section.children.push(createNode(text));
+        } else {
+            section = createNode(text);
+            chapter.children.push(section);
+        }
+    }
+    return roots;
+}
+
+/**
+ * Picks the paper title, abstract and keywords out of a model reply when it states them
+ * ("题目：…", "# 标题", a "摘要" heading or paragraph, "关键词：…").
+ * @param {string} text - Assistant reply
+ * @returns {{title?: string, abstract?: string, keywords?: string[]}}
+ */
+function extractPaperFrontMatter(text) {
+    const result = {};
+    const labelledTitle = text.match(/^\s*(?:#+\s*)?(?:论文)?(?:题目|标题|Title)\s*[：:]\s*(.+)$/im);
+    const headingTitle = text.match(/^#\s+(.+)$/m);
+    const title = (labelledTitle?.[1] || headingTitle?.[1] || '').replace(/[*_`《》]/g, '').replace(/(论文)?大纲$/, '').trim();
+    if (title && !/^第[一二三四五六七八九十百零〇\d]+章/.test(title)) {
+        result.title = title.slice(0, 200);
+    }
+
+    const abstractMatch = text.match(/^\s*(?:#+\s*)?(?:\*\*)?(?:摘\s*要|Abstract)(?:\*\*)?\s*[：:]?\s*(?:\*\*)?\s*\n?([\s\S]*?)(?=\n\s*(?:#|\*\*)?\s*(?:关键词|关键字|Key\s*words)|\n#|$)/im);
+    // An outline's "摘要" entry is only a placeholder, not the abstract itself
+    if (abstractMatch && abstractMatch[1].trim().length >= 30 && !/^\s*([-+]\s|第[一二三四五六七八九十百零〇\d]+章)/m.test(abstractMatch[1])) {
+        result.abstract = abstractMatch[1].trim().slice(0, 5000);
+    }
+
+    const keywordsMatch = text.match(/^\s*(?:#+\s*)?(?:\*\*)?(?:关键词|关键字|Key\s*words)(?:\*\*)?\s*[：:]\s*(?:\*\*)?\s*(.+)$/im);
+    if (keywordsMatch) {
+        result.keywords = normalizeKeywords(keywordsMatch[1]);
+    }
+    return result;
+}
+
+/**
+ * @param {string|Array<string>} value - Keywords as a list or a string separated by ；;，, or spaces
+ * @returns {string[]}
+ */
+function normalizeKeywords(value) {
+    const items = Array.isArray(value) ? value : String(value ?? '').split(/[；;，,、]|\s{2,}/);
+    return [...new Set(items.map(item => String(item).replace(/[*_`。.]/g, '').trim()).filter(Boolean))]
+        .slice(0, MAX_PAPER_KEYWORDS);
+}
+
+/**
+ * Creates a chapter entry.
+ * @param {string} title
+ * @param {number|null} workflowIndex - Outline position, or null for chapters added by the user
+ * @returns {object}
+ */
+function createPaperChapter(title, workflowIndex) {
+    return {
+        id: crypto.randomUUID(),
+        workflow_index: workflowIndex,
+        source_message_id: null, // Assistant message the current text came from
+        title,
+        content: '',
+        status: 'pending',
+        version: 0,
+        updated_at: new Date().toISOString(),
+    };
+}
+
+/**
+ * Replaces the outline tree and lines the chapter list up with it: existing chapters keep their
+ * content and are retitled, missing ones are added as pending, and pending chapters that fell out
+ * of the outline are dropped. Chapters with content that the outline no longer has are kept at
+ * the end (as user chapters) so no text is lost.
+ * @param {object} paper - Paper document (modified in place)
+ * @param {string} outline - Outline text
+ */
+function applyOutlineToPaper(paper, outline) {
+    const tree = parseOutlineTree(outline);
+    paper.outline = tree;
+    const byIndex = new Map(paper.chapters.filter(chapter => chapter.workflow_index !== null).map(chapter => [chapter.workflow_index, chapter]));
+    const chapters = tree.map((node, i) => {
+        const chapter = byIndex.get(i) || createPaperChapter(node.title, i);
+        chapter.title = node.title;
+        byIndex.delete(i);
+        return chapter;
+    });
+    for (const chapter of paper.chapters) {
+        if (chapter.workflow_index !== null && !byIndex.has(chapter.workflow_index)) {
+            continue; // Already placed above
+        }
+        if (chapter.workflow_index === null || chapter.content) {
+            chapters.push({ ...chapter, workflow_index: null });
+        }
+    }
+    paper.chapters = chapters;
+}
+
+/**
+ * Stores new content on a chapter and bumps its version.
+ * @param {object} chapter
+ * @param {string} content
+ * @param {Array<object>|null} [versionLog] - Receives the new version (see saveChapterVersions)
+ * @param {{source: string, instruction?: string|null}} [origin] - What produced the text
+ */
+function setChapterContent(chapter, content, versionLog = null, origin = { source: 'model' }) {
+    chapter.content = content;
+    chapter.version += 1;
+    chapter.updated_at = new Date().toISOString();
+    if (chapter.status === 'pending') {
+        chapter.status = 'draft';
+    }
+    if (versionLog) {
+        versionLog.push({
+            chapter_id: chapter.id,
+            version: chapter.version,
+            content,
+            source: origin.source,
+            instruction: origin.instruction ?? null,
+            created_at: chapter.updated_at,
+        });
+    }
+}
+
+/**
+ * Copies the front matter a reply states into the paper (only the fields it actually contains).
+ * @param {object} paper - Paper document (modified in place)
+ * @param {string} text - Assistant reply
+ * @param {boolean} includeTitle - Chapter replies start with the chapter heading, not the paper title
+ */
+function applyFrontMatter(paper, text, includeTitle) {
+    const frontMatter = extractPaperFrontMatter(text);
+    if (includeTitle && frontMatter.title) {
+        paper.title = frontMatter.title;
+    }
+    if (frontMatter.abstract) {
+        paper.abstract = frontMatter.abstract;
+    }
+    if (frontMatter.keywords?.length) {
+        paper.keywords = frontMatter.keywords;
+    }
+}
+
+/**
+ * Applies an assistant reply to the paper according to the workflow step that produced it.
+ * Called after applyWorkflowReply, so `state` already reflects the reply.
+ * @param {object} paper - Paper document (modified in place)
+ * @param {object} state - Conversation state after the turn
+ * @param {object} plan - Workflow plan from planWorkflowTurn
+ * @param {string} reply - The assistant reply
+ * @param {Array<object>|null} [versionLog] - Receives the chapter version the reply creates
+ * @param {{instruction?: string|null, messageId?: string|null}} [turn] - User message that produced
+ *   the reply and the ID of the stored reply
+ */
+function applyReplyToPaper(paper, state, plan, reply, versionLog = null, turn = {}) {
+    if (plan.stage === WORKFLOW_STATUS.GENERATING_OUTLINE) {
+        applyOutlineToPaper(paper, reply);
+        applyFrontMatter(paper, reply, true);
+    } else if (plan.stage === WORKFLOW_STATUS.GENERATING_CHAPTER) {
+        if (plan.approvesOutline) {
+            applyOutlineToPaper(paper, state.approved_outline);
+        }
+        let chapter = paper.chapters.find(item => item.workflow_index === plan.chapterIndex);
+        if (!chapter) {
+            // The outline had no detectable chapters (or fewer than the model wrote)
+            chapter = createPaperChapter(`第 ${plan.chapterIndex + 1} 章`, plan.chapterIndex);
+            paper.chapters.push(chapter);
+        }
+        setChapterContent(chapter, reply, versionLog, { source: 'model', instruction: turn.instruction });
+        chapter.source_message_id = turn.messageId ?? null;
+        applyFrontMatter(paper, reply, false);
+    }
+    syncChapterStatuses(paper, state);
+}
+
+/**
+ * Marks the chapters the workflow has confirmed.
+ * @param {object} paper - Paper document (modified in place)
+ * @param {object} state - Conversation state
+ */
+function syncChapterStatuses(paper, state) {
+    const confirmed = new Set(state.confirmed_chapters.map(chapter => chapter.index));
+    for (const chapter of paper.chapters) {
+        if (chapter.workflow_index !== null && confirmed.has(chapter.workflow_index) && chapter.content) {
+            chapter.status = 'confirmed';
+        }
+    }
+}
+
+/**
+ * Builds a paper document from a conversation's workflow fields, for conversations written before
+ * paper documents existed (or whose document was lost).
+ * @param {object} state - Normalised conversation state
+ * @returns {object}
+ */
+function buildPaperFromState(state) {
+    const paper = createEmptyPaper();
+    const outline = state.approved_outline || state.outline_draft;
+    if (outline) {
+        applyOutlineToPaper(paper, outline);
+        applyFrontMatter(paper, outline, true);
+    }
+    const written = [...state.confirmed_chapters];
+    if (state.last_chapter_content !== null && state.current_chapter_index !== null) {
+        written.push({ index: state.current_chapter_index, content: state.last_chapter_content });
+    }
+    for (const { index, content } of written) {
+        let chapter = paper.chapters.find(item => item.workflow_index === index);
+        if (!chapter) {
+            chapter = createPaperChapter(`第 ${(index ?? 0) + 1} 章`, index ?? null);
+            paper.chapters.push(chapter);
+        }
+        setChapterContent(chapter, content);
+    }
+    syncChapterStatuses(paper, state);
+    return paper;
+}
+
+/**
+ * Updates the stored paper document after a successful chat turn. Failures are only logged:
+ * the chat history remains the source the paper can be rebuilt from.
+ * @param {object} env - Contains KV_NAMESPACE binding
+ * @param {string} loginCode
+ * @param {string} conversationId
+ * @param {object} state - Conversation state after the turn
+ * @param {object} plan - Workflow plan of the turn
+ * @param {string} reply - The assistant reply
+ * @returns {Promise<object|null>} The updated paper, null if it could not be updated
+ */
+async function recordPaperTurn(env, loginCode, conversationId, state, plan, reply) {
+    try {
+        let paper = await loadPaper(env, loginCode, conversationId);
+        const versionLog = [];
+        if (paper) {
+            const history = state.conversation_history;
+            applyReplyToPaper(paper, state, plan, reply, versionLog, {
+                instruction: history.findLast(message => message.role === 'user')?.content ?? null,
+                messageId: history[history.length - 1].id,
+            });
+        } else {
+            paper = buildPaperFromState(state); // Already includes this reply
+        }
+        await savePaper(env, loginCode, conversationId, paper);
+        await saveChapterVersions(env, loginCode, conversationId, versionLog);
+        return paper;
+    } catch (error) {
+        console.error(`Failed to update paper of ${loginCode}/${conversationId}:`, error);
+        return null;
+    }
+}
+
+/**
+ * The paper as listed in the side panel: everything but the chapter texts, with each chapter's
+ * length against its outline target (see Word Counts & Length Targets).
+ * @param {object} paper
+ * @param {number} tolerance - See wordCountTolerance
+ * @returns {object}
+ */
+function summarizePaper(paper, tolerance) {
+    const { chapters: lengths, ...length } = summarizePaperLength(paper, tolerance);
+    return {
+        title: paper.title,
+        abstract: paper.abstract,
+        keywords: paper.keywords,
+        outline: paper.outline,
+        chapters: paper.chapters.map(({ content, ...chapter }, i) => ({
+            ...chapter,
+            has_content: Boolean(content),
+            words: lengths[i].words,
+            target_words: lengths[i].target,
+            length_status: lengths[i].status,
+        })),
+        length,
+        updated_at: paper.updated_at,
+    };
+}
+
+/**
+ * Handles /api/conversations/<id>/paper[/chapters[/<chapterId>]]:
+ * - GET /paper returns the document (chapters without their text)
+ * - PATCH /paper updates { title?, abstract?, keywords? }
+ * - POST /paper/chapters adds a chapter { title, content?, position? }
+ * - GET /paper/chapters/<id> returns one chapter including its text
+ * - PATCH /paper/chapters/<id> updates { title?, content?, status? }
+ * - DELETE /paper/chapters/<id> removes a chapter
+ * @param {Request} request
+ * @param {object} env - Environment object
+ * @param {string} conversationId
+ * @param {boolean} chaptersRoute - Whether the path continues with /chapters
+ * @param {string|null} chapterId - Chapter ID from the path, if any
+ * @returns {Promise<Response>}
+ */
+async function handlePaperRequest(request, env, conversationId, chaptersRoute, chapterId) {
+    const jsonHeaders = { ...corsHeaders, 'Content-Type': 'application/json' };
+    const { loginCode, payload, paper, errorResponse } = await loadPaperTarget(request, env, conversationId, jsonHeaders);
+    if (errorResponse) {
+        return errorResponse;
+    }
+    const respond = (status, body) => new Response(JSON.stringify({ success: status < 400, ...body }), { status, headers: jsonHeaders });
+
+    if (!chaptersRoute) {
+        if (request.method === 'GET') {
+            return respond(200, { paper: summarizePaper(paper, wordCountTolerance(env)) });
+        }
+        if (request.method !== 'PATCH') {
+            return respond(404, { error: 'API route not found' });
+        }
+        if (payload.title !== undefined) {
+            paper.title = String(payload.title ?? '').trim().slice(0, 200);
+        }
+        if (payload.abstract !== undefined) {
+            paper.abstract = String(payload.abstract ?? '').trim().slice(0, 5000);
+        }
+        if (payload.keywords !== undefined) {
+            paper.keywords = normalizeKeywords(payload.keywords);
+        }
+        await savePaper(env, loginCode, conversationId, paper);
+        console.log(`Updated paper details of ${loginCode}/${conversationId}.`);
+        return respond(200, { paper: summarizePaper(paper, wordCountTolerance(env)) });
+    }
+
+    if (!chapterId) {
+        if (request.method !== 'POST') {
+            return respond(404, { error: 'API route not found' });
+        }
+        const title = String(payload.title ?? '').trim().slice(0, 200);
+        if (!title) {
+            return respond(400, { error: '章节标题不能为空' });
+        }
+        if (paper.chapters.length >= MAX_PAPER_CHAPTERS) {
+            return respond(400, { error: `每篇论文最多 ${MAX_PAPER_CHAPTERS} 章` });
+        }
+        const content = typeof payload.content === 'string' ? payload.content : '';
+        if (content.length > MAX_CHAPTER_CONTENT_LENGTH) {
+            return respond(413, { error: '章节内容过长' });
+        }
+        const chapter = createPaperChapter(title, null);
+        const versionLog = [];
+        if (content.trim()) {
+            setChapterContent(chapter, content, versionLog, { source: 'user', instruction: '手动添加' });
+        }
+        const position = Number.isInteger(payload.position) ? Math.max(0, Math.min(payload.position, paper.chapters.length)) : paper.chapters.length;
+        paper.chapters.splice(position, 0, chapter);
+        await savePaper(env, loginCode, conversationId, paper);
+        await saveChapterVersions(env, loginCode, conversationId, versionLog);
+        console.log(`Added chapter ${chapter.id} to the paper of ${loginCode}/${conversationId}.`);
+        return respond(201, { chapter, paper: summarizePaper(paper, wordCountTolerance(env)) });
+    }
+
+    const position = paper.chapters.findIndex(chapter => chapter.id === chapterId);
+    if (position === -1) {
+        return respond(404, { error: '章节不存在' });
+    }
+    const chapter = paper.chapters[position];
+
+    if (request.method === 'GET') {
+        return respond(200, { chapter });
+    }
+    if (request.method === 'DELETE') {
+        paper.chapters.splice(position, 1);
+        await savePaper(env, loginCode, conversationId, paper);
+        await deleteChapterVersions(env, loginCode, conversationId, chapterId);
+        console.log(`Deleted chapter ${chapterId} from the paper of ${loginCode}/${conversationId}.`);
+        return respond(200, { paper: summarizePaper(paper, wordCountTolerance(env)) });
+    }
+    if (request.method !== 'PATCH') {
+        return respond(404, { error: 'API route not found' });
+    }
+
+    if (payload.title !== undefined) {
+        const title = String(payload.title ?? '').trim().slice(0, 200);
+        if (!title) {
+            return respond(400, { error: '章节标题不能为空' });
+        }
+        chapter.title = title;
+    }
+    if (payload.status !== undefined && !PAPER_CHAPTER_STATUSES.includes(payload.status)) {
+        return respond(400, { error: `章节状态必须是 ${PAPER_CHAPTER_STATUSES.join(' / ')} 之一` });
+    }
+    const versionLog = [];
+    const previousContent = chapter.content;
+    if (payload.content !== undefined) {
+        if (typeof payload.content !== 'string' || payload.content.length > MAX_CHAPTER_CONTENT_LENGTH) {
+            return respond(400, { error: '章节内容无效或过长' });
+        }
+        if (payload.content !== chapter.content) {
+            setChapterContent(chapter, payload.content, versionLog, { source: 'user', instruction: '手动编辑' });
+        }
+    }
+    if (payload.status !== undefined) {
+        chapter.status = payload.status;
+    }
+    chapter.updated_at = new Date().toISOString();
+    await savePaper(env, loginCode, conversationId, paper);
+    await saveChapterVersions(env, loginCode, conversationId, versionLog);
+    if (versionLog.length > 0) {
+        await syncChapterToConversation(env, loginCode, conversationId, chapter, previousContent);
+    }
+    console.log(`Updated chapter ${chapterId} of ${loginCode}/${conversationId} (version ${chapter.version}).`);
+    return respond(200, { chapter, paper: summarizePaper(paper, wordCountTolerance(env)) });
+}
+
+/**
+ * Loads the conversation and paper document addressed by a /api/conversations/<id>/paper route.
+ * Conversations without a stored document get one built from their workflow state (not saved
+ * until it is changed).
+ * @param {Request} request
+ * @param {object} env - Environment object
+ * @param {string} conversationId
+ * @param {object} jsonHeaders
+ * @returns {Promise<{loginCode?: string, payload?: object, paper?: object, errorResponse?: Response}>}
+ */
+async function loadPaperTarget(request, env, conversationId, jsonHeaders) {
+    const { loginCode, payload, errorResponse } = await parseAuthenticatedRequest(request, env, jsonHeaders);
+    if (errorResponse) {
+        return { errorResponse };
+    }
+
+    const index = await loadConversationIndex(env, loginCode);
+    if (!index || !index.conversations.some(item => item.id === conversationId)) {
+        return { errorResponse: new Response(JSON.stringify({ success: false, error: '对话不存在' }), { status: 404, headers: jsonHeaders }) };
+    }
+    let paper = await loadPaper(env, loginCode, conversationId);
+    if (!paper) {
+        let state;
+        try {
+            state = await loadConversation(env, loginCode, conversationId) || createInitialState();
+        } catch (parseError) {
+            console.error(`Error parsing conversation ${conversationId} for ${loginCode}:`, parseError);
+            return { errorResponse: new Response(JSON.stringify({ success: false, error: describeStateError(parseError), code: parseError.code }), { status: 500, headers: jsonHeaders }) };
+        }
+        paper = buildPaperFromState(state);
+    }
+    return { loginCode, payload, paper };
+}
+
+/**
+ * @param {string} loginCode
+ * @param {string} conversationId
+ * @returns {string} KV key of the chapter version histories of a conversation's paper
+ */
+function chapterVersionsKey(loginCode, conversationId) {
+    return `${loginCode}:versions:${conversationId}`;
+}
+
+/**
+ * Loads the chapter version histories of a conversation's paper.
+ * @param {object} env - Contains KV_NAMESPACE binding
+ * @param {string} loginCode
+ * @param {string} conversationId
+ * @returns {Promise<{chapters: Object<string, Array<object>>}>}
+ */
+async function loadChapterVersionStore(env, loginCode, conversationId) {
+    const stored = await env.KV_NAMESPACE.get(chapterVersionsKey(loginCode, conversationId));
+    if (!stored) {
+        return { chapters: {} };
+    }
+    try {
+        const store = JSON.parse(stored);
+        return { chapters: store.chapters && typeof store.chapters === 'object' ? store.chapters : {} };
+    } catch (parseError) {
+        console.error(`Error parsing chapter versions of ${loginCode}/${conversationId}:`, parseError);
+        return { chapters: {} };
+    }
+}
+
+/**
+ * Appends the versions collected by setChapterContent to the chapters' histories, keeping the
+ * newest MAX_CHAPTER_VERSIONS of each chapter.
+ * @param {object} env - Contains KV_NAMESPACE binding
+ * @param {string} loginCode
+ * @param {string} conversationId
+ * @param {Array<object>} versionLog - Entries { chapter_id, version, content, source, instruction, created_at }
+ * @returns {Promise<void>}
+ */
+async function saveChapterVersions(env, loginCode, conversationId, versionLog) {
+    if (versionLog.length === 0) {
+        return;
+    }
+    const store = await loadChapterVersionStore(env, loginCode, conversationId);
+    for (const { chapter_id: chapterId, ...version } of versionLog) {
+        const versions = store.chapters[chapterId] || [];
+        versions.push(version);
+        store.chapters[chapterId] = versions.slice(-MAX_CHAPTER_VERSIONS);
+    }
+    await env.KV_NAMESPACE.put(chapterVersionsKey(loginCode, conversationId), JSON.stringify({
+        chapters: store.chapters,
+        updated_at: new Date().toISOString(),
+    }));
+}
+
+/**
+ * Drops the version history of a deleted chapter.
+ * @param {object} env - Contains KV_NAMESPACE binding
+ * @param {string} loginCode
+ * @param {string} conversationId
+ * @param {string} chapterId
+ * @returns {Promise<void>}
+ */
+async function deleteChapterVersions(env, loginCode, conversationId, chapterId) {
+    const store = await loadChapterVersionStore(env, loginCode, conversationId);
+    if (!store.chapters[chapterId]) {
+        return;
+    }
+    delete store.chapters[chapterId];
+    await env.KV_NAMESPACE.put(chapterVersionsKey(loginCode, conversationId), JSON.stringify({
+        chapters: store.chapters,
+        updated_at: new Date().toISOString(),
+    }));
+}
+
+/**
+ * Lists a chapter's versions, newest first. Text written before version histories existed has
+ * no entry, so the current text is listed as its own version when it is missing.
+ * @param {object} env - Contains KV_NAMESPACE binding
+ * @param {string} loginCode
+ * @param {string} conversationId
+ * @param {object} chapter - Chapter from the paper document
+ * @returns {Promise<Array<object>>}
+ */
+async function listChapterVersions(env, loginCode, conversationId, chapter) {
+    const store = await loadChapterVersionStore(env, loginCode, conversationId);
+    const versions = [...(store.chapters[chapter.id] || [])];
+    if (chapter.version > 0 && !versions.some(version => version.version === chapter.version)) {
+        versions.push({ version: chapter.version, content: chapter.content, source: 'unknown', instruction: null, created_at: chapter.updated_at });
+    }
+    return versions.sort((a, b) => b.version - a.version);
+}
+
+/**
+ * Handles /api/conversations/<id>/paper/chapters/<chapterId>/versions[/<n>[/restore]]:
+ * - GET .../versions lists the versions (without their text)
+ * - GET .../versions/<n> returns one version including its text
+ * - POST .../versions/<n>/restore makes that text the chapter's current text (as a new version)
+ * @param {Request} request
+ * @param {object} env - Environment object
+ * @param {string} conversationId
+ * @param {string} chapterId
+ * @param {number|null} versionNumber - Version from the path, if any
+ * @param {boolean} restore - Whether the path ends with /restore
+ * @returns {Promise<Response>}
+ */
+async function handleChapterVersionsRequest(request, env, conversationId, chapterId, versionNumber, restore) {
+    const jsonHeaders = { ...corsHeaders, 'Content-Type': 'application/json' };
+    const { loginCode, paper, errorResponse } = await loadPaperTarget(request, env, conversationId, jsonHeaders);
+    if (errorResponse) {
+        return errorResponse;
+    }
+    const respond = (status, body) => new Response(JSON.stringify({ success: status < 400, ...body }), { status, headers: jsonHeaders });
+
+    const chapter = paper.chapters.find(item => item.id === chapterId);
+    if (!chapter) {
+        return respond(404, { error: '章节不存在' });
+    }
+    const versions = await listChapterVersions(env, loginCode, conversationId, chapter);
+
+    if (versionNumber === null) {
+        if (request.method !== 'GET') {
+            return respond(404, { error: 'API route not found' });
+        }
+        return respond(200, {
+            current_version: chapter.version,
+            versions: versions.map(({ content, ...version }) => ({ ...version, length: content.length })),
+        });
+    }
+
+    const version = versions.find(item => item.version === versionNumber);
+    if (!version) {
+        return respond(404, { error: '版本不存在' });
+    }
+    if (!restore) {
+        return request.method === 'GET' ? respond(200, { version }) : respond(404, { error: 'API route not found' });
+    }
+    if (request.method !== 'POST') {
+        return respond(404, { error: 'API route not found' });
+    }
+    if (version.version === chapter.version) {
+        return respond(409, { error: '该版本已是当前版本' });
+    }
+
+    const versionLog = [];
+    const previousContent = chapter.content;
+    setChapterContent(chapter, version.content, versionLog, { source: 'restore', instruction: `恢复为第 ${version.version} 版` });
+    await savePaper(env, loginCode, conversationId, paper);
+    await saveChapterVersions(env, loginCode, conversationId, versionLog);
+    await syncChapterToConversation(env, loginCode, conversationId, chapter, previousContent);
+    console.log(`Restored chapter ${chapterId} of ${loginCode}/${conversationId} to version ${version.version} (now version ${chapter.version}).`);
+    return respond(200, { chapter, paper: summarizePaper(paper, wordCountTolerance(env)) });
+}
+
+/**
+ * Copies a chapter text the user edited (or restored) into the conversation state: the assistant
+ * message it came from gets it as `revised_content`, and the workflow's copy of the chapter
+ * (last_chapter_content or its confirmed_chapters entry) is replaced.
+ * @param {object} state - Normalised conversation state (modified in place)
+ * @param {object} chapter - Paper chapter with its new text
+ * @param {string} previousContent - Chapter text before the edit, used to find replies that predate message links
+ * @returns {boolean} Whether anything changed
+ */
+function applyChapterEditToState(state, chapter, previousContent) {
+    let changed = false;
+    const history = state.conversation_history;
+    const message = history.find(item => item.id === chapter.source_message_id && item.role === 'assistant')
+        || (previousContent ? history.findLast(item => item.role === 'assistant' && llmMessageContent(item) === previousContent) : null);
+    if (message) {
+        if (chapter.content === message.content) {
+            delete message.revised_content;
+        } else {
+            message.revised_content = chapter.content;
+        }
+        changed = true;
+    }
+
+    if (chapter.workflow_index !== null) {
+        const confirmed = state.confirmed_chapters.find(item => item.index === chapter.workflow_index);
+        if (confirmed) {
+            confirmed.content = chapter.content;
+            changed = true;
+        } else if (state.current_chapter_index === chapter.workflow_index && state.last_chapter_content !== null) {
+            state.last_chapter_content = chapter.content;
+            changed = true;
+        }
+    }
+    return changed;
+}
+
+/**
+ * Saves a user's chapter edit into the conversation so the following turns use it.
+ * @param {object} env - Contains KV_NAMESPACE binding
+ * @param {string} loginCode
+ * @param {string} conversationId
+ * @param {object} chapter - Paper chapter with its new text
+ * @param {string} previousContent - Chapter text before the edit
+ * @returns {Promise<void>}
+ */
+async function syncChapterToConversation(env, loginCode, conversationId, chapter, previousContent) {
+    let state;
+    try {
+        state = await loadConversation(env, loginCode, conversationId);
+    } catch (parseError) {
+        console.error(`Error parsing conversation ${conversationId} for ${loginCode}; chapter edit not synced:`, parseError);
+        return;
+    }
+    if (state && applyChapterEditToState(state, chapter, previousContent)) {
+        await saveChatState(env, loginCode, conversationId, state);
+        console.log(`Chapter ${chapter.id} edit synced into ${loginCode}/${conversationId}.`);
+    }
+}
+
+// --- Source Materials (uploads, text extraction, chunking, prompt grounding) ---
+//
+// Users can upload their own material (lab notes, data descriptions, earlier drafts) to a
+// conversation via POST /api/upload (multipart: file, conversation_id). The text is extracted in the
+// Worker without external libraries (TXT/Markdown decoded, DOCX unzipped, PDF content streams
+// parsed), split into chunks and stored in KV:
+// - `<code>:materials:<conversationId>`         { files: [{ id, name, type, size, characters, chunks, truncated, uploaded_at }], updated_at }
+// - `<code>:material:<conversationId>:<fileId>` { chunks: ["...", ...], embeddings: { model, dimensions, vectors } }
+// With SESSION_STORE the file list is owned by the conversation's session object (KV keeps a copy,
+// and is read once to migrate it), which applies uploads and deletions one at a time.
+// For every turn the chunks most similar to the user's message (and the chapter being written) are
+// added to the system prompt with their file name, and the model is asked to cite it (see Material
+// Retrieval). GET /api/conversations/<id>/materials?query=... shows what a query would retrieve.
+
+const MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
+const MAX_MATERIAL_FILES = 20;
+const MAX_MATERIAL_CHARACTERS = 300000; // Per file; longer texts are cut off
+const MATERIAL_TYPES = {
+    txt: '纯文本',
+    md: 'Markdown',
+    docx: 'Word 文档',
+    pdf: 'PDF',
+};
+
+/**
+ * @param {string} message
+ * @param {number} [status]
+ * @returns {Error} An error whose message can be shown to the user as is
+ */
+function createUploadError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    error.isUploadError = true;
+    return error;
+}
+
+/**
+ * @param {string} loginCode
+ * @param {string} conversationId
+ * @returns {string} KV key of a conversation's material index
+ */
+function materialsKey(loginCode, conversationId) {
+    return `${loginCode}:materials:${conversationId}`;
+}
+
+/**
+ * @param {string} loginCode
+ * @param {string} conversationId
+ * @param {string} fileId
+ * @returns {string} KV key of the chunks of one uploaded file
+ */
+function materialChunksKey(loginCode, conversationId, fileId) {
+    return `${loginCode}:material:${conversationId}:${fileId}`;
+}
+
+/**
+ * Loads the list of files uploaded to a conversation (from its session object when SESSION_STORE
+ * is bound, importing the KV list on first access).
+ * @param {object} env - Environment object
+ * @param {string} loginCode
+ * @param {string} conversationId
+ * @returns {Promise<Array<object>>} Empty if there are none (or the index cannot be read)
+ */
+async function loadMaterials(env, loginCode, conversationId) {
+    if (!env.SESSION_STORE) {
+        return loadStoredMaterials(env, loginCode, conversationId);
+    }
+    let result = await callConversationSession(env, loginCode, conversationId, 'GET', '/materials');
+    if (result.status === 404) {
+        const files = await loadStoredMaterials(env, loginCode, conversationId);
+        result = await callConversationSession(env, loginCode, conversationId, 'POST', '/materials/import', { files });
+    }
+    if (result.status !== 200) {
+        throw new Error(`Session object for ${loginCode}/${conversationId} answered ${result.status}`);
+    }
+    return result.data.files;
+}
+
+/**
+ * @param {object} env - Contains KV_NAMESPACE binding
+ * @param {string} loginCode
+ * @param {string} conversationId
+ * @returns {Promise<Array<object>>} The file list stored in KV, empty if there is none (or it cannot be read)
+ */
+async function loadStoredMaterials(env, loginCode, conversationId) {
+    const stored = await env.KV_NAMESPACE.get(materialsKey(loginCode, conversationId));
+    if (!stored) {
+        return [];
+    }
+    try {
+        const index = JSON.parse(stored);
+        return Array.isArray(index.files) ? index.files : [];
+    } catch (parseError) {
+        console.error(`Error parsing materials of ${loginCode}/${conversationId}:`, parseError);
+        return [];
+    }
+}
+
+/**
+ * Replaces a conversation's file list (in its session object, if bound, and in KV).
+ * @param {object} env - Environment object
+ * @param {string} loginCode
+ * @param {string} conversationId
+ * @param {Array<object>} files
+ * @returns {Promise<void>}
+ */
+async function saveMaterials(env, loginCode, conversationId, files) {
+    if (env.SESSION_STORE) {
+        const result = await callConversationSession(env, loginCode, conversationId, 'POST', '/materials', { files });
+        if (result.status !== 200) {
+            throw new Error(`Session object for ${loginCode}/${conversationId} answered ${result.status}`);
+        }
+    }
+    await storeMaterialsCopy(env, loginCode, conversationId, files);
+}
+
+/**
+ * @param {object} env - Contains KV_NAMESPACE binding
+ * @param {string} loginCode
+ * @param {string} conversationId
+ * @param {Array<object>} files
+ * @returns {Promise<void>}
+ */
+async function storeMaterialsCopy(env, loginCode, conversationId, files) {
+    await env.KV_NAMESPACE.put(materialsKey(loginCode, conversationId), JSON.stringify({
+        files,
+        updated_at: new Date().toISOString(),
+    }));
+}
+
+/**
+ * Adds one file to a conversation's list (unless it already holds MAX_MATERIAL_FILES) or removes
+ * one. Uploads take seconds (text extraction, embedding), so two started together (e.g. several
+ * files dropped at once) must not each write back the list they read at the start. With
+ * SESSION_STORE the session object applies the change to its list; without it the change is made
+ * to a fresh KV read, which narrows the race but cannot close it (KV has no compare-and-set).
+ * @param {object} env - Environment object
+ * @param {string} loginCode
+ * @param {string} conversationId
+ * @param {{add?: object, remove?: string}} change - File entry to add, or ID of the file to remove
+ * @returns {Promise<Array<object>|null>} The new list, or null if the list is full or has no such file
+ */
+async function updateMaterials(env, loginCode, conversationId, change) {
+    let files;
+    if (env.SESSION_STORE) {
+        await loadMaterials(env, loginCode, conversationId); // Migrates the KV list first
+        const result = await callConversationSession(env, loginCode, conversationId, 'POST', '/materials/update', { ...change, max: MAX_MATERIAL_FILES });
+        if (result.status !== 200) {
+            throw new Error(`Session object for ${loginCode}/${conversationId} answered ${result.status}`);
+        }
+        files = result.data.changed ? result.data.files : null;
+    } else {
+        const current = await loadStoredMaterials(env, loginCode, conversationId);
+        if (change.add && current.length < MAX_MATERIAL_FILES) {
+            files = [...current, change.add];
+        } else if (change.remove && current.some(file => file.id === change.remove)) {
+            files = current.filter(file => file.id !== change.remove);
+        }
+    }
+    if (files) {
+        await storeMaterialsCopy(env, loginCode, conversationId, files);
+    }
+    return files || null;
+}
+
+/**
+ * Loads the chunks (and their stored vectors) of one uploaded file.
+ * @param {object} env - Contains KV_NAMESPACE binding
+ * @param {string} loginCode
+ * @param {string} conversationId
+ * @param {string} fileId
+ * @returns {Promise<{chunks: string[], embeddings?: object}>}
+ */
+async function loadMaterialRecord(env, loginCode, conversationId, fileId) {
+    const stored = await env.KV_NAMESPACE.get(materialChunksKey(loginCode, conversationId, fileId));
+    if (!stored) {
+        return { chunks: [] };
+    }
+    try {
+        const record = JSON.parse(stored);
+        return Array.isArray(record.chunks) ? record : { chunks: [] };
+    } catch (parseError) {
+        console.error(`Error parsing material ${fileId} of ${loginCode}/${conversationId}:`, parseError);
+        return { chunks: [] };
+    }
+}
+
+/**
+ * Deletes every uploaded file of a conversation (when the conversation is deleted).
+ * @param {object} env - Environment object
+ * @param {string} loginCode
+ * @param {string} conversationId
+ * @returns {Promise<void>}
+ */
+async function deleteMaterials(env, loginCode, conversationId) {
+    const files = await loadMaterials(env, loginCode, conversationId);
+    await Promise.all(files.map(file => env.KV_NAMESPACE.delete(materialChunksKey(loginCode, conversationId, file.id))));
+    if (env.SESSION_STORE) {
+        await callConversationSession(env, loginCode, conversationId, 'DELETE', '/materials');
+    }
+    await env.KV_NAMESPACE.delete(materialsKey(loginCode, conversationId));
+}
+
+/**
+ * Handles POST /api/upload: extracts the text of an uploaded file and stores it, chunked, with the
+ * conversation (the active one unless `conversation_id` is given).
+ * Body: multipart/form-data with `file` and optionally `conversation_id`.
+ * @param {Request} request
+ * @param {object} env - Environment object
+ * @returns {Promise<Response>}
+ */
+async function handleUploadRequest(request, env) {
+    const jsonHeaders = { ...corsHeaders, 'Content-Type': 'application/json' };
+    // Refuse oversized bodies before reading them
+    if (Number(request.headers.get('Content-Length') || 0) > MAX_UPLOAD_BYTES + 64 * 1024) {
+        return new Response(JSON.stringify({ success: false, error: `文件不能超过 ${MAX_UPLOAD_BYTES / 1024 / 1024} MB` }), { status: 413, headers: jsonHeaders });
+    }
+    const { loginCode, payload, errorResponse } = await parseAuthenticatedRequest(request, env, jsonHeaders);
+    if (errorResponse) {
+        return errorResponse;
+    }
+
+    const file = payload.file;
+    if (!file || typeof file === 'string' || typeof file.arrayBuffer !== 'function') {
+        return new Response(JSON.stringify({ success: false, error: '请选择要上传的文件' }), { status: 400, headers: jsonHeaders });
+    }
+    if (file.size > MAX_UPLOAD_BYTES) {
+        return new Response(JSON.stringify({ success: false, error: `文件不能超过 ${MAX_UPLOAD_BYTES / 1024 / 1024} MB` }), { status: 413, headers: jsonHeaders });
+    }
+
+    const index = await loadConversationIndex(env, loginCode);
+    const conversationId = payload.conversation_id || index?.active_id;
+    if (!index || !index.conversations.some(item => item.id === conversationId)) {
+        return new Response(JSON.stringify({ success: false, error: '对话不存在' }), { status: 404, headers: jsonHeaders });
+    }
+    const tooManyFiles = () => new Response(JSON.stringify({ success: false, error: `每篇论文最多上传 ${MAX_MATERIAL_FILES} 个文件` }), { status: 400, headers: jsonHeaders });
+    // Checked again when the file is added, as other uploads may finish in the meantime
+    if ((await loadMaterials(env, loginCode, conversationId)).length >= MAX_MATERIAL_FILES) {
+        return tooManyFiles();
+    }
+
+    const name = String(file.name || 'upload').replace(/[\r\n]/g, ' ').slice(0, 120);
+    let type;
+    let text;
+    try {
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        type = detectMaterialType(name, bytes);
+        text = await extractMaterialText(type, bytes);
+    } catch (error) {
+        if (!error.isUploadError) {
+            console.error(`Text extraction failed for ${name} (${loginCode}):`, error);
+        }
+        const message = error.isUploadError ? error.message : '无法读取该文件的内容';
+        return new Response(JSON.stringify({ success: false, error: message }), { status: error.status || 400, headers: jsonHeaders });
+    }
+
+    text = normalizeMaterialText(text);
+    if (!text) {
+        const hint = type === 'pdf' ? '（扫描版 PDF 只包含图片，请先进行文字识别）' : '';
+        return new Response(JSON.stringify({ success: false, error: `未能从文件中提取到文字${hint}` }), { status: 400, headers: jsonHeaders });
+    }
+    const truncated = text.length > MAX_MATERIAL_CHARACTERS;
+    if (truncated) {
+        text = text.slice(0, MAX_MATERIAL_CHARACTERS);
+    }
+    const chunks = chunkMaterialText(text);
+
+    const entry = {
+        id: crypto.randomUUID(),
+        name,
+        type,
+        size: file.size,
+        characters: text.length,
+        chunks: chunks.length,
+        truncated,
+        uploaded_at: new Date().toISOString(),
+    };
+    const record = { chunks };
+    try {
+        record.embeddings = await embedMaterialChunks(env, loadEmbeddingConfig(env), chunks);
+    } catch (error) {
+        // Embedded on first use instead (see loadChunkVectors)
+        console.error(`Could not embed ${name} for ${loginCode}/${conversationId}:`, error);
+    }
+    await env.KV_NAMESPACE.put(materialChunksKey(loginCode, conversationId, entry.id), JSON.stringify(record));
+    const files = await updateMaterials(env, loginCode, conversationId, { add: entry });
+    if (!files) {
+        await env.KV_NAMESPACE.delete(materialChunksKey(loginCode, conversationId, entry.id));
+        return tooManyFiles();
+    }
+    console.log(`Stored upload ${name} (${type}, ${text.length} chars, ${chunks.length} chunks) for ${loginCode}/${conversationId}.`);
+
+    return new Response(JSON.stringify({ success: true, conversation_id: conversationId, file: entry, files }), { status: 201, headers: jsonHeaders });
+}
+
+/**
+ * Handles /api/conversations/<id>/materials[/<fileId>]: GET lists the uploaded files (with
+ * `?query=...` also what that query would retrieve), DELETE /<fileId> removes one.
+ * @param {Request} request
+ * @param {object} env - Environment object
+ * @param {string} conversationId
+ * @param {string|null} fileId - File ID from the path, if any
+ * @returns {Promise<Response>}
+ */
+async function handleMaterialsRequest(request, env, conversationId, fileId) {
+    const jsonHeaders = { ...corsHeaders, 'Content-Type': 'application/json' };
+    const { loginCode, payload, errorResponse } = await parseAuthenticatedRequest(request, env, jsonHeaders);
+    if (errorResponse) {
+        return errorResponse;
+    }
+
+    const index = await loadConversationIndex(env, loginCode);
+    if (!index || !index.conversations.some(item => item.id === conversationId)) {
+        return new Response(JSON.stringify({ success: false, error: '对话不存在' }), { status: 404, headers: jsonHeaders });
+    }
+
+    if (request.method === 'GET' && !fileId) {
+        const files = await loadMaterials(env, loginCode, conversationId);
+        const query = String(payload.query || '').trim();
+        const retrieval = query ? summarizeRetrieval(await retrieveMaterialChunks(env, loginCode, conversationId, query), 20) : undefined;
+        return new Response(JSON.stringify({ success: true, files, retrieval }), { status: 200, headers: jsonHeaders });
+    }
+    if (request.method === 'DELETE' && fileId) {
+        const remaining = await updateMaterials(env, loginCode, conversationId, { remove: fileId });
+        if (!remaining) {
+            return new Response(JSON.stringify({ success: false, error: '文件不存在' }), { status: 404, headers: jsonHeaders });
+        }
+        // Chunks go once the list no longer points at them
+        await env.KV_NAMESPACE.delete(materialChunksKey(loginCode, conversationId, fileId));
+        console.log(`Removed upload ${fileId} from ${loginCode}/${conversationId}.`);
+        return new Response(JSON.stringify({ success: true, files: remaining }), { status: 200, headers: jsonHeaders });
+    }
+    return new Response(JSON.stringify({ success: false, error: 'API route not found' }), { status: 404, headers: jsonHeaders });
+}
+
+/**
+ * Works out the file type from the extension, checked against the file's leading bytes.
+ * @param {string} name - File name
+ * @param {Uint8Array} bytes - File content
+ * @returns {'txt'|'md'|'docx'|'pdf'}
+ */
+function detectMaterialType(name, bytes) {
+    const extension = (name.match(/\.([a-z0-9]+)$/i)?.[1] || '').toLowerCase();
+    const startsWith = (text) => text.split('').every((char, i) => bytes[i] === char.charCodeAt(0));
+    if (extension === 'pdf' || startsWith('%PDF-')) {
+        if (!startsWith('%PDF-')) {
+            throw createUploadError('文件不是有效的 PDF');
+        }
+        return 'pdf';
+    }
+    if (extension === 'docx') {
+        if (!startsWith('PK')) {
+            throw createUploadError('文件不是有效的 DOCX（旧版 .doc 请先另存为 .docx）');
+        }
+        return 'docx';
+    }
+    if (extension === 'md' || extension === 'markdown') {
+        return 'md';
+    }
+    if (extension === 'txt' || extension === 'text') {
+        return 'txt';
+    }
+    throw createUploadError(`不支持的文件类型，请上传 ${Object.values(MATERIAL_TYPES).join(' / ')} 文件`, 415);
+}
+
+/**
+ * Extracts the plain text of an uploaded file.
+ * @param {string} type - Type from detectMaterialType
+ * @param {Uint8Array} bytes - File content
+ * @returns {Promise<string>}
+ */
+async function extractMaterialText(type, bytes) {
+    if (type === 'pdf') {
+        return await extractPdfText(bytes);
+    }
+    if (type === 'docx') {
+        return await extractDocxText(bytes);
+    }
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    } catch (utf8Error) {
+        // Plain-text notes written on Chinese Windows are often GBK
+        try {
+            return new TextDecoder('gb18030', { fatal: true }).decode(bytes);
+        } catch (gbError) {
+            throw createUploadError('无法识别文本编码，请将文件另存为 UTF-8 后重新上传');
+        }
+    }
+}
+
+/**
+ * Tidies extracted text: unified line breaks, no trailing spaces, at most one blank line in a row.
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeMaterialText(text) {
+    return text
+        .replace(/^\uFEFF/, '')
+        .replace(/\r\n?/g, '\n')
+        .replace(/[ \t\u00A0]+\n/g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+/**
+ * Decompresses zlib ('deflate') or raw DEFLATE ('deflate-raw') data.
+ * @param {Uint8Array} bytes
+ * @param {'deflate'|'deflate-raw'} format
+ * @returns {Promise<Uint8Array>}
+ */
+async function inflateBytes(bytes, format) {
+    const stream = new Response(bytes).body.pipeThrough(new DecompressionStream(format));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Reads one file from a zip archive (stored or deflated entries).
+ * @param {Uint8Array} bytes - The archive
+ * @param {string} name - Path of the entry
+ * @returns {Promise<Uint8Array|null>} null if the archive has no such entry
+ */
+async function readZipEntry(bytes, name) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    // The end-of-central-directory record sits in the last 22 bytes plus an optional comment
+    let end = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xFFFF); i--) {
+        if (view.getUint32(i, true) === 0x06054b50) {
+            end = i;
+            break;
+        }
+    }
+    if (end === -1) {
+        throw createUploadError('文件不是有效的 DOCX（无法读取压缩包）');
+    }
+
+    const decoder = new TextDecoder();
+    const count = view.getUint16(end + 10, true);
+    let offset = view.getUint32(end + 16, true);
+    for (let i = 0; i < count && view.getUint32(offset, true) === 0x02014b50; i++) {
+        const method = view.getUint16(offset + 10, true);
+        const compressedSize = view.getUint32(offset + 20, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const localOffset = view.getUint32(offset + 42, true);
+        if (decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength)) === name) {
+            const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+            const data = bytes.subarray(dataStart, dataStart + compressedSize);
+            if (method === 0) {
+                return data;
+            }
+            if (method === 8) {
+                return await inflateBytes(data, 'deflate-raw');
+            }
+            throw createUploadError('DOCX 使用了不支持的压缩方式');
+        }
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return null;
+}
+
+/**
+ * @param {string} text - XML character data
+ * @returns {string} The text with entities and character references resolved
+ */
+function decodeXmlEntities(text) {
+    const named = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+    return text.replace(/&(#x[0-9a-f]+|#\d+|lt|gt|amp|quot|apos);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+        }
+        return named[entity.toLowerCase()];
+    });
+}
+
+/**
+ * Extracts the body text of a DOCX file (word/document.xml), one paragraph per line.
+ * @param {Uint8Array} bytes
+ * @returns {Promise<string>}
+ */
+async function extractDocxText(bytes) {
+    const documentXml = await readZipEntry(bytes, 'word/document.xml');
+    if (!documentXml) {
+        throw createUploadError('文件不是有效的 DOCX（缺少正文）');
+    }
+    const xml = new TextDecoder().decode(documentXml);
+    let text = '';
+    for (const match of xml.matchAll(/<\/w:p>|<w:tab\/>|<w:br\/>|<w:t(?:\s[^>]*)?>([^<]*)<\/w:t>/g)) {
+        if (match[0] === '</w:p>' || match[0] === '<w:br/>') {
+            text += '\n';
+        } else if (match[0] === '<w:tab/>') {
+            text += '\t';
+        } else {
+            text += decodeXmlEntities(match[1]);
+        }
+    }
+    return text;
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {string} One character per byte (for scanning binary formats with string methods)
+ */
+function bytesToBinaryString(bytes) {
+    let text = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        text += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return text;
+}
+
+/**
+ * @param {string} text - String produced by bytesToBinaryString
+ * @returns {Uint8Array}
+ */
+function binaryStringToBytes(text) {
+    const bytes = new Uint8Array(text.length);
+    for (let i = 0; i < text.length; i++) {
+        bytes[i] = text.charCodeAt(i) & 0xFF;
+    }
+    return bytes;
+}
+
+/**
+ * Extracts the text of a PDF. This is a best-effort reader for text-based PDFs: it follows the
+ * page tree, decodes Flate-compressed content streams (including objects inside object streams)
+ * and maps character codes through the fonts' ToUnicode tables, which is what CJK PDFs need.
+ * Font resource names are resolved document-wide rather than per page. Scanned (image-only)
+ * and encrypted PDFs yield no text.
+ * @param {Uint8Array} bytes
+ * @returns {Promise<string>}
+ */
+async function extractPdfText(bytes) {
+    const raw = bytesToBinaryString(bytes);
+    if (/\/Encrypt\s+\d+\s+\d+\s+R/.test(raw)) {
+        throw createUploadError('不支持加密的 PDF，请先解除密码保护');
+    }
+
+    // --- Collect objects: { dict, data (raw stream bytes as a binary string, or null) } ---
+    const objects = new Map();
+    const headerPattern = /(\d+)\s+\d+\s+obj\b/g;
+    let header;
+    while ((header = headerPattern.exec(raw))) {
+        const start = header.index + header[0].length;
+        let end = raw.indexOf('endobj', start);
+        if (end === -1) {
+            break;
+        }
+        const streamMatch = /stream\r?\n/.exec(raw.slice(start, end));
+        let dict = raw.slice(start, end);
+        let data = null;
+        if (streamMatch) {
+            dict = raw.slice(start, start + streamMatch.index);
+            const dataStart = start + streamMatch.index + streamMatch[0].length;
+            const length = dict.match(/\/Length\s+(\d+)(?!\s+\d+\s+R)/);
+            let dataEnd = length ? dataStart + Number(length[1]) : raw.indexOf('endstream', dataStart);
+            if (dataEnd < dataStart || raw.indexOf('endstream', dataEnd) === -1) {
+                dataEnd = raw.indexOf('endstream', dataStart);
+            }
+            data = raw.slice(dataStart, dataEnd).replace(/\r?\n$/, '');
+            end = raw.indexOf('endobj', raw.indexOf('endstream', dataEnd));
+            if (end === -1) {
+                break;
+            }
+        }
+        objects.set(Number(header[1]), { dict, data });
+        headerPattern.lastIndex = end + 6;
+    }
+
+    const decoded = new Map();
+    const decodeStream = async (objectNumber) => {
+        if (decoded.has(objectNumber)) {
+            return decoded.get(objectNumber);
+        }
+        const object = objects.get(objectNumber);
+        let text = null;
+        if (object?.data !== null && object?.data !== undefined) {
+            const filters = object.dict.match(/\/Filter\s*(\[[^\]]*\]|\/\w+)/)?.[1] || '';
+            if (!filters) {
+                text = object.data;
+            } else if (filters.replace(/[[\]\s]/g, '') === '/FlateDecode') {
+                try {
+                    text = bytesToBinaryString(await inflateBytes(binaryStringToBytes(object.data), 'deflate'));
+                } catch (inflateError) {
+                    console.warn(`Skipping undecodable PDF stream ${objectNumber}.`);
+                }
+            }
+        }
+        decoded.set(objectNumber, text);
+        return text;
+    };
+
+    // Objects packed into object streams (PDF 1.5+) carry the page tree and fonts of many files
+    for (const [objectNumber, object] of [...objects]) {
+        if (!/\/Type\s*\/ObjStm\b/.test(object.dict)) {
+            continue;
+        }
+        const text = await decodeStream(objectNumber);
+        const first = Number(object.dict.match(/\/First\s+(\d+)/)?.[1]);
+        if (!text || !Number.isFinite(first)) {
+            continue;
+        }
+        const numbers = text.slice(0, first).trim().split(/\s+/).map(Number);
+        for (let i = 0; i + 1 < numbers.length; i += 2) {
+            const bodyEnd = i + 3 < numbers.length ? first + numbers[i + 3] : text.length;
+            if (!objects.has(numbers[i])) {
+                objects.set(numbers[i], { dict: text.slice(first + numbers[i + 1], bodyEnd), data: null });
+            }
+        }
+    }
+
+    // --- Fonts: resource name -> ToUnicode map ---
+    const fonts = new Map();
+    const addFontEntries = async (entries) => {
+        for (const [, name, objectNumber] of entries.matchAll(/\/([^\s/<>[\]()]+)\s+(\d+)\s+\d+\s+R/g)) {
+            const fontDict = objects.get(Number(objectNumber))?.dict || '';
+            const toUnicode = fontDict.match(/\/ToUnicode\s+(\d+)\s+\d+\s+R/);
+            const cmapText = toUnicode ? await decodeStream(Number(toUnicode[1])) : null;
+            if (fonts.has(name)) {
+                continue;
+            }
+            if (cmapText) {
+                fonts.set(name, parseToUnicodeCMap(cmapText));
+            } else if (/\/Subtype\s*\/Type0\b/.test(fontDict)) {
+                // Composite font without ToUnicode: its glyph IDs cannot be mapped back to text
+                fonts.set(name, { codeLength: 2, map: new Map() });
+            }
+        }
+    };
+    for (const object of objects.values()) {
+        for (const [, entries] of object.dict.matchAll(/\/Font\s*<<([\s\S]*?)>>/g)) {
+            await addFontEntries(entries);
+        }
+        for (const [, objectNumber] of object.dict.matchAll(/\/Font\s+(\d+)\s+\d+\s+R/g)) {
+            await addFontEntries(objects.get(Number(objectNumber))?.dict || '');
+        }
+    }
+
+    // --- Pages in document order (page tree from the catalog; object order as a fallback) ---
+    const pages = [];
+    const visit = (objectNumber, depth) => {
+        const dict = objects.get(objectNumber)?.dict || '';
+        const kids = dict.match(/\/Kids\s*\[([^\]]*)\]/);
+        if (kids && depth < 32) {
+            for (const [, kid] of kids[1].matchAll(/(\d+)\s+\d+\s+R/g)) {
+                visit(Number(kid), depth + 1);
+            }
+        } else if (/\/Type\s*\/Page\b/.test(dict)) {
+            pages.push(dict);
+        }
+    };
+    const catalog = [...objects.values()].find(object => /\/Type\s*\/Catalog\b/.test(object.dict));
+    const root = catalog?.dict.match(/\/Pages\s+(\d+)\s+\d+\s+R/);
+    if (root) {
+        visit(Number(root[1]), 0);
+    }
+    if (pages.length === 0) {
+        [...objects.keys()].sort((a, b) => a - b)
+            .map(objectNumber => objects.get(objectNumber).dict)
+            .filter(dict => /\/Type\s*\/Page\b/.test(dict))
+            .forEach(dict => pages.push(dict));
+    }
+
+    const pageTexts = [];
+    for (const dict of pages) {
+        const contents = dict.match(/\/Contents\s*(\[[^\]]*\]|\d+\s+\d+\s+R)/);
+        if (!contents) {
+            continue;
+        }
+        let content = '';
+        for (const [, objectNumber] of contents[1].matchAll(/(\d+)\s+\d+\s+R/g)) {
+            content += `${await decodeStream(Number(objectNumber)) || ''}\n`;
+        }
+        pageTexts.push(extractPdfContentText(content, fonts));
+    }
+    return pageTexts.join('\n\n');
+}
+
+/**
+ * Parses a ToUnicode CMap (bfchar / bfrange sections).
+ * @param {string} text - Decoded CMap stream
+ * @returns {{codeLength: number, map: Map<number, string>}}
+ */
+function parseToUnicodeCMap(text) {
+    const map = new Map();
+    const hexToString = (hex) => {
+        if (hex.length <= 2) {
+            return hex ? String.fromCharCode(parseInt(hex, 16)) : '';
+        }
+        let result = '';
+        for (let i = 0; i + 4 <= hex.length; i += 4) {
+            result += String.fromCharCode(parseInt(hex.slice(i, i + 4), 16)); // UTF-16BE code units
+        }
+        return result;
+    };
+    const codespace = text.match(/begincodespacerange\s*<([0-9a-fA-F]+)>/);
+    const codeLength = codespace ? Math.max(1, codespace[1].length / 2) : 2;
+
+    for (const [, section] of text.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+        for (const [, source, target] of section.matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g)) {
+            map.set(parseInt(source, 16), hexToString(target));
+        }
+    }
+    for (const [, section] of text.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+        for (const [, low, high, target] of section.matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(<[0-9a-fA-F]*>|\[[^\]]*\])/g)) {
+            const start = parseInt(low, 16);
+            const stop = Math.min(parseInt(high, 16), start + 0xFFFF);
+            if (target.startsWith('[')) {
+                [...target.matchAll(/<([0-9a-fA-F]*)>/g)].forEach(([, hex], i) => {
+                    if (start + i <= stop) {
+                        map.set(start + i, hexToString(hex));
+                    }
+                });
+                continue;
+            }
+            const base = target.slice(1, -1);
+            const prefix = base.length > 4 ? hexToString(base.slice(0, -4)) : '';
+            const last = parseInt(base.length > 4 ? base.slice(-4) : base, 16);
+            for (let code = start; code <= stop; code++) {
+                map.set(code, prefix + String.fromCharCode(last + code - start));
+            }
+        }
+    }
+    return { codeLength, map };
+}
+
+/**
+ * Decodes a string operand of a text-showing operator with the current font.
+ * @param {string} value - Raw string bytes (binary string)
+ * @param {{codeLength: number, map: Map<number, string>}|null} font - ToUnicode data of the font
+ * @returns {string}
+ */
+function decodePdfString(value, font) {
+    if (font) {
+        let text = '';
+        for (let i = 0; i + font.codeLength <= value.length; i += font.codeLength) {
+            let code = 0;
+            for (let j = 0; j < font.codeLength; j++) {
+                code = code * 256 + value.charCodeAt(i + j);
+            }
+            text += font.map.get(code) ?? '';
+        }
+        return text;
+    }
+    if (value.startsWith('\xFE\xFF')) {
+        let text = '';
+        for (let i = 2; i + 1 < value.length; i += 2) {
+            text += String.fromCharCode(value.charCodeAt(i) * 256 + value.charCodeAt(i + 1));
+        }
+        return text;
+    }
+    return value.replace(/[\x00-\x08\x0B-\x1F\x7F]/g, ''); // Glyph codes of symbol and ligature characters
+}
+
+/**
+ * Reads a literal string "( ... )" starting at `start`, resolving escapes and nested parentheses.
+ * @param {string} content - Content stream
+ * @param {number} start - Index of the opening parenthesis
+ * @returns {[string, number]} The string bytes and the index after the closing parenthesis
+ */
+function readPdfLiteralString(content, start) {
+    const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+    let depth = 1;
+    let value = '';
+    let i = start + 1;
+    while (i < content.length && depth > 0) {
+        const char = content[i];
+        if (char === '\\') {
+            const next = content[i + 1];
+            const octal = content.slice(i + 1, i + 4).match(/^[0-7]{1,3}/);
+            if (octal) {
+                value += String.fromCharCode(parseInt(octal[0], 8) & 0xFF);
+                i += 1 + octal[0].length;
+                continue;
+            }
+            if (next === '\r' || next === '\n') {
+                i += content[i + 1] === '\r' && content[i + 2] === '\n' ? 3 : 2; // Line continuation
+                continue;
+            }
+            value += escapes[next] ?? next;
+            i += 2;
+            continue;
+        }
+        if (char === '(') {
+            depth++;
+        } else if (char === ')') {
+            depth--;
+            if (depth === 0) {
+                break;
+            }
+        }
+        value += char;
+        i++;
+    }
+    return [value, i + 1];
+}
+
+/**
+ * Collects the text shown by a page's content stream (Tj, TJ, ' and " operators), starting a new
+ * line where the text position moves down.
+ * @param {string} content - Decoded content stream
+ * @param {Map<string, object>} fonts - Resource name -> ToUnicode data
+ * @returns {string}
+ */
+function extractPdfContentText(content, fonts) {
+    let text = '';
+    let font = null;
+    let operands = [];
+    const stack = []; // Open arrays
+    const newLine = () => {
+        if (text && !text.endsWith('\n')) {
+            text += '\n';
+        }
+    };
+    const push = (operand) => {
+        (stack.length > 0 ? stack[stack.length - 1] : operands).push(operand);
+    };
+
+    let i = 0;
+    while (i < content.length) {
+        const char = content[i];
+        if (/\s/.test(char)) {
+            i++;
+        } else if (char === '%') {
+            const lineEnd = content.indexOf('\n', i);
+            i = lineEnd === -1 ? content.length : lineEnd + 1;
+        } else if (char === '(') {
+            const [value, next] = readPdfLiteralString(content, i);
+            push({ string: value });
+            i = next;
+        } else if (char === '<' && content[i + 1] !== '<') {
+            const end = content.indexOf('>', i);
+            const hex = content.slice(i + 1, end === -1 ? content.length : end).replace(/\s/g, '');
+            push({ string: (hex.length % 2 ? `${hex}0` : hex).replace(/../g, pair => String.fromCharCode(parseInt(pair, 16))) });
+            i = end === -1 ? content.length : end + 1;
+        } else if (char === '<' || char === '>') {
+            i += content[i + 1] === char ? 2 : 1; // Dictionary delimiters (marked content properties)
+        } else if (char === '[') {
+            stack.push([]);
+            i++;
+        } else if (char === ']') {
+            const items = stack.pop() || [];
+            push({ array: items });
+            i++;
+        } else if (char === '/') {
+            const name = content.slice(i + 1).match(/^[^\s/<>[\]()%{}]*/)[0];
+            push({ name });
+            i += 1 + name.length;
+        } else {
+            const token = content.slice(i).match(/^[^\s/<>[\]()%{}]+/)?.[0] || char;
+            i += token.length;
+            if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(token)) {
+                push({ number: Number(token) });
+                continue;
+            }
+            // An operator: act on the collected operands
+            const last = operands[operands.length - 1];
+            if (token === 'Tf') {
+                font = fonts.get(operands[operands.length - 2]?.name) || null;
+            } else if (token === 'Tj' && last?.string !== undefined) {
+                text += decodePdfString(last.string, font);
+            } else if ((token === "'" || token === '"') && last?.string !== undefined) {
+                newLine();
+                text += decodePdfString(last.string, font);
+            } else if (token === 'TJ' && last?.array) {
+                for (const item of last.array) {
+                    if (item.string !== undefined) {
+                        text += decodePdfString(item.string, font);
+                    } else if (item.number <= -200 && /[A-Za-z0-9,.;:)]$/.test(text)) {
+                        text += ' '; // Wide kerning gaps separate words in Latin text
+                    }
+                }
+            } else if (token === 'T*' || ((token === 'Td' || token === 'TD') && last?.number)) {
+                newLine();
+            } else if (token === 'ET') {
+                newLine();
+            } else if (token === 'ID') {
+                // Inline image data: skip to its end marker
+                const imageEnd = content.slice(i).search(/\sEI(\s|$)/);
+                i = imageEnd === -1 ? content.length : i + imageEnd + 3;
+            }
+            operands = [];
+            stack.length = 0;
+        }
+    }
+    return text;
+}
+
+// --- Material Retrieval (embeddings, top-k selection) ---
+//
+// Every chunk of an uploaded file is embedded when it is stored. The vectors live next to the
+// chunks, in `embeddings: { model, dimensions, vectors }` of `<code>:material:<id>:<file>` (each vector a
+// base64-encoded Float32Array). For every turn the query (user message plus the chapter being
+// written) is embedded the same way, and the chunks with the highest cosine similarity are added to
+// the prompt: at most MATERIAL_TOP_K of them, within MATERIAL_TOKEN_BUDGET estimated tokens.
+//
+// EMBEDDING_BACKEND selects the backend:
+// - `local` (default): deterministic feature hashing of words and CJK character pairs. It needs no
+//   network or key, so it also works offline and in tests, but it only matches shared wording.
+// - `openai`: an OpenAI-compatible /embeddings endpoint (EMBEDDING_ENDPOINT, default API_ENDPOINT;
+//   key from the env secret named by EMBEDDING_API_KEY_ENV, default OPENAI_API_KEY).
+// - `workers-ai`: the Workers AI binding `AI`.
+// EMBEDDING_MODEL overrides the backend's default model. Vectors made by another backend or model
+// are recomputed on first use. If the backend fails, the turn is answered with local vectors, so
+// chatting never depends on it.
+//
+// The local embedder, the vector maths, the ranking and the chunking live in
+// lib/material-retrieval.js, which `node scripts/check-retrieval.mjs` checks offline.
+
+const EMBEDDING_BATCH_SIZE = 32;
+const DEFAULT_MATERIAL_TOP_K = 6;
+const DEFAULT_MATERIAL_TOKEN_BUDGET = 3000;
+const EMBEDDING_BACKENDS = {
+    local: { defaultModel: `hash-${LOCAL_EMBEDDING_DIMENSIONS}`, embed: async (env, model, texts) => texts.map(embedLocally) },
+    openai: { defaultModel: 'text-embedding-3-small', embed: embedWithOpenAi },
+    'workers-ai': { defaultModel: '@cf/baai/bge-m3', embed: embedWithWorkersAi },
+};
+
+/**
+ * Reads the embedding configuration.
+ * @param {object} env - Environment object
+ * @returns {{backend: string, model: string, id: string}} `id` identifies the vector space ("backend:model")
+ */
+function loadEmbeddingConfig(env) {
+    let backend = String(env.EMBEDDING_BACKEND || 'local').trim();
+    if (!EMBEDDING_BACKENDS[backend]) {
+        console.warn(`Unknown EMBEDDING_BACKEND "${backend}". Using local embeddings.`);
+        backend = 'local';
+    }
+    const model = backend === 'local' ? EMBEDDING_BACKENDS.local.defaultModel : String(env.EMBEDDING_MODEL || EMBEDDING_BACKENDS[backend].defaultModel);
+    return { backend, model, id: `${backend}:${model}` };
+}
+
+/**
+ * Embeds texts in batches and normalises the vectors to unit length.
+ * @param {object} env - Environment object
+ * @param {{backend: string, model: string, id: string}} config - From loadEmbeddingConfig
+ * @param {string[]} texts
+ * @returns {Promise<number[][]>}
+ */
+async function embedTexts(env, config, texts) {
+    const vectors = [];
+    for (let i = 0; i < texts.length; i += EMBEDDING_BATCH_SIZE) {
+        const batch = texts.slice(i, i + EMBEDDING_BATCH_SIZE);
+        const result = await EMBEDDING_BACKENDS[config.backend].embed(env, config.model, batch);
+        if (!Array.isArray(result) || result.length !== batch.length) {
+            throw new Error(`Embedding backend ${config.id} returned ${result?.length ?? 'no'} vectors for ${batch.length} texts`);
+        }
+        vectors.push(...result.map(normalizeVector));
+    }
+    return vectors;
+}
+
+/**
+ * Embeds texts with an OpenAI-compatible /embeddings endpoint.
+ * @param {object} env - Environment object
+ * @param {string} model
+ * @param {string[]} texts
+ * @returns {Promise<number[][]>}
+ */
+async function embedWithOpenAi(env, model, texts) {
+    const endpoint = String(env.EMBEDDING_ENDPOINT || env.API_ENDPOINT || '').replace(/\/+$/, '');
+    const response = await fetch(`${endpoint}/embeddings`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${env[env.EMBEDDING_API_KEY_ENV || 'OPENAI_API_KEY']}`,
+        },
+        body: JSON.stringify({ model, input: texts }),
+    });
+    if (!response.ok) {
+        throw new Error(`Embedding request failed with status ${response.status}: ${(await response.text()).slice(0, 200)}`);
+    }
+    const data = await response.json();
+    return [...(data.data || [])].sort((a, b) => a.index - b.index).map(item => item.embedding);
+}
+
+/**
+ * Embeds texts with the Workers AI binding.
+ * @param {object} env - Environment object (with the `AI` binding)
+ * @param {string} model
+ * @param {string[]} texts
+ * @returns {Promise<number[][]>}
+ */
+async function embedWithWorkersAi(env, model, texts) {
+    if (!env.AI) {
+        throw new Error('EMBEDDING_BACKEND is workers-ai, but no AI binding is configured');
+    }
+    const result = await env.AI.run(model, { text: texts });
+    return result?.data;
+}
+
+/**
+ * @param {number[]} vector
+ * @returns {string} Base64 of the vector as Float32Array (about a third of its JSON size)
+ */
+function encodeVector(vector) {
+    return btoa(bytesToBinaryString(new Uint8Array(Float32Array.from(vector).buffer)));
+}
+
+/**
+ * @param {string} encoded - From encodeVector
+ * @returns {number[]}
+ */
+function decodeVector(encoded) {
+    return Array.from(new Float32Array(binaryStringToBytes(atob(encoded)).buffer));
+}
+
+/**
+ * Embeds the chunks of a file for storage next to them.
+ * @param {object} env - Environment object
+ * @param {{backend: string, model: string, id: string}} config - From loadEmbeddingConfig
+ * @param {string[]} chunks
+ * @returns {Promise<{model: string, dimensions: number, vectors: string[]}>}
+ */
+async function embedMaterialChunks(env, config, chunks) {
+    const vectors = await embedTexts(env, config, chunks);
+    return { model: config.id, dimensions: vectors[0]?.length || 0, vectors: vectors.map(encodeVector) };
+}
+
+/**
+ * Returns the vectors of a file's chunks, embedding (and storing) them first if they are missing
+ * or were made with another backend or model.
+ * @param {object} env - Environment object
+ * @param {string} loginCode
+ * @param {string} conversationId
+ * @param {object} file - Entry of the material index
+ * @param {{chunks: string[], embeddings?: object}} record - From loadMaterialRecord
+ * @param {{backend: string, model: string, id: string}} config - From loadEmbeddingConfig
+ * @returns {Promise<number[][]>}
+ */
+async function loadChunkVectors(env, loginCode, conversationId, file, record, config) {
+    const stored = record.embeddings;
+    if (stored?.model === config.id && stored.vectors?.length === record.chunks.length) {
+        return stored.vectors.map(decodeVector);
+    }
+    record.embeddings = await embedMaterialChunks(env, config, record.chunks);
+    await env.KV_NAMESPACE.put(materialChunksKey(loginCode, conversationId, file.id), JSON.stringify(record));
+    console.log(`Embedded ${record.chunks.length} chunks of ${file.name} (${loginCode}/${conversationId}) with ${config.id}.`);
+    return record.embeddings.vectors.map(decodeVector);
+}
+
+/**
+ * Ranks all chunks of a conversation's uploads by similarity to the query and picks the ones for
+ * the prompt: the best MATERIAL_TOP_K that fit into MATERIAL_TOKEN_BUDGET. When nothing is similar
+ * at all (e.g. "继续" with the local embedder), the opening chunk of every file is used instead.
+ * @param {object} env - Environment object
+ * @param {string} loginCode
+ * @param {string} conversationId
+ * @param {string} query - User message plus the chapter being written
+ * @returns {Promise<{files: Array<object>, embedding: string|null, ranked: Array<object>, selected: Array<object>}>}
+ *   Chunks are { file, index, text, tokens, score }; `selected` is in file / chunk order
+ */
+async function retrieveMaterialChunks(env, loginCode, conversationId, query) {
+    const files = await loadMaterials(env, loginCode, conversationId);
+    if (files.length === 0) {
+        return { files, embedding: null, ranked: [], selected: [] };
+    }
+    const records = await Promise.all(files.map(file => loadMaterialRecord(env, loginCode, conversationId, file.id)));
+
+    let config = loadEmbeddingConfig(env);
+    let chunkVectors;
+    let queryVector;
+    try {
+        chunkVectors = [];
+        for (let i = 0; i < files.length; i++) {
+            chunkVectors.push(await loadChunkVectors(env, loginCode, conversationId, files[i], records[i], config));
+        }
+        [queryVector] = await embedTexts(env, config, [query]);
+    } catch (error) {
+        console.error(`Embedding with ${config.id} failed, using local embeddings for this turn:`, error);
+        config = loadEmbeddingConfig({ EMBEDDING_BACKEND: 'local' });
+        chunkVectors = records.map(record => record.chunks.map(text => normalizeVector(embedLocally(text))));
+        queryVector = normalizeVector(embedLocally(query));
+    }
+
+    const chunks = [];
+    const vectors = [];
+    files.forEach((file, i) => records[i].chunks.forEach((text, index) => {
+        chunks.push({ file, index, text, tokens: estimateTokens(text) });
+        vectors.push(chunkVectors[i][index]);
+    }));
+    const { ranked, selected, used } = rankMaterialChunks(chunks, vectors, queryVector, {
+        topK: numberSetting(env, 'MATERIAL_TOP_K', DEFAULT_MATERIAL_TOP_K),
+        budget: numberSetting(env, 'MATERIAL_TOKEN_BUDGET', DEFAULT_MATERIAL_TOKEN_BUDGET),
+    });
+
+    const picked = selected.map(chunk => `${chunk.file.name}#${chunk.index + 1} (${chunk.score.toFixed(3)})`).join(', ');
+    console.log(`Material retrieval for ${loginCode}/${conversationId} with ${config.id}: ${selected.length} of ${chunks.length} chunks, ${used} tokens${picked ? `: ${picked}` : ''}.`);
+    return { files, embedding: config.id, ranked, selected };
+}
+
+/**
+ * Builds the system prompt section with the retrieved material.
+ * @param {{files: Array<object>, selected: Array<object>}} retrieval - From retrieveMaterialChunks
+ * @returns {string} Empty if nothing was retrieved
+ */
+function formatMaterialPrompt(retrieval) {
+    const { files, selected } = retrieval;
+    if (selected.length === 0) {
+        return '';
+    }
+    const excerpts = selected.map(chunk => `[${chunk.file.name} · 片段 ${chunk.index + 1}]\n${chunk.text}`);
+    return `以下是用户上传的资料中与当前内容最相关的片段（共 ${files.length} 个文件：${files.map(file => file.name).join('、')}）。撰写时请以这些资料为依据，使用其中的内容时在句末注明来源文件名，例如“（来源：${selected[0].file.name}）”；不要编造资料中没有的数据。\n\n${excerpts.join('\n\n')}`;
+}
+
+/**
+ * Debug view of a retrieval: which chunks were used and how they scored.
+ * @param {object} retrieval - From retrieveMaterialChunks
+ * @param {number} [limit] - Number of ranked chunks to list
+ * @returns {{embedding: string|null, candidates: number, used: Array<object>, ranked: Array<object>}}
+ */
+function summarizeRetrieval(retrieval, limit = 10) {
+    const describe = chunk => ({
+        file_id: chunk.file.id,
+        file: chunk.file.name,
+        chunk: chunk.index + 1,
+        score: Math.round(chunk.score * 1000) / 1000,
+        tokens: chunk.tokens,
+        excerpt: chunk.text.slice(0, 80),
+    });
+    return {
+        embedding: retrieval.embedding,
+        candidates: retrieval.ranked.length,
+        used: retrieval.selected.map(describe),
+        ranked: retrieval.ranked.slice(0, limit).map(describe),
+    };
+}
+
+// --- Conversation Sessions (Durable Object) ---
+//
+// With the SESSION_STORE binding, each conversation's chat state is owned by a Durable Object
+// (workers/session-store, instance `<code>:<conversationId>`) instead of being read and written as
+// one KV value:
+// - loadConversation reads from the object and remembers the revision it saw;
+// - storeConversation only succeeds if that revision is still current (409 CONVERSATION_CONFLICT
+//   otherwise, e.g. after a turn in another tab), and the object only writes the changed messages;
+// - runChatTurn takes a turn lease before calling the model, so a second turn on the same
+//   conversation is refused (409 CONVERSATION_BUSY) until the first one has saved its reply.
+// Migration: a conversation the object does not know yet is imported from its KV record on first
+// access. Every accepted write is also copied to KV, so removing the binding falls back to KV
+// (the previous behaviour, without these guarantees) without losing data.
+
+const CONVERSATION_SESSION_ERRORS = {
+    CONVERSATION_BUSY: '该对话正在生成回复，请等待完成后再试',
+    CONVERSATION_CONFLICT: '对话已在其他页面更新，请刷新后重试',
+};
+// Revision (and turn lease) each loaded state object was read at
+const conversationRevisions = new WeakMap();
+
+/**
+ * Sends a request to a conversation's Durable Object.
+ * @param {object} env - Contains the SESSION_STORE binding
+ * @param {string} loginCode
+ * @param {string} conversationId
+ * @param {string} method
+ * @param {string} path - Internal API path, e.g. /state
+ * @param {object} [body]
+ * @returns {Promise<{status: number, data: object}>}
+ */
+async function callConversationSession(env, loginCode, conversationId, method, path, body) {
+    const stub = env.SESSION_STORE.get(env.SESSION_STORE.idFromName(`${loginCode}:${conversationId}`));
+    const response = await stub.fetch(`https://conversation-session${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    return { status: response.status, data: await response.json() };
+}
+
+/**
+ * @param {string} code - CONVERSATION_BUSY or CONVERSATION_CONFLICT
+ * @returns {Error} With `status` 409 and `code`, answered as such by the request handlers
+ */
+function createConversationSessionError(code) {
+    const error = new Error(CONVERSATION_SESSION_ERRORS[code] || code);
+    error.status = 409;
+    error.code = code;
+    return error;
+}
+
+/**
+ * Loads a conversation from its Durable Object, importing the KV record on first access.
+ * @param {object} env - Environment object
+ * @param {string} loginCode
+ * @param {string} conversationId
+ * @returns {Promise<{state: object, revision: number}|null>} Raw state (not normalised), or null if there is none
+ */
+async function loadConversationSession(env, loginCode, conversationId) {
+    let result = await callConversationSession(env, loginCode, conversationId, 'GET', '/state');
+    if (result.status === 404) {
+        const stored = await env.KV_NAMESPACE.get(conversationKey(loginCode, conversationId));
+        if (!stored) {
+            return null;
+        }
+        const { state } = await readStoredState(env, loginCode, conversationId, stored);
+        result = await callConversationSession(env, loginCode, conversationId, 'POST', '/import', { state });
+        console.log(`Migrated conversation ${loginCode}/${conversationId} from KV into its session object.`);
+    }
+    if (result.status !== 200) {
+        throw new Error(`Session object for ${loginCode}/${conversationId} answered ${result.status}`);
+    }
+    return { state: result.data.state, revision: result.data.revision };
+}
+
+/**
+ * Writes a conversation's state: to its Durable Object (checked against the revision the state
+ * was loaded at, see loadConversation) when SESSION_STORE is bound, and to KV.
+ * States that were not loaded (new or reset conversations) replace whatever is stored.
+ * @param {object} env - Environment object
+ * @param {string} loginCode
+ * @param {string} conversationId
+ * @param {object} state
+ * @returns {Promise<void>}
+ * @throws {Error} 409 CONVERSATION_BUSY / CONVERSATION_CONFLICT (see createConversationSessionError)
+ */
+async function storeConversation(env, loginCode, conversationId, state) {
+    if (env.SESSION_STORE) {
+        const seen = conversationRevisions.get(state);
+        const result = await callConversationSession(env, loginCode, conversationId, 'POST', '/save', {
+            state,
+            revision: seen ? seen.revision : null,
+            turn_id: seen?.turnId || null,
+        });
+        if (result.status === 409) {
+            console.warn(`Refused write to ${loginCode}/${conversationId}: ${result.data.code}.`);
+            throw createConversationSessionError(result.data.code);
+        }
+        if (result.status !== 200) {
+            throw new Error(`Session object for ${loginCode}/${conversationId} answered ${result.status}`);
+        }
+        conversationRevisions.set(state, { revision: result.data.revision });
+    }
+    await env.KV_NAMESPACE.put(conversationKey(loginCode, conversationId), JSON.stringify(state));
+}
+
+/**
+ * Deletes a conversation's state from its Durable Object (if bound) and from KV.
+ * @param {object} env - Environment object
+ * @param {string} loginCode
+ * @param {string} conversationId
+ * @returns {Promise<void>}
+ */
+async function deleteConversationState(env, loginCode, conversationId) {
+    if (env.SESSION_STORE) {
+        await callConversationSession(env, loginCode, conversationId, 'DELETE', '/state');
+    }
+    await env.KV_NAMESPACE.delete(conversationKey(loginCode, conversationId));
+}
+
+/**
+ * Takes the conversation's turn lease for a model turn. The state's next save ends the turn
+ * (or endConversationTurn, if the turn stops without saving). Without SESSION_STORE there is no
+ * lease and every turn may start.
+ * @param {object} env - Environment object
+ * @param {string} loginCode
+ * @param {string} conversationId
+ * @param {object} state - State loaded for this turn
+ * @returns {Promise<{code: string, error: string}|null>} Why the turn may not start, or null
+ */
+async function beginConversationTurn(env, loginCode, conversationId, state) {
+    if (!env.SESSION_STORE) {
+        return null;
+    }
+    const seen = conversationRevisions.get(state);
+    const result = await callConversationSession(env, loginCode, conversationId, 'POST', '/turn/begin', {
+        revision: seen ? seen.revision : null,
+        ttl_ms: INFLIGHT_TTL_SECONDS * 1000,
+    });
+    if (result.status === 409) {
+        console.warn(`Turn on ${loginCode}/${conversationId} refused: ${result.data.code}.`);
+        return { code: result.data.code, error: CONVERSATION_SESSION_ERRORS[result.data.code] || result.data.code };
+    }
+    if (result.status !== 200) {
+        throw new Error(`Session object for ${loginCode}/${conversationId} answered ${result.status}`);
+    }
+    conversationRevisions.set(state, { revision: seen?.revision ?? null, turnId: result.data.turn_id });
+    return null;
+}
+
+/**
+ * Gives up a turn lease without saving. Failures are logged only; the lease expires anyway.
+ * @param {object} env - Environment object
+ * @param {string} loginCode
+ * @param {string} conversationId
+ * @param {object} state - State the turn was started with
+ * @returns {Promise<void>}
+ */
+async function endConversationTurn(env, loginCode, conversationId, state) {
+    const seen = conversationRevisions.get(state);
+    if (!env.SESSION_STORE || !seen?.turnId) {
+        return;
+    }
+    try {
+        await callConversationSession(env, loginCode, conversationId, 'POST', '/turn/end', { turn_id: seen.turnId });
+        conversationRevisions.set(state, { revision: seen.revision });
+    } catch (error) {
+        console.error(`Failed to end turn on ${loginCode}/${conversationId}:`, error);
+    }
+}
+
+// --- Conversation State Schema (versions, migrations, quarantine) ---
+//
+// Stored conversation states carry a `schema_version`. loadConversation upgrades older records by
+// running the STATE_MIGRATIONS newer than their version in order (and writes the result back),
+// then validates the state. A record that cannot be parsed, migrated or validated is never
+// overwritten with an empty state: it is copied to `quarantine:<code>:<conversationId>:<hash>` and
+// requests on it fail with STATE_QUARANTINED until an admin restores it:
+//   GET    /api/admin/quarantine                             List quarantined records (?code=, ?cursor=)
+//   GET    /api/admin/quarantine/<code>/<id>/<hash>          The record, its raw JSON and why it failed
+//   POST   /api/admin/quarantine/<code>/<id>/<hash>/restore  Restore it: { state?, as_new? }
+//   DELETE /api/admin/quarantine/<code>/<id>/<hash>          Discard the backup
+// Records from a newer schema (e.g. after rolling back a deployment) are refused but left alone.
+// A broken conversation index is quarantined the same way, with `index` as its id, and rebuilt
+// from the stored conversations at once; its copy can be inspected and discarded, not restored.
+//
+// Schema versions:
+//   0  Unversioned: full workflow states, or `{ conversation_history }` only (older login / reset)
+//   1  Every workflow field present
+//   2  Messages carry IDs
+//   3  history_summary and template_id
+
+const STATE_SCHEMA_VERSION = 3;
+
+const STATE_MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Fill in the workflow fields of history-only records',
+        migrate: state => ({
+            status: WORKFLOW_STATUS.AWAITING_INITIAL_INPUT,
+            current_chapter_index: null,
+            estimated_chapters: null,
+            outline_draft: null,
+            approved_outline: null,
+            confirmed_chapters: [],
+            last_chapter_content: null,
+            ...state,
+            conversation_history: state.conversation_history ?? [],
+        }),
+    },
+    {
+        version: 2,
+        description: 'Give messages stored before IDs existed stable positional IDs',
+        migrate: state => ({
+            ...state,
+            conversation_history: Array.isArray(state.conversation_history)
+                ? state.conversation_history.map((message, i) => (message && typeof message === 'object' && !message.id ? { ...message, id: `legacy-${i}` } : message))
+                : state.conversation_history,
+        }),
+    },
+    {
+        version: 3,
+        description: 'Add the rolling history summary and the paper template',
+        migrate: state => ({ history_summary: null, template_id: null, ...state }),
+    },
+];
+
+const STATE_ERRORS = {
+    STATE_QUARANTINED: '会话数据已损坏，已备份并等待管理员恢复',
+    STATE_VERSION_UNSUPPORTED: '会话数据来自更新的版本，暂时无法读取',
+};
+const MESSAGE_ROLES = ['user', 'assistant', 'system'];
+const QUARANTINE_PREFIX = 'quarantine:';
+
+/**
+ * @param {string} code - STATE_INVALID, STATE_QUARANTINED or STATE_VERSION_UNSUPPORTED
+ * @param {string} detail - What is wrong with the record (for logs and the admin routes)
+ * @returns {Error}
+ */
+function createStateError(code, detail) {
+    const error = new Error(detail);
+    error.code = code;
+    return error;
+}
+
+/**
+ * @param {Error} error - Thrown by loadConversation
+ * @returns {string} Message shown to the user
+ */
+function describeStateError(error) {
+    return STATE_ERRORS[error?.code] || '无法解析会话状态';
+}
+
+/**
+ * Upgrades a stored state to STATE_SCHEMA_VERSION and validates it.
+ * @param {object} storedState - Parsed record
+ * @returns {{state: object, fromVersion: number}}
+ * @throws {Error} STATE_INVALID or STATE_VERSION_UNSUPPORTED (see createStateError)
+ */
+function migrateState(storedState) {
+    if (!storedState || typeof storedState !== 'object' || Array.isArray(storedState)) {
+        throw createStateError('STATE_INVALID', 'state is not an object');
+    }
+    const fromVersion = storedState.schema_version ?? 0;
+    if (!Number.isInteger(fromVersion) || fromVersion < 0) {
+        throw createStateError('STATE_INVALID', `invalid schema_version ${JSON.stringify(fromVersion)}`);
+    }
+    if (fromVersion > STATE_SCHEMA_VERSION) {
+        throw createStateError('STATE_VERSION_UNSUPPORTED', `schema_version ${fromVersion} is newer than ${STATE_SCHEMA_VERSION}`);
+    }
+
+    let state = storedState;
+    for (const migration of STATE_MIGRATIONS) {
+        if (migration.version > fromVersion) {
+            state = { ...migration.migrate(state), schema_version: migration.version };
+        }
+    }
+    const problem = validateState(state);
+    if (problem) {
+        throw createStateError('STATE_INVALID', problem);
+    }
+    return { state, fromVersion };
+}
+
+/**
+ * Checks the shape of a state at the current schema version.
+ * @param {object} state
+ * @returns {string|null} The first problem found, or null if the state is valid
+ */
+function validateState(state) {
+    if (!Object.values(WORKFLOW_STATUS).includes(state.status)) {
+        return `unknown status ${JSON.stringify(state.status)}`;
+    }
+    if (!Array.isArray(state.conversation_history)) {
+        return 'conversation_history is not an array';
+    }
+    const invalidMessage = state.conversation_history.findIndex(message => !message || typeof message !== 'object'
+        || typeof message.id !== 'string' || !MESSAGE_ROLES.includes(message.role) || typeof message.content !== 'string');
+    if (invalidMessage !== -1) {
+        return `conversation_history[${invalidMessage}] is not a valid message`;
+    }
+    if (!Array.isArray(state.confirmed_chapters)) {
+        return 'confirmed_chapters is not an array';
+    }
+    for (const field of ['current_chapter_index', 'estimated_chapters']) {
+        if (state[field] !== null && !(Number.isInteger(state[field]) && state[field] >= 0)) {
+            return `${field} is not a non-negative integer`;
+        }
+    }
+    for (const field of ['outline_draft', 'approved_outline', 'last_chapter_content', 'template_id']) {
+        if (state[field] !== null && typeof state[field] !== 'string') {
+            return `${field} is not a string`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Parses, migrates and validates a stored conversation record. A record that fails is
+ * quarantined first (see quarantineState), so the caller may safely replace it afterwards.
+ * @param {object} env - Contains KV_NAMESPACE binding
+ * @param {string} loginCode
+ * @param {string} conversationId - Or 'legacy' for the pre-conversation record of a code
+ * @param {string|object} stored - JSON from KV or the state held by the session object
+ * @returns {Promise<{state: object, migrated: boolean}>}
+ * @throws {Error} STATE_QUARANTINED or STATE_VERSION_UNSUPPORTED
+ */
+async function readStoredState(env, loginCode, conversationId, stored) {
+    try {
+        const { state, fromVersion } = migrateState(typeof stored === 'string' ? JSON.parse(stored) : stored);
+        if (fromVersion < STATE_SCHEMA_VERSION) {
+            console.log(`Migrated state of ${loginCode}/${conversationId} from schema ${fromVersion} to ${STATE_SCHEMA_VERSION}.`);
+        }
+        return { state, migrated: fromVersion < STATE_SCHEMA_VERSION };
+    } catch (error) {
+        if (error.code === 'STATE_VERSION_UNSUPPORTED') {
+            console.error(`State of ${loginCode}/${conversationId} cannot be read: ${error.message}`);
+            throw error;
+        }
+        await quarantineState(env, loginCode, conversationId, stored, error.message);
+        throw createStateError('STATE_QUARANTINED', error.message);
+    }
+}
+
+/**
+ * @param {string} loginCode
+ * @param {string} conversationId
+ * @param {string} hash - Content hash of the quarantined record
+ * @returns {string} KV key of a quarantined record
+ */
+function quarantineKey(loginCode, conversationId, hash) {
+    return `${QUARANTINE_PREFIX}${loginCode}:${conversationId}:${hash}`;
+}
+
+/**
+ * Copies a record that failed to load to its quarantine key. The key is derived from the
+ * content, so loading the same broken record again does not add copies, and a different
+ * broken version of the conversation never overwrites an earlier backup.
+ * @param {object} env - Contains KV_NAMESPACE binding
+ * @param {string} loginCode
+ * @param {string} conversationId
+ * @param {string|object} stored - The record as it was read
+ * @param {string} reason - Why it failed
+ * @returns {Promise<string>} The quarantine key
+ */
+async function quarantineState(env, loginCode, conversationId, stored, reason) {
+    const raw = typeof stored === 'string' ? stored : JSON.stringify(stored);
+    const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(raw)));
+    const hash = [...digest.slice(0, 6)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+    const key = quarantineKey(loginCode, conversationId, hash);
+    if (!(await env.KV_NAMESPACE.get(key))) {
+        const quarantinedAt = new Date().toISOString();
+        await env.KV_NAMESPACE.put(key, JSON.stringify({
+            code: loginCode,
+            conversation_id: conversationId,
+            reason,
+            quarantined_at: quarantinedAt,
+            raw,
+        }), { metadata: { reason: reason.slice(0, 200), quarantined_at: quarantinedAt, size: raw.length } });
+    }
+    console.error(`State of ${loginCode}/${conversationId} is invalid (${reason}); quarantined as ${key}.`);
+    return key;
+}
+
+/**
+ * Handles /api/admin/quarantine[/<code>/<conversationId>/<hash>[/restore]] (admin secret already checked).
+ * @param {Request} request
+ * @param {object} env - Contains KV_NAMESPACE binding
+ * @param {URL} url - Parsed request URL
+ * @param {object} payload - Parsed body (POST)
+ * @param {object} jsonHeaders
+ * @returns {Promise<Response>}
+ */
+async function handleAdminQuarantineRequest(request, env, url, payload, jsonHeaders) {
+    if (url.pathname === '/api/admin/quarantine' && request.method === 'GET') {
+        const code = url.searchParams.get('code');
+        if (code && !/^\d{10}$/.test(code)) {
+            return new Response(JSON.stringify({ success: false, error: '无效的登录码格式' }), { status: 400, headers: jsonHeaders });
+        }
+        const listing = await env.KV_NAMESPACE.list({ prefix: code ? `${QUARANTINE_PREFIX}${code}:` : QUARANTINE_PREFIX, cursor: url.searchParams.get('cursor') || undefined });
+        const records = listing.keys.map(key => {
+            const [, recordCode, conversationId, hash] = key.name.split(':');
+            return { code: recordCode, conversation_id: conversationId, hash, ...(key.metadata || {}) };
+        });
+        return new Response(JSON.stringify({
+            success: true,
+            records,
+            cursor: listing.list_complete ? null : listing.cursor,
+        }), { status: 200, headers: jsonHeaders });
+    }
+
+    const match = url.pathname.match(/^\/api\/admin\/quarantine\/(\d{10})\/([\w-]+)\/([0-9a-f]{12})(?:\/(restore))?$/);
+    if (!match) {
+        return new Response(JSON.stringify({ error: 'API route not found' }), { status: 404, headers: jsonHeaders });
+    }
+    const [, loginCode, conversationId, hash, action] = match;
+    const key = quarantineKey(loginCode, conversationId, hash);
+    const stored = await env.KV_NAMESPACE.get(key);
+    if (!stored) {
+        return new Response(JSON.stringify({ success: false, error: '备份记录不存在' }), { status: 404, headers: jsonHeaders });
+    }
+    const record = JSON.parse(stored);
+
+    if (!action && request.method === 'GET') {
+        // Re-check the record: it may load by now (e.g. after a migration was added)
+        let problem = null;
+        try {
+            migrateState(JSON.parse(record.raw));
+        } catch (error) {
+            problem = error.message;
+        }
+        return new Response(JSON.stringify({ success: true, record, current_problem: problem }), { status: 200, headers: jsonHeaders });
+    } else if (!action && request.method === 'DELETE') {
+        await env.KV_NAMESPACE.delete(key);
+        console.log(`Admin discarded quarantined state ${key}.`);
+        return new Response(JSON.stringify({ success: true }), { status: 200, headers: jsonHeaders });
+    } else if (action === 'restore' && request.method === 'POST') {
+        return await restoreQuarantinedState(env, key, record, payload, jsonHeaders);
+    }
+    return new Response(JSON.stringify({ error: 'API route not found' }), { status: 404, headers: jsonHeaders });
+}
+
+/**
+ * Restores a quarantined record: the admin's corrected `state`, or else the raw record (which must
+ * pass migration and validation now). It replaces the conversation it came from, or becomes a new
+ * conversation of the code with `as_new: true` (always for legacy records and deleted conversations).
+ * A `state` without schema_version is migrated like an unversioned record, so it only needs the
+ * fields that matter (e.g. conversation_history and status).
+ * @param {object} env - Contains KV_NAMESPACE binding
+ * @param {string} key - Quarantine key (deleted once restored)
+ * @param {object} record - Quarantined record
+ * @param {{state?: object, as_new?: boolean}} payload
+ * @param {object} jsonHeaders
+ * @returns {Promise<Response>}
+ */
+async function restoreQuarantinedState(env, key, record, payload, jsonHeaders) {
+    if (record.conversation_id === QUARANTINED_INDEX_ID) {
+        // The index was rebuilt when it was quarantined; the copy is only kept for inspection
+        return new Response(JSON.stringify({ success: false, error: '会话索引已自动重建，无法恢复' }), { status: 400, headers: jsonHeaders });
+    }
+    let state;
+    try {
+        ({ state } = migrateState(payload.state !== undefined ? payload.state : JSON.parse(record.raw)));
+    } catch (error) {
+        return new Response(JSON.stringify({ success: false, error: `状态仍无法通过校验：${error.message}` }), { status: 400, headers: jsonHeaders });
+    }
+
+    const loginCode = record.code;
+    const index = await loadConversationIndex(env, loginCode) || { active_id: null, conversations: [] };
+    let conversationId = record.conversation_id;
+    if (payload.as_new || !index.conversations.some(item => item.id === conversationId)) {
+        const { meta } = await createConversation(env, loginCode, index, '恢复的对话', state);
+        conversationId = meta.id;
+    } else {
+        await storeConversation(env, loginCode, conversationId, state);
+    }
+    await env.KV_NAMESPACE.delete(key);
+    console.log(`Admin restored quarantined state ${key} into ${loginCode}/${conversationId}.`);
+    return new Response(JSON.stringify({
+        success: true,
+        code: loginCode,
+        conversation_id: conversationId,
+        state: summarizeState(state),
+    }), { status: 200, headers: jsonHeaders });
+}
+
+// --- Backups & Snapshots ---
+//
+// A backup archive holds everything stored for a code as one JSON document:
+//   { format: 'paperg-backup', version, exported_at, active_id, settings, conversations: [entry...], skipped: [...] }
+// where each entry is
+//   { id, title, title_is_custom, created_at, updated_at, state, paper, chapter_versions, references, materials }
+// (materials are the uploaded files with their text chunks; embeddings are left out and rebuilt on
+// first use). The login code itself is not part of the archive.
+//   GET  /api/backup                    Download the archive
+//   POST /api/backup                    Import an archive (body: the archive). Everything is validated
+//                                       first; each conversation is then added as a new conversation,
+//                                       so nothing that exists is overwritten. The settings (see User
+//                                       Settings) are only taken over by a code that has none yet
+//   GET  /api/snapshots                 Automatic snapshots of the code, newest first
+//   POST /api/snapshots/<id>/restore    Put a snapshot back into its conversation (a new one if that was deleted)
+//
+// Snapshots are entries without references and materials (which /api/reset keeps), stored under
+// `<code>:snapshot:<id>` before every reset and before a snapshot is restored over a conversation.
+// KV expires them after SNAPSHOT_RETENTION_DAYS (default 7; 0 turns snapshots off).
+
+const BACKUP_FORMAT = 'paperg-backup';
+const BACKUP_FORMAT_VERSION = 1;
+const MAX_BACKUP_BYTES = 20 * 1024 * 1024;
+const MAX_BACKUP_CONVERSATIONS = 200;
+const DEFAULT_SNAPSHOT_RETENTION_DAYS = 7;
+
+/**
+ * @param {string} loginCode
+ * @param {string} [snapshotId] - Omitted for the listing prefix
+ * @returns {string} KV key of a snapshot
+ */
+function snapshotKey(loginCode, snapshotId = '') {
+    return `${loginCode}:snapshot:${snapshotId}`;
+}
+
+/**
+ * Collects one conversation for a backup archive or a snapshot.
+ * @param {object} env - Contains KV_NAMESPACE binding
+ * @param {string} loginCode
+ * @param {object} meta - Index entry of the conversation
+ * @param {object} state - Its loaded state
+ * @param {boolean} includeLibrary - Whether to add references and materials
+ * @returns {Promise<object>} Archive entry
+ */
+async function collectConversationBackup(env, loginCode, meta, state, includeLibrary) {
+    const entry = {
+        id: meta.id,
+        title: meta.title,
+        title_is_custom: Boolean(meta.title_is_custom),
+        created_at: meta.created_at,
+        updated_at: meta.updated_at,
+        state,
+        paper: await loadPaper(env, loginCode, meta.id),
+        chapter_versions: await loadChapterVersionStore(env, loginCode, meta.id),
+    };
+    if (includeLibrary) {
+        entry.references = await loadReferences(env, loginCode, meta.id);
+        const files = await loadMaterials(env, loginCode, meta.id);
+        entry.materials = [];
+        for (const file of files) {
+            const record = await loadMaterialRecord(env, loginCode, meta.id, file.id);
+            entry.materials.push({ ...file, chunks: record.chunks });
+        }
+    }
+    return entry;
+}
+
+/**
+ * Checks an archive entry and brings it into the shape restoreConversationBackup writes.
+ * @param {object} entry
+ * @returns {object} Checked entry (state migrated to the current schema)
+ * @throws {Error} Describing the first problem
+ */
+function validateConversationBackup(entry) {
+    if (!entry || typeof entry !== 'object') {
+        throw new Error('not an object');
+    }
+    const { state } = migrateState(entry.state);
+    let paper = null;
+    if (entry.paper !== null && entry.paper !== undefined) {
+        if (typeof entry.paper !== 'object' || !Array.isArray(entry.paper.outline ?? []) || !Array.isArray(entry.paper.chapters ?? [])) {
+            throw new Error('paper is not a paper document');
+        }
+        paper = { ...createEmptyPaper(), ...entry.paper };
+    }
+    const versions = entry.chapter_versions?.chapters;
+    if (versions !== undefined && (!versions || typeof versions !== 'object' || Object.values(versions).some(list => !Array.isArray(list)))) {
+        throw new Error('chapter_versions is invalid');
+    }
+    if (entry.references !== undefined && (!Array.isArray(entry.references) || entry.references.some(item => !item || typeof item !== 'object'))) {
+        throw new Error('references is not a list of entries');
+    }
+    if (entry.materials !== undefined && (!Array.isArray(entry.materials) || entry.materials.some(file => !file || typeof file.id !== 'string'
+        || !/^[\w-]+$/.test(file.id) || typeof file.name !== 'string' || !Array.isArray(file.chunks) || file.chunks.some(chunk => typeof chunk !== 'string')))) {
+        throw new Error('materials is not a list of files with text chunks');
+    }
+    return {
+        title: typeof entry.title === 'string' ? entry.title.trim().slice(0, MAX_CONVERSATION_TITLE_LENGTH) : '',
+        title_is_custom: Boolean(entry.title_is_custom),
+        created_at: typeof entry.created_at === 'string' ? entry.created_at : null,
+        state,
+        paper,
+        chapter_versions: { chapters: versions || {} },
+        references: entry.references,
+        materials: entry.materials,
+    };
+}
+
+/**
+ * Writes a checked archive entry: into an existing conversation when `conversationId` is given,
+ * otherwise as a new conversation of the code. References and materials are only written when
+ * the entry has them (snapshots do not).
+ * @param {object} env - Contains KV_NAMESPACE binding
+ * @param {string} loginCode
+ * @param {object} index - Conversation index (updated in place and saved)
+ * @param {object} entry - From validateConversationBackup
+ * @param {string|null} conversationId
+ * @returns {Promise<object>} The conversation's index entry
+ */
+async function restoreConversationBackup(env, loginCode, index, entry, conversationId) {
+    let meta = index.conversations.find(item => item.id === conversationId);
+    if (meta) {
+        await storeConversation(env, loginCode, meta.id, entry.state);
+    } else {
+        ({ meta } = await createConversation(env, loginCode, index, entry.title, entry.state));
+        meta.title_is_custom = entry.title_is_custom;
+        meta.created_at = entry.created_at || meta.created_at;
+        await saveConversationIndex(env, loginCode, index);
+    }
+
+    if (entry.paper) {
+        await savePaper(env, loginCode, meta.id, entry.paper);
+    } else {
+        await env.KV_NAMESPACE.delete(paperKey(loginCode, meta.id));
+    }
+    await env.KV_NAMESPACE.put(chapterVersionsKey(loginCode, meta.id), JSON.stringify(entry.chapter_versions));
+    if (entry.references) {
+        await saveReferences(env, loginCode, meta.id, entry.references);
+    }
+    if (entry.materials) {
+        await deleteMaterials(env, loginCode, meta.id);
+        for (const { chunks, ...file } of entry.materials) {
+            await env.KV_NAMESPACE.put(materialChunksKey(loginCode, meta.id, file.id), JSON.stringify({ chunks }));
+        }
+        await saveMaterials(env, loginCode, meta.id, entry.materials.map(({ chunks, ...file }) => file));
+    }
+    return meta;
+}
+
+/**
+ * Stores a snapshot of a conversation (see Backups & Snapshots). Failures are logged only, so a
+ * snapshot problem never blocks the reset it precedes.
+ * @param {object} env - Environment object
+ * @param {string} loginCode
+ * @param {object} meta - Index entry of the conversation
+ * @param {object} state - Its current state
+ * @param {string} reason - 'reset' or 'restore'
+ * @returns {Promise<string|null>} Snapshot ID, or null if snapshots are off or it failed
+ */
+async function takeSnapshot(env, loginCode, meta, state, reason) {
+    const retentionDays = numberSetting(env, 'SNAPSHOT_RETENTION_DAYS', DEFAULT_SNAPSHOT_RETENTION_DAYS);
+    if (retentionDays <= 0) {
+        return null;
+    }
+    try {
+        const createdAt = new Date().toISOString();
+        // Sorts by time; the random part keeps two snapshots in the same millisecond apart
+        const snapshotId = `${Date.now()}-${crypto.randomUUID().slice(0, 8)}`;
+        const entry = await collectConversationBackup(env, loginCode, meta, state, false);
+        await env.KV_NAMESPACE.put(snapshotKey(loginCode, snapshotId), JSON.stringify({ reason, created_at: createdAt, entry }), {
+            expirationTtl: Math.max(60, Math.round(retentionDays * 24 * 60 * 60)),
+            metadata: {
+                conversation_id: meta.id,
+                title: meta.title,
+                reason,
+                created_at: createdAt,
+                messages: state.conversation_history.length,
+                status: state.status,
+            },
+        });
+        console.log(`Snapshot ${snapshotId} of ${loginCode}/${meta.id} taken before ${reason}.`);
+        return snapshotId;
+    } catch (error) {
+        console.error(`Failed to snapshot ${loginCode}/${meta.id}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Handles /api/backup: GET downloads the code's archive, POST imports one.
+ * @param {Request} request
+ * @param {object} env - Contains KV_NAMESPACE binding
+ * @returns {Promise<Response>}
+ */
+async function handleBackupRequest(request, env) {
+    const jsonHeaders = { ...corsHeaders, 'Content-Type': 'application/json' };
+    if (request.method === 'POST' && Number(request.headers.get('Content-Length') || 0) > MAX_BACKUP_BYTES) {
+        return new Response(JSON.stringify({ success: false, error: '备份文件过大' }), { status: 413, headers: jsonHeaders });
+    }
+    // The header may be missing (chunked uploads) or wrong, so the body is also counted while it is read
+    const { loginCode, payload, errorResponse } = await parseAuthenticatedRequest(request, env, jsonHeaders, { maxBytes: MAX_BACKUP_BYTES, tooLargeError: '备份文件过大' });
+    if (errorResponse) {
+        return errorResponse;
+    }
+    const index = await loadConversationIndex(env, loginCode) || { active_id: null, conversations: [] };
+
+    if (request.method === 'GET') {
+        const archive = {
+            format: BACKUP_FORMAT,
+            version: BACKUP_FORMAT_VERSION,
+            exported_at: new Date().toISOString(),
+            active_id: index.active_id,
+            settings: await loadSettings(env, loginCode),
+            conversations: [],
+            skipped: [],
+        };
+        for (const meta of index.conversations) {
+            try {
+                const state = await loadConversation(env, loginCode, meta.id);
+                if (state) {
+                    archive.conversations.push(await collectConversationBackup(env, loginCode, meta, state, true));
+                }
+            } catch (error) {
+                // A broken record is in quarantine (see Conversation State Schema); export the rest
+                archive.skipped.push({ id: meta.id, title: meta.title, reason: describeStateError(error) });
+            }
+        }
+        console.log(`Exported backup of ${loginCode}: ${archive.conversations.length} conversations, ${archive.skipped.length} skipped.`);
+        const date = archive.exported_at.slice(0, 10);
+        return new Response(JSON.stringify(archive, null, 2), {
+            status: 200,
+            headers: {
+                ...corsHeaders,
+                'Content-Type': 'application/json; charset=utf-8',
+                'Content-Disposition': `attachment; filename="paperg-backup-${date}.json"`,
+                'Cache-Control': 'no-store',
+            },
+        });
+    }
+
+    if (payload.format !== BACKUP_FORMAT || !Number.isInteger(payload.version)) {
+        return new Response(JSON.stringify({ success: false, error: '不是有效的备份文件' }), { status: 400, headers: jsonHeaders });
+    }
+    if (payload.version > BACKUP_FORMAT_VERSION) {
+        return new Response(JSON.stringify({ success: false, error: '备份文件来自更新的版本，暂不支持导入' }), { status: 400, headers: jsonHeaders });
+    }
+    if (!Array.isArray(payload.conversations) || payload.conversations.length === 0) {
+        return new Response(JSON.stringify({ success: false, error: '备份文件中没有对话' }), { status: 400, headers: jsonHeaders });
+    }
+    if (payload.conversations.length > MAX_BACKUP_CONVERSATIONS) {
+        return new Response(JSON.stringify({ success: false, error: `一次最多导入 ${MAX_BACKUP_CONVERSATIONS} 个对话` }), { status: 400, headers: jsonHeaders });
+    }
+
+    // Check everything before writing anything
+    const entries = [];
+    const problems = [];
+    payload.conversations.forEach((entry, i) => {
+        try {
+            entries.push(validateConversationBackup(entry));
+        } catch (error) {
+            problems.push(`conversations[${i}]: ${error.message}`);
+        }
+    });
+    // Archives written before settings were backed up have none; a model this deployment does not offer is dropped
+    const importedSettings = payload.settings ? validateSettings(env, payload.settings, { dropUnknownModel: true }) : {};
+    if (importedSettings.error) {
+        problems.push(`settings: ${importedSettings.error}`);
+    }
+    if (problems.length > 0) {
+        console.warn(`Backup import for ${loginCode} rejected: ${problems.join('; ')}`);
+        return new Response(JSON.stringify({ success: false, error: '备份文件内容无效，未导入任何数据', problems }), { status: 400, headers: jsonHeaders });
+    }
+
+    const imported = [];
+    for (const entry of entries) {
+        const meta = await restoreConversationBackup(env, loginCode, index, entry, null);
+        imported.push({ id: meta.id, title: meta.title });
+    }
+    index.active_id = imported[0].id;
+    await saveConversationIndex(env, loginCode, index);
+    const settingsImported = Boolean(importedSettings.settings) && !(await env.KV_NAMESPACE.get(settingsKey(loginCode)));
+    if (settingsImported) {
+        importedSettings.settings.updated_at = new Date().toISOString();
+        await env.KV_NAMESPACE.put(settingsKey(loginCode), JSON.stringify(importedSettings.settings));
+    }
+    console.log(`Imported ${imported.length} conversations into ${loginCode}${settingsImported ? ' (with settings)' : ''}.`);
+    return new Response(JSON.stringify({
+        success: true,
+        imported,
+        settings_imported: settingsImported,
+        active_id: index.active_id,
+        conversations: index.conversations,
+    }), { status: 200, headers: jsonHeaders });
+}
+
+/**
+ * Handles /api/snapshots (GET, list) and /api/snapshots/<id>/restore (POST).
+ * @param {Request} request
+ * @param {object} env - Contains KV_NAMESPACE binding
+ * @param {string|null} snapshotId
+ * @returns {Promise<Response>}
+ */
+async function handleSnapshotsRequest(request, env, snapshotId) {
+    const jsonHeaders = { ...corsHeaders, 'Content-Type': 'application/json' };
+    const { loginCode, errorResponse } = await parseAuthenticatedRequest(request, env, jsonHeaders);
+    if (errorResponse) {
+        return errorResponse;
+    }
+
+    if (!snapshotId) {
+        const snapshots = [];
+        let cursor;
+        do {
+            const listing = await env.KV_NAMESPACE.list({ prefix: snapshotKey(loginCode), cursor });
+            listing.keys.forEach(key => snapshots.push({
+                id: key.name.slice(snapshotKey(loginCode).length),
+                expires_at: key.expiration ? new Date(key.expiration * 1000).toISOString() : null,
+                ...(key.metadata || {}),
+            }));
+            cursor = listing.list_complete ? undefined : listing.cursor;
+        } while (cursor);
+        snapshots.sort((a, b) => (b.created_at || '').localeCompare(a.created_at || ''));
+        return new Response(JSON.stringify({ success: true, snapshots }), { status: 200, headers: jsonHeaders });
+    }
+
+    const stored = await env.KV_NAMESPACE.get(snapshotKey(loginCode, snapshotId));
+    if (!stored) {
+        return new Response(JSON.stringify({ success: false, error: '快照不存在或已过期' }), { status: 404, headers: jsonHeaders });
+    }
+    let entry;
+    try {
+        entry = validateConversationBackup(JSON.parse(stored).entry);
+    } catch (error) {
+        console.error(`Snapshot ${snapshotId} of ${loginCode} is invalid:`, error);
+        return new Response(JSON.stringify({ success: false, error: '快照已损坏，无法恢复' }), { status: 500, headers: jsonHeaders });
+    }
+
+    const index = await loadConversationIndex(env, loginCode) || { active_id: null, conversations: [] };
+    const conversationId = JSON.parse(stored).entry.id;
+    const meta = index.conversations.find(item => item.id === conversationId);
+    if (meta) {
+        // Restoring replaces whatever was written since, so keep that as a snapshot too
+        const current = await loadConversation(env, loginCode, meta.id).catch(() => null);
+        if (current) {
+            await takeSnapshot(env, loginCode, meta, current, 'restore');
+        }
+    }
+    const restored = await restoreConversationBackup(env, loginCode, index, entry, meta ? meta.id : null);
+    await touchConversation(env, loginCode, restored.id, entry.state, index);
+    console.log(`Restored snapshot ${snapshotId} into ${loginCode}/${restored.id}.`);
+    return new Response(JSON.stringify({
+        success: true,
+        conversation_id: restored.id,
+        conversations: index.conversations,
+        state: summarizeState(entry.state),
+    }), { status: 200, headers: jsonHeaders });
+}
+
+// --- Word Counts & Length Targets ---
+//
+// The outline plans a length for every chapter ("第二章 文献综述（约 3000 字）", or the sum of its
+// sections' numbers); nothing stops the model from writing far more or far less. After every
+// chapter turn the chapter is counted and compared with its target, and the result is returned
+// with the reply as `length`:
+//   { written_words, target_words, progress, tolerance,
+//     chapter: { id, title, words, target, deviation, status, adjustment? } }
+// `status` is 'empty', 'untargeted' (the outline has no number for it), 'ok', 'short' or 'long';
+// a chapter off by more than WORD_COUNT_TOLERANCE (a fraction of the target, default 0.2) comes
+// with an `adjustment`: a message asking the model to expand or trim it, which the browser can
+// send on its own. The turn answering such a message is flagged `length_adjustment` and never
+// suggests another one, so a model that cannot hit the target does not loop.
+//
+// Words are counted the way Chinese papers count them: every Han character is one word, runs of
+// Latin letters and digits count as one word each; punctuation, Markdown markup and [@key]
+// citations do not count.
+
+const DEFAULT_WORD_COUNT_TOLERANCE = 0.2;
+const CJK_CHARACTER_PATTERN = /[\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff]/g;
+const LATIN_WORD_PATTERN = /[A-Za-z0-9]+(?:['’.-][A-Za-z0-9]+)*/g;
+
+/**
+ * @param {object} env - Environment object
+ * @returns {number} Allowed deviation from a chapter's target, as a fraction of the target
+ */
+function wordCountTolerance(env) {
+    return numberSetting(env, 'WORD_COUNT_TOLERANCE', DEFAULT_WORD_COUNT_TOLERANCE);
+}
+
+/**
+ * Counts the words of a text: Han characters one by one, other words by Latin letter runs.
+ * @param {string|null} text - Markdown text
+ * @returns {{total: number, cjk: number, latin: number}}
+ */
+function countWords(text) {
+    const plain = String(text || '')
+        .replace(/```[\s\S]*?```/g, ' ')
+        .replace(/\[@[^\]]*\]/g, ' ')
+        .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/^\s*(#{1,6}|[-+*]|\d+[.)]|>)\s+/gm, '');
+    const cjk = (plain.match(CJK_CHARACTER_PATTERN) || []).length;
+    const latin = (plain.replace(CJK_CHARACTER_PATTERN, ' ').match(LATIN_WORD_PATTERN) || []).length;
+    return { total: cjk + latin, cjk, latin };
+}
+
+/**
+ * The planned length of an outline entry: its own number, or else the sum of its sections'.
+ * @param {object|undefined} node - Node of the outline tree (see parseOutlineTree)
+ * @returns {number|null}
+ */
+function outlineNodeTarget(node) {
+    if (!node) {
+        return null;
+    }
+    if (node.words) {
+        return node.words;
+    }
+    const sum = node.children.reduce((total, child) => total + (outlineNodeTarget(child) || 0), 0);
+    return sum || null;
+}
+
+/**
+ * Compares a chapter's length with the target the outline plans for it.
+ * @param {object} chapter - Paper chapter
+ * @param {object} paper - Paper document the chapter belongs to
+ * @param {number} tolerance - See wordCountTolerance
+ * @returns {{words: number, target: number|null, deviation: number|null, status: string}}
+ */
+function measureChapterLength(chapter, paper, tolerance) {
+    const words = countWords(chapter.content).total;
+    const target = chapter.workflow_index !== null ? outlineNodeTarget(paper.outline[chapter.workflow_index]) : null;
+    if (!words) {
+        return { words, target, deviation: null, status: 'empty' };
+    }
+    if (!target) {
+        return { words, target, deviation: null, status: 'untargeted' };
+    }
+    const deviation = Math.round((words - target) / target * 1000) / 1000;
+    let status = 'ok';
+    if (Math.abs(deviation) > tolerance) {
+        status = deviation < 0 ? 'short' : 'long';
+    }
+    return { words, target, deviation, status };
+}
+
+/**
+ * The paper's length against the outline's total target, chapter by chapter.
+ * @param {object} paper - Paper document
+ * @param {number} tolerance - See wordCountTolerance
+ * @returns {{written_words: number, target_words: number|null, progress: number|null, tolerance: number,
+ *   chapters: Array<object>}}
+ */
+function summarizePaperLength(paper, tolerance) {
+    const chapters = paper.chapters.map(chapter => ({ id: chapter.id, ...measureChapterLength(chapter, paper, tolerance) }));
+    const writtenWords = chapters.reduce((total, chapter) => total + chapter.words, 0);
+    const targetWords = paper.outline.reduce((total, node) => total + (outlineNodeTarget(node) || 0), 0) || null;
+    return {
+        written_words: writtenWords,
+        target_words: targetWords,
+        progress: targetWords ? Math.round(writtenWords / targetWords * 1000) / 1000 : null,
+        tolerance,
+        chapters,
+    };
+}
+
+/**
+ * Builds the `length` part of a chat reply: the paper's totals and, for a chapter turn, how the
+ * chapter just written compares with its target.
+ * @param {object} env - Environment object
+ * @param {object|null} paper - Paper document after the turn (null if it could not be updated)
+ * @param {object} plan - Workflow plan of the turn
+ * @param {object} userEntry - History entry of the user message that started the turn
+ * @returns {object|null}
+ */
+function buildLengthReport(env, paper, plan, userEntry) {
+    if (!paper) {
+        return null;
+    }
+    const tolerance = wordCountTolerance(env);
+    const { chapters, ...report } = summarizePaperLength(paper, tolerance);
+    if (plan.stage !== WORKFLOW_STATUS.GENERATING_CHAPTER) {
+        return report;
+    }
+    const chapter = paper.chapters.find(item => item.workflow_index === plan.chapterIndex);
+    if (!chapter) {
+        return report;
+    }
+    const measured = chapters.find(item => item.id === chapter.id);
+    report.chapter = { ...measured, title: chapter.title };
+    if ((measured.status === 'short' || measured.status === 'long') && !userEntry.length_adjustment) {
+        const current = `（当前约 ${measured.words} 字）`;
+        report.chapter.adjustment = measured.status === 'short'
+            ? { direction: 'expand', message: `请将本章扩写至约 ${measured.target} 字${current}：补充论证、例证和分析，保持结构和已有内容的连贯，输出完整的本章正文。` }
+            : { direction: 'trim', message: `请将本章精简至约 ${measured.target} 字${current}：删减重复和次要的内容，保留核心论点和结构，输出完整的本章正文。` };
+    }
+    return report;
+}
+
+// --- User Settings (per-code preferences) ---
+//
+// Every code can keep its own writing preferences under `<code>:settings`:
+//   { custom_instructions, language, tone, citation_style, default_model, updated_at }
+//   GET /api/settings   The settings (defaults while none are stored) and the choices offered
+//   PUT /api/settings   Replaces them; fields left out go back to their defaults
+//
+// Language, tone and custom instructions are added to the system prompt of every chat turn in
+// this order:
+//   PAPER_SYSTEM_PROMPT → SYSTEM_PROMPT (or the conversation's template) → user settings
+//   → instruction for the current workflow step → reference library → uploaded material
+// The user's preferences come after the operator's prompts so they can refine style and language,
+// and before the step instruction, which still decides what the reply has to contain. A template
+// fixes the language of its papers, so the language setting is left out for those conversations.
+// The citation style is not part of the prompt (the model always cites with [@key]); it is the
+// default style of exports. The default model answers requests that do not name one.
+
+const SETTINGS_LANGUAGES = {
+    auto: { label: '跟随对话', instruction: null },
+    ...TEMPLATE_LANGUAGES,
+};
+const SETTINGS_TONES = {
+    default: { label: '默认', instruction: null },
+    formal: { label: '正式学术', instruction: '使用规范、严谨的学术书面语，避免口语化表达和第一人称。' },
+    plain: { label: '平实易懂', instruction: '用平实易懂的语言表达，少用生僻术语，必要的术语给出简短解释。' },
+    concise: { label: '简洁精炼', instruction: '行文简洁精炼，段落短小，每段只讲一个要点，避免铺陈和重复。' },
+};
+const MAX_CUSTOM_INSTRUCTIONS_LENGTH = 2000;
+
+/**
+ * @param {string} loginCode
+ * @returns {string} KV key of a code's settings
+ */
+function settingsKey(loginCode) {
+    return `${loginCode}:settings`;
+}
+
+/**
+ * @returns {object} The settings of a code that has not stored any
+ */
+function createDefaultSettings() {
+    return {
+        custom_instructions: '',
+        language: 'auto',
+        tone: 'default',
+        citation_style: DEFAULT_CITATION_STYLE,
+        default_model: null,
+        updated_at: null,
+    };
+}
+
+/**
+ * Loads a code's settings. Unreadable settings are logged and replaced by the defaults, so a
+ * broken record never blocks a chat turn.
+ * @param {object} env - Contains KV_NAMESPACE binding
+ * @param {string} loginCode
+ * @returns {Promise<object>}
+ */
+async function loadSettings(env, loginCode) {
+    const stored = await env.KV_NAMESPACE.get(settingsKey(loginCode));
+    if (!stored) {
+        return createDefaultSettings();
+    }
+    try {
+        return { ...createDefaultSettings(), ...JSON.parse(stored) };
+    } catch (parseError) {
+        console.error(`Error parsing settings of ${loginCode}:`, parseError);
+        return createDefaultSettings();
+    }
+}
+
+/**
+ * Checks submitted settings and fills in the defaults for fields left out.
+ * @param {object} env - Environment object (for the offered models)
+ * @param {object} input - Submitted settings
+ * @param {{dropUnknownModel?: boolean}} [options] - Forget a default model this deployment does not
+ *   offer instead of rejecting the settings (used for imported backups)
+ * @returns {{settings?: object, error?: string}}
+ */
+function validateSettings(env, input, options = {}) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { error: '设置格式无效' };
+    }
+    const settings = createDefaultSettings();
+    if (input.custom_instructions !== undefined && input.custom_instructions !== null) {
+        if (typeof input.custom_instructions !== 'string') {
+            return { error: '个人要求必须是文本' };
+        }
+        if (input.custom_instructions.length > MAX_CUSTOM_INSTRUCTIONS_LENGTH) {
+            return { error: `个人要求最多 ${MAX_CUSTOM_INSTRUCTIONS_LENGTH} 个字符` };
+        }
+        settings.custom_instructions = input.custom_instructions.trim();
+    }
+    if (input.language !== undefined) {
+        if (!SETTINGS_LANGUAGES[input.language]) {
+            return { error: `输出语言必须是 ${Object.keys(SETTINGS_LANGUAGES).join(' / ')} 之一` };
+        }
+        settings.language = input.language;
+    }
+    if (input.tone !== undefined) {
+        if (!SETTINGS_TONES[input.tone]) {
+            return { error: `语气必须是 ${Object.keys(SETTINGS_TONES).join(' / ')} 之一` };
+        }
+        settings.tone = input.tone;
+    }
+    if (input.citation_style !== undefined) {
+        if (!CITATION_STYLES[input.citation_style]) {
+            return { error: '不支持的引用格式' };
+        }
+        settings.citation_style = input.citation_style;
+    }
+    if (input.default_model) {
+        if (resolveRequestedModel(env, String(input.default_model))) {
+            settings.default_model = String(input.default_model);
+        } else if (!options.dropUnknownModel) {
+            return { error: '不支持的模型' };
+        }
+    }
+    return { settings };
+}
+
+/**
+ * Builds the part of the system prompt that carries the user's preferences.
+ * @param {object} settings - The code's settings
+ * @param {{includeLanguage?: boolean}} [options] - includeLanguage is false for template conversations
+ * @returns {string|null} null when nothing is set
+ */
+function composeSettingsPrompt(settings, options = {}) {
+    const parts = [];
+    const language = options.includeLanguage === false ? null : SETTINGS_LANGUAGES[settings.language]?.instruction;
+    if (language) {
+        parts.push(`输出语言：${language}`);
+    }
+    const tone = SETTINGS_TONES[settings.tone]?.instruction;
+    if (tone) {
+        parts.push(`语气与文风：${tone}`);
+    }
+    if (settings.custom_instructions) {
+        parts.push(`用户的个人要求：\n${settings.custom_instructions}`);
+    }
+    return parts.length > 0 ? `用户设置（在不违背上述要求的前提下遵循）：\n\n${parts.join('\n\n')}` : null;
+}
+
+/**
+ * The model a chat turn uses: the one the request names, else the code's default model while
+ * it is still offered, else the deployment's default.
+ * @param {object} env - Environment object
+ * @param {string|undefined} requestedModel - Model named by the request
+ * @param {object} settings - The code's settings
+ * @returns {string|null} null if the requested model is not offered
+ */
+function resolveTurnModel(env, requestedModel, settings) {
+    if (requestedModel) {
+        return resolveRequestedModel(env, requestedModel);
+    }
+    return (settings.default_model && resolveRequestedModel(env, settings.default_model)) || defaultLlmModel(env);
+}
+
+/**
+ * Handles /api/settings: GET returns the code's settings with the offered choices, PUT replaces them.
+ * @param {Request} request
+ * @param {object} env - Contains KV_NAMESPACE binding
+ * @returns {Promise<Response>}
+ */
+async function handleSettingsRequest(request, env) {
+    const jsonHeaders = { ...corsHeaders, 'Content-Type': 'application/json' };
+    const { loginCode, payload, errorResponse } = await parseAuthenticatedRequest(request, env, jsonHeaders);
+    if (errorResponse) {
+        return errorResponse;
+    }
+    const describeChoices = (choices) => Object.entries(choices).map(([id, choice]) => ({ id, label: choice.label }));
+    const options = {
+        languages: describeChoices(SETTINGS_LANGUAGES),
+        tones: describeChoices(SETTINGS_TONES),
+        citation_styles: describeChoices(CITATION_STYLES),
+    };
+
+    if (request.method === 'GET') {
+        return new Response(JSON.stringify({ success: true, settings: await loadSettings(env, loginCode), options }), { status: 200, headers: jsonHeaders });
+    }
+
+    const { settings, error } = validateSettings(env, payload);
+    if (error) {
+        return new Response(JSON.stringify({ success: false, error }), { status: 400, headers: jsonHeaders });
     }
+    settings.updated_at = new Date().toISOString();
+    await env.KV_NAMESPACE.put(settingsKey(loginCode), JSON.stringify(settings));
+    console.log(`Saved settings of ${loginCode} (language ${settings.language}, tone ${settings.tone}).`);
+    return new Response(JSON.stringify({ success: true, settings, options }), { status: 200, headers: jsonHeaders });
 }
 
 /**
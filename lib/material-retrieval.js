@@ -0,0 +1,142 @@
+/**
+ * Material retrieval helpers shared by the Pages function (see "Uploaded Material" and "Material
+ * Retrieval" in functions/api/[[path]].js) and the offline check in scripts/check-retrieval.mjs.
+ * Everything here is pure: no KV, no network, no environment.
+ *
+ * Run the check with:
+ *   node scripts/check-retrieval.mjs
+ */
+
+export const MATERIAL_CHUNK_CHARACTERS = 800;
+export const LOCAL_EMBEDDING_DIMENSIONS = 512;
+
+/**
+ * Splits a text into chunks of about MATERIAL_CHUNK_CHARACTERS, breaking between lines where
+ * possible and between sentences inside over-long paragraphs.
+ * @param {string} text - Normalised text
+ * @returns {string[]}
+ */
+export function chunkMaterialText(text) {
+    const pieces = [];
+    for (const line of text.split(/\n+/)) {
+        let rest = line.trim();
+        while (rest.length > MATERIAL_CHUNK_CHARACTERS) {
+            const window = rest.slice(0, MATERIAL_CHUNK_CHARACTERS);
+            const sentenceEnd = Math.max(...['。', '！', '？', '；', '. ', '! ', '? '].map(mark => window.lastIndexOf(mark)));
+            const cut = sentenceEnd > MATERIAL_CHUNK_CHARACTERS / 2 ? sentenceEnd + 1 : MATERIAL_CHUNK_CHARACTERS;
+            pieces.push(rest.slice(0, cut).trim());
+            rest = rest.slice(cut).trim();
+        }
+        if (rest) {
+            pieces.push(rest);
+        }
+    }
+
+    const chunks = [];
+    let current = '';
+    for (const piece of pieces) {
+        if (current && current.length + piece.length + 1 > MATERIAL_CHUNK_CHARACTERS) {
+            chunks.push(current);
+            current = '';
+        }
+        current = current ? `${current}\n${piece}` : piece;
+    }
+    if (current) {
+        chunks.push(current);
+    }
+    return chunks;
+}
+
+/**
+ * The local embedder: hashes each term (see materialTerms) into one of LOCAL_EMBEDDING_DIMENSIONS
+ * buckets with a hash-derived sign, weighted by 1 + log(term frequency).
+ * @param {string} text
+ * @returns {number[]}
+ */
+export function embedLocally(text) {
+    const counts = new Map();
+    for (const term of materialTerms(text)) {
+        counts.set(term, (counts.get(term) || 0) + 1);
+    }
+    const vector = new Array(LOCAL_EMBEDDING_DIMENSIONS).fill(0);
+    for (const [term, count] of counts) {
+        // FNV-1a
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < term.length; i++) {
+            hash = Math.imul(hash ^ term.charCodeAt(i), 0x01000193) >>> 0;
+        }
+        vector[hash % LOCAL_EMBEDDING_DIMENSIONS] += (hash & 0x80000000 ? -1 : 1) * (1 + Math.log(count));
+    }
+    return vector;
+}
+
+/**
+ * Splits a text into terms: lower-cased words for alphabetic scripts and overlapping character
+ * pairs for CJK text (which has no spaces between words). Repeated terms are kept.
+ * @param {string} text
+ * @returns {string[]}
+ */
+function materialTerms(text) {
+    const terms = text.toLowerCase().match(/[a-z0-9]{2,}/g) || [];
+    for (const run of text.match(/[\u3400-\u9FFF\uF900-\uFAFF]+/g) || []) {
+        for (let i = 0; i < run.length - 1; i++) {
+            terms.push(run.slice(i, i + 2));
+        }
+    }
+    return terms;
+}
+
+/**
+ * @param {number[]} vector
+ * @returns {number[]} The vector scaled to unit length (a zero vector stays zero)
+ */
+export function normalizeVector(vector) {
+    const length = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return length > 0 ? vector.map(value => value / length) : vector.map(() => 0);
+}
+
+/**
+ * @param {number[]} a - Unit vector
+ * @param {number[]} b - Unit vector
+ * @returns {number} Cosine similarity
+ */
+export function cosineSimilarity(a, b) {
+    let sum = 0;
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+        sum += a[i] * b[i];
+    }
+    return sum;
+}
+
+/**
+ * Scores chunks against the query and picks the ones for the prompt: the best `topK` that fit
+ * into `budget` tokens. When nothing is similar at all (e.g. "继续" with the local embedder), the
+ * opening chunk of every file is used instead.
+ * @param {Array<{index: number, tokens: number}>} chunks - In file / chunk order; each gets a `score`
+ * @param {number[][]} vectors - Unit vector of every chunk (same order)
+ * @param {number[]} queryVector - Unit vector of the query
+ * @param {{topK: number, budget: number}} limits
+ * @returns {{ranked: Array<object>, selected: Array<object>, used: number}} `selected` is in
+ *   file / chunk order, `used` its estimated tokens
+ */
+export function rankMaterialChunks(chunks, vectors, queryVector, limits) {
+    chunks.forEach((chunk, i) => {
+        chunk.score = cosineSimilarity(queryVector, vectors[i] || []);
+    });
+    const ranked = [...chunks].sort((a, b) => b.score - a.score);
+
+    const candidates = ranked.length > 0 && ranked[0].score > 0 ? ranked.filter(chunk => chunk.score > 0) : chunks.filter(chunk => chunk.index === 0);
+    const selected = [];
+    let used = 0;
+    for (const chunk of candidates) {
+        if (selected.length >= limits.topK) {
+            break;
+        }
+        if (used + chunk.tokens <= limits.budget) {
+            selected.push(chunk);
+            used += chunk.tokens;
+        }
+    }
+    selected.sort((a, b) => chunks.indexOf(a) - chunks.indexOf(b));
+    return { ranked, selected, used };
+}
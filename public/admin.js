@@ -0,0 +1,323 @@
+// Admin page: drives the /api/admin/* routes with the ADMIN_SECRET bearer token
+document.addEventListener('DOMContentLoaded', () => {
+
+    // --- DOM Element References ---
+    const secretInput = document.getElementById('admin-secret');
+    const loginButton = document.getElementById('admin-login-btn');
+    const statusText = document.getElementById('admin-status');
+    const panel = document.getElementById('admin-panel');
+    const generateForm = document.getElementById('generate-form');
+    const generatedCodes = document.getElementById('generated-codes');
+    const refreshButton = document.getElementById('refresh-btn');
+    const codesTable = document.getElementById('codes-table');
+    const loadMoreButton = document.getElementById('load-more-btn');
+    const templatesTable = document.getElementById('templates-table');
+    const templateForm = document.getElementById('template-form');
+    const templateClearButton = document.getElementById('template-clear-btn');
+
+    // --- Application State ---
+    const ADMIN_SECRET_STORAGE_KEY = 'paperg_admin_secret'; // sessionStorage only: gone when the tab closes
+    let adminSecret = sessionStorage.getItem(ADMIN_SECRET_STORAGE_KEY);
+    let nextCursor = null; // Cursor of the next page of the code list
+    let editingTemplateId = null; // Template loaded into the form (null: the form creates a new one)
+    const DEGREE_LABELS = { undergraduate: '本科', master: '硕士', doctoral: '博士', other: '其他' };
+
+    /**
+     * Calls an admin route with the admin secret.
+     * @param {string} path - API path, e.g. '/api/admin/codes'
+     * @param {RequestInit & {body?: object}} [options]
+     * @returns {Promise<object>} Parsed JSON body
+     * @throws {Error} With the server's error message when the request fails
+     */
+    async function adminFetch(path, options = {}) {
+        const headers = { Authorization: `Bearer ${adminSecret}` };
+        let body = options.body;
+        if (body && typeof body === 'object') {
+            headers['Content-Type'] = 'application/json';
+            body = JSON.stringify(body);
+        }
+        const response = await fetch(path, { ...options, headers, body });
+        const result = await response.json().catch(() => ({}));
+        if (response.status === 401) {
+            sessionStorage.removeItem(ADMIN_SECRET_STORAGE_KEY);
+            panel.classList.add('hidden');
+        }
+        if (!response.ok || result.success === false) {
+            throw new Error(result.error || `请求失败 (${response.status})`);
+        }
+        return result;
+    }
+
+    /**
+     * @param {string|null} isoDate
+     * @returns {string} Local date/time, or '-' when empty
+     */
+    function formatDate(isoDate) {
+        return isoDate ? new Date(isoDate).toLocaleString() : '-';
+    }
+
+    /**
+     * Describes whether a code can currently be used.
+     * @param {{revoked: boolean, expires_at: string|null}} code
+     * @returns {string}
+     */
+    function describeStatus(code) {
+        if (code.revoked) return '已停用';
+        if (code.expires_at && Date.parse(code.expires_at) <= Date.now()) return '已过期';
+        return '有效';
+    }
+
+    /**
+     * Appends rows for a page of codes to the table.
+     * @param {object[]} codes - Entries from GET /api/admin/codes
+     */
+    function renderCodes(codes) {
+        codes.forEach(code => {
+            const row = document.createElement('tr');
+            row.className = 'border-b';
+            const cells = [code.code, describeStatus(code), formatDate(code.expires_at), formatDate(code.last_used_at), String(code.message_count || 0), code.note || ''];
+            cells.forEach((text, i) => {
+                const cell = document.createElement('td');
+                cell.className = i === 0 ? 'py-2 font-mono' : '';
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+
+            const actions = document.createElement('td');
+            actions.className = 'space-x-2 text-right whitespace-nowrap';
+            actions.appendChild(createActionButton('重置数据', () => handleReset(code.code)));
+            if (!code.revoked) {
+                actions.appendChild(createActionButton('停用', () => handleRevoke(code.code)));
+            }
+            row.appendChild(actions);
+            codesTable.appendChild(row);
+        });
+    }
+
+    /**
+     * @param {string} label
+     * @param {Function} onClick
+     * @returns {HTMLButtonElement}
+     */
+    function createActionButton(label, onClick) {
+        const button = document.createElement('button');
+        button.className = 'text-xs bg-gray-200 hover:bg-gray-300 py-1 px-2 rounded';
+        button.textContent = label;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    /**
+     * Loads the first page of codes (or the next page when `append` is true).
+     * @param {boolean} [append=false]
+     */
+    async function loadCodes(append = false) {
+        statusText.textContent = '';
+        try {
+            const query = append && nextCursor ? `?cursor=${encodeURIComponent(nextCursor)}` : '';
+            const result = await adminFetch(`/api/admin/codes${query}`);
+            if (!append) {
+                codesTable.innerHTML = '';
+            }
+            renderCodes(result.codes);
+            nextCursor = result.cursor;
+            loadMoreButton.classList.toggle('hidden', !nextCursor);
+            panel.classList.remove('hidden');
+        } catch (error) {
+            statusText.textContent = error.message;
+        }
+    }
+
+    /**
+     * Loads the template list.
+     */
+    async function loadTemplates() {
+        try {
+            const result = await adminFetch('/api/admin/templates');
+            templatesTable.innerHTML = '';
+            result.templates.forEach(template => {
+                const row = document.createElement('tr');
+                row.className = 'border-b';
+                const cells = [template.id, template.name, template.discipline, DEGREE_LABELS[template.degree] || template.degree, template.language, String(template.sections.length)];
+                cells.forEach((text, i) => {
+                    const cell = document.createElement('td');
+                    cell.className = i === 0 ? 'py-2 font-mono' : '';
+                    cell.textContent = text;
+                    row.appendChild(cell);
+                });
+                const actions = document.createElement('td');
+                actions.className = 'space-x-2 text-right whitespace-nowrap';
+                actions.appendChild(createActionButton('编辑', () => handleEditTemplate(template.id)));
+                actions.appendChild(createActionButton('删除', () => handleDeleteTemplate(template.id)));
+                row.appendChild(actions);
+                templatesTable.appendChild(row);
+            });
+        } catch (error) {
+            statusText.textContent = error.message;
+        }
+    }
+
+    /**
+     * Empties the template form so it creates a new template.
+     */
+    function clearTemplateForm() {
+        templateForm.reset();
+        templateForm.elements.id.disabled = false;
+        editingTemplateId = null;
+    }
+
+    /**
+     * Loads a template (including its prompt) into the form.
+     * @param {string} templateId
+     */
+    async function handleEditTemplate(templateId) {
+        try {
+            const { template } = await adminFetch(`/api/admin/templates/${templateId}`);
+            ['id', 'name', 'discipline', 'degree', 'language', 'description', 'prompt'].forEach(field => {
+                templateForm.elements[field].value = template[field] || '';
+            });
+            templateForm.elements.sections.value = template.sections
+                .map(section => (section.words ? `${section.title} | ${section.words}` : section.title))
+                .join('\n');
+            templateForm.elements.id.disabled = true; // IDs are referenced by conversations
+            editingTemplateId = template.id;
+        } catch (error) {
+            statusText.textContent = error.message;
+        }
+    }
+
+    /**
+     * Creates or updates the template in the form.
+     * @param {SubmitEvent} event
+     */
+    async function handleSaveTemplate(event) {
+        event.preventDefault();
+        const form = new FormData(templateForm);
+        const sections = String(form.get('sections') || '').split('\n')
+            .map(line => line.trim())
+            .filter(Boolean)
+            .map(line => {
+                const [title, words] = line.split('|').map(part => part.trim());
+                return { title, words: words ? Number(words) : null };
+            });
+        const body = {
+            name: form.get('name'),
+            discipline: form.get('discipline'),
+            degree: form.get('degree'),
+            language: form.get('language'),
+            description: form.get('description'),
+            prompt: form.get('prompt'),
+            sections,
+        };
+        try {
+            if (editingTemplateId) {
+                await adminFetch(`/api/admin/templates/${editingTemplateId}`, { method: 'PATCH', body });
+            } else {
+                await adminFetch('/api/admin/templates', { method: 'POST', body: { ...body, id: form.get('id') } });
+            }
+            clearTemplateForm();
+            await loadTemplates();
+            statusText.textContent = '模板已保存';
+        } catch (error) {
+            statusText.textContent = error.message;
+        }
+    }
+
+    /**
+     * @param {string} templateId
+     */
+    async function handleDeleteTemplate(templateId) {
+        if (!confirm(`确定删除模板 ${templateId} 吗？使用该模板的对话将改用通用提示词。`)) return;
+        try {
+            await adminFetch(`/api/admin/templates/${templateId}`, { method: 'DELETE' });
+            if (editingTemplateId === templateId) {
+                clearTemplateForm();
+            }
+            await loadTemplates();
+        } catch (error) {
+            statusText.textContent = error.message;
+        }
+    }
+
+    /**
+     * Stores the entered admin secret for this tab and loads the code list.
+     */
+    async function handleAdminLogin() {
+        adminSecret = secretInput.value.trim();
+        if (!adminSecret) {
+            statusText.textContent = '请输入管理密钥';
+            return;
+        }
+        sessionStorage.setItem(ADMIN_SECRET_STORAGE_KEY, adminSecret);
+        secretInput.value = '';
+        await loadCodes();
+        await loadTemplates();
+    }
+
+    /**
+     * Submits the generate form and shows the new codes.
+     * @param {SubmitEvent} event
+     */
+    async function handleGenerate(event) {
+        event.preventDefault();
+        const form = new FormData(generateForm);
+        const dailyTokens = form.get('daily_tokens');
+        try {
+            const result = await adminFetch('/api/admin/codes', {
+                method: 'POST',
+                body: {
+                    count: Number(form.get('count')) || 1,
+                    expires_in_days: form.get('expires_in_days') ? Number(form.get('expires_in_days')) : null,
+                    quota: dailyTokens ? { daily_tokens: Number(dailyTokens) } : null,
+                    note: form.get('note') || null,
+                },
+            });
+            generatedCodes.textContent = result.codes.join('\n');
+            generatedCodes.classList.remove('hidden');
+            await loadCodes();
+        } catch (error) {
+            statusText.textContent = error.message;
+        }
+    }
+
+    /**
+     * @param {string} code
+     */
+    async function handleRevoke(code) {
+        if (!confirm(`确定停用登录码 ${code} 吗？已登录的会话会立即失效。`)) return;
+        try {
+            await adminFetch(`/api/admin/codes/${code}/revoke`, { method: 'POST', body: {} });
+            await loadCodes();
+        } catch (error) {
+            statusText.textContent = error.message;
+        }
+    }
+
+    /**
+     * @param {string} code
+     */
+    async function handleReset(code) {
+        if (!confirm(`确定删除登录码 ${code} 的全部对话数据吗？此操作不可恢复。`)) return;
+        try {
+            const result = await adminFetch(`/api/admin/codes/${code}/reset`, { method: 'POST', body: {} });
+            await loadCodes();
+            statusText.textContent = `已删除 ${result.deleted_keys} 条记录`;
+        } catch (error) {
+            statusText.textContent = error.message;
+        }
+    }
+
+    // --- Event Listeners ---
+    loginButton.addEventListener('click', handleAdminLogin);
+    secretInput.addEventListener('keypress', (e) => { if (e.key === 'Enter') handleAdminLogin(); });
+    generateForm.addEventListener('submit', handleGenerate);
+    refreshButton.addEventListener('click', () => loadCodes());
+    loadMoreButton.addEventListener('click', () => loadCodes(true));
+    templateForm.addEventListener('submit', handleSaveTemplate);
+    templateClearButton.addEventListener('click', clearTemplateForm);
+
+    if (adminSecret) {
+        loadCodes();
+        loadTemplates();
+    }
+});
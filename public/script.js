@@ -5,18 +5,76 @@ document.addEventListener('DOMContentLoaded', () => {
     const loginCodeInput = document.getElementById('login-code');
     const loginButton = document.getElementById('login-btn');
     const loginStatus = document.getElementById('login-status');
+    const quotaStatus = document.getElementById('quota-status');
     const newChatButton = document.getElementById('new-chat-btn');
     const historyList = document.getElementById('history-list');
     const chatWindow = document.getElementById('chat-window');
     const messageInput = document.getElementById('message-input');
     const sendButton = document.getElementById('send-button');
+    const approveButton = document.getElementById('approve-button');
+    const exportButtons = document.querySelectorAll('.export-btn');
+    const modelPanel = document.getElementById('model-panel');
+    const modelSelect = document.getElementById('model-select');
+    const citationStyleSelect = document.getElementById('citation-style');
+    const referencesButton = document.getElementById('references-btn');
+    const referencesModal = document.getElementById('references-modal');
+    const referencesList = document.getElementById('references-list');
+    const referencesImport = document.getElementById('references-import');
+    const referencesFile = document.getElementById('references-file');
+    const referencesStatus = document.getElementById('references-status');
+    const referenceForm = document.getElementById('reference-form');
+    const templateModal = document.getElementById('template-modal');
+    const paperPanel = document.getElementById('paper-panel');
+    const paperTitle = document.getElementById('paper-title');
+    const paperKeywords = document.getElementById('paper-keywords');
+    const paperChapters = document.getElementById('paper-chapters');
+    const paperLength = document.getElementById('paper-length');
+    const paperLengthText = document.getElementById('paper-length-text');
+    const paperLengthBar = document.getElementById('paper-length-bar');
+    const autoLengthToggle = document.getElementById('auto-length-toggle');
+    const paperInfoForm = document.getElementById('paper-info-form');
+    const materialsList = document.getElementById('materials-list');
+    const uploadButton = document.getElementById('upload-button');
+    const uploadInput = document.getElementById('upload-input');
+    const chapterModal = document.getElementById('chapter-modal');
+    const chapterVersions = document.getElementById('chapter-versions');
+    const chapterDiff = document.getElementById('chapter-diff');
+    const chapterDiffTitle = document.getElementById('chapter-diff-title');
+    const chapterContent = document.getElementById('chapter-content');
+    const chapterEditButton = document.getElementById('chapter-edit-btn');
+    const chapterEditorPanel = document.getElementById('chapter-editor-panel');
+    const chapterEditor = document.getElementById('chapter-editor');
+    const chapterPreview = document.getElementById('chapter-preview');
+    const chapterSaveButton = document.getElementById('chapter-save-btn');
+    const chapterEditorStatus = document.getElementById('chapter-editor-status');
+    const templateList = document.getElementById('template-list');
+    const backupButtons = document.querySelectorAll('.backup-btn');
+    const backupInput = document.getElementById('backup-input');
+    const snapshotsModal = document.getElementById('snapshots-modal');
+    const snapshotsList = document.getElementById('snapshots-list');
+    const snapshotsStatus = document.getElementById('snapshots-status');
+    const settingsButton = document.getElementById('settings-btn');
+    const settingsModal = document.getElementById('settings-modal');
+    const settingsForm = document.getElementById('settings-form');
+    const settingsStatus = document.getElementById('settings-status');
 
     // --- Application State ---
     let isLoggedIn = false;
-    let currentChatId = null;
-    let userLoginCode = null; // Store login code after successful login
-    // {{ EDIT 1: Remove currentAppState }}
-    // let currentAppState = null; // Store state received from backend { status: '...', current_chapter_index: ... } <-- REMOVED
+    let currentChatId = null; // ID of the conversation shown in the chat window
+    let conversations = []; // Conversation list shown in the sidebar [{ id, title, updated_at }]
+    let sessionToken = null; // Signed session token from /api/login, sent as "Authorization: Bearer"
+    let availableTemplates = []; // Paper templates offered when starting a conversation
+    let availableModels = []; // Models offered by /api/models [{ id, label }]
+    const CHAPTER_STATUS_LABELS = { pending: '未撰写', draft: '草稿', confirmed: '已确认' };
+    const VERSION_SOURCE_LABELS = { model: 'AI 生成', user: '手动编辑', restore: '恢复', unknown: '早期版本' };
+    const SNAPSHOT_REASON_LABELS = { reset: '重置前', restore: '恢复快照前' };
+    const MAX_DIFF_CELLS = 4000000; // Larger changes are shown as a whole block instead of word by word
+    let openChapterData = null; // Chapter shown in the chapter dialog (including its text)
+    const USE_STREAMING = true; // Ask /api/chat to stream the reply as Server-Sent Events
+    const DEBUG_RETRIEVAL = localStorage.getItem('paperg_debug') === '1'; // Log the material chunks used for each reply
+    const SESSION_TOKEN_STORAGE_KEY = 'paperg_session_token'; // Keeps the session across page reloads
+    const AUTO_LENGTH_STORAGE_KEY = 'paperg_auto_length'; // Whether chapters missing their planned length are adjusted automatically
+    let currentAppState = null; // Workflow state received from backend { status: '...', current_chapter_index: ... }
 
     // --- Initial Setup ---
     messageInput.disabled = true;
@@ -32,12 +90,17 @@ document.addEventListener('DOMContentLoaded', () => {
      * @param {string} text - The message text.
      * @param {'user' | 'ai' | 'system'} sender - Who sent the message.
      * @param {string} [elementId] - Optional unique ID for the message element.
+     * @param {string} [messageId] - Backend ID of a stored message; enables the message actions.
      */
-    function displayMessage(text, sender, elementId = null) {
+    function displayMessage(text, sender, elementId = null, messageId = null) {
         const messageElement = document.createElement('div');
         if (elementId) {
             messageElement.id = elementId;
         }
+        if (messageId) {
+            messageElement.dataset.messageId = messageId;
+        }
+        messageElement.dataset.sender = sender;
         messageElement.classList.add('mb-4', 'p-3', 'rounded-lg', 'max-w-xl', 'w-fit', 'text-sm', 'md:text-base', 'message-bubble');
 
         let contentContainer = document.createElement('div');
@@ -60,6 +123,103 @@ document.addEventListener('DOMContentLoaded', () => {
         chatWindow.scrollTop = chatWindow.scrollHeight;
     }
 
+    /**
+     * Rebuilds the action links below stored messages: edit/delete on user messages and
+     * regenerate on the latest AI reply. Bubbles without a backend ID (pending, system) get none.
+     */
+    function renderMessageActions() {
+        chatWindow.querySelectorAll('.message-actions').forEach(element => element.remove());
+        const bubbles = Array.from(chatWindow.querySelectorAll('.message-bubble[data-message-id]'));
+        const lastBubble = bubbles[bubbles.length - 1];
+
+        bubbles.forEach(bubble => {
+            const actions = document.createElement('div');
+            actions.className = 'message-actions flex space-x-3 mt-1 text-xs opacity-70';
+            const addAction = (label, handler) => {
+                const button = document.createElement('button');
+                button.className = 'hover:underline';
+                button.textContent = label;
+                button.addEventListener('click', () => handler(bubble));
+                actions.appendChild(button);
+            };
+
+            if (bubble.dataset.sender === 'user') {
+                addAction('编辑', handleEditMessage);
+                addAction('删除', handleDeleteMessage);
+            } else if (bubble === lastBubble) {
+                addAction('重新生成', handleRegenerateMessage);
+            }
+            if (actions.childElementCount > 0) {
+                bubble.appendChild(actions);
+            }
+        });
+    }
+
+    /**
+     * Notes on an AI bubble that its chapter was edited in the paper editor; the bubble keeps
+     * showing the original reply.
+     * @param {HTMLElement|null} bubble - Bubble of the assistant message.
+     */
+    function markMessageRevised(bubble) {
+        if (!bubble || bubble.querySelector('.revised-note')) {
+            return;
+        }
+        const note = document.createElement('p');
+        note.className = 'revised-note text-xs italic opacity-70 mt-1';
+        note.textContent = '本章已在论文编辑器中修改，后续对话以修改后的内容为准。';
+        bubble.insertBefore(note, bubble.querySelector('.message-actions'));
+    }
+
+    /**
+     * Shows why a turn failed, below its user message, optionally with a retry button.
+     * @param {string} text - Error message.
+     * @param {function(): void} [onRetry] - Called when the user clicks "重试"; no button without it.
+     */
+    function displayTurnError(text, onRetry = null) {
+        const errorElement = document.createElement('div');
+        errorElement.className = 'turn-error mb-4 p-2 rounded-lg w-fit max-w-xl mr-auto text-xs bg-red-50 text-red-700 border border-red-200';
+        const message = document.createElement('span');
+        message.textContent = text;
+        errorElement.appendChild(message);
+        if (onRetry) {
+            const retryButton = document.createElement('button');
+            retryButton.className = 'ml-3 font-semibold underline hover:text-red-900';
+            retryButton.textContent = '重试';
+            retryButton.addEventListener('click', onRetry);
+            errorElement.appendChild(retryButton);
+        }
+        chatWindow.appendChild(errorElement);
+        chatWindow.scrollTop = chatWindow.scrollHeight;
+    }
+
+    /**
+     * Re-renders one stored message, including the error note of a failed turn.
+     * @param {{id: string, role: string, content: string, status?: string, error?: object}} message - Message from the backend.
+     * @param {boolean} isLast - Whether it is the latest message (only that one can be retried).
+     */
+    function displayStoredMessage(message, isLast) {
+        const sender = message.role === 'user' ? 'user' : 'ai';
+        displayMessage(message.content, sender, null, message.id);
+        if (message.revised) {
+            markMessageRevised(chatWindow.lastElementChild);
+        }
+        if (message.status === 'failed') {
+            const bubble = chatWindow.lastElementChild;
+            const canRetry = isLast && message.error?.retryable !== false;
+            displayTurnError(message.error?.message || '该消息未能得到回复', canRetry ? () => handleRetryMessage(bubble) : null);
+        }
+    }
+
+    /**
+     * Removes every chat bubble after the given one.
+     * @param {HTMLElement} element - Last bubble to keep.
+     */
+    function removeMessagesAfter(element) {
+        while (element.nextElementSibling) {
+            element.nextElementSibling.remove();
+        }
+    }
+
      /**
       * Updates an existing message bubble, typically the AI "thinking" indicator.
       * @param {string} elementId - The ID of the message element to update.
@@ -96,12 +256,247 @@ document.addEventListener('DOMContentLoaded', () => {
         messageInput.disabled = !enable;
         // Send button is disabled if not enabled OR if input is empty
         sendButton.disabled = !enable || messageInput.value.trim() === '';
-        // {{ EDIT 2: Remove call to updateInputPlaceholder and set a default placeholder }}
-        // updateInputPlaceholder(); // <-- REMOVED
-        if (enable) {
-            messageInput.placeholder = "输入你的消息..."; // Set default placeholder when enabling
+        approveButton.disabled = !enable;
+        // Exporting only needs a session; a completed paper is exactly what users want to export
+        exportButtons.forEach(button => { button.disabled = !isLoggedIn; });
+        referencesButton.disabled = !isLoggedIn;
+        uploadButton.disabled = !isLoggedIn;
+        backupButtons.forEach(button => { button.disabled = !isLoggedIn; });
+        settingsButton.disabled = !isLoggedIn;
+        updateInputPlaceholder();
+        updateWorkflowControls();
+    }
+
+    /**
+     * Shows the remaining token budget below the login box.
+     * @param {object|null} usage - Usage summary from /api/login, /api/chat or /api/usage.
+     */
+    function updateQuotaDisplay(usage) {
+        if (!usage) {
+            quotaStatus.textContent = '';
+            return;
+        }
+        const parts = [];
+        if (usage.daily_limit !== null) {
+            parts.push(`今日剩余 ${usage.daily_remaining} / ${usage.daily_limit} tokens`);
+        }
+        if (usage.total_limit !== null) {
+            parts.push(`总剩余 ${usage.total_remaining} / ${usage.total_limit} tokens`);
+        }
+        quotaStatus.textContent = parts.length > 0 ? parts.join('，') : `今日已用 ${usage.daily_used} tokens`;
+        const exhausted = usage.daily_remaining === 0 || usage.total_remaining === 0;
+        quotaStatus.classList.toggle('text-red-400', exhausted);
+        quotaStatus.classList.toggle('text-gray-400', !exhausted);
+    }
+
+    /**
+     * Loads the models offered by the backend into the sidebar picker, preselecting the code's
+     * default model. The picker stays hidden when there is nothing to choose.
+     */
+    async function loadModels() {
+        try {
+            const response = await apiFetch('/api/models');
+            const result = await response.json();
+            if (!response.ok || !result.success) {
+                return;
+            }
+            availableModels = result.models;
+            modelSelect.innerHTML = '';
+            result.models.forEach(model => {
+                const option = document.createElement('option');
+                option.value = model.id;
+                option.textContent = model.label;
+                option.selected = model.id === result.default;
+                modelSelect.appendChild(option);
+            });
+            modelPanel.classList.toggle('hidden', result.models.length < 2);
+        } catch (error) {
+            console.error('Error loading models:', error);
+        }
+    }
+
+    /**
+     * Loads the paper templates a new conversation can be based on.
+     */
+    async function loadTemplates() {
+        try {
+            const response = await apiFetch('/api/templates');
+            const result = await response.json();
+            if (response.ok && result.success) {
+                availableTemplates = result.templates;
+            }
+        } catch (error) {
+            console.error('Error loading templates:', error);
+        }
+    }
+
+    /**
+     * Fetches the current usage summary and updates the quota display.
+     */
+    async function refreshUsage() {
+        try {
+            const response = await apiFetch('/api/usage');
+            const result = await response.json();
+            if (response.ok && result.success) {
+                updateQuotaDisplay(result.usage);
+            }
+        } catch (error) {
+            console.error('Error loading usage:', error);
+        }
+    }
+
+    /**
+     * Stores the workflow state returned by the backend and refreshes the stage-specific UI.
+     * @param {object|null} state - State summary from /api/login, /api/chat or /api/reset.
+     */
+    function applyAppState(state) {
+        if (!state) {
+            return;
+        }
+        const previousStatus = currentAppState ? currentAppState.status : null;
+        currentAppState = state;
+        console.log('Received state:', currentAppState);
+
+        if (currentAppState.status === 'COMPLETED') {
+            if (previousStatus !== 'COMPLETED') {
+                displayInfoMessage("流程已完成。您可以点击“新建对话”开始新的项目。");
+            }
+            setChatEnabled(false); // Disable input after completion
+        } else {
+            updateInputPlaceholder();
+            updateWorkflowControls();
+        }
+    }
+
+    /**
+     * Shows the "continue" control only while the backend is waiting for an approval.
+     */
+    function updateWorkflowControls() {
+        const status = currentAppState ? currentAppState.status : null;
+        const awaitingApproval = isLoggedIn && (status === 'AWAITING_OUTLINE_APPROVAL' || status === 'AWAITING_CHAPTER_FEEDBACK');
+        approveButton.classList.toggle('hidden', !awaitingApproval);
+        if (status === 'AWAITING_OUTLINE_APPROVAL') {
+            approveButton.textContent = '确认大纲';
+        } else if (status === 'AWAITING_CHAPTER_FEEDBACK') {
+            const isLast = currentAppState.estimated_chapters !== null && currentAppState.current_chapter_index + 1 >= currentAppState.estimated_chapters;
+            approveButton.textContent = isLast ? '完成论文' : '下一章';
+        }
+    }
+
+    /**
+     * Calls a backend API route with the session token attached.
+     * A 401 means the session expired or the code was revoked, so the UI is logged out.
+     * @param {string} path - API path including any query string.
+     * @param {RequestInit} [options] - fetch options; a plain object body is sent as JSON.
+     * @returns {Promise<Response>}
+     */
+    async function apiFetch(path, options = {}) {
+        const headers = { ...(options.headers || {}) };
+        if (sessionToken) {
+            headers['Authorization'] = `Bearer ${sessionToken}`;
+        }
+        let body = options.body;
+        if (body && typeof body === 'object' && !(body instanceof FormData) && !(body instanceof Blob)) {
+            headers['Content-Type'] = 'application/json';
+            body = JSON.stringify(body);
+        }
+
+        const response = await fetch(path, { ...options, headers, body });
+        if (response.status === 401 && isLoggedIn) {
+            handleSessionExpired();
+        }
+        return response;
+    }
+
+    /**
+     * Switches the UI to the logged-in state after /api/login or a resumed session.
+     * @param {{active_id?: string, conversations?: object[], state?: object, usage?: object}} result - Session data from the backend.
+     */
+    function enterLoggedInState(result) {
+        loginStatus.textContent = '登录成功！';
+        loginStatus.classList.remove('text-red-400');
+        loginStatus.classList.add('text-green-500');
+        isLoggedIn = true;
+        currentChatId = result.active_id || null;
+        conversations = result.conversations || [];
+        renderConversationList();
+        currentAppState = result.state || null;
+        setChatEnabled(currentAppState?.status !== 'COMPLETED'); // Enable chat input/button
+        if (result.usage) {
+            updateQuotaDisplay(result.usage);
         } else {
-             messageInput.placeholder = "请先登录..."; // Set placeholder when disabling
+            refreshUsage();
+        }
+        loadModels();
+        loadTemplates();
+        loadSettings();
+        loginCodeInput.value = '';
+        loginCodeInput.disabled = true; // Disable login input
+        loginButton.disabled = true;
+        loginButton.textContent = '已登录'; // Keep login button disabled
+        loginButton.classList.remove('bg-green-500', 'hover:bg-green-600');
+        loginButton.classList.add('bg-gray-500', 'cursor-not-allowed');
+    }
+
+    /**
+     * Drops the stored session and returns the UI to the login prompt.
+     */
+    function handleSessionExpired() {
+        sessionToken = null;
+        localStorage.removeItem(SESSION_TOKEN_STORAGE_KEY);
+        isLoggedIn = false;
+        currentChatId = null;
+        conversations = [];
+        currentAppState = null;
+        renderConversationList();
+        setChatEnabled(false);
+        updateQuotaDisplay(null);
+        modelPanel.classList.add('hidden');
+        referencesModal.classList.add('hidden');
+        templateModal.classList.add('hidden');
+        chapterModal.classList.add('hidden');
+        snapshotsModal.classList.add('hidden');
+        settingsModal.classList.add('hidden');
+        paperPanel.classList.add('hidden');
+        availableTemplates = [];
+        availableModels = [];
+        loginCodeInput.disabled = false;
+        loginButton.disabled = false;
+        loginButton.textContent = '登录';
+        loginButton.classList.remove('bg-gray-500', 'cursor-not-allowed');
+        loginButton.classList.add('bg-green-500', 'hover:bg-green-600');
+        loginStatus.textContent = '登录已失效，请重新登录。';
+        loginStatus.classList.remove('text-green-500');
+        loginStatus.classList.add('text-red-400');
+        displayInfoMessage("登录已失效，请重新输入登录码。");
+    }
+
+    /**
+     * Resumes a session saved in localStorage after a page reload (no login code needed).
+     */
+    async function resumeSession() {
+        sessionToken = localStorage.getItem(SESSION_TOKEN_STORAGE_KEY);
+        if (!sessionToken) {
+            return;
+        }
+        try {
+            const response = await apiFetch('/api/conversations');
+            const result = await response.json();
+            if (!response.ok || !result.success) {
+                console.warn('Stored session could not be resumed:', result.error);
+                sessionToken = null;
+                localStorage.removeItem(SESSION_TOKEN_STORAGE_KEY);
+                return;
+            }
+            enterLoggedInState(result);
+            const restored = await restoreHistory();
+            if (restored > 0) {
+                displayInfoMessage(`已恢复上次的对话（${restored} 条消息）。`);
+            } else {
+                displayInfoMessage("登录成功，可以开始对话了。");
+            }
+        } catch (error) {
+            console.error('Error resuming session:', error);
         }
     }
 
@@ -152,16 +547,18 @@ document.addEventListener('DOMContentLoaded', () => {
             if (response.ok && result.success) {
                 // --- Login Successful (Confirmed by Backend) ---
                 console.log('Backend login successful:', result.message);
-                loginStatus.textContent = '登录成功！';
-                loginStatus.classList.add('text-green-500');
-                isLoggedIn = true;
-                userLoginCode = code; // Store the code for chat requests
-                setChatEnabled(true); // Enable chat input/button
-                loginCodeInput.disabled = true; // Disable login input
-                loginButton.textContent = '已登录'; // Keep login button disabled
-                loginButton.classList.remove('bg-green-500', 'hover:bg-green-600');
-                loginButton.classList.add('bg-gray-500', 'cursor-not-allowed');
-                displayInfoMessage("登录成功，可以开始对话了。");
+                // Only the signed token is kept; the code itself is never sent again
+                sessionToken = result.token;
+                localStorage.setItem(SESSION_TOKEN_STORAGE_KEY, sessionToken);
+                enterLoggedInState(result);
+
+                // Bring back the stored conversation so a reload does not lose the chat window
+                const restored = await restoreHistory();
+                if (restored > 0) {
+                    displayInfoMessage(`已恢复上次的对话（${restored} 条消息）。`);
+                } else {
+                    displayInfoMessage("登录成功，可以开始对话了。");
+                }
 
             } else {
                 // --- Login Failed (Rejected by Backend or Network Error) ---
@@ -187,12 +584,14 @@ document.addEventListener('DOMContentLoaded', () => {
 
     /**
      * Handles sending a message by calling the backend chat API.
+     * @param {object} [options]
+     * @param {string} [options.action] - Explicit workflow action, e.g. 'approve' from the continue button.
      */
-    async function handleSendMessage() {
+    async function handleSendMessage(options = {}) {
         const messageText = messageInput.value.trim();
 
         // Ensure message is not empty and user is logged in
-        if (!messageText || !isLoggedIn || !userLoginCode) {
+        if (!messageText || !isLoggedIn) {
              if (!isLoggedIn) {
                 displayInfoMessage("请先登录后再发送消息。");
              }
@@ -200,36 +599,89 @@ document.addEventListener('DOMContentLoaded', () => {
         }
 
         console.log('Sending message to backend:', messageText);
-        displayMessage(messageText, 'user'); // Display user's message immediately
+        const userBubbleId = `user-${Date.now()}`;
+        displayMessage(messageText, 'user', userBubbleId); // Display user's message immediately
+        const userBubble = document.getElementById(userBubbleId);
+        if (options.action) {
+            userBubble.dataset.action = options.action; // Needed to resend it if the request fails
+        }
 
         // Clear input and disable send button while waiting for response
         const originalInput = messageText; // Keep original message for potential retry later
         messageInput.value = '';
-        sendButton.disabled = true;
+        messageInput.placeholder = "AI 正在处理，请稍候...";
         messageInput.style.height = 'auto'; // Reset textarea height
         messageInput.focus(); // Keep focus on input
 
+        await submitChatTurn('/api/chat', 'POST', {
+            message: originalInput, // Send the original message
+            conversation_id: currentChatId,
+            action: options.action || undefined,
+        }, userBubble);
+    }
+
+    /**
+     * Sends a chat turn (a new message, a regenerate or an edit) and renders the reply into a new
+     * "thinking" bubble. Once the backend has stored the turn, the bubbles get their message IDs.
+     * @param {string} path - Chat route, e.g. /api/chat.
+     * @param {string} method - HTTP method.
+     * @param {object} body - Request body; model and stream are added here.
+     * @param {HTMLElement} userBubble - Bubble of the user message this turn answers.
+     */
+    async function submitChatTurn(path, method, body, userBubble) {
+        sendButton.disabled = true;
+        approveButton.disabled = true;
+        chatWindow.querySelectorAll('.message-actions, .turn-error button').forEach(element => element.remove());
+
         // Display a "thinking" indicator for the AI response
         const thinkingId = `ai-thinking-${Date.now()}`; // Unique ID for the thinking bubble
         displayMessage("...", 'ai', thinkingId); // Display '...' in an AI bubble
         // Add styling to make the thinking indicator visually distinct
-        document.getElementById(thinkingId)?.classList.add('italic', 'text-gray-500');
+        const thinkingBubble = document.getElementById(thinkingId);
+        thinkingBubble?.classList.add('italic', 'text-gray-500');
+        const assignMessageIds = (result) => {
+            if (result.user_message_id) {
+                userBubble.dataset.messageId = result.user_message_id;
+            }
+            if (result.message_id && thinkingBubble) {
+                thinkingBubble.dataset.messageId = result.message_id;
+            }
+        };
+        // How the chapter just written compares with its planned length (only on success)
+        let lengthReport = null;
+        const storeTurn = (result) => {
+            assignMessageIds(result);
+            lengthReport = result.length || null;
+        };
+        // A failed turn keeps the user message (marked as failed by the backend) but no reply
+        const showFailure = (text, retryable, partialReply = '') => {
+            if (partialReply) {
+                updateMessage(thinkingId, `${partialReply}\n\n*（生成中断，此部分内容未保存）*`);
+            } else {
+                thinkingBubble?.remove();
+            }
+            displayTurnError(text, retryable ? () => handleRetryMessage(userBubble) : null);
+        };
 
 
         try {
-            // Call the backend /api/chat endpoint
-            const response = await fetch('/api/chat', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
+            const response = await apiFetch(path, {
+                method,
+                body: {
+                    ...body,
+                    model: modelSelect.value || undefined,
+                    stream: USE_STREAMING,
+                    debug: DEBUG_RETRIEVAL || undefined
                 },
-                // Send message and the validated login code
-                body: JSON.stringify({
-                    message: originalInput, // Send the original message
-                    code: userLoginCode
-                }),
             });
 
+            // Streaming replies arrive as SSE; errors and non-streaming replies still come back as JSON
+            const contentType = response.headers.get('Content-Type') || '';
+            if (response.ok && contentType.includes('text/event-stream')) {
+                await readChatStream(response, thinkingId, storeTurn, showFailure);
+                return;
+            }
+
             // Try to parse JSON, handle potential errors if response is not JSON
             let result;
              try {
@@ -246,48 +698,259 @@ document.addEventListener('DOMContentLoaded', () => {
                 console.log('Backend chat successful.');
                 // Update the "thinking" bubble with the actual AI reply
                 updateMessage(thinkingId, result.reply); // Render AI reply
+                storeTurn(result);
+                logRetrieval(result.retrieval);
 
-                // {{ EDIT 5: Remove state handling and state-based UI updates }}
-                // // Store the state received from backend  <-- REMOVED
-                // currentAppState = result.state || null;   <-- REMOVED
-                // console.log('Received state:', currentAppState); <-- REMOVED
-
-                // // Update UI based on the new state      <-- REMOVED
-                // updateInputPlaceholder(); // Update placeholder text <-- REMOVED
-
-                // // Handle completed state                <-- REMOVED
-                // if (currentAppState && currentAppState.status === 'COMPLETED') { <-- REMOVED
-                //    displayInfoMessage("流程已完成。您可以点击'新聊天'开始新的项目。"); <-- REMOVED
-                //    setChatEnabled(false); // Disable input after completion <-- REMOVED
-                //    messageInput.placeholder = "流程已完成"; <-- REMOVED
-                // } <-- REMOVED
+                // Store the state received from backend and update the stage-specific UI
+                applyAppState(result.state);
+                if (result.usage) {
+                    updateQuotaDisplay(result.usage); // Workflow-only replies carry no usage
+                }
 
+            } else if (response.status === 429) {
+                // --- Quota used up or rate limited: the message was not processed ---
+                updateMessage(thinkingId, `*${result.error}*`);
+                if (result.usage) {
+                    updateQuotaDisplay(result.usage);
+                }
+            } else if (response.status === 409 && result.code === 'CONVERSATION_CONFLICT') {
+                // --- Another tab changed the conversation first: show its current state ---
+                await restoreHistory();
+                displayInfoMessage(result.error);
+            } else if (response.status === 409) {
+                // --- A reply for this conversation is still being generated (e.g. in another tab) ---
+                showFailure(result.error, true);
             } else {
                 // --- AI Response Failed (Backend error or invalid response) ---
-                // ... unchanged error handling for the message bubble ...
-                 // Don't update currentAppState on error <-- This comment is now irrelevant
+                console.error('Backend chat failed:', result.code, result.error);
+                assignMessageIds(result);
+                // Only model failures are stored and retryable; other errors mean nothing was kept
+                showFailure(result.error || `请求失败 (状态: ${response.status})`, result.retryable === true);
+                 // Don't update currentAppState on error
             }
 
         } catch (error) {
             // --- Network or other errors during fetch ---
-            // ... unchanged error handling for the message bubble ...
+            console.error('Error sending chat message:', error);
+            showFailure(`网络错误: ${error.message}`, true);
         } finally {
-            // {{ EDIT 6: Simplified finally block (already shown in previous edit) }}
-             if (isLoggedIn) { // Only check login status
-                 messageInput.disabled = false;
-                 sendButton.disabled = messageInput.value.trim() === '';
+             if (isLoggedIn && currentAppState?.status !== 'COMPLETED') {
+                 setChatEnabled(true);
              } else {
-                 messageInput.disabled = true;
-                 sendButton.disabled = true;
+                 setChatEnabled(false);
              }
+             renderMessageActions();
+             // The reply may have renamed or reordered the conversation and filled in the paper
+             refreshConversationList();
+             refreshPaperPanel();
+             if (lengthReport?.chapter?.adjustment) {
+                 handleChapterLength(lengthReport.chapter);
+             }
+        }
+    }
+
+    /**
+     * Reacts to a chapter that misses its planned length: asks the model to expand or trim it once
+     * when automatic adjustment is on, otherwise only points it out.
+     * @param {{title: string, words: number, target: number, deviation: number, adjustment: {direction: string, message: string}}} chapter
+     *   Chapter part of the length report returned with the reply.
+     */
+    async function handleChapterLength(chapter) {
+        const verb = chapter.adjustment.direction === 'expand' ? '扩写' : '精简';
+        const summary = `“${chapter.title}”约 ${chapter.words} 字，大纲计划约 ${chapter.target} 字（偏差 ${Math.round(chapter.deviation * 100)}%）`;
+        if (!autoLengthToggle.checked || !isLoggedIn || currentAppState?.status === 'COMPLETED') {
+            displayInfoMessage(`${summary}。可以要求 AI ${verb}本章，或在右侧开启“自动调整章节字数”。`);
+            return;
+        }
+        displayInfoMessage(`${summary}，正在自动${verb}。`);
+        const userBubbleId = `user-${Date.now()}`;
+        displayMessage(chapter.adjustment.message, 'user', userBubbleId);
+        const userBubble = document.getElementById(userBubbleId);
+        userBubble.dataset.lengthAdjustment = '1'; // Needed to resend it if the request fails
+        await submitChatTurn('/api/chat', 'POST', {
+            message: chapter.adjustment.message,
+            conversation_id: currentChatId,
+            length_adjustment: true,
+        }, userBubble);
+    }
+
+    /**
+     * Resends the message of a failed turn. A message the backend stored as failed is retried by ID,
+     * so it is not duplicated in the history; one that never reached the backend is simply sent again.
+     * @param {HTMLElement} userBubble - Bubble of the failed user message.
+     */
+    async function handleRetryMessage(userBubble) {
+        if (!isLoggedIn) {
+            return;
+        }
+        const body = userBubble.dataset.messageId
+            ? { retry_message_id: userBubble.dataset.messageId, conversation_id: currentChatId }
+            : {
+                message: userBubble.querySelector('div').textContent,
+                conversation_id: currentChatId,
+                action: userBubble.dataset.action,
+                length_adjustment: userBubble.dataset.lengthAdjustment === '1' || undefined,
+            };
+        removeMessagesAfter(userBubble);
+        await submitChatTurn('/api/chat', 'POST', body, userBubble);
+    }
+
+    /**
+     * Asks for a new version of the latest AI reply.
+     * @param {HTMLElement} bubble - Bubble of the AI reply to replace.
+     */
+    async function handleRegenerateMessage(bubble) {
+        let userBubble = bubble.previousElementSibling;
+        while (userBubble && userBubble.dataset.sender !== 'user') {
+            userBubble = userBubble.previousElementSibling;
+        }
+        if (!isLoggedIn || !userBubble) {
+            return;
+        }
+        const path = `/api/conversations/${encodeURIComponent(currentChatId)}/messages/${encodeURIComponent(bubble.dataset.messageId)}/regenerate`;
+        removeMessagesAfter(userBubble);
+        await submitChatTurn(path, 'POST', {}, userBubble);
+    }
+
+    /**
+     * Edits a user message and re-runs the conversation from there; later messages are dropped.
+     * @param {HTMLElement} bubble - Bubble of the user message.
+     */
+    async function handleEditMessage(bubble) {
+        const original = bubble.querySelector('div').textContent;
+        const content = window.prompt('编辑消息（之后的对话将被重新生成）：', original);
+        if (!isLoggedIn || content === null || !content.trim() || content.trim() === original) {
+            return;
+        }
+        const path = `/api/conversations/${encodeURIComponent(currentChatId)}/messages/${encodeURIComponent(bubble.dataset.messageId)}`;
+        bubble.querySelector('div').textContent = content.trim();
+        removeMessagesAfter(bubble);
+        await submitChatTurn(path, 'PATCH', { content: content.trim() }, bubble);
+    }
+
+    /**
+     * Deletes a user message together with the replies to it.
+     * @param {HTMLElement} bubble - Bubble of the user message.
+     */
+    async function handleDeleteMessage(bubble) {
+        if (!isLoggedIn || !window.confirm('确定删除这条消息及其回复吗？')) {
+            return;
+        }
+        try {
+            const path = `/api/conversations/${encodeURIComponent(currentChatId)}/messages/${encodeURIComponent(bubble.dataset.messageId)}`;
+            const response = await apiFetch(path, { method: 'DELETE' });
+            const result = await response.json();
+            if (!response.ok || !result.success) {
+                displayInfoMessage(`删除消息失败: ${result.error || '未知错误'}`);
+                return;
+            }
+            renderHistory(result.history);
+            applyAppState(result.state);
+            setChatEnabled(currentAppState?.status !== 'COMPLETED');
+        } catch (error) {
+            console.error('Error deleting message:', error);
+            displayInfoMessage(`删除消息时出错: ${error.message}`);
+        }
+    }
+
+    /**
+     * Reads a Server-Sent Events reply from /api/chat and renders it into the thinking bubble as it arrives.
+     * @param {Response} response - The streaming fetch response.
+     * @param {string} thinkingId - The ID of the AI bubble to fill.
+     * @param {function(object): void} onStored - Called with the final event once the turn is stored (carries the message IDs).
+     * @param {function(string, boolean, string): void} onFailed - Called with the error, whether it can be retried and the partial reply.
+     * @returns {Promise<string>} The complete reply text.
+     */
+    async function readChatStream(response, thinkingId, onStored, onFailed) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let replyText = '';
+        let finished = false; // Set by the final `done` or `error` event
+
+        const handleEvent = (rawEvent) => {
+            let eventName = 'message';
+            const dataLines = [];
+            rawEvent.split(/\r?\n/).forEach(line => {
+                if (line.startsWith('event:')) {
+                    eventName = line.slice(6).trim();
+                } else if (line.startsWith('data:')) {
+                    dataLines.push(line.slice(5).trim());
+                }
+            });
+            if (dataLines.length === 0) {
+                return;
+            }
+
+            let payload;
+            try {
+                payload = JSON.parse(dataLines.join('\n'));
+            } catch (parseError) {
+                console.warn('Skipping unparsable stream event:', rawEvent);
+                return;
+            }
+
+            if (eventName === 'done') {
+                finished = true;
+                replyText = payload.reply || replyText;
+                updateMessage(thinkingId, replyText);
+                onStored(payload);
+                logRetrieval(payload.retrieval);
+                applyAppState(payload.state);
+                if (payload.usage) {
+                    updateQuotaDisplay(payload.usage); // null when the usage record could not be written
+                }
+            } else if (eventName === 'error') {
+                finished = true;
+                console.error('Chat stream error:', payload.code, payload.error);
+                replyText = payload.reply || replyText;
+                onStored(payload);
+                if (payload.message_id) {
+                    // The reply arrived but could not be saved
+                    updateMessage(thinkingId, `${replyText}\n\n*（${payload.error}）*`);
+                } else {
+                    onFailed(payload.error, payload.retryable === true, replyText);
+                }
+                applyAppState(payload.state);
+                if (payload.usage) {
+                    updateQuotaDisplay(payload.usage);
+                }
+            } else if (payload.delta) {
+                replyText += payload.delta;
+                updateMessage(thinkingId, replyText);
+            }
+        };
+
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) {
+                break;
+            }
+            buffer += decoder.decode(value, { stream: true });
+            let boundary;
+            while ((boundary = buffer.search(/\r?\n\r?\n/)) !== -1) {
+                const rawEvent = buffer.slice(0, boundary);
+                buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, '');
+                handleEvent(rawEvent);
+            }
         }
+        if (buffer.trim()) {
+            handleEvent(buffer);
+        }
+        if (!finished) {
+            // The connection closed before the backend reported the outcome of the turn
+            console.error('Chat stream ended without a final event.');
+            onFailed('连接中断', true, replyText);
+            return replyText;
+        }
+
+        console.log('Backend chat stream finished.');
+        return replyText;
     }
 
     /**
      * Updates the message input placeholder based on the current application state.
      */
-    // {{ EDIT 4: Remove the entire updateInputPlaceholder function }}
-    /*
     function updateInputPlaceholder() {
         if (!isLoggedIn) {
             messageInput.placeholder = "请先登录...";
@@ -295,98 +958,1323 @@ document.addEventListener('DOMContentLoaded', () => {
         }
 
         if (!currentAppState || currentAppState.status === 'AWAITING_INITIAL_INPUT') {
-            messageInput.placeholder = "请输入您的初始需求...";
+            messageInput.placeholder = "请输入您的初始需求（题目、专业、总字数等）...";
         } else if (currentAppState.status === 'AWAITING_OUTLINE_APPROVAL') {
-            // {{ 编辑 1: 更新大纲确认提示 }}
             messageInput.placeholder = "请检查大纲。您可以直接输入修改意见，或输入“继续”开始生成章节。";
         } else if (currentAppState.status === 'AWAITING_CHAPTER_FEEDBACK') {
             const chapterNum = currentAppState.current_chapter_index !== null ? currentAppState.current_chapter_index + 1 : '?';
-            // {{ 编辑 2: 更新章节确认提示 }}
             messageInput.placeholder = `请检查第 ${chapterNum} 章。您可以直接输入修改意见，或输入“继续”生成下一章。`;
         } else if (currentAppState.status === 'GENERATING_OUTLINE' || currentAppState.status === 'GENERATING_CHAPTER') {
              messageInput.placeholder = "AI 正在处理，请稍候...";
         } else if (currentAppState.status === 'COMPLETED') {
             messageInput.placeholder = "流程已完成";
-        }
-         else {
+        } else {
             messageInput.placeholder = "输入你的消息..."; // Default
         }
     }
-    */
-
 
     /**
-     * Handles starting a new chat session.
+     * Sends the workflow approval ("继续") for the current outline or chapter.
      */
+    function handleApprove() {
+        if (!isLoggedIn) {
+            return;
+        }
+        messageInput.value = '继续';
+        handleSendMessage({ action: 'approve' });
+    }
+
+
     /**
-     * Handles the "New Chat" button click.
-     * Clears the chat window, resets the application state, AND calls the backend to reset KV state.
+     * Renders the conversation list in the sidebar, highlighting the active conversation.
      */
-    async function handleNewChat() {
-        if (!isLoggedIn || !userLoginCode) {
-            displayInfoMessage("请先成功登录。");
+    function renderConversationList() {
+        historyList.innerHTML = '';
+        if (conversations.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'text-sm text-gray-400';
+            empty.textContent = '暂无历史对话';
+            historyList.appendChild(empty);
             return;
         }
 
-        // 禁用按钮防止重复点击
-        newChatButton.disabled = true;
-        displayInfoMessage("正在重置会话状态..."); // 提供即时反馈
+        conversations.forEach(conversation => {
+            const item = document.createElement('div');
+            item.className = 'group flex items-center justify-between rounded-lg px-2 py-2 mb-1 cursor-pointer text-sm hover:bg-gray-700';
+            if (conversation.id === currentChatId) {
+                item.classList.add('bg-gray-700');
+            }
 
-        try {
-            // {{ 编辑 2: 调用后端 /api/reset 端点 (unchanged) }}
-            const response = await fetch('/api/reset', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({ code: userLoginCode }), // 发送当前用户的登录码
-            });
+            const title = document.createElement('span');
+            title.className = 'truncate flex-1';
+            title.textContent = conversation.title;
+            title.title = conversation.title;
+            item.appendChild(title);
 
-            const result = await response.json(); // 尝试解析响应
+            const actions = document.createElement('span');
+            actions.className = 'hidden group-hover:flex space-x-1 ml-2 text-gray-400';
+            const renameButton = document.createElement('button');
+            renameButton.className = 'hover:text-white';
+            renameButton.textContent = '✎';
+            renameButton.title = '重命名';
+            renameButton.addEventListener('click', (event) => {
+                event.stopPropagation();
+                handleRenameConversation(conversation);
+            });
+            const deleteButton = document.createElement('button');
+            deleteButton.className = 'hover:text-red-400';
+            deleteButton.textContent = '✕';
+            deleteButton.title = '删除';
+            deleteButton.addEventListener('click', (event) => {
+                event.stopPropagation();
+                handleDeleteConversation(conversation);
+            });
+            actions.appendChild(renameButton);
+            actions.appendChild(deleteButton);
+            item.appendChild(actions);
 
-            if (!response.ok || !result.success) {
-                 // 如果后端重置失败，显示错误信息并且不清除前端
-                 console.error('Failed to reset backend state:', result);
-                 displayInfoMessage(`重置会话失败: ${result.error || '未知错误'}`);
-                 // 不进行前端清理，让用户可以重试或继续当前会话
-                 return; // 停止执行
-            }
+            item.addEventListener('click', () => switchConversation(conversation.id));
+            historyList.appendChild(item);
+        });
+    }
 
-            // {{ 编辑 3: 后端重置成功后，清理前端 }}
-            // Clear the chat display window
-            chatWindow.innerHTML = '';
-            // Clear the message input field
-            messageInput.value = '';
-            // {{ EDIT 7: Remove state reset and placeholder update call }}
-            // // Reset the internal application state tracker <-- REMOVED
-            // currentAppState = null; // Or reset to initial state if needed by UI logic <-- REMOVED
-            // Display a confirmation message
+    /**
+     * Re-renders a stored conversation history in the chat window.
+     * @param {Array<{id: string, role: string, content: string, status?: string}>} history - Messages as stored by the backend.
+     */
+    function renderHistory(history) {
+        chatWindow.innerHTML = '';
+        if (!history || history.length === 0) {
             displayInfoMessage("新的对话已开始。请描述您的需求。");
-            // // Reset the input placeholder based on the (now reset) state <-- REMOVED
-            // updateInputPlaceholder(); // <-- REMOVED
-             // Enable chat input
-            setChatEnabled(true); // This now sets a default placeholder
+            return;
+        }
+        history.forEach((message, i) => displayStoredMessage(message, i === history.length - 1));
+        renderMessageActions();
+    }
 
+    /**
+     * Loads the active conversation's history from /api/history and replays it in the chat window.
+     * @returns {Promise<number>} Number of restored messages (0 if there was nothing to restore or the request failed).
+     */
+    async function restoreHistory() {
+        try {
+            const response = await apiFetch('/api/history');
+            const result = await response.json();
+            if (!response.ok || !result.success) {
+                console.error('Failed to load history:', result.error || `HTTP status ${response.status}`);
+                return 0;
+            }
 
+            currentChatId = result.conversation_id;
+            if (result.state) {
+                currentAppState = result.state;
+                setChatEnabled(currentAppState.status !== 'COMPLETED');
+            }
+            const history = result.history || [];
+            if (history.length > 0) {
+                chatWindow.innerHTML = '';
+                history.forEach((message, i) => displayStoredMessage(message, i === history.length - 1));
+                renderMessageActions();
+            }
+            renderConversationList();
+            refreshPaperPanel();
+            return history.length;
         } catch (error) {
-            console.error('Error during new chat creation:', error);
-            displayInfoMessage(`创建新对话时出错: ${error.message}`);
-        } finally {
-            // 无论成功或失败，重新启用按钮
-             newChatButton.disabled = false;
+            console.error('Error loading history:', error);
+            return 0;
         }
     }
 
-    // --- Event Listeners ---
-    loginButton.addEventListener('click', handleLogin);
-    loginCodeInput.addEventListener('keypress', (event) => {
-        if (event.key === 'Enter') {
-            handleLogin();
+    /**
+     * Refreshes the sidebar from /api/conversations (e.g. after a reply changed a title).
+     */
+    async function refreshConversationList() {
+        if (!isLoggedIn) {
+            return;
         }
-    });
+        try {
+            const response = await apiFetch('/api/conversations');
+            const result = await response.json();
+            if (response.ok && result.success) {
+                conversations = result.conversations;
+                renderConversationList();
+            }
+        } catch (error) {
+            console.error('Error refreshing conversation list:', error);
+        }
+    }
 
-    sendButton.addEventListener('click', handleSendMessage);
-    messageInput.addEventListener('keypress', (event) => {
+    /**
+     * Opens a conversation: reloads its history into the chat window and makes it active on the backend.
+     * @param {string} conversationId - Conversation to open.
+     */
+    async function switchConversation(conversationId) {
+        if (!isLoggedIn || conversationId === currentChatId) {
+            return;
+        }
+        try {
+            const response = await apiFetch(`/api/conversations/${encodeURIComponent(conversationId)}`);
+            const result = await response.json();
+            if (!response.ok || !result.success) {
+                displayInfoMessage(`打开对话失败: ${result.error || '未知错误'}`);
+                return;
+            }
+
+            currentChatId = conversationId;
+            currentAppState = null;
+            markConversationActive(conversationId);
+            renderConversationList();
+            renderHistory(result.history);
+            refreshPaperPanel();
+            currentAppState = result.state || null;
+            setChatEnabled(currentAppState?.status !== 'COMPLETED');
+            if (currentAppState?.status === 'COMPLETED') {
+                displayInfoMessage("流程已完成。您可以点击“新建对话”开始新的项目。");
+            }
+        } catch (error) {
+            console.error('Error switching conversation:', error);
+            displayInfoMessage(`打开对话时出错: ${error.message}`);
+        }
+    }
+
+    /**
+     * Tells the backend which conversation is open, so the next login continues there.
+     * Failures are only logged: the next chat turn in the conversation makes it active as well.
+     * @param {string} conversationId - The conversation just opened.
+     */
+    async function markConversationActive(conversationId) {
+        try {
+            const response = await apiFetch(`/api/conversations/${encodeURIComponent(conversationId)}`, {
+                method: 'PATCH',
+                body: { active: true },
+            });
+            if (!response.ok) {
+                console.warn(`Could not mark conversation ${conversationId} as active (status ${response.status}).`);
+            }
+        } catch (error) {
+            console.warn('Error marking conversation as active:', error);
+        }
+    }
+
+    /**
+     * Renames a conversation after prompting for the new title.
+     * @param {{id: string, title: string}} conversation - Conversation to rename.
+     */
+    async function handleRenameConversation(conversation) {
+        const title = window.prompt('请输入新的对话名称：', conversation.title);
+        if (title === null || !title.trim()) {
+            return;
+        }
+        try {
+            const response = await apiFetch(`/api/conversations/${encodeURIComponent(conversation.id)}`, {
+                method: 'PATCH',
+                body: { title: title.trim() },
+            });
+            const result = await response.json();
+            if (!response.ok || !result.success) {
+                displayInfoMessage(`重命名失败: ${result.error || '未知错误'}`);
+                return;
+            }
+            conversation.title = result.conversation.title;
+            renderConversationList();
+        } catch (error) {
+            console.error('Error renaming conversation:', error);
+            displayInfoMessage(`重命名时出错: ${error.message}`);
+        }
+    }
+
+    /**
+     * Deletes a conversation after confirmation. If it was open, the backend's new active conversation is loaded.
+     * @param {{id: string, title: string}} conversation - Conversation to delete.
+     */
+    async function handleDeleteConversation(conversation) {
+        if (!window.confirm(`确定删除对话“${conversation.title}”吗？此操作无法撤销。`)) {
+            return;
+        }
+        try {
+            const response = await apiFetch(`/api/conversations/${encodeURIComponent(conversation.id)}`, {
+                method: 'DELETE',
+            });
+            const result = await response.json();
+            if (!response.ok || !result.success) {
+                displayInfoMessage(`删除失败: ${result.error || '未知错误'}`);
+                return;
+            }
+            conversations = result.conversations;
+            if (conversation.id === currentChatId) {
+                currentChatId = null;
+                await switchConversation(result.active_id);
+            } else {
+                renderConversationList();
+            }
+        } catch (error) {
+            console.error('Error deleting conversation:', error);
+            displayInfoMessage(`删除时出错: ${error.message}`);
+        }
+    }
+
+    /**
+     * Exports the current conversation's paper (outline + confirmed chapters).
+     * Markdown and Word files are downloaded; PDF opens a printable page that shows the print dialog.
+     * @param {'md' | 'docx' | 'pdf'} format - Export format.
+     */
+    async function handleExport(format) {
+        if (!isLoggedIn) {
+            displayInfoMessage("请先成功登录。");
+            return;
+        }
+
+        // Open the print window right away; browsers block pop-ups opened after an await
+        const printWindow = format === 'pdf' ? window.open('', '_blank') : null;
+
+        try {
+            const params = new URLSearchParams({ format, citation_style: citationStyleSelect.value });
+            if (currentChatId) {
+                params.set('conversation_id', currentChatId);
+            }
+            const response = await apiFetch(`/api/export?${params.toString()}`);
+            if (!response.ok) {
+                let errorMessage = `HTTP ${response.status}`;
+                try {
+                    errorMessage = (await response.json()).error || errorMessage;
+                } catch (jsonError) {
+                    // Keep the status-based message
+                }
+                printWindow?.close();
+                displayInfoMessage(`导出失败: ${errorMessage}`);
+                return;
+            }
+
+            const blob = await response.blob();
+            const blobUrl = URL.createObjectURL(blob);
+            if (printWindow) {
+                printWindow.location.href = blobUrl;
+            } else {
+                // Take the file name from Content-Disposition (filename*=UTF-8''...)
+                const disposition = response.headers.get('Content-Disposition') || '';
+                const nameMatch = disposition.match(/filename\*=UTF-8''([^;]+)/);
+                const link = document.createElement('a');
+                link.href = blobUrl;
+                link.download = nameMatch ? decodeURIComponent(nameMatch[1]) : `paper.${format}`;
+                document.body.appendChild(link);
+                link.click();
+                link.remove();
+            }
+            // Give the download / new tab time to pick the blob up before releasing it
+            setTimeout(() => URL.revokeObjectURL(blobUrl), 60000);
+        } catch (error) {
+            console.error('Error exporting paper:', error);
+            printWindow?.close();
+            displayInfoMessage(`导出时出错: ${error.message}`);
+        }
+    }
+
+    /**
+     * Downloads all conversations and papers of the code as a JSON backup file.
+     */
+    async function handleBackupExport() {
+        try {
+            const response = await apiFetch('/api/backup');
+            if (!response.ok) {
+                let errorMessage = `HTTP ${response.status}`;
+                try {
+                    errorMessage = (await response.json()).error || errorMessage;
+                } catch (jsonError) {
+                    // Keep the status-based message
+                }
+                displayInfoMessage(`导出备份失败: ${errorMessage}`);
+                return;
+            }
+            const blob = await response.blob();
+            const blobUrl = URL.createObjectURL(blob);
+            const nameMatch = (response.headers.get('Content-Disposition') || '').match(/filename="([^"]+)"/);
+            const link = document.createElement('a');
+            link.href = blobUrl;
+            link.download = nameMatch ? nameMatch[1] : 'paperg-backup.json';
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(blobUrl), 60000);
+        } catch (error) {
+            console.error('Error exporting backup:', error);
+            displayInfoMessage(`导出备份时出错: ${error.message}`);
+        }
+    }
+
+    /**
+     * Imports the chosen backup file; its conversations are added next to the existing ones.
+     */
+    async function handleBackupImport() {
+        const file = backupInput.files[0];
+        backupInput.value = '';
+        if (!file || !isLoggedIn) {
+            return;
+        }
+        try {
+            const response = await apiFetch('/api/backup', { method: 'POST', body: file });
+            const result = await response.json();
+            if (!response.ok || !result.success) {
+                console.error('Backup import failed:', result.problems || result.error);
+                displayInfoMessage(`导入备份失败: ${result.error || '未知错误'}`);
+                return;
+            }
+            conversations = result.conversations;
+            await restoreHistory(); // The first imported conversation is now the active one
+            if (result.settings_imported) {
+                loadSettings();
+                loadModels();
+            }
+            displayInfoMessage(`已导入 ${result.imported.length} 个对话${result.settings_imported ? '，并导入了备份中的个人设置' : ''}。`);
+        } catch (error) {
+            console.error('Error importing backup:', error);
+            displayInfoMessage(`导入备份时出错: ${error.message}`);
+        }
+    }
+
+    /**
+     * Opens the snapshot dialog and lists the code's snapshots.
+     */
+    async function openSnapshots() {
+        if (!isLoggedIn) {
+            return;
+        }
+        snapshotsStatus.textContent = '';
+        snapshotsList.innerHTML = '';
+        snapshotsModal.classList.remove('hidden');
+        try {
+            const response = await apiFetch('/api/snapshots');
+            const result = await response.json();
+            if (!response.ok || !result.success) {
+                snapshotsStatus.textContent = `加载失败: ${result.error || '未知错误'}`;
+                return;
+            }
+            renderSnapshots(result.snapshots);
+        } catch (error) {
+            console.error('Error loading snapshots:', error);
+            snapshotsStatus.textContent = `加载时出错: ${error.message}`;
+        }
+    }
+
+    /**
+     * Renders the snapshot list in the dialog.
+     * @param {Array<object>} snapshots - Entries from /api/snapshots, newest first.
+     */
+    function renderSnapshots(snapshots) {
+        snapshotsList.innerHTML = '';
+        if (snapshots.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'text-gray-400';
+            empty.textContent = '暂无快照。';
+            snapshotsList.appendChild(empty);
+            return;
+        }
+        snapshots.forEach(snapshot => {
+            const item = document.createElement('div');
+            item.className = 'flex items-center justify-between border-b border-gray-100 pb-2';
+            const text = document.createElement('div');
+            const title = document.createElement('p');
+            title.className = 'font-medium';
+            title.textContent = snapshot.title || '未命名对话';
+            const details = document.createElement('p');
+            details.className = 'text-xs text-gray-500';
+            const expires = snapshot.expires_at ? `，${new Date(snapshot.expires_at).toLocaleDateString()} 到期` : '';
+            details.textContent = `${SNAPSHOT_REASON_LABELS[snapshot.reason] || snapshot.reason} · ${new Date(snapshot.created_at).toLocaleString()} · ${snapshot.messages} 条消息${expires}`;
+            text.appendChild(title);
+            text.appendChild(details);
+            const restoreButton = document.createElement('button');
+            restoreButton.className = 'ml-3 bg-indigo-500 hover:bg-indigo-600 text-white text-xs py-1 px-3 rounded-lg';
+            restoreButton.textContent = '恢复';
+            restoreButton.addEventListener('click', () => handleRestoreSnapshot(snapshot));
+            item.appendChild(text);
+            item.appendChild(restoreButton);
+            snapshotsList.appendChild(item);
+        });
+    }
+
+    /**
+     * Puts a snapshot back into its conversation and opens it.
+     * @param {object} snapshot - Entry from /api/snapshots.
+     */
+    async function handleRestoreSnapshot(snapshot) {
+        if (!window.confirm(`确定将对话“${snapshot.title || '未命名对话'}”恢复到此快照吗？`)) {
+            return;
+        }
+        try {
+            const response = await apiFetch(`/api/snapshots/${encodeURIComponent(snapshot.id)}/restore`, { method: 'POST', body: {} });
+            const result = await response.json();
+            if (!response.ok || !result.success) {
+                snapshotsStatus.textContent = `恢复失败: ${result.error || '未知错误'}`;
+                return;
+            }
+            snapshotsModal.classList.add('hidden');
+            conversations = result.conversations;
+            await restoreHistory(); // The restored conversation is now the active one
+            displayInfoMessage('已从快照恢复对话。');
+        } catch (error) {
+            console.error('Error restoring snapshot:', error);
+            snapshotsStatus.textContent = `恢复时出错: ${error.message}`;
+        }
+    }
+
+    /**
+     * Loads the code's settings and applies the defaults they set outside the chat (the citation
+     * style of exports).
+     */
+    async function loadSettings() {
+        try {
+            const response = await apiFetch('/api/settings');
+            const result = await response.json();
+            if (response.ok && result.success) {
+                citationStyleSelect.value = result.settings.citation_style;
+            }
+        } catch (error) {
+            console.error('Error loading settings:', error);
+        }
+    }
+
+    /**
+     * Fills a select of the settings form with the offered choices.
+     * @param {HTMLSelectElement} select
+     * @param {Array<{id: string, label: string}>} choices
+     * @param {string|null} selected - ID of the chosen entry.
+     */
+    function fillSettingsSelect(select, choices, selected) {
+        select.innerHTML = '';
+        choices.forEach(choice => {
+            const option = document.createElement('option');
+            option.value = choice.id;
+            option.textContent = choice.label;
+            option.selected = choice.id === selected;
+            select.appendChild(option);
+        });
+    }
+
+    /**
+     * Opens the settings dialog with the stored settings.
+     */
+    async function openSettings() {
+        if (!isLoggedIn) {
+            return;
+        }
+        settingsStatus.textContent = '';
+        try {
+            const response = await apiFetch('/api/settings');
+            const result = await response.json();
+            if (!response.ok || !result.success) {
+                displayInfoMessage(`加载设置失败: ${result.error || '未知错误'}`);
+                return;
+            }
+            const { settings, options } = result;
+            const fields = settingsForm.elements;
+            fields.custom_instructions.value = settings.custom_instructions;
+            fillSettingsSelect(fields.language, options.languages, settings.language);
+            fillSettingsSelect(fields.tone, options.tones, settings.tone);
+            fillSettingsSelect(fields.citation_style, options.citation_styles, settings.citation_style);
+            fillSettingsSelect(fields.default_model, [{ id: '', label: '服务默认' }, ...availableModels], settings.default_model || '');
+            settingsModal.classList.remove('hidden');
+        } catch (error) {
+            console.error('Error loading settings:', error);
+            displayInfoMessage(`加载设置时出错: ${error.message}`);
+        }
+    }
+
+    /**
+     * Saves the settings form; the new defaults are applied to the sidebar pickers right away.
+     * @param {Event} event - Submit event of the settings form.
+     */
+    async function handleSaveSettings(event) {
+        event.preventDefault();
+        const fields = settingsForm.elements;
+        settingsStatus.textContent = '正在保存...';
+        try {
+            const response = await apiFetch('/api/settings', {
+                method: 'PUT',
+                body: {
+                    custom_instructions: fields.custom_instructions.value,
+                    language: fields.language.value,
+                    tone: fields.tone.value,
+                    citation_style: fields.citation_style.value,
+                    default_model: fields.default_model.value || null,
+                },
+            });
+            const result = await response.json();
+            if (!response.ok || !result.success) {
+                settingsStatus.textContent = `保存失败: ${result.error || '未知错误'}`;
+                return;
+            }
+            citationStyleSelect.value = result.settings.citation_style;
+            loadModels();
+            settingsStatus.textContent = '已保存，之后的对话将使用新的设置。';
+        } catch (error) {
+            console.error('Error saving settings:', error);
+            settingsStatus.textContent = `保存时出错: ${error.message}`;
+        }
+    }
+
+    /**
+     * @returns {string} Path of the current conversation's reference library.
+     */
+    function referencesPath() {
+        return `/api/conversations/${encodeURIComponent(currentChatId)}/references`;
+    }
+
+    /**
+     * Renders the reference library in the dialog.
+     * @param {Array<object>} references - Entries from the backend.
+     */
+    function renderReferences(references) {
+        referencesList.innerHTML = '';
+        if (references.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'text-gray-400';
+            empty.textContent = '暂无文献。未添加文献时，AI 不会引用任何文献。';
+            referencesList.appendChild(empty);
+            return;
+        }
+        references.forEach(entry => {
+            const item = document.createElement('div');
+            item.className = 'flex items-start justify-between border-b border-gray-100 pb-2';
+            const text = document.createElement('div');
+            const key = document.createElement('code');
+            key.className = 'text-indigo-600 mr-2';
+            key.textContent = `[@${entry.key}]`;
+            text.appendChild(key);
+            text.appendChild(document.createTextNode([entry.authors.join('; '), entry.year, entry.title, entry.container].filter(Boolean).join('. ')));
+            const deleteButton = document.createElement('button');
+            deleteButton.className = 'ml-3 text-gray-400 hover:text-red-500';
+            deleteButton.textContent = '✕';
+            deleteButton.title = '删除';
+            deleteButton.addEventListener('click', () => handleDeleteReference(entry.key));
+            item.appendChild(text);
+            item.appendChild(deleteButton);
+            referencesList.appendChild(item);
+        });
+    }
+
+    /**
+     * Opens the reference dialog and loads the current conversation's library.
+     */
+    async function openReferences() {
+        if (!isLoggedIn || !currentChatId) {
+            return;
+        }
+        referencesStatus.textContent = '';
+        referencesModal.classList.remove('hidden');
+        try {
+            const response = await apiFetch(referencesPath());
+            const result = await response.json();
+            if (!response.ok || !result.success) {
+                referencesStatus.textContent = `加载失败: ${result.error || '未知错误'}`;
+                return;
+            }
+            renderReferences(result.references);
+        } catch (error) {
+            console.error('Error loading references:', error);
+            referencesStatus.textContent = `加载时出错: ${error.message}`;
+        }
+    }
+
+    /**
+     * Adds references, either from pasted/uploaded BibTeX or RIS text or from the form.
+     * @param {{text?: string, entry?: object}} body - Request body for the references route.
+     * @returns {Promise<boolean>} Whether the library was updated.
+     */
+    async function submitReferences(body) {
+        try {
+            const response = await apiFetch(referencesPath(), { method: 'POST', body });
+            const result = await response.json();
+            if (!response.ok || !result.success) {
+                referencesStatus.textContent = `添加失败: ${result.error || '未知错误'}`;
+                return false;
+            }
+            renderReferences(result.references);
+            const skipped = result.skipped ? `，${result.skipped} 条无法识别` : '';
+            referencesStatus.textContent = `新增 ${result.added.length} 条，更新 ${result.updated.length} 条${skipped}`;
+            return true;
+        } catch (error) {
+            console.error('Error adding references:', error);
+            referencesStatus.textContent = `添加时出错: ${error.message}`;
+            return false;
+        }
+    }
+
+    /**
+     * Imports the pasted text, or the chosen .bib/.ris file if nothing was pasted.
+     */
+    async function handleImportReferences() {
+        let text = referencesImport.value.trim();
+        if (!text && referencesFile.files.length > 0) {
+            text = await referencesFile.files[0].text();
+        }
+        if (!text) {
+            referencesStatus.textContent = '请粘贴内容或选择文件';
+            return;
+        }
+        if (await submitReferences({ text })) {
+            referencesImport.value = '';
+            referencesFile.value = '';
+        }
+    }
+
+    /**
+     * Removes one entry from the library.
+     * @param {string} key - Citation key of the entry.
+     */
+    async function handleDeleteReference(key) {
+        try {
+            const response = await apiFetch(`${referencesPath()}/${encodeURIComponent(key)}`, { method: 'DELETE' });
+            const result = await response.json();
+            if (!response.ok || !result.success) {
+                referencesStatus.textContent = `删除失败: ${result.error || '未知错误'}`;
+                return;
+            }
+            renderReferences(result.references);
+        } catch (error) {
+            console.error('Error deleting reference:', error);
+            referencesStatus.textContent = `删除时出错: ${error.message}`;
+        }
+    }
+
+    /**
+     * @returns {string} Paper document route of the current conversation.
+     */
+    function paperPath() {
+        return `/api/conversations/${encodeURIComponent(currentChatId)}/paper`;
+    }
+
+    /**
+     * Reloads the paper side panel (title, keywords, chapter list) for the current conversation.
+     */
+    async function refreshPaperPanel() {
+        if (!isLoggedIn || !currentChatId) {
+            paperPanel.classList.add('hidden');
+            return;
+        }
+        try {
+            const response = await apiFetch(paperPath());
+            const result = await response.json();
+            if (response.ok && result.success) {
+                renderPaperPanel(result.paper);
+            }
+        } catch (error) {
+            console.error('Error loading paper:', error);
+        }
+        await refreshMaterials();
+    }
+
+    /**
+     * Prints which uploaded material the backend put into the prompt (debug mode only).
+     * @param {{embedding: string, candidates: number, used: object[]}|undefined} retrieval - Debug data from /api/chat.
+     */
+    function logRetrieval(retrieval) {
+        if (!retrieval) {
+            return;
+        }
+        console.log(`Material retrieval (${retrieval.embedding}): ${retrieval.used.length} of ${retrieval.candidates} chunks used.`);
+        console.table(retrieval.used);
+    }
+
+    /**
+     * Reloads the list of files uploaded to the current conversation.
+     */
+    async function refreshMaterials() {
+        try {
+            const response = await apiFetch(`/api/conversations/${encodeURIComponent(currentChatId)}/materials`);
+            const result = await response.json();
+            if (response.ok && result.success) {
+                renderMaterials(result.files);
+            }
+        } catch (error) {
+            console.error('Error loading materials:', error);
+        }
+    }
+
+    /**
+     * Renders the uploaded files in the side panel.
+     * @param {Array<{id: string, name: string, characters: number, truncated: boolean}>} files - Files from the backend.
+     */
+    function renderMaterials(files) {
+        materialsList.innerHTML = '';
+        if (files.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'text-gray-400';
+            empty.textContent = '上传实验记录、数据说明等资料，AI 会据此写作并注明来源。';
+            materialsList.appendChild(empty);
+            return;
+        }
+        files.forEach(file => {
+            const item = document.createElement('div');
+            item.className = 'flex items-center justify-between px-2 py-1 rounded-lg hover:bg-gray-200';
+            const name = document.createElement('span');
+            name.className = 'truncate flex-1';
+            name.textContent = file.name;
+            name.title = `${file.name}（${file.characters} 字${file.truncated ? '，已截断' : ''}）`;
+            const remove = document.createElement('button');
+            remove.className = 'ml-2 text-xs text-red-500 hover:text-red-700';
+            remove.textContent = '删除';
+            remove.addEventListener('click', () => handleDeleteMaterial(file));
+            item.appendChild(name);
+            item.appendChild(remove);
+            materialsList.appendChild(item);
+        });
+    }
+
+    /**
+     * Uploads the file picked in the hidden file input to the current conversation.
+     */
+    async function handleUpload() {
+        const file = uploadInput.files[0];
+        uploadInput.value = '';
+        if (!file || !isLoggedIn || !currentChatId) {
+            return;
+        }
+        const form = new FormData();
+        form.append('file', file);
+        form.append('conversation_id', currentChatId);
+        uploadButton.disabled = true;
+        displayInfoMessage(`正在上传 ${file.name}...`);
+        try {
+            const response = await apiFetch('/api/upload', { method: 'POST', body: form });
+            const result = await response.json();
+            if (!response.ok || !result.success) {
+                displayInfoMessage(`上传失败: ${result.error || '未知错误'}`);
+                return;
+            }
+            const note = result.file.truncated ? '，内容过长，只保留了前面部分' : '';
+            displayInfoMessage(`已上传 ${result.file.name}（${result.file.characters} 字${note}），写作时会引用其中的相关内容。`);
+            renderMaterials(result.files);
+        } catch (error) {
+            console.error('Error uploading file:', error);
+            displayInfoMessage(`上传文件时出错: ${error.message}`);
+        } finally {
+            uploadButton.disabled = !isLoggedIn;
+        }
+    }
+
+    /**
+     * Removes an uploaded file from the current conversation.
+     * @param {{id: string, name: string}} file
+     */
+    async function handleDeleteMaterial(file) {
+        if (!confirm(`确定删除资料“${file.name}”吗？`)) {
+            return;
+        }
+        try {
+            const response = await apiFetch(`/api/conversations/${encodeURIComponent(currentChatId)}/materials/${encodeURIComponent(file.id)}`, { method: 'DELETE' });
+            const result = await response.json();
+            if (!response.ok || !result.success) {
+                displayInfoMessage(`删除资料失败: ${result.error || '未知错误'}`);
+                return;
+            }
+            renderMaterials(result.files);
+        } catch (error) {
+            console.error('Error deleting material:', error);
+            displayInfoMessage(`删除资料时出错: ${error.message}`);
+        }
+    }
+
+    /**
+     * Renders the paper side panel.
+     * @param {{title: string, abstract: string, keywords: string[], chapters: object[]}} paper - Paper summary from the backend.
+     */
+    function renderPaperPanel(paper) {
+        paperPanel.classList.remove('hidden');
+        paperTitle.textContent = paper.title || '（尚未确定题目）';
+        paperKeywords.textContent = paper.keywords.length ? `关键词：${paper.keywords.join('；')}` : '';
+        paperInfoForm.elements.title.value = paper.title;
+        paperInfoForm.elements.abstract.value = paper.abstract;
+        paperInfoForm.elements.keywords.value = paper.keywords.join('；');
+        renderPaperLength(paper.length);
+
+        paperChapters.innerHTML = '';
+        if (paper.chapters.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'text-gray-400';
+            empty.textContent = '大纲生成后，章节会显示在这里。';
+            paperChapters.appendChild(empty);
+            return;
+        }
+        paper.chapters.forEach(chapter => {
+            const item = document.createElement('button');
+            item.className = 'w-full flex items-center justify-between text-left px-2 py-1 rounded-lg hover:bg-gray-200 disabled:opacity-50 disabled:cursor-default';
+            item.disabled = !chapter.has_content;
+            const title = document.createElement('span');
+            title.className = 'truncate flex-1';
+            title.textContent = chapter.title;
+            title.title = chapter.title;
+            const status = document.createElement('span');
+            status.className = `ml-2 text-xs ${chapter.status === 'confirmed' ? 'text-green-600' : 'text-gray-500'}`;
+            status.textContent = CHAPTER_STATUS_LABELS[chapter.status] || chapter.status;
+            item.appendChild(title);
+            if (chapter.words || chapter.target_words) {
+                const words = document.createElement('span');
+                const missesTarget = chapter.length_status === 'short' || chapter.length_status === 'long';
+                words.className = `ml-2 text-xs ${missesTarget ? 'text-amber-600' : 'text-gray-400'}`;
+                words.textContent = chapter.target_words ? `${chapter.words}/${chapter.target_words}` : String(chapter.words);
+                words.title = chapter.target_words ? `约 ${chapter.words} 字，计划约 ${chapter.target_words} 字` : `约 ${chapter.words} 字`;
+                item.appendChild(words);
+            }
+            item.appendChild(status);
+            item.addEventListener('click', () => openChapter(chapter.id));
+            paperChapters.appendChild(item);
+        });
+    }
+
+    /**
+     * Shows the paper's length against the outline's total target as a progress bar.
+     * @param {{written_words: number, target_words: number|null, progress: number|null}|undefined} length
+     */
+    function renderPaperLength(length) {
+        if (!length || (!length.written_words && !length.target_words)) {
+            paperLength.classList.add('hidden');
+            return;
+        }
+        paperLength.classList.remove('hidden');
+        paperLengthText.textContent = length.target_words
+            ? `${length.written_words} / ${length.target_words} 字`
+            : `${length.written_words} 字`;
+        paperLengthBar.style.width = `${Math.min(100, Math.round((length.progress ?? 0) * 100))}%`;
+    }
+
+    /**
+     * Opens a chapter of the paper in the chapter dialog, with its version history.
+     * @param {string} chapterId - Chapter to show.
+     */
+    async function openChapter(chapterId) {
+        try {
+            const chapterPath = `${paperPath()}/chapters/${encodeURIComponent(chapterId)}`;
+            const [chapterResponse, versionsResponse] = await Promise.all([apiFetch(chapterPath), apiFetch(`${chapterPath}/versions`)]);
+            const result = await chapterResponse.json();
+            if (!chapterResponse.ok || !result.success) {
+                displayInfoMessage(`打开章节失败: ${result.error || '未知错误'}`);
+                return;
+            }
+            const versionsResult = await versionsResponse.json();
+            const { chapter } = result;
+            openChapterData = chapter;
+            document.getElementById('chapter-title').textContent = chapter.title;
+            document.getElementById('chapter-meta').textContent = `${CHAPTER_STATUS_LABELS[chapter.status] || chapter.status} · 第 ${chapter.version} 版 · ${new Date(chapter.updated_at).toLocaleString()}`;
+            chapterContent.innerHTML = DOMPurify.sanitize(marked.parse(chapter.content));
+            setChapterEditing(false);
+            renderChapterVersions(versionsResponse.ok && versionsResult.success ? versionsResult.versions : []);
+            chapterModal.classList.remove('hidden');
+        } catch (error) {
+            console.error('Error loading chapter:', error);
+            displayInfoMessage(`打开章节时出错: ${error.message}`);
+        }
+    }
+
+    /**
+     * Switches the chapter dialog between reading and the Markdown editor.
+     * @param {boolean} editing
+     */
+    function setChapterEditing(editing) {
+        chapterContent.classList.toggle('hidden', editing);
+        chapterEditorPanel.classList.toggle('hidden', !editing);
+        chapterEditButton.classList.toggle('hidden', editing);
+        chapterEditorStatus.textContent = '';
+        if (editing) {
+            chapterEditor.value = openChapterData.content;
+            renderChapterPreview();
+            chapterEditor.focus();
+        }
+    }
+
+    /**
+     * Renders the editor text in the preview pane (same pipeline as the chat bubbles).
+     */
+    function renderChapterPreview() {
+        chapterPreview.innerHTML = DOMPurify.sanitize(marked.parse(chapterEditor.value));
+    }
+
+    /**
+     * @returns {boolean} Whether the editor holds changes that have not been saved.
+     */
+    function hasUnsavedChapterEdit() {
+        return !chapterEditorPanel.classList.contains('hidden') && chapterEditor.value !== openChapterData.content;
+    }
+
+    /**
+     * Saves the edited chapter text. The backend keeps the previous text as a version and uses
+     * the new one in later prompts.
+     */
+    async function handleSaveChapter() {
+        if (!hasUnsavedChapterEdit()) {
+            setChapterEditing(false);
+            return;
+        }
+        chapterSaveButton.disabled = true;
+        chapterEditorStatus.textContent = '正在保存...';
+        try {
+            const response = await apiFetch(`${paperPath()}/chapters/${encodeURIComponent(openChapterData.id)}`, {
+                method: 'PATCH',
+                body: { content: chapterEditor.value },
+            });
+            const result = await response.json();
+            if (!response.ok || !result.success) {
+                chapterEditorStatus.textContent = `保存失败: ${result.error || '未知错误'}`;
+                return;
+            }
+            renderPaperPanel(result.paper);
+            if (result.chapter.source_message_id) {
+                markMessageRevised(chatWindow.querySelector(`.message-bubble[data-message-id="${CSS.escape(result.chapter.source_message_id)}"]`));
+            }
+            await openChapter(result.chapter.id);
+        } catch (error) {
+            console.error('Error saving chapter:', error);
+            chapterEditorStatus.textContent = `保存时出错: ${error.message}`;
+        } finally {
+            chapterSaveButton.disabled = false;
+        }
+    }
+
+    /**
+     * Closes the chapter dialog, asking first when an edit has not been saved.
+     */
+    function closeChapterModal() {
+        if (hasUnsavedChapterEdit() && !window.confirm('修改尚未保存，确定关闭吗？')) {
+            return;
+        }
+        chapterModal.classList.add('hidden');
+    }
+
+    /**
+     * Lists the versions of the open chapter; earlier versions can be compared with the current
+     * text or restored.
+     * @param {Array<{version: number, source: string, instruction: string|null, created_at: string}>} versions - Newest first.
+     */
+    function renderChapterVersions(versions) {
+        chapterVersions.innerHTML = '';
+        chapterDiff.classList.add('hidden');
+        chapterDiffTitle.classList.add('hidden');
+        if (versions.length <= 1) {
+            const empty = document.createElement('p');
+            empty.className = 'text-gray-400';
+            empty.textContent = '暂无历史版本。重写或编辑本章后，旧版本会保存在这里。';
+            chapterVersions.appendChild(empty);
+            return;
+        }
+        versions.forEach(version => {
+            const item = document.createElement('div');
+            item.className = 'flex items-center justify-between border-b border-gray-100 pb-1';
+            const text = document.createElement('span');
+            text.className = 'truncate flex-1';
+            const instruction = version.instruction ? `：${version.instruction}` : '';
+            text.textContent = `第 ${version.version} 版 · ${new Date(version.created_at).toLocaleString()} · ${VERSION_SOURCE_LABELS[version.source] || version.source}${instruction}`;
+            text.title = text.textContent;
+            item.appendChild(text);
+            if (version.version === openChapterData.version) {
+                const current = document.createElement('span');
+                current.className = 'ml-2 text-xs text-green-600';
+                current.textContent = '当前';
+                item.appendChild(current);
+            } else {
+                const compareButton = document.createElement('button');
+                compareButton.className = 'ml-2 text-xs text-indigo-600 hover:underline';
+                compareButton.textContent = '对比';
+                compareButton.addEventListener('click', () => showVersionDiff(version.version));
+                const restoreButton = document.createElement('button');
+                restoreButton.className = 'ml-2 text-xs text-indigo-600 hover:underline';
+                restoreButton.textContent = '恢复';
+                restoreButton.addEventListener('click', () => handleRestoreVersion(version.version));
+                item.appendChild(compareButton);
+                item.appendChild(restoreButton);
+            }
+            chapterVersions.appendChild(item);
+        });
+    }
+
+    /**
+     * Shows what changed from an earlier version to the current text of the open chapter.
+     * @param {number} versionNumber - Earlier version to compare.
+     */
+    async function showVersionDiff(versionNumber) {
+        try {
+            const response = await apiFetch(`${paperPath()}/chapters/${encodeURIComponent(openChapterData.id)}/versions/${versionNumber}`);
+            const result = await response.json();
+            if (!response.ok || !result.success) {
+                displayInfoMessage(`加载版本失败: ${result.error || '未知错误'}`);
+                return;
+            }
+            chapterDiff.innerHTML = '';
+            diffText(result.version.content, openChapterData.content).forEach(([type, text]) => {
+                if (type === 'same') {
+                    chapterDiff.appendChild(document.createTextNode(text));
+                    return;
+                }
+                const mark = document.createElement(type === 'added' ? 'ins' : 'del');
+                mark.className = type === 'added' ? 'bg-green-100 text-green-800 no-underline' : 'bg-red-100 text-red-700 line-through';
+                mark.textContent = text;
+                chapterDiff.appendChild(mark);
+            });
+            chapterDiffTitle.textContent = `第 ${versionNumber} 版 → 当前（第 ${openChapterData.version} 版）：绿色为新增，红色为删除`;
+            chapterDiffTitle.classList.remove('hidden');
+            chapterDiff.classList.remove('hidden');
+        } catch (error) {
+            console.error('Error loading chapter version:', error);
+            displayInfoMessage(`加载版本时出错: ${error.message}`);
+        }
+    }
+
+    /**
+     * Makes an earlier version the current text of the open chapter (saved as a new version).
+     * @param {number} versionNumber - Version to restore.
+     */
+    async function handleRestoreVersion(versionNumber) {
+        if (!window.confirm(`确定将本章恢复为第 ${versionNumber} 版吗？当前内容会保留在历史版本中。`)) {
+            return;
+        }
+        try {
+            const response = await apiFetch(`${paperPath()}/chapters/${encodeURIComponent(openChapterData.id)}/versions/${versionNumber}/restore`, {
+                method: 'POST',
+                body: {},
+            });
+            const result = await response.json();
+            if (!response.ok || !result.success) {
+                displayInfoMessage(`恢复版本失败: ${result.error || '未知错误'}`);
+                return;
+            }
+            renderPaperPanel(result.paper);
+            await openChapter(openChapterData.id);
+        } catch (error) {
+            console.error('Error restoring chapter version:', error);
+            displayInfoMessage(`恢复版本时出错: ${error.message}`);
+        }
+    }
+
+    /**
+     * Compares two token sequences (longest common subsequence after trimming the common
+     * prefix and suffix). Too large a difference is reported as one removed and one added block.
+     * @param {string[]} a - Old tokens.
+     * @param {string[]} b - New tokens.
+     * @returns {Array<[string, string]>} Operations ['same' | 'removed' | 'added', token].
+     */
+    function diffSequences(a, b) {
+        let start = 0;
+        while (start < a.length && start < b.length && a[start] === b[start]) {
+            start++;
+        }
+        let endA = a.length;
+        let endB = b.length;
+        while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+            endA--;
+            endB--;
+        }
+        const ops = a.slice(0, start).map(token => ['same', token]);
+        const midA = a.slice(start, endA);
+        const midB = b.slice(start, endB);
+        const n = midA.length;
+        const m = midB.length;
+
+        if (n * m > MAX_DIFF_CELLS) {
+            midA.forEach(token => ops.push(['removed', token]));
+            midB.forEach(token => ops.push(['added', token]));
+        } else {
+            // table[i][j] = length of the LCS of midA[i..] and midB[j..]
+            const width = m + 1;
+            const table = new Uint32Array((n + 1) * width);
+            for (let i = n - 1; i >= 0; i--) {
+                for (let j = m - 1; j >= 0; j--) {
+                    table[i * width + j] = midA[i] === midB[j]
+                        ? table[(i + 1) * width + j + 1] + 1
+                        : Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+                }
+            }
+            let i = 0;
+            let j = 0;
+            while (i < n && j < m) {
+                if (midA[i] === midB[j]) {
+                    ops.push(['same', midA[i++]]);
+                    j++;
+                } else if (table[(i + 1) * width + j] >= table[i * width + j + 1]) {
+                    ops.push(['removed', midA[i++]]);
+                } else {
+                    ops.push(['added', midB[j++]]);
+                }
+            }
+            midA.slice(i).forEach(token => ops.push(['removed', token]));
+            midB.slice(j).forEach(token => ops.push(['added', token]));
+        }
+        a.slice(endA).forEach(token => ops.push(['same', token]));
+        return ops;
+    }
+
+    /**
+     * Computes an inline diff of two texts: line by line first, then word by word (character by
+     * character for CJK text) inside changed passages.
+     * @param {string} oldText
+     * @param {string} newText
+     * @returns {Array<[string, string]>} Segments ['same' | 'removed' | 'added', text], adjacent ones merged.
+     */
+    function diffText(oldText, newText) {
+        const tokenize = (text) => text.match(/[A-Za-z0-9_]+|\s+|[\s\S]/g) || [];
+        const lineOps = diffSequences(oldText.split(/(?<=\n)/), newText.split(/(?<=\n)/));
+        const ops = [];
+        let removed = [];
+        let added = [];
+        const flushChange = () => {
+            ops.push(...diffSequences(tokenize(removed.join('')), tokenize(added.join(''))));
+            removed = [];
+            added = [];
+        };
+        lineOps.forEach(([type, line]) => {
+            if (type === 'removed') {
+                removed.push(line);
+            } else if (type === 'added') {
+                added.push(line);
+            } else {
+                flushChange();
+                ops.push([type, line]);
+            }
+        });
+        flushChange();
+
+        const segments = [];
+        ops.forEach(([type, text]) => {
+            const last = segments[segments.length - 1];
+            if (last && last[0] === type) {
+                last[1] += text;
+            } else {
+                segments.push([type, text]);
+            }
+        });
+        return segments;
+    }
+
+    /**
+     * Saves the title, abstract and keywords edited in the side panel.
+     * @param {SubmitEvent} event
+     */
+    async function handleSavePaperInfo(event) {
+        event.preventDefault();
+        if (!isLoggedIn || !currentChatId) {
+            return;
+        }
+        const form = new FormData(paperInfoForm);
+        try {
+            const response = await apiFetch(paperPath(), {
+                method: 'PATCH',
+                body: { title: form.get('title'), abstract: form.get('abstract'), keywords: form.get('keywords') },
+            });
+            const result = await response.json();
+            if (!response.ok || !result.success) {
+                displayInfoMessage(`保存论文信息失败: ${result.error || '未知错误'}`);
+                return;
+            }
+            renderPaperPanel(result.paper);
+        } catch (error) {
+            console.error('Error saving paper details:', error);
+            displayInfoMessage(`保存论文信息时出错: ${error.message}`);
+        }
+    }
+
+    /**
+     * Handles the "New Chat" button click.
+     * Lets the user pick a paper template first when any are configured.
+     */
+    function handleNewChat() {
+        if (!isLoggedIn) {
+            displayInfoMessage("请先成功登录。");
+            return;
+        }
+        if (availableTemplates.length === 0) {
+            createNewConversation();
+            return;
+        }
+
+        templateList.innerHTML = '';
+        const options = [{ id: '', name: '不使用模板（通用）', description: '按对话中的要求自由规划论文结构。' }, ...availableTemplates];
+        options.forEach((template, i) => {
+            const label = document.createElement('label');
+            label.className = 'flex items-start space-x-2 p-2 border border-gray-200 rounded-lg cursor-pointer hover:bg-gray-50';
+            const radio = document.createElement('input');
+            radio.type = 'radio';
+            radio.name = 'template';
+            radio.value = template.id;
+            radio.checked = i === 0;
+            radio.className = 'mt-1';
+            const text = document.createElement('div');
+            const title = document.createElement('p');
+            title.className = 'font-medium text-gray-800';
+            title.textContent = template.name;
+            text.appendChild(title);
+            const details = [template.discipline, template.language === 'en' ? 'English' : null, template.total_words ? `约 ${template.total_words} 字` : null].filter(Boolean);
+            const description = document.createElement('p');
+            description.className = 'text-xs text-gray-500';
+            description.textContent = [template.description, details.join(' · ')].filter(Boolean).join(' — ');
+            text.appendChild(description);
+            if (template.sections?.length) {
+                const sections = document.createElement('p');
+                sections.className = 'text-xs text-gray-400';
+                sections.textContent = `章节：${template.sections.map(section => section.title).join(' / ')}`;
+                text.appendChild(sections);
+            }
+            label.appendChild(radio);
+            label.appendChild(text);
+            templateList.appendChild(label);
+        });
+        templateModal.classList.remove('hidden');
+    }
+
+    /**
+     * Creates a new conversation on the backend (previous conversations are kept in the sidebar)
+     * and clears the chat window.
+     * @param {string|null} [templateId] - Paper template to base the conversation on
+     */
+    async function createNewConversation(templateId = null) {
+        // 禁用按钮防止重复点击
+        newChatButton.disabled = true;
+
+        try {
+            const response = await apiFetch('/api/conversations', {
+                method: 'POST',
+                body: { template_id: templateId },
+            });
+
+            const result = await response.json(); // 尝试解析响应
+
+            if (!response.ok || !result.success) {
+                 // 如果后端创建失败，显示错误信息并且不清除前端
+                 console.error('Failed to create conversation:', result);
+                 displayInfoMessage(`新建对话失败: ${result.error || '未知错误'}`);
+                 return; // 停止执行
+            }
+
+            // 后端创建成功后，切换到新对话并清理前端
+            currentChatId = result.conversation.id;
+            conversations = result.conversations;
+            renderConversationList();
+            chatWindow.innerHTML = '';
+            refreshPaperPanel();
+            // Clear the message input field
+            messageInput.value = '';
+            // Reset the internal application state tracker
+            currentAppState = result.state || null;
+            // Display a confirmation message
+            displayInfoMessage("新的对话已开始。请描述您的需求。");
+             // Enable chat input (also resets the placeholder for the new state)
+            setChatEnabled(true);
+
+        } catch (error) {
+            console.error('Error during new chat creation:', error);
+            displayInfoMessage(`创建新对话时出错: ${error.message}`);
+        } finally {
+            // 无论成功或失败，重新启用按钮
+             newChatButton.disabled = false;
+        }
+    }
+
+    // --- Event Listeners ---
+    loginButton.addEventListener('click', handleLogin);
+    loginCodeInput.addEventListener('keypress', (event) => {
+        if (event.key === 'Enter') {
+            handleLogin();
+        }
+    });
+
+    sendButton.addEventListener('click', () => handleSendMessage());
+    approveButton.addEventListener('click', handleApprove);
+    messageInput.addEventListener('keypress', (event) => {
         // Allow sending with Shift+Enter for newlines, Enter alone to send
         if (event.key === 'Enter' && !event.shiftKey) {
             event.preventDefault(); // Prevent default newline behavior
@@ -399,6 +2287,48 @@ document.addEventListener('DOMContentLoaded', () => {
          sendButton.disabled = !isLoggedIn || messageInput.value.trim() === '';
      });
 
-    newChatButton.addEventListener('click', handleNewChat); // {{ 编辑 4: 确保事件监听器已绑定 }}
+    newChatButton.addEventListener('click', handleNewChat);
+    paperInfoForm.addEventListener('submit', handleSavePaperInfo);
+    uploadButton.addEventListener('click', () => uploadInput.click());
+    uploadInput.addEventListener('change', handleUpload);
+    document.getElementById('chapter-close-btn').addEventListener('click', closeChapterModal);
+    chapterEditButton.addEventListener('click', () => setChapterEditing(true));
+    document.getElementById('chapter-cancel-btn').addEventListener('click', () => setChapterEditing(false));
+    chapterSaveButton.addEventListener('click', handleSaveChapter);
+    chapterEditor.addEventListener('input', renderChapterPreview);
+    document.getElementById('template-close-btn').addEventListener('click', () => templateModal.classList.add('hidden'));
+    document.getElementById('template-start-btn').addEventListener('click', () => {
+        const selected = templateList.querySelector('input[name="template"]:checked');
+        templateModal.classList.add('hidden');
+        createNewConversation(selected?.value || null);
+    });
+    exportButtons.forEach(button => {
+        button.addEventListener('click', () => handleExport(button.dataset.exportFormat));
+    });
+    autoLengthToggle.checked = localStorage.getItem(AUTO_LENGTH_STORAGE_KEY) === '1';
+    autoLengthToggle.addEventListener('change', () => {
+        localStorage.setItem(AUTO_LENGTH_STORAGE_KEY, autoLengthToggle.checked ? '1' : '0');
+    });
+    referencesButton.addEventListener('click', openReferences);
+    document.getElementById('backup-export-btn').addEventListener('click', handleBackupExport);
+    document.getElementById('backup-import-btn').addEventListener('click', () => backupInput.click());
+    backupInput.addEventListener('change', handleBackupImport);
+    document.getElementById('snapshots-btn').addEventListener('click', openSnapshots);
+    document.getElementById('snapshots-close-btn').addEventListener('click', () => snapshotsModal.classList.add('hidden'));
+    settingsButton.addEventListener('click', openSettings);
+    document.getElementById('settings-close-btn').addEventListener('click', () => settingsModal.classList.add('hidden'));
+    settingsForm.addEventListener('submit', handleSaveSettings);
+    document.getElementById('references-close-btn').addEventListener('click', () => referencesModal.classList.add('hidden'));
+    document.getElementById('references-import-btn').addEventListener('click', handleImportReferences);
+    referenceForm.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        const entry = Object.fromEntries(new FormData(referenceForm));
+        if (await submitReferences({ entry })) {
+            referenceForm.reset();
+        }
+    });
+
+    // Resume the stored session automatically after a page reload
+    resumeSession();
 
 }); // End of DOMContentLoaded
\ No newline at end of file
@@ -0,0 +1,135 @@
+// Checks the material retrieval helpers in lib/material-retrieval.js, which the Pages function
+// uses for uploads and for every chat turn (see Material Retrieval in functions/api/[[path]].js):
+// local embeddings, chunking, ranking, the fallback when nothing scores and the token budget.
+//
+//   node scripts/check-retrieval.mjs
+//
+// Runs offline; exits with status 1 if a check fails.
+
+import assert from 'node:assert/strict';
+import {
+    LOCAL_EMBEDDING_DIMENSIONS,
+    MATERIAL_CHUNK_CHARACTERS,
+    chunkMaterialText,
+    cosineSimilarity,
+    embedLocally,
+    normalizeVector,
+    rankMaterialChunks,
+} from '../lib/material-retrieval.js';
+
+/**
+ * @param {string} text
+ * @returns {number[]} The unit vector the function stores for a chunk or query
+ */
+function embed(text) {
+    return normalizeVector(embedLocally(text));
+}
+
+/**
+ * Ranks the given files' chunks against a query the way retrieveMaterialChunks does.
+ * @param {Array<{name: string, chunks: string[]}>} files
+ * @param {string} query
+ * @param {{topK?: number, budget?: number, tokens?: function(string): number}} [options]
+ * @returns {{ranked: Array<object>, selected: Array<object>, used: number}}
+ */
+function rank(files, query, options = {}) {
+    const chunks = [];
+    const vectors = [];
+    for (const file of files) {
+        file.chunks.forEach((text, index) => {
+            chunks.push({ file, index, text, tokens: options.tokens ? options.tokens(text) : text.length });
+            vectors.push(embed(text));
+        });
+    }
+    return rankMaterialChunks(chunks, vectors, embed(query), { topK: options.topK ?? 6, budget: options.budget ?? 3000 });
+}
+
+const checks = [];
+
+/**
+ * Registers a named check.
+ * @param {string} name
+ * @param {function(): void} run
+ */
+function check(name, run) {
+    checks.push({ name, run });
+}
+
+check('embedLocally is deterministic and ranks related texts higher', () => {
+    const text = '深度学习在医学影像诊断中的应用';
+    assert.deepEqual(embedLocally(text), embedLocally(text));
+    assert.equal(embedLocally(text).length, LOCAL_EMBEDDING_DIMENSIONS);
+    const related = cosineSimilarity(embed('医学影像的深度学习诊断方法'), embed(text));
+    const unrelated = cosineSimilarity(embed('城市交通拥堵的经济成本'), embed(text));
+    assert.ok(related > unrelated, `related ${related} should beat unrelated ${unrelated}`);
+    assert.ok(embed('！？。').every(value => value === 0), 'text without terms embeds to the zero vector');
+});
+
+check('chunkMaterialText keeps chunks within the limit and loses no text', () => {
+    const sentence = '这是一个用于测试分块的句子，其中包含足够多的文字。';
+    const text = [
+        '第一段很短。',
+        sentence.repeat(Math.ceil(MATERIAL_CHUNK_CHARACTERS * 2 / sentence.length)), // One paragraph far over the limit
+        'A short English paragraph. It has two sentences.',
+    ].join('\n\n');
+    const chunks = chunkMaterialText(text);
+    assert.ok(chunks.length > 1);
+    for (const chunk of chunks) {
+        assert.ok(chunk.length <= MATERIAL_CHUNK_CHARACTERS, `chunk of ${chunk.length} characters`);
+    }
+    const squash = value => value.replace(/\s+/g, '');
+    assert.equal(squash(chunks.join('')), squash(text));
+    // The over-long paragraph is cut at sentence ends, not in the middle of a sentence
+    assert.ok(chunks.filter(chunk => chunk.includes(sentence.slice(0, 6))).every(chunk => chunk.endsWith('。') || chunk.endsWith('two sentences.')));
+    assert.deepEqual(chunkMaterialText(''), []);
+});
+
+check('rankMaterialChunks ranks the matching chunk first', () => {
+    const { ranked, selected } = rank([
+        { name: 'traffic.txt', chunks: ['城市交通拥堵造成的时间成本和经济损失。', '公共交通补贴政策的效果评估。'] },
+        { name: 'medicine.txt', chunks: ['医学影像数据集的采集与标注流程。', '卷积神经网络用于肺结节的自动检测。'] },
+    ], '卷积神经网络检测肺结节');
+    assert.equal(ranked.length, 4);
+    assert.equal(ranked[0].file.name, 'medicine.txt');
+    assert.equal(ranked[0].index, 1);
+    for (let i = 1; i < ranked.length; i++) {
+        assert.ok(ranked[i - 1].score >= ranked[i].score, 'ranked by descending score');
+    }
+    assert.ok(selected.length > 0 && selected.every(chunk => chunk.score > 0), 'only chunks that share terms with the query');
+});
+
+check('rankMaterialChunks falls back to each file\'s first chunk when nothing scores', () => {
+    const { ranked, selected } = rank([
+        { name: 'a.txt', chunks: ['第一份资料的开头。', '第一份资料的后文。'] },
+        { name: 'b.txt', chunks: ['第二份资料的开头。', '第二份资料的后文。'] },
+    ], '继续');
+    assert.ok(ranked.every(chunk => chunk.score === 0));
+    assert.deepEqual(selected.map(chunk => `${chunk.file.name}#${chunk.index}`), ['a.txt#0', 'b.txt#0']);
+});
+
+check('rankMaterialChunks respects the token budget and top-k', () => {
+    const file = { name: 'model.txt', chunks: Array.from({ length: 8 }, (_, i) => `神经网络模型第${i + 1}部分。${'训练数据'.repeat(10 + i)}`) };
+    const budgeted = rank([file], '神经网络模型的训练数据', { topK: 8, budget: 120 });
+    assert.ok(budgeted.selected.length > 0);
+    assert.ok(budgeted.used <= 120, `${budgeted.used} tokens selected with a budget of 120`);
+    assert.equal(budgeted.used, budgeted.selected.reduce((total, chunk) => total + chunk.tokens, 0));
+    assert.ok(budgeted.selected.length < file.chunks.length, 'the budget leaves chunks out');
+    const indexes = budgeted.selected.map(chunk => chunk.index);
+    assert.deepEqual(indexes, [...indexes].sort((a, b) => a - b), 'selected chunks are in document order');
+
+    const limited = rank([file], '神经网络模型的训练数据', { topK: 3, budget: 100000 });
+    assert.equal(limited.selected.length, 3);
+});
+
+let failed = 0;
+for (const { name, run } of checks) {
+    try {
+        run();
+        console.log(`ok   ${name}`);
+    } catch (error) {
+        failed++;
+        console.log(`FAIL ${name}\n     ${error.message}`);
+    }
+}
+console.log(`${checks.length - failed}/${checks.length} checks passed`);
+process.exitCode = failed ? 1 : 0;
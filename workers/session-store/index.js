@@ -0,0 +1,316 @@
+/**
+ * Durable Object that owns the chat state of one conversation (instance name `<code>:<conversationId>`).
+ * Bound to the Pages project as SESSION_STORE (see ../../wrangler.toml); the Pages function talks to
+ * it through stub.fetch() (see "Conversation Sessions" in functions/api/[[path]].js).
+ *
+ * Why: KV is eventually consistent and has no compare-and-set, so two tabs (or a double click)
+ * that both read a conversation, wait for the model and write it back silently drop a turn. A
+ * Durable Object handles one event at a time and its storage is strongly consistent, so it can:
+ * - count revisions and reject writes based on an outdated read (409 CONVERSATION_CONFLICT),
+ * - hand out a turn lease so only one model turn per conversation runs at once (409 CONVERSATION_BUSY),
+ * - store every message under its own key, so a normal turn only appends the new messages
+ *   instead of rewriting the whole history,
+ * - add and remove the conversation's uploaded files one request at a time, so uploads that finish
+ *   together keep each other's file.
+ *
+ * Storage layout:
+ * - `meta`        { revision, state (workflow fields, no history), message_ids: [...], migrated_at, updated_at }
+ * - `msg:<id>`    One conversation_history entry
+ * - `turn`        Active turn lease { id, expires_at }
+ * - `materials`   Files uploaded to the conversation [{ id, name, type, ... }] (chunks stay in KV)
+ *
+ * Internal API (JSON):
+ * - GET    /state        -> { revision, state, turn } or 404 when the conversation is not stored yet
+ * - POST   /import       { state } -> stores a record migrated from KV unless one exists; returns GET /state
+ * - POST   /save         { state, revision, turn_id } -> { revision }; `revision: null` skips the revision check
+ * - POST   /turn/begin   { revision, ttl_ms } -> { turn_id, expires_at }
+ * - POST   /turn/end     { turn_id } -> { ended }
+ * - GET    /materials    -> { files } or 404 when the list is not stored yet
+ * - POST   /materials/import { files } -> stores a list migrated from KV unless one exists; returns GET /materials
+ * - POST   /materials    { files } -> { files }; replaces the list
+ * - POST   /materials/update { add, max } or { remove } -> { files, changed }; adds a file unless `max` files
+ *                        are stored, or removes the file with ID `remove`
+ * - DELETE /materials    Removes the list
+ * - DELETE /state        Removes everything
+ *
+ * Uses the SQLite storage backend (values up to 2 MB; long chapters exceed the 128 KB limit of
+ * the older key-value backend).
+ */
+
+const STORAGE_BATCH_SIZE = 128; // Keys per storage.get/put/delete call
+const MESSAGE_PREFIX = 'msg:';
+
+/**
+ * @param {object} data
+ * @param {number} [status]
+ * @returns {Response}
+ */
+function json(data, status = 200) {
+    return new Response(JSON.stringify(data), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+/**
+ * @param {string[]} items
+ * @returns {string[][]} The items in batches of STORAGE_BATCH_SIZE
+ */
+function batches(items) {
+    const result = [];
+    for (let i = 0; i < items.length; i += STORAGE_BATCH_SIZE) {
+        result.push(items.slice(i, i + STORAGE_BATCH_SIZE));
+    }
+    return result;
+}
+
+export class ConversationSession {
+    /**
+     * @param {DurableObjectState} ctx
+     * @param {object} env
+     */
+    constructor(ctx, env) {
+        this.storage = ctx.storage;
+        this.env = env;
+    }
+
+    /**
+     * Routes an internal API request. Every handler only awaits storage calls, which keep other
+     * events out until they finish, so each request runs as one atomic step.
+     * @param {Request} request
+     * @returns {Promise<Response>}
+     */
+    async fetch(request) {
+        const { pathname } = new URL(request.url);
+        let body = {};
+        if (request.method === 'POST') {
+            try {
+                body = await request.json();
+            } catch (parseError) {
+                return json({ error: 'Invalid JSON body' }, 400);
+            }
+        }
+
+        switch (`${request.method} ${pathname}`) {
+            case 'GET /state':
+                return this.readState();
+            case 'POST /import':
+                return this.importState(body);
+            case 'POST /save':
+                return this.saveState(body);
+            case 'POST /turn/begin':
+                return this.beginTurn(body);
+            case 'POST /turn/end':
+                return this.endTurn(body);
+            case 'DELETE /state':
+                await this.storage.deleteAll();
+                return json({ deleted: true });
+            case 'GET /materials':
+                return this.readMaterials();
+            case 'POST /materials/import':
+                if (!(await this.storage.get('materials')) && Array.isArray(body.files)) {
+                    await this.storage.put('materials', body.files);
+                }
+                return this.readMaterials();
+            case 'POST /materials':
+                if (!Array.isArray(body.files)) {
+                    return json({ error: 'Missing files' }, 400);
+                }
+                await this.storage.put('materials', body.files);
+                return json({ files: body.files });
+            case 'POST /materials/update':
+                return this.updateMaterials(body);
+            case 'DELETE /materials':
+                await this.storage.delete('materials');
+                return json({ deleted: true });
+            default:
+                return json({ error: 'Not found' }, 404);
+        }
+    }
+
+    /**
+     * @returns {Promise<{id: string, expires_at: number}|null>} The turn lease, unless it has expired
+     */
+    async activeTurn() {
+        const turn = await this.storage.get('turn');
+        return turn && turn.expires_at > Date.now() ? turn : null;
+    }
+
+    /**
+     * @returns {Promise<Response>} The stored conversation with its history
+     */
+    async readState() {
+        const meta = await this.storage.get('meta');
+        if (!meta) {
+            return json({ error: 'Not found' }, 404);
+        }
+        const messages = new Map();
+        for (const keys of batches(meta.message_ids.map(id => MESSAGE_PREFIX + id))) {
+            for (const [key, message] of await this.storage.get(keys)) {
+                messages.set(key, message);
+            }
+        }
+        const history = meta.message_ids.map(id => messages.get(MESSAGE_PREFIX + id)).filter(Boolean);
+        return json({
+            revision: meta.revision,
+            state: { ...meta.state, conversation_history: history },
+            turn: await this.activeTurn(),
+        });
+    }
+
+    /**
+     * Stores a conversation migrated from KV, unless the object already has one (a concurrent
+     * request may have migrated it first; the stored version wins).
+     * @param {{state: object}} body
+     * @returns {Promise<Response>}
+     */
+    async importState(body) {
+        if (!(await this.storage.get('meta')) && body.state) {
+            await this.writeState(body.state, null, new Date().toISOString());
+        }
+        return this.readState();
+    }
+
+    /**
+     * Saves a conversation. Rejected while another request holds the turn lease, and when the
+     * caller's revision is not the current one. A save by the lease holder ends its turn.
+     * @param {{state: object, revision: number|null, turn_id: string|null}} body
+     * @returns {Promise<Response>}
+     */
+    async saveState(body) {
+        if (!body.state || !Array.isArray(body.state.conversation_history)) {
+            return json({ error: 'Missing state' }, 400);
+        }
+        const turn = await this.activeTurn();
+        if (turn && turn.id !== body.turn_id) {
+            return json({ code: 'CONVERSATION_BUSY', turn_expires_at: turn.expires_at }, 409);
+        }
+        const meta = await this.storage.get('meta');
+        const revision = meta ? meta.revision : 0;
+        if (body.revision !== null && body.revision !== undefined && body.revision !== revision) {
+            return json({ code: 'CONVERSATION_CONFLICT', revision }, 409);
+        }
+
+        const result = await this.writeState(body.state, meta);
+        if (turn) {
+            await this.storage.delete('turn');
+        }
+        return json(result);
+    }
+
+    /**
+     * Writes the workflow fields and only the messages that are new or changed; messages no
+     * longer in the history are deleted.
+     * @param {object} state - Full conversation state
+     * @param {object|null} meta - Current meta record
+     * @param {string} [migratedAt] - Set when the state comes from KV
+     * @returns {Promise<{revision: number, written: number, deleted: number}>}
+     */
+    async writeState(state, meta, migratedAt) {
+        const { conversation_history: history, ...fields } = state;
+        const previousIds = meta ? meta.message_ids : [];
+        const stored = new Map();
+        for (const keys of batches(previousIds.map(id => MESSAGE_PREFIX + id))) {
+            for (const [key, message] of await this.storage.get(keys)) {
+                stored.set(key, JSON.stringify(message));
+            }
+        }
+
+        const changed = {};
+        for (const message of history) {
+            const key = MESSAGE_PREFIX + message.id;
+            if (stored.get(key) !== JSON.stringify(message)) {
+                changed[key] = message;
+            }
+        }
+        const currentIds = new Set(history.map(message => message.id));
+        const removed = previousIds.filter(id => !currentIds.has(id)).map(id => MESSAGE_PREFIX + id);
+
+        for (const keys of batches(Object.keys(changed))) {
+            await this.storage.put(Object.fromEntries(keys.map(key => [key, changed[key]])));
+        }
+        for (const keys of batches(removed)) {
+            await this.storage.delete(keys);
+        }
+        const revision = (meta ? meta.revision : 0) + 1;
+        await this.storage.put('meta', {
+            revision,
+            state: fields,
+            message_ids: history.map(message => message.id),
+            migrated_at: migratedAt || meta?.migrated_at || null,
+            updated_at: new Date().toISOString(),
+        });
+        return { revision, written: Object.keys(changed).length, deleted: removed.length };
+    }
+
+    /**
+     * Starts a model turn: hands out a lease unless another turn is running or the caller's
+     * state is outdated.
+     * @param {{revision: number|null, ttl_ms: number}} body
+     * @returns {Promise<Response>}
+     */
+    async beginTurn(body) {
+        const turn = await this.activeTurn();
+        if (turn) {
+            return json({ code: 'CONVERSATION_BUSY', turn_expires_at: turn.expires_at }, 409);
+        }
+        const meta = await this.storage.get('meta');
+        const revision = meta ? meta.revision : 0;
+        if (body.revision !== null && body.revision !== undefined && body.revision !== revision) {
+            return json({ code: 'CONVERSATION_CONFLICT', revision }, 409);
+        }
+        const lease = { id: crypto.randomUUID(), expires_at: Date.now() + Math.max(1000, Number(body.ttl_ms) || 0) };
+        await this.storage.put('turn', lease);
+        return json({ turn_id: lease.id, expires_at: lease.expires_at });
+    }
+
+    /**
+     * Ends a turn without saving (e.g. when it was refused before calling the model).
+     * @param {{turn_id: string}} body
+     * @returns {Promise<Response>}
+     */
+    async endTurn(body) {
+        const turn = await this.storage.get('turn');
+        if (turn && turn.id === body.turn_id) {
+            await this.storage.delete('turn');
+            return json({ ended: true });
+        }
+        return json({ ended: false });
+    }
+
+    /**
+     * @returns {Promise<Response>} The conversation's uploaded files
+     */
+    async readMaterials() {
+        const files = await this.storage.get('materials');
+        return files ? json({ files }) : json({ error: 'Not found' }, 404);
+    }
+
+    /**
+     * Adds or removes one uploaded file. `changed` is false when the list is full or the file to
+     * remove is not in it.
+     * @param {{add?: object, max?: number, remove?: string}} body
+     * @returns {Promise<Response>}
+     */
+    async updateMaterials(body) {
+        const files = (await this.storage.get('materials')) || [];
+        let next = files;
+        if (body.add && files.length < (Number(body.max) || Infinity)) {
+            next = [...files, body.add];
+        } else if (body.remove) {
+            next = files.filter(file => file.id !== body.remove);
+        }
+        if (next.length === files.length) {
+            return json({ files, changed: false });
+        }
+        await this.storage.put('materials', next);
+        return json({ files: next, changed: true });
+    }
+}
+
+export default {
+    /**
+     * The Worker itself serves nothing; the object is only reached through its binding.
+     * @returns {Response}
+     */
+    async fetch() {
+        return new Response('Not Found', { status: 404 });
+    },
+};